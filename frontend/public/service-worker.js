@@ -0,0 +1,119 @@
+/* eslint-disable no-restricted-globals */
+// public/service-worker.js
+// Keeps the app usable on a bad connection. Registered in production builds by
+// src/serviceWorkerRegistration.js; served as is, without going through the build.
+//
+// - The app shell (index.html, config.json, icons) is fetched from the network
+//   when possible and from the cache otherwise. Every route is index.html.
+// - The bundles under /static/ have hashed names, so the cached copy is used.
+//   Bundles the current build no longer lists in asset-manifest.json are removed
+//   whenever index.html comes from the network, so deploys don't pile up.
+// - Survey and follow-up questions are fetched from the network when possible;
+//   the last answer per URL and language is kept for when it isn't.
+//
+// Nothing else from the API is cached, and only GET requests are handled:
+// submissions made offline are queued by the app (see src/services/offlineQueue.js).
+
+// Bump to drop everything cached by earlier versions
+const VERSION = 'v1';
+const SHELL_CACHE = `shell-${VERSION}`;
+const QUESTIONS_CACHE = `questions-${VERSION}`;
+
+const scoped = (path) => new URL(path, self.registration.scope).toString();
+
+const SHELL_FILES = ['index.html', 'config.json', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'].map(scoped);
+const INDEX_URL = scoped('index.html');
+const STATIC_PREFIX = scoped('static/');
+// Lists every file of the current build, lazily loaded chunks included
+const ASSET_MANIFEST_URL = scoped('asset-manifest.json');
+
+// Matched on the path alone, wherever the API is hosted
+const QUESTION_PATHS = [/\/survey-questions$/, /\/followup-questions$/];
+
+self.addEventListener('install', (event) => {
+  // config.json is optional, so each file is cached on its own
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => Promise.all(SHELL_FILES.map((url) => cache.add(url).catch(() => undefined))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops cached bundles of earlier builds. Offline, or without a manifest, everything is kept.
+const pruneStaticFiles = async () => {
+  try {
+    const response = await fetch(ASSET_MANIFEST_URL, { cache: 'no-store' });
+    if (!response.ok) return;
+    const { files = {} } = await response.json();
+    const current = new Set(Object.values(files).map(scoped));
+    const cache = await caches.open(SHELL_CACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+      .filter(({ url }) => url.startsWith(STATIC_PREFIX) && !current.has(url))
+      .map((request) => cache.delete(request)));
+  } catch (error) {
+    // Tried again on the next navigation
+  }
+};
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== SHELL_CACHE && key !== QUESTIONS_CACHE).map((key) => caches.delete(key))))
+      .then(pruneStaticFiles)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Questions come in the language asked for (Accept-Language), so it is part of the key
+const questionsCacheKey = (request) => {
+  const url = new URL(request.url);
+  url.searchParams.set('_lang', request.headers.get('Accept-Language') || '');
+  return url.toString();
+};
+
+const networkFirst = async (request, cacheName, cacheKey = request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(cacheKey, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // A fresh index.html may belong to a new build
+    const response = networkFirst(request, SHELL_CACHE, INDEX_URL);
+    event.respondWith(response);
+    event.waitUntil(response.then(pruneStaticFiles, () => undefined));
+  } else if (url.href.startsWith(STATIC_PREFIX)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (SHELL_FILES.includes(url.origin + url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, url.origin + url.pathname));
+  } else if (QUESTION_PATHS.some((path) => path.test(url.pathname))) {
+    event.respondWith(networkFirst(request, QUESTIONS_CACHE, questionsCacheKey(request)));
+  }
+});
+
+// Sent by the app on logout: follow-up questions belong to the user's sessions
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'CLEAR_QUESTIONS') event.waitUntil(caches.delete(QUESTIONS_CACHE));
+});
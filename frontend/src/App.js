@@ -1,24 +1,54 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import './index.css';
+import { AuthProvider } from './context/AuthContext';
+import { LanguageProvider } from './context/LanguageContext';
+import { NotificationProvider } from './context/NotificationContext';
+import { ThemeProvider } from './context/ThemeContext';
+import AppHeader from './components/AppHeader';
+import RequireAuth from './components/RequireAuth';
+import SessionExpiryWarning from './components/SessionExpiryWarning';
+import ConnectionStatus from './components/ConnectionStatus';
+import NotificationCenter from './components/NotificationCenter';
+import LoginPage from './pages/LoginPage';
+import AssessmentsPage from './pages/AssessmentsPage';
+import ComparisonPage from './pages/ComparisonPage';
 import SurveyPage from './pages/SurveyPage';
 import FollowupPage from './pages/FollowupPage';
 import RecommendationsPage from './pages/RecommendationsPage';
+import TeamPage from './pages/TeamPage';
+import AdminPage from './pages/AdminPage';
 
 function App() {
   return (
-    <Router>
-      <div className="App">
-        <h1>Green IT Assessment Platform</h1>
-        <Routes>
-          <Route path="/survey" element={<SurveyPage />} />
-          <Route path="/followup" element={<FollowupPage />} />
-          <Route path="/recommendations" element={<RecommendationsPage />} />
-          {/* Default route */}
-          <Route path="*" element={<Navigate to="/survey" />} />
-        </Routes>
-      </div>
-    </Router>
+    <LanguageProvider>
+      <ThemeProvider>
+        <NotificationProvider>
+          <Router>
+            <AuthProvider>
+              <div className="App">
+                <AppHeader />
+                <SessionExpiryWarning />
+                <ConnectionStatus />
+                <Routes>
+                  <Route path="/login" element={<LoginPage />} />
+                  <Route path="/assessments" element={<RequireAuth requireSession={false}><AssessmentsPage /></RequireAuth>} />
+                  <Route path="/assessments/compare" element={<RequireAuth requireSession={false}><ComparisonPage /></RequireAuth>} />
+                  <Route path="/survey" element={<RequireAuth><SurveyPage /></RequireAuth>} />
+                  <Route path="/followup" element={<RequireAuth><FollowupPage /></RequireAuth>} />
+                  <Route path="/recommendations" element={<RequireAuth><RecommendationsPage /></RequireAuth>} />
+                  <Route path="/team" element={<RequireAuth><TeamPage /></RequireAuth>} />
+                  <Route path="/admin" element={<RequireAuth requireSession={false} requireAdmin><AdminPage /></RequireAuth>} />
+                  {/* Default route */}
+                  <Route path="*" element={<Navigate to="/assessments" />} />
+                </Routes>
+                <NotificationCenter />
+              </div>
+            </AuthProvider>
+          </Router>
+        </NotificationProvider>
+      </ThemeProvider>
+    </LanguageProvider>
   );
 }
 
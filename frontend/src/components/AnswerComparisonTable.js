@@ -0,0 +1,67 @@
+// src/components/AnswerComparisonTable.js
+import React, { useState } from 'react';
+import ChangeBadge from './ChangeBadge';
+import { ChangeKind } from '../utils/assessmentComparison';
+import { categoryLabel } from '../utils/categories';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './AnswerComparisonTable.module.css';
+
+/**
+ * Question-by-question table of earlier and later answers. Unchanged answers
+ * are hidden until the user asks for them.
+ * @param {{ id: string, title: string, rows: Array<object>, emptyMessage: string }} props
+ *   rows from compareSurveyResponses or compareFollowupResponses
+ */
+const AnswerComparisonTable = ({ id, title, rows, emptyMessage }) => {
+  const i18n = useLanguage();
+  const { t } = i18n;
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const unchangedCount = rows.filter((row) => row.change === ChangeKind.UNCHANGED).length;
+  const shownRows = showUnchanged ? rows : rows.filter((row) => row.change !== ChangeKind.UNCHANGED);
+
+  return (
+    <section className={styles.section} aria-labelledby={`${id}-heading`}>
+      <div className={styles.header}>
+        <h3 id={`${id}-heading`}>{title}</h3>
+        {unchangedCount > 0 && (
+          <label className={styles.toggle}>
+            <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+            {t('comparison.showUnchanged', { count: unchangedCount })}
+          </label>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className={styles.muted}>{emptyMessage}</p>
+      ) : shownRows.length === 0 ? (
+        <p className={styles.muted}>{t('comparison.noChanges')}</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th scope="col">{t('comparison.question')}</th>
+              <th scope="col">{t('comparison.earlierColumn')}</th>
+              <th scope="col">{t('comparison.laterColumn')}</th>
+              <th scope="col">{t('comparison.change')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shownRows.map((row) => (
+              <tr key={row.question_id} className={styles[row.change]}>
+                <td>
+                  <span className={styles.category}>{[row.category, row.subcategory].filter(Boolean).map((name) => categoryLabel(name, i18n)).join(' / ')}</span>
+                  {row.question}
+                </td>
+                <td>{row.beforeText || <span className={styles.muted}>{t('common.notAnswered')}</span>}</td>
+                <td>{row.afterText || <span className={styles.muted}>{t('common.notAnswered')}</span>}</td>
+                <td><ChangeBadge change={row.change} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default AnswerComparisonTable;
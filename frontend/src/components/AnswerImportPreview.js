@@ -0,0 +1,103 @@
+// src/components/AnswerImportPreview.js
+import React, { useEffect, useRef, useState } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { ConflictType, countImportedAnswers } from '../utils/answerImport';
+import { formatSurveyAnswer } from '../utils/surveyAnswers';
+import styles from './AnswerImportPreview.module.css';
+
+const rawText = (answer) => (Array.isArray(answer) ? answer.join('; ') : String(answer));
+
+/**
+ * Shows what an answer file would fill in before anything is changed: the
+ * answers that match, the rows that don't (with the reason) and the conflicts.
+ * Answers that differ from the ones already given are only used when the user
+ * ticks "replace".
+ * @param {{ fileName: string, preview: object, onApply: Function, onCancel: Function }} props
+ *   `preview` is from matchImportedAnswers; onApply gets `{ replaceExisting }`
+ */
+const AnswerImportPreview = ({ fileName, preview, onApply, onCancel }) => {
+  const i18n = useLanguage();
+  const { t } = i18n;
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const headingRef = useRef(null);
+  const { matched, unmatched, conflicts, skipped } = preview;
+
+  // The preview replaces the form, so focus moves to its heading
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  const answerText = (question, value) => formatSurveyAnswer(question, value, i18n);
+  const rowLabel = (row) => (row ? `${t('answerImport.row', { row })} · ` : '');
+  const existingCount = conflicts.filter((conflict) => conflict.type === ConflictType.EXISTING).length;
+  const applyCount = countImportedAnswers(preview, { replaceExisting });
+
+  return (
+    <section className={styles.preview} aria-labelledby="answer-import-title">
+      <h2 id="answer-import-title" className={styles.title} tabIndex={-1} ref={headingRef}>{t('answerImport.title')}</h2>
+      <p className={styles.intro}>{t('answerImport.intro', { file: fileName })}</p>
+      {skipped > 0 && <p className={styles.intro}>{t('answerImport.skipped', { count: skipped })}</p>}
+
+      {matched.length > 0 && (
+        <div className={`${styles.group} ${styles.matched}`}>
+          <h3>{t('answerImport.matched', { count: matched.length })}</h3>
+          <ul>
+            {matched.map(({ questionId, question, value, unchanged }) => (
+              <li key={questionId}>
+                <span className={styles.questionId}>{questionId}</span> {question.content}: <strong>{answerText(question, value)}</strong>
+                {unchanged && <span className={styles.muted}> {t('answerImport.unchanged')}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className={`${styles.group} ${styles.conflicts}`}>
+          <h3>{t('answerImport.conflicts', { count: conflicts.length })}</h3>
+          <ul>
+            {conflicts.map((conflict) => (
+              <li key={conflict.questionId}>
+                <span className={styles.questionId}>{conflict.questionId}</span> {conflict.question.content}:{' '}
+                {conflict.type === ConflictType.DUPLICATE
+                  ? t('answerImport.duplicate', { values: conflict.values.map((value) => answerText(conflict.question, value)).join(' / ') })
+                  : t('answerImport.existing', { current: answerText(conflict.question, conflict.current), value: answerText(conflict.question, conflict.value) })}
+              </li>
+            ))}
+          </ul>
+          {existingCount > 0 && (
+            <label className={styles.replace}>
+              <input type="checkbox" checked={replaceExisting} onChange={(e) => setReplaceExisting(e.target.checked)} />
+              {t('answerImport.replaceExisting')}
+            </label>
+          )}
+        </div>
+      )}
+
+      {unmatched.length > 0 && (
+        <div className={`${styles.group} ${styles.unmatched}`}>
+          <h3>{t('answerImport.unmatched', { count: unmatched.length })}</h3>
+          <ul>
+            {unmatched.map(({ questionId, answer, row, reason }, index) => (
+              // Unknown ids can repeat, so the position is part of the key
+              <li key={`${index}-${questionId}`}>
+                {rowLabel(row)}
+                {questionId && <span className={styles.questionId}>{questionId}</span>} "{rawText(answer)}": {reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {applyCount === 0 && <p className={styles.intro}>{t('answerImport.nothingToApply')}</p>}
+      <div className={styles.actions}>
+        <button type="button" className={styles.cancelButton} onClick={onCancel}>{t('common.cancel')}</button>
+        <button type="button" onClick={() => onApply({ replaceExisting })} disabled={applyCount === 0}>
+          {t('answerImport.apply', { count: applyCount })}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default AnswerImportPreview;
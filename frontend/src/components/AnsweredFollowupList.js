@@ -0,0 +1,123 @@
+// src/components/AnsweredFollowupList.js
+import React, { useEffect, useRef, useState } from 'react';
+import FollowupAnswerInput from './FollowupAnswerInput';
+import FollowupSaveStatus from './FollowupSaveStatus';
+import { AnswerSaveState, formatFollowupAnswer, fromFollowupAnswer } from '../utils/followupAnswers';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './AnsweredFollowupList.module.css';
+
+const NONE_WAITING = new Set();
+
+/**
+ * Follow-up questions the user has already answered. While `editable` (the
+ * pipeline hasn't started the report yet) each answer can be reopened, changed
+ * and saved again, along with its evidence files.
+ * @param {{ items: Array<object>, editable: boolean, saveStates: object, saveErrors: object, onSave: Function, evidence?: object, renderEvidence?: Function, canEdit?: Function, showAnsweredBy?: boolean, username?: string, waitingIds?: Set<string> }} props
+ *   onSave(question, answerState) resolves to true when the answer was saved.
+ *   evidence holds the uploaded files by question_id; renderEvidence(questionId)
+ *   renders the controls for changing them while an answer is edited.
+ *   In a shared session canEdit(item) tells which answers are the user's to
+ *   change, and showAnsweredBy names who gave each answer. waitingIds are the
+ *   questions whose answer was saved offline and hasn't been sent yet.
+ */
+const AnsweredFollowupList = ({
+  items, editable, saveStates, saveErrors, onSave, evidence = {}, renderEvidence, canEdit = () => true, showAnsweredBy = false, username,
+  waitingIds = NONE_WAITING,
+}) => {
+  const { t } = useLanguage();
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [closedEdit, setClosedEdit] = useState(null); // { questionId } whose Edit button gets focus back
+  const editButtons = useRef({});
+
+  // The editor replaces the Edit button, so hand focus back to it once the editor closes
+  useEffect(() => {
+    if (closedEdit) editButtons.current[closedEdit.questionId]?.focus();
+  }, [closedEdit]);
+
+  const startEditing = (item) => {
+    setEditingId(item.question_id);
+    setDraft(fromFollowupAnswer(item, item.answer));
+  };
+
+  const stopEditing = (questionId) => {
+    setEditingId(null);
+    setClosedEdit({ questionId });
+  };
+
+  const handleSave = async (item) => {
+    if (await onSave(item, draft)) stopEditing(item.question_id);
+  };
+
+  if (items.length === 0) return null;
+
+  return (
+    <section className={styles.answered} aria-labelledby="answered-followup-heading">
+      <h2 id="answered-followup-heading" className={styles.heading}>{t('followup.yourAnswers', { count: items.length })}</h2>
+      {!editable && <p className={styles.lockedNote}>{t('followup.answersLocked')}</p>}
+      <ul className={styles.list}>
+        {items.map((item) => {
+          const qId = item.question_id;
+          const isEditing = editingId === qId;
+          const questionId = `answered-${qId}-question`;
+          const statusId = `answered-${qId}-status`;
+          const files = evidence[qId] || [];
+          return (
+            <li key={qId} className={styles.item}>
+              <p id={questionId} className={styles.question}>{item.question}</p>
+              {isEditing ? (
+                <>
+                  <FollowupAnswerInput
+                    question={item}
+                    value={draft}
+                    onChange={setDraft}
+                    idPrefix={`${qId}-edit`}
+                    labelledBy={questionId}
+                    describedBy={saveErrors[qId] ? statusId : undefined}
+                    invalid={!!saveErrors[qId]}
+                  />
+                  {renderEvidence?.(qId)}
+                  <div className={styles.actions}>
+                    <button type="button" onClick={() => handleSave(item)} disabled={saveStates[qId] === AnswerSaveState.SAVING}>{t('followup.saveChanges')}</button>
+                    <button type="button" className={styles.secondaryButton} onClick={() => stopEditing(qId)}>{t('common.cancel')}</button>
+                  </div>
+                </>
+              ) : (
+                <div className={styles.summaryRow}>
+                  <span className={styles.answer}>
+                    {formatFollowupAnswer(item.answer) || <i>{t('followup.noAnswer')}</i>}
+                    {files.length > 0 && (
+                      <span className={styles.note}>
+                        {t('evidence.attached')} {files.map((file) => file.filename).join(', ')}
+                      </span>
+                    )}
+                    {waitingIds.has(qId) && <span className={`${styles.note} ${styles.waiting}`}>{t('offline.waiting')}</span>}
+                    {showAnsweredBy && item.answered_by && (
+                      <span className={styles.note}>
+                        {item.answered_by === username ? t('team.answeredByYou') : t('team.answeredBy', { name: item.answered_by })}
+                      </span>
+                    )}
+                  </span>
+                  {editable && canEdit(item) && (
+                    <button
+                      type="button"
+                      ref={(element) => { editButtons.current[qId] = element; }}
+                      className={styles.secondaryButton}
+                      onClick={() => startEditing(item)}
+                      aria-describedby={questionId}
+                    >
+                      {t('common.edit')}
+                    </button>
+                  )}
+                </div>
+              )}
+              <FollowupSaveStatus id={statusId} state={saveStates[qId]} error={saveErrors[qId]} />
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default AnsweredFollowupList;
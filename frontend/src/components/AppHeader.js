@@ -0,0 +1,50 @@
+// src/components/AppHeader.js
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import { useTheme } from '../context/ThemeContext';
+import LanguageSwitcher from './LanguageSwitcher';
+import ThemeSwitcher from './ThemeSwitcher';
+import styles from './AppHeader.module.css';
+
+/**
+ * Shared header shown on every page: app title (or the client's name and logo),
+ * language and theme switchers plus, once authenticated, a link to the
+ * assessments dashboard, the team of the active assessment (and the admin
+ * console for admins), the signed-in user and a logout control.
+ */
+const AppHeader = () => {
+  const { isAuthenticated, user, sessionId, logout } = useAuth();
+  const { t } = useLanguage();
+  const { branding } = useTheme();
+
+  return (
+    <header className={styles.header}>
+      <h1 className={styles.title}>
+        {/* Decorative: the name next to it says the same */}
+        {branding.logoUrl && <img src={branding.logoUrl} alt="" className={styles.logo} />}
+        {branding.name || t('header.title')}
+      </h1>
+      <div className={styles.userArea}>
+        <LanguageSwitcher />
+        <ThemeSwitcher />
+        {isAuthenticated && (
+          <>
+            <Link to="/assessments" className={styles.navLink}>{t('header.myAssessments')}</Link>
+            {sessionId && <Link to="/team" className={styles.navLink}>{t('header.team')}</Link>}
+            {user?.is_admin && <Link to="/admin" className={styles.navLink}>{t('header.admin')}</Link>}
+            {user?.username && (
+              <span className={styles.username}>{t('header.signedInAs', { username: <strong>{user.username}</strong> })}</span>
+            )}
+            <button type="button" onClick={logout} className={styles.logoutButton}>
+              {t('header.logout')}
+            </button>
+          </>
+        )}
+      </div>
+    </header>
+  );
+};
+
+export default AppHeader;
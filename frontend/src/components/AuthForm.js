@@ -1,10 +1,12 @@
 // src/components/AuthForm.js
 import React, { useState } from 'react';
-// Ensure createSession is imported if not already
-import { loginUser, registerUser, createSession } from '../services/api';
+import { loginUser, registerUser } from '../services/api';
+import { storeAuthToken, clearAuthToken } from '../services/authToken';
+import { useLanguage } from '../context/LanguageContext';
 import styles from './AuthForm.module.css';
 
 const AuthForm = ({ onAuthSuccess }) => {
+  const { t } = useLanguage();
   const [mode, setMode] = useState("login");
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
@@ -17,42 +19,28 @@ const AuthForm = ({ onAuthSuccess }) => {
     setIsLoading(true);
 
     try {
-      let authData; // { access_token, token_type }
+      let authData; // { access_token, token_type, expires_in?, refresh_token? }
       if (mode === "login") {
         authData = await loginUser(username, password);
       } else {
         authData = await registerUser(username, password);
       }
 
-      // --- Store token using sessionStorage ---
-      sessionStorage.setItem("access_token", authData.access_token);
+      // --- Store token (and its expiry) in sessionStorage ---
+      storeAuthToken(authData);
       console.log(`${mode} successful, token stored.`);
 
-      // --- Create session AFTER getting token ---
-      try {
-         console.log("Attempting to create session...");
-         const sessionData = await createSession(); // Uses the token via interceptor
-         // --- Store session ID using sessionStorage ---
-         sessionStorage.setItem("session_id", sessionData.session_id);
-         console.log("Session created and stored:", sessionData.session_id);
-
-         onAuthSuccess(); // Notify parent AFTER token AND session are stored
-
-      } catch (sessionError) {
-         console.error("Failed to create session after login/register:", sessionError);
-         setError(`Authentication succeeded, but failed to create a session: ${sessionError.response?.data?.detail || sessionError.message}. Please try logging in again.`);
-         // Clean up potentially stored token if session creation fails
-         sessionStorage.removeItem("access_token");
-      }
+      // Sessions are picked or started on the /assessments page, so logging in
+      // never replaces (and orphans) the assessment the user was working on.
+      onAuthSuccess();
 
     } catch (err) {
       console.error(`${mode} failed:`, err);
       // Use error message from backend if available, otherwise generic
-      const message = err.response?.data?.detail || `${mode === 'login' ? 'Login' : 'Registration'} failed. Please check credentials/try again.`;
+      const message = err.response?.data?.detail || t(mode === 'login' ? 'auth.loginFailed' : 'auth.registerFailed');
       setError(message);
-       // Clear any potentially half-stored items on failure
-       sessionStorage.removeItem("access_token");
-       sessionStorage.removeItem("session_id");
+       // Clear any potentially half-stored token on failure
+       clearAuthToken();
     } finally {
       setIsLoading(false);
     }
@@ -68,10 +56,10 @@ const AuthForm = ({ onAuthSuccess }) => {
   return (
     
     <div className={styles.authContainer}>
-      <h2>{mode === "login" ? "Login" : "Register"}</h2>
+      <h2>{mode === "login" ? t('auth.login') : t('auth.register')}</h2>
       <form onSubmit={handleSubmit}>
         <div className={styles.formGroup}>
-          <label htmlFor="username">Username:</label>
+          <label htmlFor="username">{t('auth.username')}</label>
           <input
             id="username" type="text" value={username}
             onChange={(e) => setUsername(e.target.value)}
@@ -79,7 +67,7 @@ const AuthForm = ({ onAuthSuccess }) => {
           />
         </div>
         <div className={styles.formGroup}>
-          <label htmlFor="password">Password:</label>
+          <label htmlFor="password">{t('auth.password')}</label>
           <input
             id="password" type="password" value={password}
             onChange={(e) => setPassword(e.target.value)}
@@ -88,11 +76,11 @@ const AuthForm = ({ onAuthSuccess }) => {
         </div>
 
         {/* --- Display error inline --- */}
-        {error && <p className={styles.errorMessage}>{error}</p>}
+        {error && <p className={styles.errorMessage} role="alert">{error}</p>}
 
         <button type="submit" className={styles.submitButton} disabled={isLoading}>
           {/* --- Show loading state --- */}
-          {isLoading ? 'Processing...' : (mode === "login" ? "Login" : "Register")}
+          {isLoading ? t('auth.processing') : (mode === "login" ? t('auth.login') : t('auth.register'))}
         </button>
       </form>
 
@@ -100,19 +88,19 @@ const AuthForm = ({ onAuthSuccess }) => {
         {mode === "login" ? (
           <p>
             {/* --- Wrap text in <strong> --- */}
-            <strong>Don't have an account?</strong>{' '}
+            <strong>{t('auth.noAccount')}</strong>{' '}
             {/* Space is still here */}
             <button type="button" onClick={switchMode} className={styles.toggleButton} disabled={isLoading}>
-              Register here
+              {t('auth.registerHere')}
             </button>
           </p>
         ) : (
           <p>
              {/* --- Wrap text in <strong> --- */}
-            <strong>Already have an account?</strong>{' '}
+            <strong>{t('auth.haveAccount')}</strong>{' '}
             {/* Space is still here */}
             <button type="button" onClick={switchMode} className={styles.toggleButton} disabled={isLoading}>
-              Login here
+              {t('auth.loginHere')}
             </button>
           </p>
         )}
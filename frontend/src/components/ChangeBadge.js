@@ -0,0 +1,24 @@
+// src/components/ChangeBadge.js
+import React from 'react';
+import { ChangeKind } from '../utils/assessmentComparison';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './ChangeBadge.module.css';
+
+const TONES = {
+  [ChangeKind.IMPROVED]: styles.improved,
+  [ChangeKind.REGRESSED]: styles.regressed,
+  [ChangeKind.CHANGED]: styles.changed,
+  [ChangeKind.ADDED]: styles.changed,
+  [ChangeKind.REMOVED]: styles.changed,
+};
+
+/**
+ * Coloured label for a ChangeKind: green for improvements, red for regressions.
+ * @param {{ change: string }} props
+ */
+const ChangeBadge = ({ change }) => {
+  const { t } = useLanguage();
+  return <span className={`${styles.badge} ${TONES[change] || ''}`}>{t(`comparison.changes.${change}`)}</span>;
+};
+
+export default ChangeBadge;
@@ -0,0 +1,54 @@
+// src/components/ComparisonSummary.js
+import React from 'react';
+import ChangeBadge from './ChangeBadge';
+import { ChangeKind } from '../utils/assessmentComparison';
+import { categoryLabel } from '../utils/categories';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './ComparisonSummary.module.css';
+
+/**
+ * Per-category overview of a comparison: how many answers improved, regressed
+ * or otherwise changed, and the average maturity score before and after.
+ * @param {{ categories: Array<object> }} props - From summariseByCategory
+ */
+const ComparisonSummary = ({ categories }) => {
+  const i18n = useLanguage();
+  const { t, formatPercent } = i18n;
+  const formatScore = (score) => (score === null ? '-' : formatPercent(score));
+
+  return (
+    <section className={styles.summary} aria-labelledby="comparison-summary-heading">
+      <h3 id="comparison-summary-heading">{t('comparison.byCategory')}</h3>
+      <table className={styles.table}>
+        <thead>
+          <tr>
+            <th scope="col">{t('comparison.category')}</th>
+            <th scope="col">{t('comparison.overall')}</th>
+            <th scope="col">{t('comparison.improved')}</th>
+            <th scope="col">{t('comparison.regressed')}</th>
+            <th scope="col">{t('comparison.otherChanges')}</th>
+            <th scope="col">{t('comparison.score')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {categories.map(({ category, counts, scoreBefore, scoreAfter, trend }) => (
+            <tr key={category} className={styles[trend]}>
+              <th scope="row">{categoryLabel(category, i18n)}</th>
+              <td><ChangeBadge change={trend} /></td>
+              <td>{counts[ChangeKind.IMPROVED]}</td>
+              <td>{counts[ChangeKind.REGRESSED]}</td>
+              <td>{counts[ChangeKind.CHANGED] + counts[ChangeKind.ADDED] + counts[ChangeKind.REMOVED]}</td>
+              <td>
+                {scoreBefore === null && scoreAfter === null
+                  ? <span className={styles.muted}>{t('comparison.notScored')}</span>
+                  : `${formatScore(scoreBefore)} → ${formatScore(scoreAfter)}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default ComparisonSummary;
@@ -0,0 +1,37 @@
+// src/components/ConnectionStatus.js
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import useOfflineSync from '../hooks/useOfflineSync';
+import styles from './ConnectionStatus.module.css';
+
+/**
+ * Banner shown while the browser is offline or submissions made offline are
+ * waiting to be sent, with a way to send them right away. Also does the
+ * sending (see hooks/useOfflineSync), so it is rendered once, in App.
+ * The live region stays mounted so changes are announced.
+ */
+const ConnectionStatus = () => {
+  const { user } = useAuth();
+  const { t } = useLanguage();
+  const { online, pending, syncing, syncNow } = useOfflineSync(user?.username);
+
+  return (
+    <div role="status" aria-live="polite" className={styles.region}>
+      {(!online || pending.length > 0) && (
+        <div className={online ? styles.banner : `${styles.banner} ${styles.offline}`}>
+          <span>
+            {[!online && t('offline.offline'), pending.length > 0 && t('offline.pending', { count: pending.length })].filter(Boolean).join(' ')}
+          </span>
+          {online && pending.length > 0 && (
+            <button type="button" className={styles.syncButton} onClick={syncNow} disabled={syncing}>
+              {syncing ? t('offline.sending') : t('offline.sendNow')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
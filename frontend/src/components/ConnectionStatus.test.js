@@ -0,0 +1,73 @@
+import React from 'react';
+import { act, fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { deleteSurveyDraft, sendQueuedSubmissions } from '../services/api';
+import { QueuedKind, getQueuedSubmissions, queueSubmission, removeQueuedSubmission } from '../services/offlineQueue';
+import ConnectionStatus from './ConnectionStatus';
+
+jest.mock('../services/api');
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ user: { username: 'ana' } }),
+}));
+
+const goOffline = (offline) => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(!offline);
+  act(() => {
+    window.dispatchEvent(new Event(offline ? 'offline' : 'online'));
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+test('says when the browser is offline and how much is waiting', () => {
+  renderWithProviders(<ConnectionStatus />);
+  expect(screen.queryByText(/offline/)).not.toBeInTheDocument();
+
+  goOffline(true);
+  act(() => {
+    queueSubmission(QueuedKind.SURVEY, { session_id: 's1', responses: [] }, 'ana');
+  });
+  expect(screen.getByText(/^You're offline\..*1 submission is waiting to be sent\.$/)).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Send now' })).not.toBeInTheDocument();
+  expect(sendQueuedSubmissions).not.toHaveBeenCalled();
+});
+
+test('sends the queue once back online and reports it', async () => {
+  sendQueuedSubmissions.mockImplementation(async (username) => {
+    const sent = getQueuedSubmissions(username);
+    sent.forEach(({ id }) => removeQueuedSubmission(id));
+    return { sent, rejected: [], remaining: 0 };
+  });
+  goOffline(true);
+  queueSubmission(QueuedKind.SURVEY, { session_id: 's1', responses: [] }, 'ana');
+  localStorage.setItem('survey_draft_s1', JSON.stringify({ responses: { Q1: 'A' } }));
+  renderWithProviders(<ConnectionStatus />);
+  expect(screen.getByText(/1 submission is waiting to be sent\./)).toBeInTheDocument();
+
+  goOffline(false);
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  expect(await within(notifications).findByText('1 submission made offline was sent.')).toBeInTheDocument();
+  expect(sendQueuedSubmissions).toHaveBeenCalledWith('ana');
+  // The survey's draft was kept until now
+  expect(deleteSurveyDraft).toHaveBeenCalledWith('s1');
+  expect(localStorage.getItem('survey_draft_s1')).toBeNull();
+  await waitFor(() => expect(screen.queryByText(/waiting to be sent/)).not.toBeInTheDocument());
+});
+
+test('a refused submission is reported as an error', async () => {
+  sendQueuedSubmissions.mockResolvedValue({ sent: [], rejected: [], remaining: 1 });
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F1', answer: 'Yes' }], 'ana');
+  renderWithProviders(<ConnectionStatus />);
+  await waitFor(() => expect(sendQueuedSubmissions).toHaveBeenCalledTimes(1));
+
+  sendQueuedSubmissions.mockImplementation(async () => {
+    const entry = { kind: QueuedKind.SURVEY, queued_at: '2024-06-01T10:00:00Z' };
+    return { sent: [], rejected: [{ entry, error: { response: { data: { detail: 'Session is closed' } } } }], remaining: 0 };
+  });
+  fireEvent.click(await screen.findByRole('button', { name: 'Send now' }));
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  expect(await within(notifications).findByText(/was refused: Session is closed Your answers are kept as a draft\./)).toBeInTheDocument();
+});
@@ -0,0 +1,225 @@
+// src/components/EvidenceAttachments.js
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { isCancel } from 'axios';
+import { deleteEvidence, uploadEvidence } from '../services/api';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import {
+  EVIDENCE_ACCEPT,
+  EVIDENCE_MAX_BYTES,
+  EVIDENCE_MAX_FILES,
+  UploadState,
+  evidenceTypeList,
+  formatFileSize,
+  validateEvidenceFile,
+} from '../utils/evidence';
+import ProgressBar from './ProgressBar';
+import LiveRegion from './LiveRegion';
+import styles from './EvidenceAttachments.module.css';
+
+/**
+ * Files attached to one follow-up question as evidence (see utils/evidence).
+ * Picked files are checked against the type and size limits and uploaded right
+ * away, with progress; an upload can be cancelled, and a failed one retried or
+ * dropped. Uploaded files can be removed again.
+ * @param {{ sessionId: string, questionId: string, files: Array<object>, onUploaded: Function, onRemoved: Function, onBusyChange?: Function, disabled?: boolean }} props
+ *   files are the question's uploaded files (from getEvidence); onUploaded(file)
+ *   and onRemoved(evidenceId) report changes to them. onBusyChange(busy) tells
+ *   whether an upload is running, since the answer shouldn't be saved meanwhile.
+ */
+const EvidenceAttachments = ({ sessionId, questionId, files, onUploaded, onRemoved, onBusyChange, disabled = false }) => {
+  const i18n = useLanguage();
+  const { t } = i18n;
+  const { notify } = useNotifications();
+  const [uploads, setUploads] = useState([]); // Files not uploaded yet: { key, file, state, progress, error, canRetry }
+  const [removingIds, setRemovingIds] = useState([]);
+  const [announcement, setAnnouncement] = useState('');
+  const inputRef = useRef(null);
+  const controllers = useRef({}); // AbortController per running upload
+  const uploadCount = useRef(0); // For keys of picked files
+  const isMounted = useRef(true);
+  const hintId = useId();
+
+  const busy = uploads.some((upload) => upload.state === UploadState.UPLOADING);
+  const busyChangeRef = useRef(onBusyChange);
+  busyChangeRef.current = onBusyChange;
+  useEffect(() => {
+    busyChangeRef.current?.(busy);
+  }, [busy]);
+
+  // Uploads still running when the question goes away are cancelled
+  useEffect(() => {
+    isMounted.current = true;
+    const running = controllers.current;
+    return () => {
+      isMounted.current = false;
+      Object.values(running).forEach((controller) => controller.abort());
+    };
+  }, []);
+
+  const updateUpload = (key, changes) => setUploads((prev) => prev.map((upload) => (upload.key === key ? { ...upload, ...changes } : upload)));
+  const dropUpload = (key) => setUploads((prev) => prev.filter((upload) => upload.key !== key));
+
+  const startUpload = async (key, file) => {
+    const controller = new AbortController();
+    controllers.current[key] = controller;
+    updateUpload(key, { state: UploadState.UPLOADING, progress: 0, error: null });
+    try {
+      const uploaded = await uploadEvidence(sessionId, questionId, file, {
+        signal: controller.signal,
+        onProgress: (progress) => isMounted.current && updateUpload(key, { progress }),
+      });
+      if (!isMounted.current) return;
+      dropUpload(key);
+      onUploaded(uploaded);
+      setAnnouncement(t('evidence.uploaded', { name: file.name }));
+    } catch (uploadError) {
+      if (!isMounted.current) return;
+      if (isCancel(uploadError)) {
+        dropUpload(key);
+        return;
+      }
+      console.error(`Error uploading evidence for ${questionId}:`, uploadError);
+      const status = uploadError.response?.status;
+      const error = status === 409
+        ? t('evidence.errors.locked')
+        : t('evidence.errors.uploadFailed', { name: file.name, detail: uploadError.response?.data?.detail || uploadError.message || t('followup.unknownError') });
+      // Retrying can't help when the backend refused the file itself
+      updateUpload(key, { state: UploadState.FAILED, error, canRetry: ![409, 413, 415].includes(status) });
+      setAnnouncement(error);
+    } finally {
+      delete controllers.current[key];
+    }
+  };
+
+  const handleFiles = (event) => {
+    const picked = Array.from(event.target.files);
+    event.target.value = ''; // Lets the same file be picked again
+    let slots = EVIDENCE_MAX_FILES - files.length - uploads.filter((upload) => upload.state === UploadState.UPLOADING).length;
+
+    const added = picked.map((file) => {
+      uploadCount.current += 1;
+      const key = `upload-${uploadCount.current}`;
+      const error = validateEvidenceFile(file, i18n) || (slots <= 0 ? t('evidence.errors.tooMany', { name: file.name, count: EVIDENCE_MAX_FILES }) : null);
+      if (!error) slots -= 1;
+      return { key, file, state: error ? UploadState.FAILED : UploadState.UPLOADING, progress: 0, error, canRetry: false };
+    });
+    setUploads((prev) => [...prev, ...added]);
+    added.filter((upload) => !upload.error).forEach((upload) => startUpload(upload.key, upload.file));
+    const rejected = added.filter((upload) => upload.error);
+    if (rejected.length > 0) setAnnouncement(rejected.map((upload) => upload.error).join(' '));
+  };
+
+  const handleRemove = async (file) => {
+    setRemovingIds((prev) => [...prev, file.evidence_id]);
+    try {
+      await deleteEvidence(file.evidence_id);
+      if (!isMounted.current) return;
+      onRemoved(file.evidence_id);
+      setAnnouncement(t('evidence.removed', { name: file.filename }));
+    } catch (removeError) {
+      console.error(`Error removing evidence ${file.evidence_id}:`, removeError);
+      if (removeError.response?.status === 409) {
+        notify({ level: NotificationLevel.WARNING, message: t('evidence.errors.locked') });
+      } else if (removeError.response?.status !== 401) {
+        notify({
+          level: NotificationLevel.ERROR,
+          message: t('evidence.removeFailed', { name: file.filename }),
+          action: { label: t('common.retry'), onClick: () => handleRemove(file) },
+        });
+      }
+    } finally {
+      if (isMounted.current) setRemovingIds((prev) => prev.filter((id) => id !== file.evidence_id));
+    }
+  };
+
+  const full = files.length + uploads.filter((upload) => upload.state === UploadState.UPLOADING).length >= EVIDENCE_MAX_FILES;
+
+  return (
+    <div className={styles.attachments} role="group" aria-label={t('evidence.label')}>
+      <LiveRegion message={announcement} />
+      {(files.length > 0 || uploads.length > 0) && (
+        <ul className={styles.fileList}>
+          {files.map((file) => (
+            <li key={file.evidence_id} className={styles.file}>
+              <span className={styles.fileName}>{file.filename}</span>
+              <span className={styles.fileSize}>{formatFileSize(file.size, i18n)}</span>
+              <button
+                type="button"
+                className={styles.smallButton}
+                onClick={() => handleRemove(file)}
+                disabled={disabled || removingIds.includes(file.evidence_id)}
+                aria-label={t('evidence.removeLabel', { name: file.filename })}
+              >
+                {t('evidence.remove')}
+              </button>
+            </li>
+          ))}
+          {uploads.map(({ key, file, state, progress, error, canRetry }) => (
+            <li key={key} className={state === UploadState.FAILED ? `${styles.file} ${styles.failed}` : styles.file}>
+              {state === UploadState.UPLOADING ? (
+                <>
+                  <div className={styles.progress}>
+                    <ProgressBar
+                      value={Math.round(progress * 100)}
+                      max={100}
+                      label={t('evidence.uploading', { name: file.name, percent: Math.round(progress * 100) })}
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    className={styles.smallButton}
+                    onClick={() => controllers.current[key]?.abort()}
+                    aria-label={t('evidence.cancelLabel', { name: file.name })}
+                  >
+                    {t('common.cancel')}
+                  </button>
+                </>
+              ) : (
+                <>
+                  <span className={styles.error}>{error}</span>
+                  {canRetry && (
+                    <button
+                      type="button"
+                      className={styles.smallButton}
+                      onClick={() => startUpload(key, file)}
+                      aria-label={t('evidence.retryLabel', { name: file.name })}
+                    >
+                      {t('common.retry')}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className={styles.smallButton}
+                    onClick={() => dropUpload(key)}
+                    aria-label={t('evidence.dismissLabel', { name: file.name })}
+                  >
+                    {t('evidence.dismiss')}
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <button type="button" className={styles.attachButton} onClick={() => inputRef.current.click()} disabled={disabled || full} aria-describedby={hintId}>
+        {t('evidence.attach')}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={EVIDENCE_ACCEPT}
+        className={styles.fileInput}
+        onChange={handleFiles}
+        tabIndex={-1}
+        aria-label={t('evidence.attach')}
+      />
+      <p id={hintId} className={styles.hint}>
+        {t('evidence.hint', { types: evidenceTypeList(), size: formatFileSize(EVIDENCE_MAX_BYTES, i18n), count: EVIDENCE_MAX_FILES })}
+      </p>
+    </div>
+  );
+};
+
+export default EvidenceAttachments;
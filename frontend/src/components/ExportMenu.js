@@ -0,0 +1,100 @@
+// src/components/ExportMenu.js
+import React, { useEffect, useRef, useState } from 'react';
+import { getFollowupResponses, getSurveyQuestions, getSurveyResponses } from '../services/api';
+import { EXPORT_FORMATS, buildAssessmentExport, createExportFile } from '../utils/assessmentExport';
+import { downloadBlob } from '../utils/download';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import styles from './ExportMenu.module.css';
+
+/**
+ * "Export" button with a list of formats. The survey and follow-up answers are
+ * fetched on the first export and reused for later ones in the same language.
+ * @param {{ sessionId: string, recommendations: Array<object> }} props
+ */
+const ExportMenu = ({ sessionId, recommendations }) => {
+  const i18n = useLanguage();
+  const { t, language } = i18n;
+  const [open, setOpen] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const { notify } = useNotifications();
+  const sourcesRef = useRef(null);
+  const containerRef = useRef(null);
+
+  // --- Close on outside click or Escape ---
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointer = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setOpen(false);
+    };
+    const handleKey = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointer);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handlePointer);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  const loadSources = async () => {
+    if (sourcesRef.current?.language !== language) {
+      const [surveyQuestions, surveyResponses, followupResponses] = await Promise.all([
+        getSurveyQuestions(),
+        getSurveyResponses(sessionId),
+        getFollowupResponses(sessionId),
+      ]);
+      sourcesRef.current = { language, sources: { surveyQuestions, surveyResponses, followupResponses } };
+    }
+    return sourcesRef.current.sources;
+  };
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExportingFormat(format);
+    try {
+      const sources = await loadSources();
+      const data = buildAssessmentExport({ sessionId, recommendations, ...sources, i18n });
+      const { blob, filename } = createExportFile(format, data, { i18n });
+      downloadBlob(blob, filename);
+    } catch (exportError) {
+      console.error(`Error exporting assessment as ${format}:`, exportError);
+      notify({
+        id: 'export-failed',
+        level: NotificationLevel.ERROR,
+        message: t('export.failed'),
+        action: { label: t('common.retry'), onClick: () => handleExport(format) },
+      });
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className={styles.exportMenu} ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((current) => !current)}
+        aria-expanded={open}
+        aria-controls="export-format-list"
+        disabled={!!exportingFormat}
+      >
+        {exportingFormat ? t('export.exporting', { format: exportingFormat.toUpperCase() }) : t('export.button')}
+      </button>
+      {open && (
+        <ul id="export-format-list" className={styles.formatList}>
+          {EXPORT_FORMATS.map(({ format }) => (
+            <li key={format}>
+              <button type="button" className={styles.formatButton} onClick={() => handleExport(format)}>
+                {t(`export.formats.${format}`)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,97 @@
+// src/components/FollowupAnswerInput.js
+import React from 'react';
+import { FollowupAnswerType, getFollowupAnswerType } from '../utils/followupAnswers';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './FollowupAnswerInput.module.css';
+
+/**
+ * Input for one follow-up question (see utils/followupAnswers for the shapes).
+ * Used both for new questions and for editing an answer that was already saved.
+ * @param {{ question: object, value: any, onChange: Function, idPrefix?: string,
+ *   labelledBy?: string, describedBy?: string, invalid?: boolean }} props
+ *   labelledBy is the id of the element showing the question; without it the
+ *   question text is used as the accessible name.
+ */
+const FollowupAnswerInput = ({ question, value, onChange, idPrefix = question.question_id, labelledBy, describedBy, invalid = false }) => {
+  const { t } = useLanguage();
+  const fields = question.additional_fields || {};
+  const naming = labelledBy ? { 'aria-labelledby': labelledBy } : { 'aria-label': question.question };
+  const common = { 'aria-invalid': invalid, 'aria-describedby': describedBy };
+
+  switch (getFollowupAnswerType(question)) {
+    case FollowupAnswerType.MULTI: {
+      const multiOptions = fields.multiple_correct_answer_options;
+      const state = value || { values: [], subjective_value: '' };
+      const selected = state.values || [];
+      const legendId = `${idPrefix}-legend`;
+      return (
+        <fieldset
+          className={styles.multiSelect}
+          aria-labelledby={labelledBy ? `${labelledBy} ${legendId}` : undefined}
+          aria-describedby={describedBy}
+        >
+          <legend id={legendId} className={styles.multiSelectHint}>{t('survey.selectAll')}</legend>
+          {multiOptions.filter((option) => option !== '').map((option, index) => (
+            <div key={option} className={styles.checkboxOption}>
+              <input
+                type="checkbox"
+                id={`${idPrefix}-${index}`}
+                value={option}
+                checked={selected.includes(option)}
+                onChange={(e) => onChange({
+                  ...state,
+                  values: e.target.checked ? [...selected, option] : selected.filter((v) => v !== option),
+                })}
+              />
+              <label htmlFor={`${idPrefix}-${index}`}>{option}</label>
+            </div>
+          ))}
+          {multiOptions.includes('') && (
+            <div className={styles.subjectiveInput}>
+              <label htmlFor={`${idPrefix}-subjective`}>{t('followup.other')}</label>
+              <textarea
+                id={`${idPrefix}-subjective`}
+                placeholder={t('followup.otherPlaceholder')}
+                value={state.subjective_value || ''}
+                onChange={(e) => onChange({ ...state, subjective_value: e.target.value })}
+                rows={3}
+              />
+            </div>
+          )}
+        </fieldset>
+      );
+    }
+
+    case FollowupAnswerType.SINGLE:
+      return (
+        <select
+          className={styles.singleSelect}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          {...naming}
+          {...common}
+        >
+          <option value="" disabled>{t('followup.selectOption')}</option>
+          {fields.answer_options.map((option) => (<option key={option} value={option}>{option}</option>))}
+        </select>
+      );
+
+    case FollowupAnswerType.SUBJECTIVE:
+      return (
+        <textarea
+          className={styles.subjectiveTextarea}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={t('survey.answerPlaceholder')}
+          rows={4}
+          {...naming}
+          {...common}
+        />
+      );
+
+    default:
+      return <p><i>{t('followup.noInput')}</i></p>;
+  }
+};
+
+export default FollowupAnswerInput;
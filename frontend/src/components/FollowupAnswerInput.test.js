@@ -0,0 +1,62 @@
+import React from 'react';
+import { screen } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import FollowupAnswerInput from './FollowupAnswerInput';
+
+const multi = {
+  question_id: 'F1',
+  question: 'Which measures do you use?',
+  additional_fields: { multiple_correct_answer_options: ['Virtualisation', 'Power capping', ''] },
+};
+const single = {
+  question_id: 'F2',
+  question: 'Who owns the policy?',
+  additional_fields: { answer_options: ['IT', 'Facilities'] },
+};
+const subjective = {
+  question_id: 'F3',
+  question: 'What else should we know?',
+  additional_fields: { subjective_answer: ['...'] },
+};
+
+// The pages render the question as a heading and point the input at it
+const renderWithHeading = (question, props = {}) => renderWithProviders(
+  <>
+    <h3 id="heading">{question.question}</h3>
+    <FollowupAnswerInput question={question} value={undefined} onChange={() => {}} labelledBy="heading" {...props} />
+  </>
+);
+
+test.each([['multiple choice', multi], ['single choice', single], ['free text', subjective]])(
+  'the %s input has no accessibility violations',
+  async (type, question) => {
+    const { container } = renderWithHeading(question);
+    await expect(container).toHaveNoAxeViolations();
+  }
+);
+
+test('groups the checkboxes under the question heading', () => {
+  renderWithHeading(multi);
+  const group = screen.getByRole('group', { name: 'Which measures do you use? Select all that apply:' });
+  expect(group.tagName).toBe('FIELDSET');
+  expect(screen.getAllByRole('checkbox')).toHaveLength(2);
+  expect(screen.getByRole('textbox', { name: 'Other (please specify):' })).toBeInTheDocument();
+});
+
+test('falls back to the question text as the name', () => {
+  renderWithProviders(<FollowupAnswerInput question={single} value="" onChange={() => {}} />);
+  expect(screen.getByRole('combobox', { name: 'Who owns the policy?' })).toBeInTheDocument();
+});
+
+test('marks an answer that failed to save as invalid', () => {
+  renderWithProviders(
+    <>
+      <h3 id="heading">{subjective.question}</h3>
+      <FollowupAnswerInput question={subjective} value="" onChange={() => {}} labelledBy="heading" describedBy="status" invalid />
+      <p id="status">Please answer this question before saving.</p>
+    </>
+  );
+  const textarea = screen.getByRole('textbox', { name: 'What else should we know?' });
+  expect(textarea).toHaveAttribute('aria-invalid', 'true');
+  expect(textarea).toHaveAccessibleDescription('Please answer this question before saving.');
+});
@@ -1,41 +1,111 @@
 // src/components/FollowupQuestions.js
-import React, { useEffect, useState, useCallback, useRef } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
+    getEvidence,
     getFollowupQuestions,
-    submitFollowupResponses,
-    getRecommendationsStatus
+    getFollowupResponses,
+    submitFollowupResponses
 } from '../services/api';
-
-// Define the possible statuses from the backend's /recommendations/status endpoint
-const PipelineStatus = {
-    PIPELINE_RUNNING: 'pipeline_running',
-    GENERATING_REPORT: 'generating_report',
-    READY: 'ready',
-    ERROR: 'error',
-    NOT_FOUND: 'not_found',
-    SESSION_CREATED: 'session_created',
-    STARTED: 'started',
-};
-
-const POLLING_INTERVAL_MS = 12000; // Set polling interval (e.g., 12 seconds)
-
-const FollowupQuestions = ({ sessionId }) => {
+import usePipelineStatus, { PauseReason, WatchMode } from '../hooks/usePipelineStatus';
+import useQueuedSubmissions from '../hooks/useQueuedSubmissions';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import { isFollowupClosed } from '../utils/pipelineStatus';
+import { AnswerSaveState, emptyFollowupAnswer, toFollowupAnswer } from '../utils/followupAnswers';
+import { groupEvidenceByQuestion } from '../utils/evidence';
+import { TeamPart, isOwnQuestion, isShared } from '../utils/team';
+import { queuedFollowupAnswers } from '../services/offlineQueue';
+import PipelineStatusNotice from './PipelineStatusNotice';
+import FollowupAnswerInput from './FollowupAnswerInput';
+import FollowupSaveStatus from './FollowupSaveStatus';
+import EvidenceAttachments from './EvidenceAttachments';
+import AnsweredFollowupList from './AnsweredFollowupList';
+import LiveRegion from './LiveRegion';
+import useFocusOnChange from '../hooks/useFocusOnChange';
+import styles from './FollowupQuestions.module.css';
+
+const POLLING_INTERVAL_MS = 12000; // Fallback polling interval when the status stream is unavailable
+
+/**
+ * Follow-up questions of a session: the pending ones to answer, and the ones
+ * answered so far.
+ * @param {{ sessionId: string, team?: object, username?: string }} props
+ *   In a shared session (team from useTeam) only the user's own categories are
+ *   offered, and answers show who gave them (see utils/team).
+ */
+const FollowupQuestions = ({ sessionId, team = null, username }) => {
     // --- States ---
-    const [followupQuestions, setFollowupQuestions] = useState([]);
-    const [initialLoading, setInitialLoading] = useState(true);
+    const [followupQuestions, setFollowupQuestions] = useState([]); // Pending (unanswered) questions
     const [answers, setAnswers] = useState({});
-    const [submitting, setSubmitting] = useState(false);
-    const [error, setError] = useState('');
+    const [answeredQuestions, setAnsweredQuestions] = useState([]); // Saved answers, each with its question fields
+    const [saveStates, setSaveStates] = useState({}); // AnswerSaveState per question_id
+    const [saveErrors, setSaveErrors] = useState({});
+    const [evidence, setEvidence] = useState({}); // Uploaded evidence files by question_id
+    const [errorKey, setErrorKey] = useState(''); // Message key, translated when rendered
+    const [focusAfterSave, setFocusAfterSave] = useState(null); // { questionId } of the card to focus next, null for the empty state
 
     // --- Hooks and Refs ---
     const navigate = useNavigate();
-    const timeoutRef = useRef(null);
+    const { t, language } = useLanguage();
+    const { notify } = useNotifications();
     const isMounted = useRef(true);
-    // Ref to track if a fetch is in progress to prevent overlap within a single poll cycle
+    const loadedLanguage = useRef(language);
+    // Ref to track if a fetch is in progress to prevent overlapping fetches
     const isFetchingQuestionsRef = useRef(false);
-    // Ref to track if the first poll cycle has completed to manage initialLoading state
-    const firstPollCompletedRef = useRef(false);
+    const titleRef = useRef(null);
+    const emptyTitleRef = useRef(null);
+    const headingRefs = useRef({}); // Question headings by question_id, for focus after saving
+    // Read when saving, so a retry from a notification sends the files attached by then
+    const evidenceRef = useRef(evidence);
+    evidenceRef.current = evidence;
+    const uploadingRef = useRef({}); // question_id -> true while one of its files is uploading
+    const isOwn = useCallback((question) => isOwnQuestion(team, username, TeamPart.FOLLOWUP, question), [team, username]);
+
+    // --- Answers saved offline (see services/offlineQueue) ---
+    // They count as answered until they are sent, also after a reload
+    const queuedEntries = useQueuedSubmissions(username);
+    const queuedAnswers = useMemo(() => queuedFollowupAnswers(queuedEntries, sessionId), [queuedEntries, sessionId]);
+    const waitingIds = useMemo(() => new Set(queuedAnswers.map((answer) => answer.question_id)), [queuedAnswers]);
+    const openQuestions = followupQuestions.filter((q) => !waitingIds.has(q.question_id));
+    const ownPending = openQuestions.filter(isOwn);
+    const answeredItems = useMemo(() => {
+        const items = new Map(answeredQuestions.map((item) => [item.question_id, item]));
+        queuedAnswers.forEach((answer) => {
+            const question = items.get(answer.question_id) || followupQuestions.find((q) => q.question_id === answer.question_id);
+            items.set(answer.question_id, { ...question, ...answer, answered_by: username });
+        });
+        return Array.from(items.values());
+    }, [answeredQuestions, queuedAnswers, followupQuestions, username]);
+
+    // --- Merge a question list from the API or the stream into state ---
+    // Only replaces state when the set of question IDs changed, so typing isn't interrupted.
+    const applyQuestions = useCallback((data) => {
+        if (data === null || data === undefined) {
+            console.warn("API returned null/undefined followup data.");
+            setFollowupQuestions(current => current.length === 0 ? current : []);
+            return;
+        }
+        setFollowupQuestions(currentQuestions => {
+            const currentIds = currentQuestions.map(q => q.question_id).sort().join(',');
+            const newIds = data.map(q => q.question_id).sort().join(',');
+
+            if (currentIds !== newIds) {
+                console.log("New questions detected, updating state.");
+                setAnswers((prevAnswers) => {
+                    const newAnswers = { ...prevAnswers };
+                    data.forEach((q) => {
+                        if (!(q.question_id in newAnswers)) {
+                            newAnswers[q.question_id] = emptyFollowupAnswer(q);
+                        }
+                    });
+                    return newAnswers;
+                });
+                return data;
+            }
+            return currentQuestions;
+        });
+    }, []);
 
     // --- Fetch Follow-up Questions (Stable Callback) ---
     // Now only depends on sessionId, which should be stable.
@@ -44,43 +114,11 @@ const FollowupQuestions = ({ sessionId }) => {
         if (!isMounted.current || isFetchingQuestionsRef.current) return;
 
         isFetchingQuestionsRef.current = true; // Set flag
-        // console.log("Fetching followup questions...");
 
         try {
             const data = await getFollowupQuestions(sessionId);
-            if (!isMounted.current) {
-                isFetchingQuestionsRef.current = false; // Reset flag if unmounted during fetch
-                return;
-            }
-
-            if (data === null || data === undefined) {
-                console.warn("API returned null/undefined followup data.");
-                setFollowupQuestions(current => current.length === 0 ? current : []);
-            } else {
-                setFollowupQuestions(currentQuestions => {
-                    const currentIds = currentQuestions.map(q => q.question_id).sort().join(',');
-                    const newIds = data.map(q => q.question_id).sort().join(',');
-
-                    if (currentIds !== newIds) {
-                        console.log("New questions detected, updating state.");
-                        setAnswers((prevAnswers) => {
-                            const newAnswers = { ...prevAnswers };
-                            data.forEach((q) => {
-                                if (!(q.question_id in newAnswers)) {
-                                    const fields = q.additional_fields || {};
-                                    const multiOptions = fields.multiple_correct_answer_options || [];
-                                    newAnswers[q.question_id] = multiOptions.length > 0
-                                        ? { values: [], subjective_value: '' }
-                                        : '';
-                                }
-                            });
-                            return newAnswers;
-                        });
-                        return data;
-                    }
-                    return currentQuestions;
-                });
-            }
+            if (!isMounted.current) return;
+            applyQuestions(data);
         } catch (fetchError) {
             if (!isMounted.current) return;
             console.error('Error retrieving follow-up questions:', fetchError);
@@ -88,302 +126,314 @@ const FollowupQuestions = ({ sessionId }) => {
             // Reset fetching flag regardless of success/error
             isFetchingQuestionsRef.current = false;
         }
-    }, [sessionId]); // Stable dependency
+    }, [sessionId, applyQuestions]); // Stable dependency
+
+    // --- Pipeline status (stream, or polling as fallback) ---
+    const pipeline = usePipelineStatus(sessionId, {
+        stopWhen: isFollowupClosed,
+        onQuestions: applyQuestions,
+        pollIntervalMs: POLLING_INTERVAL_MS,
+    });
+    const { status: pipelineStatus, updateCount, mode, refresh: refreshPipeline } = pipeline;
+    // Offline there is no status to wait for; the questions come from the cache (see public/service-worker.js)
+    const offline = pipeline.pauseReason === PauseReason.OFFLINE;
+    const initialLoading = !!sessionId && pipelineStatus === null && !pipeline.connectionLost && !offline;
 
-    // --- Polling Function (Recursive setTimeout - Stable Callback) ---
-    // Depends only on sessionId, navigate, and the stable fetchAndSetQuestions
-    const pollData = useCallback(async () => {
-        if (!isMounted.current || !sessionId) return;
-
-        // console.log("Polling cycle initiated...");
-        let shouldStopPolling = false;
+    useEffect(() => {
+        isMounted.current = true;
+        setErrorKey('');
+        setFollowupQuestions([]);
+        setAnswers({});
+        setAnsweredQuestions([]);
+        setSaveStates({});
+        setSaveErrors({});
+        setEvidence({});
+
+        // Answers saved earlier (e.g. before a reload) are listed again so they can be revised,
+        // and so are files uploaded earlier, whether or not their answer was saved
+        if (sessionId) {
+            getFollowupResponses(sessionId)
+                .then((data) => {
+                    if (isMounted.current) setAnsweredQuestions(data || []);
+                })
+                .catch((fetchError) => {
+                    console.error('Error retrieving submitted follow-up answers:', fetchError);
+                    if (isMounted.current) setErrorKey('followup.loadAnswersFailed');
+                });
+            getEvidence(sessionId)
+                .then((data) => {
+                    if (isMounted.current) setEvidence(groupEvidenceByQuestion(data || []));
+                })
+                .catch((fetchError) => {
+                    console.error('Error retrieving evidence files:', fetchError);
+                    if (isMounted.current) setErrorKey('evidence.loadFailed');
+                });
+        }
+        return () => {
+            isMounted.current = false;
+        };
+    }, [sessionId]);
 
-        try {
-            const statusResult = await getRecommendationsStatus(sessionId);
-            if (!isMounted.current) return;
+    // Question texts come back in the selected language, so reload both lists when it
+    // changes. Answers typed so far are kept (they are keyed by question ID).
+    useEffect(() => {
+        if (!sessionId || loadedLanguage.current === language) return;
+        loadedLanguage.current = language;
+        Promise.all([getFollowupQuestions(sessionId), getFollowupResponses(sessionId)])
+            .then(([pending, answered]) => {
+                if (!isMounted.current) return;
+                setFollowupQuestions(pending || []);
+                setAnsweredQuestions(answered || []);
+            })
+            .catch((fetchError) => console.error('Error reloading follow-up questions:', fetchError));
+    }, [sessionId, language]);
 
-            // console.log("Pipeline Status Check Result:", statusResult.status);
-            const currentStatus = statusResult.status;
+    useEffect(() => {
+        if (offline) fetchAndSetQuestions();
+    }, [offline, fetchAndSetQuestions]);
 
-            if (currentStatus === PipelineStatus.PIPELINE_RUNNING ||
-                currentStatus === PipelineStatus.SESSION_CREATED ||
-                currentStatus === PipelineStatus.STARTED)
-            {
-                // console.log("Pipeline running, attempting to fetch questions...");
-                await fetchAndSetQuestions(); // Call the stable fetch function
-            }
-            else if (currentStatus === PipelineStatus.READY ||
-                     currentStatus === PipelineStatus.ERROR ||
-                     currentStatus === PipelineStatus.GENERATING_REPORT ||
-                     currentStatus === PipelineStatus.NOT_FOUND)
-            {
-                console.log(`Pipeline status (${currentStatus}) indicates follow-up phase is over. Navigating...`);
-                shouldStopPolling = true;
-                navigate('/recommendations');
-            } else {
-                console.warn(`Received unknown pipeline status: ${currentStatus}. Attempting to fetch questions anyway.`);
-                await fetchAndSetQuestions();
-            }
+    // Once answers saved offline have been sent, the server's lists are up to date again
+    const waitingCount = waitingIds.size;
+    const previousWaitingCount = useRef(waitingCount);
+    useEffect(() => {
+        const sent = waitingCount < previousWaitingCount.current;
+        previousWaitingCount.current = waitingCount;
+        if (!sent || !sessionId) return;
+        getFollowupResponses(sessionId)
+            .then((data) => {
+                if (isMounted.current) setAnsweredQuestions(data || []);
+            })
+            .catch((fetchError) => console.error('Error reloading follow-up answers after syncing:', fetchError));
+        fetchAndSetQuestions();
+        refreshPipeline();
+    }, [waitingCount, sessionId, fetchAndSetQuestions, refreshPipeline]);
+
+    // Land on the page title once the first status arrives and the questions show
+    useFocusOnChange(titleRef, initialLoading ? null : 'loaded');
+
+    // A saved question's card disappears, so move focus to the next one (or the empty state)
+    // instead of letting it fall back to the top of the document
+    useEffect(() => {
+        if (!focusAfterSave) return;
+        const target = focusAfterSave.questionId ? headingRefs.current[focusAfterSave.questionId] : emptyTitleRef.current;
+        target?.focus();
+    }, [focusAfterSave]);
 
-        } catch (pollError) {
-            if (!isMounted.current) return;
-            console.error('Error during polling cycle:', pollError);
-            // setError("Polling error. Retrying...");
-        } finally {
-            if (isMounted.current) {
-                 // Manage initial loading state using the ref
-                 if (!firstPollCompletedRef.current) {
-                    setInitialLoading(false);
-                    firstPollCompletedRef.current = true;
-                 }
-                 // Schedule the next poll *only if* we haven't decided to stop
-                 if (!shouldStopPolling) {
-                    // console.log(`Scheduling next poll in ${POLLING_INTERVAL_MS}ms`);
-                    timeoutRef.current = setTimeout(pollData, POLLING_INTERVAL_MS);
-                 }
-             }
+    // Once no more questions can come, move on to the report page
+    useEffect(() => {
+        if (isFollowupClosed(pipelineStatus)) {
+            console.log(`Pipeline status (${pipelineStatus}) indicates follow-up phase is over. Navigating...`);
+            navigate('/recommendations');
         }
-    }, [sessionId, navigate, fetchAndSetQuestions]); // Dependencies are now stable
-
+    }, [pipelineStatus, navigate]);
 
-    // --- useEffect for Initial Load and Starting Polling ---
+    // When polling, each status check before the follow-up phase closes also looks for new questions
     useEffect(() => {
-        isMounted.current = true;
-        firstPollCompletedRef.current = false; // Reset first poll flag on mount/sessionId change
-
-        if (!sessionId) {
-            setError('No Session ID provided.');
-            setInitialLoading(false);
-            return;
+        if (mode === WatchMode.POLLING && pipelineStatus !== null && !isFollowupClosed(pipelineStatus)) {
+            fetchAndSetQuestions();
         }
-
-        setInitialLoading(true);
-        setError('');
-        setFollowupQuestions([]);
-        setAnswers({});
-
-        // Start the first polling cycle
-        // console.log("Starting initial pollData call.");
-        pollData(); // Call the stable pollData function
-
-        // Cleanup function
-        return () => {
-            isMounted.current = false;
-            console.log("Clearing polling timeout (cleanup).");
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
-            }
-        };
-        // Effect depends ONLY on sessionId and the stable pollData callback.
-        // This should only re-run if sessionId changes.
-    }, [sessionId, pollData]);
+    }, [mode, pipelineStatus, updateCount, fetchAndSetQuestions]);
 
 
-    // --- Answer Handlers (handleAnswerChange, handleMultiSelectChange, handleSubjectiveInputChange) ---
-    // (No changes needed)
+    // --- Answer Handlers ---
     const handleAnswerChange = (questionId, value) => {
         setAnswers((prev) => ({ ...prev, [questionId]: value }));
+        setSaveErrors((prev) => ({ ...prev, [questionId]: undefined }));
     };
-    const handleMultiSelectChange = (questionId, selectedOptions) => {
-         setAnswers((prev) => ({
-             ...prev,
-             [questionId]: { ...(prev[questionId] || { values: [], subjective_value: '' }), values: selectedOptions },
-         }));
+
+    // --- Evidence Handlers ---
+    const handleEvidenceUploaded = (questionId, file) => {
+        setEvidence((prev) => ({ ...prev, [questionId]: [...(prev[questionId] || []), file] }));
     };
-    const handleSubjectiveInputChange = (questionId, value) => {
-         const currentQuestion = followupQuestions.find((q) => q.question_id === questionId);
-         if (!currentQuestion) return;
-         const fields = currentQuestion.additional_fields || {};
-         const multiOptions = fields.multiple_correct_answer_options || [];
-         const subjectiveAnswerField = fields.subjective_answer || [];
-
-         if (multiOptions.length > 0) {
-             setAnswers((prev) => ({
-                 ...prev,
-                 [questionId]: { ...(prev[questionId] || { values: [], subjective_value: '' }), subjective_value: value },
-             }));
-         } else if (subjectiveAnswerField.length > 0) {
-             handleAnswerChange(questionId, value);
-         }
+
+    const handleEvidenceRemoved = (questionId, evidenceId) => {
+        setEvidence((prev) => ({ ...prev, [questionId]: (prev[questionId] || []).filter((file) => file.evidence_id !== evidenceId) }));
     };
 
+    const handleUploadingChange = (questionId, uploading) => {
+        uploadingRef.current[questionId] = uploading;
+        // The "wait for the uploads" message is done with once they are
+        const waitMessage = t('evidence.uploadingHint');
+        if (!uploading) setSaveErrors((prev) => (prev[questionId] === waitMessage ? { ...prev, [questionId]: undefined } : prev));
+    };
+
+    // Attachments of one question, in its card or while its saved answer is edited
+    const renderEvidence = (questionId, disabled = false) => (
+        <EvidenceAttachments
+            sessionId={sessionId}
+            questionId={questionId}
+            files={evidence[questionId] || []}
+            onUploaded={(file) => handleEvidenceUploaded(questionId, file)}
+            onRemoved={(evidenceId) => handleEvidenceRemoved(questionId, evidenceId)}
+            onBusyChange={(uploading) => handleUploadingChange(questionId, uploading)}
+            disabled={disabled}
+        />
+    );
 
-    // --- Submit Handler (handleSubmit) ---
-    // (Added clearing timeout)
-    const handleSubmit = async () => {
-        // Temporarily clear polling during submission
-        if (timeoutRef.current) {
-             clearTimeout(timeoutRef.current);
-             timeoutRef.current = null;
-             console.log("Polling paused for submission.");
+    // --- Save one answer (new or revised) ---
+    // Resolves to true when saved. Saved questions move to the "answered" list.
+    // The outcome is reported as a notification; a failed save can be retried from it.
+    const saveAnswer = async (question, answerState) => {
+        const qId = question.question_id;
+        const notificationId = `followup-save-${qId}`; // One notification per question, the latest outcome
+        const answer = toFollowupAnswer(question, answerState);
+        if (!answer) {
+            setSaveErrors((prev) => ({ ...prev, [qId]: t('followup.answerRequired') }));
+            return false;
+        }
+        // The answer lists its files, so it waits for the ones still uploading
+        if (uploadingRef.current[qId]) {
+            setSaveErrors((prev) => ({ ...prev, [qId]: t('evidence.uploadingHint') }));
+            return false;
         }
 
-        setSubmitting(true);
-        setError('');
-        // --- (rest of existing submit logic) ---
-        const payload = followupQuestions.map((q) => {
-            const qId = q.question_id;
-            const answerState = answers[qId];
-            let answerPayload = {};
-            const fields = q.additional_fields || {};
-            const multiOptions = fields.multiple_correct_answer_options || [];
-            const subjectiveAnswerField = fields.subjective_answer || [];
-
-            if (multiOptions.length > 0) {
-                const currentValues = answerState?.values || [];
-                const currentSubjective = answerState?.subjective_value || '';
-                if (currentValues.length > 0 || currentSubjective.trim() !== '') {
-                    answerPayload = { values: currentValues, subjective_value: currentSubjective.trim() };
-                } else if (multiOptions.includes('') && multiOptions.length === 1) {
-                     answerPayload = { values: [], subjective_value: "" };
-                }
-            } else if (subjectiveAnswerField.length > 0) {
-                if (typeof answerState === 'string' && answerState.trim() !== '') {
-                    answerPayload = { value: answerState.trim() };
-                } else {
-                     answerPayload = { value: '' };
-                }
-            } else { // Single-select dropdown
-                if (typeof answerState === 'string' && answerState !== '') {
-                    answerPayload = { value: answerState };
-                }
-            }
-            if (answerPayload === null || answerPayload === undefined) {
-                 answerPayload = {};
-            }
-            return {
+        setSaveStates((prev) => ({ ...prev, [qId]: AnswerSaveState.SAVING }));
+        setSaveErrors((prev) => ({ ...prev, [qId]: undefined }));
+        try {
+            const result = await submitFollowupResponses([{
                 session_id: sessionId,
                 question_id: qId,
-                question: q.question,
-                category: q.category,
-                subcategory: q.subcategory,
-                answer: answerPayload,
-            };
-        });
-
-        const filteredPayload = payload.filter((item) => Object.keys(item.answer).length > 0);
-        if (filteredPayload.length === 0) {
-            alert('Please answer at least one question before submitting.');
-            setSubmitting(false);
-             // Restart polling if submission is cancelled
-            if (isMounted.current) {
-                 console.log("Restarting polling after cancelled submission.");
-                 timeoutRef.current = setTimeout(pollData, POLLING_INTERVAL_MS); // Use pollData directly
+                question: question.question,
+                category: question.category,
+                subcategory: question.subcategory,
+                answer,
+                evidence_ids: (evidenceRef.current[qId] || []).map((file) => file.evidence_id),
+            }]);
+            if (!isMounted.current) return true;
+            setSaveStates((prev) => ({ ...prev, [qId]: AnswerSaveState.SAVED }));
+            notify(result?.queued
+                ? { id: notificationId, level: NotificationLevel.WARNING, message: t('offline.answerQueued') }
+                : { id: notificationId, message: t('followup.saved') });
+            setAnsweredQuestions((prev) => {
+                const saved = {
+                    ...question,
+                    answer,
+                    answered_by: username,
+                    evidence_ids: (evidenceRef.current[qId] || []).map((file) => file.evidence_id),
+                };
+                return prev.some((item) => item.question_id === qId)
+                    ? prev.map((item) => (item.question_id === qId ? saved : item))
+                    : [...prev, saved];
+            });
+            const pendingIndex = ownPending.findIndex((q) => q.question_id === qId);
+            if (pendingIndex !== -1) {
+                const next = ownPending[pendingIndex + 1] || ownPending[pendingIndex - 1];
+                setFocusAfterSave({ questionId: next?.question_id ?? null });
             }
-            return;
-        }
-        console.log('Submitting Payload:', JSON.stringify(filteredPayload, null, 2));
-        // --- (rest of existing submit logic) ---
-        try {
-            await submitFollowupResponses(filteredPayload);
-            alert('Answers submitted successfully.');
-            setFollowupQuestions([]);
-            setAnswers({});
-        } catch (submitError) {
-            console.error('Error submitting follow-up responses:', submitError);
-            const errorMsg = submitError.response?.data?.detail || submitError.message || 'Unknown error';
-            setError(`Submission failed: ${errorMsg}. Please try again.`);
-            alert(`Submission failed: ${errorMsg}`);
-        } finally {
-            if (isMounted.current) {
-                 setSubmitting(false);
-                 // Restart polling after submission attempt completes
-                 console.log("Restarting polling after submission attempt.");
-                 timeoutRef.current = setTimeout(pollData, POLLING_INTERVAL_MS); // Use pollData directly
+            setFollowupQuestions((prev) => prev.filter((q) => q.question_id !== qId));
+            // Check right away whether another round of questions is waiting
+            if (!result?.queued) refreshPipeline();
+            return true;
+        } catch (saveError) {
+            console.error(`Error saving follow-up answer ${qId}:`, saveError);
+            if (!isMounted.current) return false;
+            setSaveStates((prev) => ({ ...prev, [qId]: AnswerSaveState.FAILED }));
+            if (saveError.response?.status === 409) {
+                // Too late to change anything, so there is nothing to retry
+                notify({ id: notificationId, level: NotificationLevel.WARNING, message: t('followup.locked') });
+            } else if (saveError.response?.status !== 401) {
+                notify({
+                    id: notificationId,
+                    level: NotificationLevel.ERROR,
+                    message: t('followup.saveFailed', { detail: saveError.response?.data?.detail || saveError.message || t('followup.unknownError') }),
+                    action: { label: t('common.retry'), onClick: () => saveAnswer(question, answerState) },
+                });
             }
+            return false;
         }
     };
 
-    // --- Render Input Logic (renderQuestionInput) ---
-    // (No changes needed)
-    const renderQuestionInput = (q) => {
-        const qId = q.question_id;
-        const fields = q.additional_fields || {};
-        const answerOptions = fields.answer_options || [];
-        const subjectiveAnswerField = fields.subjective_answer || [];
-        const multiOptions = fields.multiple_correct_answer_options || [];
-        const hasSubjectiveInMulti = multiOptions.includes('');
-
-        if (multiOptions.length > 0) {
-            const currentAnswerState = answers[qId] || { values: [], subjective_value: '' };
-            const currentSelections = currentAnswerState.values || [];
-            return (
-                <div className="multi-select-options">
-                    <p style={{ margin: '0 0 5px 0', fontWeight: 'bold' }}>Select all that apply:</p>
-                    {multiOptions.filter(opt => opt !== '').map((option, index) => (
-                        <div key={index} className="checkbox-option" style={{ marginBottom: '5px' }}>
-                            <input type="checkbox" id={`${qId}-${index}`} value={option} checked={currentSelections.includes(option)}
-                                onChange={(e) => {
-                                    const { value, checked } = e.target;
-                                    const newSelected = checked ? [...currentSelections, value] : currentSelections.filter(v => v !== value);
-                                    handleMultiSelectChange(qId, newSelected);
-                                }} style={{ marginRight: '8px', cursor: 'pointer' }} />
-                            <label htmlFor={`${qId}-${index}`} style={{ cursor: 'pointer' }}>{option}</label>
-                        </div>
-                    ))}
-                    {hasSubjectiveInMulti && (
-                        <div className="subjective-input" style={{ marginTop: '10px' }}>
-                            <label htmlFor={`${qId}-subjective`} style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>Other (please specify):</label>
-                            <textarea id={`${qId}-subjective`} placeholder="Provide details here..."
-                                value={currentAnswerState.subjective_value || ''}
-                                onChange={(e) => handleSubjectiveInputChange(qId, e.target.value)}
-                                rows={3} style={{ width: '95%', padding: '8px', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }} />
-                        </div>
-                    )}
-                </div>
-            );
-        } else if (answerOptions.length > 0) {
-            return (
-                <select value={answers[qId] || ''} onChange={(e) => handleAnswerChange(qId, e.target.value)}
-                    className="single-select" style={{ padding: '10px 8px', minWidth: '250px', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer', boxSizing: 'border-box' }}>
-                    <option value="" disabled>-- Select an option --</option>
-                    {answerOptions.map((option, index) => (<option key={index} value={option}>{option}</option>))}
-                </select>
-            );
-        } else if (subjectiveAnswerField.length > 0) {
-            return (
-                <textarea value={answers[qId] || ''} onChange={(e) => handleAnswerChange(qId, e.target.value)}
-                    placeholder="Your answer..." className="subjective-textarea" rows={4}
-                    style={{ width: '95%', padding: '8px', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }} />
-            );
-        } else {
-            return <p><i>(No input options defined for this question type)</i></p>;
-        }
-    };
+    // Answers can be revised until the pipeline moves on to the report
+    const answersEditable = !isFollowupClosed(pipelineStatus);
+    const emptyTitle = answeredItems.length > 0 ? t('followup.allAnswered') : t('followup.noneAvailable');
 
 
     // --- Main Return Logic ---
-    // (No changes needed)
-    if (!sessionId) { return ( <div className="error-message" style={{ color: 'red', padding: '20px', border: '1px solid red', margin: '20px', borderRadius: '5px', textAlign: 'center' }}>Error: No session ID found. Please start the process over.</div> ); }
-    if (initialLoading) { return ( <div className="loading-screen" style={{ padding: '40px 20px', textAlign: 'center', color: '#555' }}><h2>Checking for follow-up questions...</h2><p>Please wait.</p><div style={{ marginTop: '20px', height: '30px' }}><span>Loading...</span></div></div> ); }
+    if (!sessionId) { return ( <p className={styles.errorMessage} role="alert">{t('followup.noSession')}</p> ); }
+
+    // Announced whenever it changes: new questions arriving, or the last one being answered
+    const announcement = initialLoading
+        ? t('followup.checking')
+        : ownPending.length > 0
+            ? t('followup.pending', { count: ownPending.length })
+            : emptyTitle;
+    const othersPending = openQuestions.length - ownPending.length;
 
     return (
-        <div className="followup-questions-container" style={{ padding: '20px', maxWidth: '800px', margin: '20px auto', fontFamily: 'Arial, sans-serif', border: '1px solid #e0e0e0', borderRadius: '8px', boxShadow: '0 2px 5px rgba(0,0,0,0.1)', background: '#fff' }}>
-            <h1 style={{ textAlign: 'center', marginBottom: '25px', color: '#333' }}>Follow-Up Questions</h1>
-            {error && ( <p className="error-message" style={{ color: 'red', border: '1px solid red', padding: '10px 15px', marginBottom: '20px', borderRadius: '4px', background: '#ffebee' }}>{error}</p> )}
-            {followupQuestions.length > 0 ? (
+        <div className={styles.container}>
+            <h1 ref={titleRef} tabIndex={-1} className={styles.pageTitle}>{t('followup.title')}</h1>
+            <LiveRegion message={announcement} />
+            {initialLoading ? (
+                <div className={styles.statusMessage}>
+                    <h2>{t('followup.checking')}</h2>
+                    <p>{t('followup.pleaseWait')}</p>
+                </div>
+            ) : (
                 <>
-                    <p style={{ marginBottom: '20px', color: '#555' }}>Please answer the following questions to help refine the assessment.</p>
-                    <div className="questions-list">
-                        {followupQuestions.map((q) => (
-                            <div key={q.question_id} className="question-card" style={{ border: '1px solid #ddd', padding: '20px', marginBottom: '20px', borderRadius: '5px', background: '#f9f9f9', boxShadow: '0 1px 3px rgba(0,0,0,0.05)' }}>
-                                <h3 style={{ marginTop: '0', marginBottom: '10px', color: '#444', fontSize: '1.1em' }}>{q.question}</h3>
-                                {q.additional_fields?.guidelines && ( <p className="guidelines" style={{ fontSize: '0.9em', color: '#666', margin: '0 0 15px 0', fontStyle: 'italic', borderLeft: '3px solid #007bff', padding: '8px 10px', background: '#e7f3ff', borderRadius: '3px' }}><strong>Guidelines:</strong> {q.additional_fields.guidelines}</p> )}
-                                <div className="input-area" style={{ marginTop: '15px' }}>{renderQuestionInput(q)}</div>
+                    <PipelineStatusNotice watcher={pipeline} />
+                    {errorKey && <p className={styles.errorMessage} role="alert">{t(errorKey)}</p>}
+                    {othersPending > 0 && <p className={styles.intro}>{t('team.followupsForOthers', { count: othersPending })}</p>}
+                    {ownPending.length > 0 ? (
+                        <>
+                            <p className={styles.intro}>{t('followup.intro')}</p>
+                            <div className={styles.questionsList}>
+                                {ownPending.map((q) => {
+                                    const qId = q.question_id;
+                                    const saving = saveStates[qId] === AnswerSaveState.SAVING;
+                                    const failed = saveStates[qId] === AnswerSaveState.FAILED;
+                                    const headingId = `followup-${qId}-heading`;
+                                    const statusId = `followup-${qId}-status`;
+                                    return (
+                                        <section key={qId} className={styles.questionCard} aria-labelledby={headingId}>
+                                            <h3
+                                                id={headingId}
+                                                ref={(element) => { headingRefs.current[qId] = element; }}
+                                                tabIndex={-1}
+                                                className={styles.questionTitle}
+                                            >
+                                                {q.question}
+                                            </h3>
+                                            {q.additional_fields?.guidelines && ( <p className={styles.guidelines}><strong>{t('followup.guidelines')}</strong> {q.additional_fields.guidelines}</p> )}
+                                            <div className={styles.inputArea}>
+                                                <FollowupAnswerInput
+                                                    question={q}
+                                                    value={answers[qId]}
+                                                    onChange={(value) => handleAnswerChange(qId, value)}
+                                                    labelledBy={headingId}
+                                                    describedBy={saveErrors[qId] ? statusId : undefined}
+                                                    invalid={!!saveErrors[qId]}
+                                                />
+                                            </div>
+                                            {renderEvidence(qId, saving)}
+                                            <button type="button" className={styles.saveButton} onClick={() => saveAnswer(q, answers[qId])} disabled={saving}>
+                                                {saving ? t('common.saving') : failed ? t('common.retry') : t('followup.saveAnswer')}
+                                            </button>
+                                            <FollowupSaveStatus id={statusId} state={saveStates[qId]} error={saveErrors[qId]} />
+                                        </section>
+                                    );
+                                })}
                             </div>
-                        ))}
-                    </div>
-                    <button onClick={handleSubmit} disabled={submitting} style={{ marginTop: '10px', padding: '12px 25px', cursor: submitting ? 'not-allowed' : 'pointer', fontSize: '1.05em', backgroundColor: submitting ? '#ccc' : '#007bff', color: 'white', border: 'none', borderRadius: '5px', opacity: submitting ? 0.7 : 1, display: 'block', width: '100%', boxSizing: 'border-box' }}>
-                        {submitting ? 'Submitting...' : 'Submit Answers'}
-                    </button>
+                        </>
+                    ) : (
+                        <div className={styles.infoMessage}>
+                            <h2 ref={emptyTitleRef} tabIndex={-1}>{emptyTitle}</h2>
+                            <p>{t('followup.waiting')}</p>
+                        </div>
+                    )}
+                    <AnsweredFollowupList
+                        items={answeredItems}
+                        waitingIds={waitingIds}
+                        editable={answersEditable}
+                        saveStates={saveStates}
+                        saveErrors={saveErrors}
+                        onSave={saveAnswer}
+                        evidence={evidence}
+                        renderEvidence={renderEvidence}
+                        canEdit={isOwn}
+                        showAnsweredBy={isShared(team)}
+                        username={username}
+                    />
                 </>
-            ) : (
-                <div className="no-questions-message" style={{ padding: '30px 20px', textAlign: 'center', color: '#555', background: '#f0f0f0', borderRadius: '5px' }}>
-                     <>
-                         <h2>No follow-up questions available at this moment.</h2>
-                         <p>Checking for updates or waiting for the process to complete...</p>
-                     </>
-                </div>
             )}
         </div>
     );
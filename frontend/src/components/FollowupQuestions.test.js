@@ -0,0 +1,143 @@
+import React from 'react';
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { getEvidence, getFollowupQuestions, getFollowupResponses, submitFollowupResponses, uploadEvidence } from '../services/api';
+import usePipelineStatus, { WatchMode } from '../hooks/usePipelineStatus';
+import { PipelineStatus } from '../utils/pipelineStatus';
+import FollowupQuestions from './FollowupQuestions';
+
+jest.mock('../services/api');
+jest.mock('../hooks/usePipelineStatus', () => ({
+  ...jest.requireActual('../hooks/usePipelineStatus'),
+  __esModule: true,
+  default: jest.fn(),
+}));
+
+const questions = [
+  { question_id: 'F1', question: 'Who owns the policy?', additional_fields: { answer_options: ['IT', 'Facilities'] } },
+  { question_id: 'F2', question: 'What else should we know?', additional_fields: { subjective_answer: ['...'] } },
+];
+
+const watcher = (overrides = {}) => ({
+  status: PipelineStatus.PIPELINE_RUNNING,
+  updateCount: 1,
+  mode: WatchMode.POLLING, // Each status update also fetches the pending questions
+  refresh: jest.fn(),
+  connectionLost: false,
+  pauseReason: null,
+  stalled: false,
+  isUnknownStatus: false,
+  ...overrides,
+});
+
+const renderPage = async () => {
+  usePipelineStatus.mockReturnValue(watcher());
+  const view = renderWithProviders(<FollowupQuestions sessionId="s1" />);
+  await screen.findByRole('heading', { name: questions[0].question });
+  return view;
+};
+
+beforeEach(() => {
+  getFollowupResponses.mockResolvedValue([]);
+  getFollowupQuestions.mockResolvedValue(questions);
+  submitFollowupResponses.mockResolvedValue({});
+  getEvidence.mockResolvedValue([]);
+});
+
+const evidenceFile = (overrides = {}) => ({
+  evidence_id: 'ev-1',
+  question_id: 'F1',
+  filename: 'bill.pdf',
+  content_type: 'application/pdf',
+  size: 2048,
+  uploaded_at: '2024-05-01T10:00:00Z',
+  ...overrides,
+});
+
+test('has no accessibility violations', async () => {
+  const { container } = await renderPage();
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('announces pending questions and labels inputs by their heading', async () => {
+  await renderPage();
+  expect(screen.getByText('2 follow-up questions are waiting for an answer.')).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Who owns the policy?' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1 })).toHaveFocus();
+});
+
+test('moves focus to the next question after saving, then to the empty state', async () => {
+  await renderPage();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Who owns the policy?' }), { target: { value: 'IT' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Save answer' })[0]);
+  await waitFor(() => expect(screen.getByRole('heading', { name: 'What else should we know?' })).toHaveFocus());
+  expect(screen.getByText('1 follow-up question is waiting for an answer.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('textbox', { name: 'What else should we know?' }), { target: { value: 'Nothing' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save answer' }));
+  await waitFor(() => expect(screen.getByRole('heading', { name: 'All follow-up questions so far are answered.' })).toHaveFocus());
+});
+
+test('marks an empty answer as invalid when saving', async () => {
+  await renderPage();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Save answer' })[1]);
+  const textarea = screen.getByRole('textbox', { name: 'What else should we know?' });
+  expect(textarea).toHaveAttribute('aria-invalid', 'true');
+  expect(textarea).toHaveAccessibleDescription('Please answer this question before saving.');
+  expect(submitFollowupResponses).not.toHaveBeenCalled();
+});
+
+test('reports a failed save and retries it from the notification', async () => {
+  submitFollowupResponses.mockRejectedValueOnce(Object.assign(new Error('Network Error'), { response: undefined }));
+  await renderPage();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Who owns the policy?' }), { target: { value: 'IT' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Save answer' })[0]);
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  await waitFor(() => expect(notifications).toHaveTextContent('Could not save: Network Error. Please try again.'));
+  fireEvent.click(within(notifications).getByRole('button', { name: 'Retry' }));
+
+  await waitFor(() => expect(within(notifications).getByRole('listitem')).toHaveTextContent('Your answer was saved.'));
+  expect(submitFollowupResponses).toHaveBeenCalledTimes(2);
+  expect(screen.queryByRole('heading', { name: 'Who owns the policy?' })).not.toBeInTheDocument();
+});
+
+test('uploads attached files and sends their ids with the answer', async () => {
+  let finishUpload;
+  uploadEvidence.mockImplementation((sessionId, questionId, file, { onProgress }) => {
+    onProgress(0.5);
+    return new Promise((resolve) => { finishUpload = () => resolve(evidenceFile({ filename: file.name, size: file.size })); });
+  });
+  await renderPage();
+  const card = screen.getByRole('region', { name: 'Who owns the policy?' });
+  fireEvent.change(within(card).getByLabelText('Attach files'), { target: { files: [new File(['%PDF'], 'bill.pdf', { type: 'application/pdf' })] } });
+
+  expect(await within(card).findByRole('progressbar', { name: 'Uploading bill.pdf: 50%' })).toBeInTheDocument();
+  expect(uploadEvidence).toHaveBeenCalledWith('s1', 'F1', expect.any(File), expect.anything());
+  fireEvent.change(within(card).getByRole('combobox', { name: 'Who owns the policy?' }), { target: { value: 'IT' } });
+  fireEvent.click(within(card).getByRole('button', { name: 'Save answer' }));
+  expect(within(card).getByText('Wait for the uploads to finish before saving.')).toBeInTheDocument();
+  expect(submitFollowupResponses).not.toHaveBeenCalled();
+
+  finishUpload();
+  expect(await within(card).findByRole('button', { name: 'Remove bill.pdf' })).toBeInTheDocument();
+  fireEvent.click(within(card).getByRole('button', { name: 'Save answer' }));
+  await waitFor(() => expect(submitFollowupResponses).toHaveBeenCalledWith([expect.objectContaining({ question_id: 'F1', answer: { value: 'IT' }, evidence_ids: ['ev-1'] })]));
+  expect(await screen.findByText('Evidence: bill.pdf')).toBeInTheDocument();
+});
+
+test('rejects files of the wrong type without uploading them', async () => {
+  await renderPage();
+  fireEvent.change(screen.getAllByLabelText('Attach files')[0], { target: { files: [new File(['x'], 'setup.exe')] } });
+  const attachments = screen.getAllByRole('group', { name: 'Evidence files' })[0];
+  expect(within(attachments).getByRole('listitem')).toHaveTextContent('setup.exe: only PDF, PNG, JPG, CSV, XLSX, DOCX files can be attached.');
+  expect(uploadEvidence).not.toHaveBeenCalled();
+});
+
+test('lists files uploaded earlier with their question', async () => {
+  getEvidence.mockResolvedValue([evidenceFile(), evidenceFile({ evidence_id: 'ev-2', question_id: 'F2', filename: 'inventory.xlsx' })]);
+  await renderPage();
+  expect(await screen.findByRole('button', { name: 'Remove bill.pdf' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Remove inventory.xlsx' })).toBeInTheDocument();
+  expect(getEvidence).toHaveBeenCalledWith('s1');
+});
@@ -0,0 +1,25 @@
+// src/components/FollowupSaveStatus.js
+import React from 'react';
+import { AnswerSaveState } from '../utils/followupAnswers';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './FollowupSaveStatus.module.css';
+
+/**
+ * Saving indicator and validation message for a single follow-up answer.
+ * Whether the save worked is reported as a notification (see FollowupQuestions).
+ * @param {{ state?: string, error?: string, id?: string }} props
+ *   id lets the answer input point at the message with aria-describedby.
+ */
+const FollowupSaveStatus = ({ state, error, id }) => {
+  const { t } = useLanguage();
+
+  if (error) {
+    return <p id={id} className={`${styles.status} ${styles.failed}`} role="alert">{error}</p>;
+  }
+  if (state === AnswerSaveState.SAVING) {
+    return <p id={id} className={styles.status} role="status">{t('common.saving')}</p>;
+  }
+  return null;
+};
+
+export default FollowupSaveStatus;
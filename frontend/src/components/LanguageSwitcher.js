@@ -0,0 +1,26 @@
+// src/components/LanguageSwitcher.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { LANGUAGES } from '../i18n';
+import styles from './LanguageSwitcher.module.css';
+
+/**
+ * Select for the UI language. Each language is listed under its own name so it
+ * can be found whatever the current language is.
+ */
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useLanguage();
+
+  return (
+    <label className={styles.switcher}>
+      <span className={styles.label}>{t('common.language')}</span>
+      <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+        {LANGUAGES.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,23 @@
+// src/components/LiveRegion.js
+import React from 'react';
+import styles from './LiveRegion.module.css';
+
+/**
+ * Visually hidden status message that screen readers announce whenever its
+ * text changes. Keep it mounted and only change `message`: regions that are
+ * inserted together with their text are often not announced.
+ * @param {{ message?: string, assertive?: boolean }} props
+ *   assertive interrupts the reader, use it for errors only.
+ */
+const LiveRegion = ({ message = '', assertive = false }) => (
+  <div
+    className={styles.region}
+    role={assertive ? 'alert' : 'status'}
+    aria-live={assertive ? 'assertive' : 'polite'}
+    aria-atomic="true"
+  >
+    {message}
+  </div>
+);
+
+export default LiveRegion;
@@ -0,0 +1,33 @@
+// src/components/MaturityBarChart.js
+import React from 'react';
+import { toPercent } from '../utils/maturityScores';
+import { useLanguage } from '../context/LanguageContext';
+import { categoryLabel } from '../utils/categories';
+import styles from './MaturityBarChart.module.css';
+
+/**
+ * Horizontal bar per category, with its score and maturity level.
+ * @param {{ categories: Array<{ category: string, score: number, level: string }> }} props
+ */
+const MaturityBarChart = ({ categories }) => {
+  const i18n = useLanguage();
+  const { t, formatPercent } = i18n;
+
+  return (
+    <ul className={styles.chart}>
+      {categories.map(({ category, score, level }) => (
+        <li key={category} className={styles.row}>
+          <span className={styles.label}>{categoryLabel(category, i18n)}</span>
+          <span className={styles.track} aria-hidden="true">
+            <span className={styles.bar} style={{ width: `${toPercent(score)}%` }} />
+          </span>
+          <span className={styles.value}>
+            {formatPercent(score)} <span className={styles.level}>{t(`maturity.levels.${level}`)}</span>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default MaturityBarChart;
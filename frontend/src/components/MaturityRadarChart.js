@@ -0,0 +1,60 @@
+// src/components/MaturityRadarChart.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { categoryLabel } from '../utils/categories';
+import styles from './MaturityRadarChart.module.css';
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = 105;
+const RINGS = [0.2, 0.4, 0.6, 0.8, 1];
+
+// Axis i of n, starting at the top and going clockwise
+const point = (index, count, distance) => {
+  const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+  return [CENTER + Math.cos(angle) * distance, CENTER + Math.sin(angle) * distance];
+};
+
+const polygon = (values) => values
+  .map((value, index) => point(index, values.length, RADIUS * value).map((n) => n.toFixed(1)).join(','))
+  .join(' ');
+
+/**
+ * Radar (spider) chart of category scores. Needs at least three categories to
+ * draw an area; callers fall back to the bar chart otherwise.
+ * @param {{ categories: Array<{ category: string, score: number }> }} props
+ */
+const MaturityRadarChart = ({ categories }) => {
+  const i18n = useLanguage();
+  const { t, formatPercent } = i18n;
+  const count = categories.length;
+  const description = categories.map(({ category, score }) => `${categoryLabel(category, i18n)} ${formatPercent(score)}`).join(', ');
+
+  return (
+    <svg className={styles.chart} viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={t('maturity.chartLabel', { scores: description })}>
+      {RINGS.map((ring) => (
+        <polygon key={ring} className={styles.ring} points={polygon(categories.map(() => ring))} />
+      ))}
+      {categories.map(({ category }, index) => {
+        const [x, y] = point(index, count, RADIUS);
+        const [labelX, labelY] = point(index, count, RADIUS + 18);
+        const anchor = Math.abs(labelX - CENTER) < 1 ? 'middle' : labelX > CENTER ? 'start' : 'end';
+        return (
+          <g key={category}>
+            <line className={styles.axis} x1={CENTER} y1={CENTER} x2={x} y2={y} />
+            <text className={styles.label} x={labelX} y={labelY} textAnchor={anchor} dominantBaseline="middle">
+              {categoryLabel(category, i18n)}
+            </text>
+          </g>
+        );
+      })}
+      <polygon className={styles.area} points={polygon(categories.map(({ score }) => score))} />
+      {categories.map(({ category, score }, index) => {
+        const [x, y] = point(index, count, RADIUS * score);
+        return <circle key={category} className={styles.dot} cx={x} cy={y} r="3.5" />;
+      })}
+    </svg>
+  );
+};
+
+export default MaturityRadarChart;
@@ -0,0 +1,106 @@
+// src/components/MaturityScores.js
+import React, { useCallback, useEffect, useState } from 'react';
+import { getFollowupResponses, getSurveyQuestions, getSurveyResponses } from '../services/api';
+import { computeMaturityScores } from '../utils/maturityScores';
+import { categoryLabel } from '../utils/categories';
+import { useLanguage } from '../context/LanguageContext';
+import MaturityRadarChart from './MaturityRadarChart';
+import MaturityBarChart from './MaturityBarChart';
+import styles from './MaturityScores.module.css';
+
+const ChartType = {
+  RADAR: 'radar',
+  BAR: 'bar',
+};
+
+/**
+ * Overall and per-category maturity scores for a submitted survey, as a radar
+ * or bar chart. The answers are fetched again whenever `refreshKey` or the
+ * language changes, so follow-up answers saved in the meantime are included
+ * and category names match the rest of the page.
+ * @param {{ sessionId: string, refreshKey?: any }} props
+ */
+const MaturityScores = ({ sessionId, refreshKey }) => {
+  const i18n = useLanguage();
+  const { t, language, formatPercent } = i18n;
+  const [scores, setScores] = useState(null);
+  const [error, setError] = useState('');
+  const [chartType, setChartType] = useState(ChartType.RADAR);
+  const [retryToken, setRetryToken] = useState(0);
+
+  const loadScores = useCallback(async () => {
+    const [surveyQuestions, surveyResponses, followupResponses] = await Promise.all([
+      getSurveyQuestions(),
+      getSurveyResponses(sessionId),
+      getFollowupResponses(sessionId),
+    ]);
+    return computeMaturityScores({ surveyQuestions, surveyResponses, followupResponses });
+  }, [sessionId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    loadScores()
+      .then((result) => {
+        if (!cancelled) setScores(result);
+      })
+      .catch((fetchError) => {
+        console.error('Error loading maturity scores:', fetchError);
+        if (!cancelled) setError(t('maturity.failed'));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadScores, refreshKey, retryToken, language, t]);
+
+  if (error) {
+    return (
+      <section className={styles.panel}>
+        <p className={styles.error}>
+          {error}{' '}
+          <button type="button" className={styles.linkButton} onClick={() => setRetryToken((token) => token + 1)}>{t('common.retry')}</button>
+        </p>
+      </section>
+    );
+  }
+  if (!scores) return <p>{t('maturity.calculating')}</p>;
+
+  const scored = scores.categories.filter((item) => item.score !== null);
+  const unscored = scores.categories.filter((item) => item.score === null);
+  const canDrawRadar = scored.length >= 3;
+  const shownChart = canDrawRadar ? chartType : ChartType.BAR;
+
+  return (
+    <section className={styles.panel} aria-labelledby="maturity-heading">
+      <h2 id="maturity-heading">{t('maturity.heading')}</h2>
+      {scores.overall === null ? (
+        <p className={styles.muted}>{t('maturity.none')}</p>
+      ) : (
+        <>
+          <div className={styles.overall}>
+            <span className={styles.overallScore}>{formatPercent(scores.overall)}</span>
+            <span>{t('maturity.overall', { level: <strong>{t(`maturity.levels.${scores.level}`)}</strong> })}</span>
+          </div>
+
+          {canDrawRadar && (
+            <div className={styles.chartToggle} role="group" aria-label={t('maturity.chartType')}>
+              <button type="button" aria-pressed={chartType === ChartType.RADAR} onClick={() => setChartType(ChartType.RADAR)}>
+                {t('maturity.radar')}
+              </button>
+              <button type="button" aria-pressed={chartType === ChartType.BAR} onClick={() => setChartType(ChartType.BAR)}>
+                {t('maturity.bars')}
+              </button>
+            </div>
+          )}
+          {shownChart === ChartType.RADAR ? <MaturityRadarChart categories={scored} /> : <MaturityBarChart categories={scored} />}
+
+          {unscored.length > 0 && (
+            <p className={styles.muted}>{t('maturity.unscored', { categories: unscored.map((item) => categoryLabel(item.category, i18n)).join(', ') })}</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default MaturityScores;
@@ -0,0 +1,93 @@
+// src/components/NotificationCenter.js
+import React, { useEffect, useRef, useState } from 'react';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import { useLanguage } from '../context/LanguageContext';
+import LiveRegion from './LiveRegion';
+import styles from './NotificationCenter.module.css';
+
+/**
+ * One toast. Its timer (if it has a duration) is paused while the pointer or
+ * keyboard focus is on it, so it can't vanish while the user is reading it or
+ * about to press its action.
+ */
+const Toast = ({ notification, onDismiss }) => {
+  const { id, serial, level, message, action, duration } = notification;
+  const { t } = useLanguage();
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const paused = hovered || focused;
+
+  useEffect(() => {
+    if (!duration || paused) return undefined;
+    const timeoutId = setTimeout(() => onDismiss(id), duration);
+    return () => clearTimeout(timeoutId);
+  }, [id, serial, duration, paused, onDismiss]);
+
+  const handleAction = () => {
+    onDismiss(id);
+    action.onClick();
+  };
+
+  return (
+    <li
+      className={`${styles.toast} ${styles[level]}`}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) setFocused(false);
+      }}
+    >
+      <p className={styles.message}>
+        <span className={styles.visuallyHidden}>{t(`notifications.levels.${level}`)} </span>
+        {message}
+      </p>
+      {action && (
+        <button type="button" className={styles.actionButton} onClick={handleAction}>{action.label}</button>
+      )}
+      <button type="button" className={styles.dismissButton} onClick={() => onDismiss(id)} aria-label={t('notifications.dismiss')}>
+        ×
+      </button>
+    </li>
+  );
+};
+
+/**
+ * Stack of toast notifications in the corner of the screen, newest at the
+ * bottom. New messages are read out through live regions that stay mounted;
+ * errors interrupt, everything else waits for the screen reader to finish.
+ */
+const NotificationCenter = () => {
+  const { notifications, dismiss } = useNotifications();
+  const { t } = useLanguage();
+  const [announcements, setAnnouncements] = useState({ polite: '', assertive: '' });
+  const lastAnnouncedRef = useRef(0);
+
+  // Read out each notification once, when it is added (not again when others are dismissed)
+  useEffect(() => {
+    const fresh = notifications.filter((notification) => notification.serial > lastAnnouncedRef.current);
+    if (fresh.length === 0) return;
+    lastAnnouncedRef.current = Math.max(...fresh.map((notification) => notification.serial));
+    const newest = (levels) => fresh.filter((notification) => levels.includes(notification.level)).pop()?.message;
+    setAnnouncements((current) => ({
+      polite: newest([NotificationLevel.SUCCESS, NotificationLevel.WARNING]) ?? current.polite,
+      assertive: newest([NotificationLevel.ERROR]) ?? current.assertive,
+    }));
+  }, [notifications]);
+
+  return (
+    <section className={styles.center} aria-label={t('notifications.region')}>
+      <LiveRegion message={announcements.polite} />
+      <LiveRegion message={announcements.assertive} assertive />
+      {notifications.length > 0 && (
+        <ol className={styles.list}>
+          {notifications.map((notification) => (
+            <Toast key={notification.id} notification={notification} onDismiss={dismiss} />
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default NotificationCenter;
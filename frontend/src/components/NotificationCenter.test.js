@@ -0,0 +1,95 @@
+import React from 'react';
+import { act, fireEvent, screen, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+
+// Hands out the context's notify function so tests can raise notifications directly
+let notify;
+const CaptureNotify = () => {
+  ({ notify } = useNotifications());
+  return null;
+};
+
+const show = (options) => act(() => {
+  notify(options);
+});
+
+// The toasts' text (the live regions repeat it, so plain text queries would match twice)
+const toastTexts = () => screen.queryAllByRole('listitem').map((item) => item.textContent);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('success messages go away on their own, errors stay', () => {
+  renderWithProviders(<CaptureNotify />);
+  jest.useFakeTimers();
+  show({ message: 'Answer saved.' });
+  show({ level: NotificationLevel.ERROR, message: 'Export failed.' });
+  expect(screen.getAllByRole('listitem')).toHaveLength(2);
+
+  act(() => {
+    jest.advanceTimersByTime(6000);
+  });
+  expect(toastTexts()).toEqual(['Error: Export failed.×']);
+});
+
+test('pauses the timer while the pointer is on a notification', () => {
+  renderWithProviders(<CaptureNotify />);
+  jest.useFakeTimers();
+  show({ message: 'Answer saved.' });
+  fireEvent.mouseEnter(screen.getByRole('listitem'));
+  act(() => {
+    jest.advanceTimersByTime(6000);
+  });
+  expect(toastTexts()).toHaveLength(1);
+
+  fireEvent.mouseLeave(screen.getByRole('listitem'));
+  act(() => {
+    jest.advanceTimersByTime(6000);
+  });
+  expect(toastTexts()).toHaveLength(0);
+});
+
+test('runs the action and dismisses the notification', () => {
+  renderWithProviders(<CaptureNotify />);
+  const retry = jest.fn();
+  show({ level: NotificationLevel.ERROR, message: 'Could not save.', action: { label: 'Retry', onClick: retry } });
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  expect(retry).toHaveBeenCalledTimes(1);
+  expect(toastTexts()).toHaveLength(0);
+});
+
+test('replaces a notification with the same id and stacks the rest', () => {
+  renderWithProviders(<CaptureNotify />);
+  show({ id: 'save-F1', level: NotificationLevel.ERROR, message: 'Could not save (1).' });
+  show({ id: 'save-F1', level: NotificationLevel.ERROR, message: 'Could not save (2).' });
+  expect(screen.getAllByRole('listitem')).toHaveLength(1);
+
+  ['A', 'B', 'C', 'D'].forEach((name) => show({ level: NotificationLevel.WARNING, message: `Warning ${name}` }));
+  const items = screen.getAllByRole('listitem');
+  expect(items).toHaveLength(4); // The oldest one was dropped
+  expect(items[3]).toHaveTextContent('Warning D');
+});
+
+test('announces new messages, errors assertively', () => {
+  renderWithProviders(<CaptureNotify />);
+  show({ message: 'Answer saved.' });
+  show({ level: NotificationLevel.ERROR, message: 'Export failed.' });
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  const polite = within(notifications).getByRole('status');
+  const assertive = within(notifications).getByRole('alert');
+  expect(polite).toHaveTextContent('Answer saved.');
+  expect(assertive).toHaveAttribute('aria-live', 'assertive');
+  expect(assertive).toHaveTextContent('Export failed.');
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Dismiss notification' })[1]);
+  expect(polite).toHaveTextContent('Answer saved.'); // Dismissing doesn't repeat older messages
+});
+
+test('has no accessibility violations', async () => {
+  renderWithProviders(<CaptureNotify />);
+  show({ message: 'Draft discarded.', action: { label: 'Undo', onClick: () => {} } });
+  show({ level: NotificationLevel.ERROR, message: 'Export failed.' });
+  await expect(document.body).toHaveNoAxeViolations();
+});
@@ -0,0 +1,62 @@
+// src/components/PipelineStatusNotice.js
+import React from 'react';
+import { PauseReason } from '../hooks/usePipelineStatus';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './PipelineStatusNotice.module.css';
+
+// The notice for the watcher's current state, or null
+const Notice = ({ watcher }) => {
+  const { pauseReason, connectionLost, stalled, isUnknownStatus, status, refresh } = watcher;
+  const { t } = useLanguage();
+
+  if (pauseReason === PauseReason.OFFLINE) {
+    return (
+      <div className={styles.notice}>
+        {t('pipeline.offline')}
+      </div>
+    );
+  }
+
+  if (connectionLost) {
+    return (
+      <div className={`${styles.notice} ${styles.error}`}>
+        <span>{t('pipeline.connectionLost')}</span>
+        <button type="button" className={styles.retryButton} onClick={refresh}>{t('common.tryAgain')}</button>
+      </div>
+    );
+  }
+
+  if (stalled) {
+    return (
+      <div className={styles.notice}>
+        <span>{t('pipeline.stalled')}</span>
+        <button type="button" className={styles.retryButton} onClick={refresh}>{t('pipeline.checkAgain')}</button>
+      </div>
+    );
+  }
+
+  if (isUnknownStatus) {
+    return (
+      <div className={styles.notice}>
+        {t('pipeline.unknownStatus', { status })}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Explains why the pipeline status isn't updating: watching is paused, the
+ * connection was lost, the status is one this client doesn't know, or the
+ * pipeline looks stuck. Renders an empty live region while everything is
+ * normal, so screen readers announce a notice as soon as it appears.
+ * @param {{ watcher: object }} props - The object returned by usePipelineStatus
+ */
+const PipelineStatusNotice = ({ watcher }) => (
+  <div role="status" aria-live="polite">
+    <Notice watcher={watcher} />
+  </div>
+);
+
+export default PipelineStatusNotice;
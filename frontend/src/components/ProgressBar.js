@@ -0,0 +1,31 @@
+// src/components/ProgressBar.js
+import React, { useId } from 'react';
+import styles from './ProgressBar.module.css';
+
+/**
+ * Horizontal progress bar.
+ * @param {{ value: number, max: number, label: string }} props
+ */
+const ProgressBar = ({ value, max, label }) => {
+  const percent = max > 0 ? Math.round((value / max) * 100) : 0;
+  const labelId = useId();
+
+  return (
+    <div className={styles.wrapper}>
+      <div id={labelId} className={styles.label}>{label}</div>
+      <div
+        className={styles.track}
+        role="progressbar"
+        aria-labelledby={labelId}
+        aria-valuemin={0}
+        aria-valuemax={max}
+        aria-valuenow={value}
+        aria-valuetext={label}
+      >
+        <div className={styles.fill} style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -0,0 +1,157 @@
+// src/components/QuestionEditor.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { AnswerType, getAnswerType } from '../utils/surveyAnswers';
+import { hasOptions, moveItem, nextOptionLetter } from '../utils/questionBank';
+import styles from './QuestionEditor.module.css';
+
+/**
+ * Form for one question of the bank: category, text, answer type and, for
+ * choice questions, the options. Every change is reported as a whole new
+ * question through onChange. Fields this form doesn't cover (units, scales,
+ * display conditions, ...) are kept as they are.
+ *
+ * Options that are already published can only be retired; new ones (not in
+ * `publishedLetters`) can be removed again.
+ * @param {{ question: object, publishedLetters?: Array<string>, categories?: Array<string>, onChange: Function }} props
+ */
+const QuestionEditor = ({ question, publishedLetters = [], categories = [], onChange }) => {
+  const { t } = useLanguage();
+  const idPrefix = `question-editor-${question.question_id}`;
+  const options = question.options || [];
+
+  const update = (changes) => onChange({ ...question, ...changes });
+  const updateOptions = (nextOptions) => update({ options: nextOptions });
+  const updateOption = (index, changes) => updateOptions(options.map((option, i) => (i === index ? { ...option, ...changes } : option)));
+
+  const changeAnswerType = (answerType) => {
+    const changes = { answer_type: answerType };
+    // A question switched to a choice type starts with two blank options
+    if (hasOptions({ answer_type: answerType }) && options.length === 0) {
+      changes.options = [{ option_letter: 'A', content: '' }, { option_letter: 'B', content: '' }];
+    }
+    update(changes);
+  };
+
+  // Drops a key from one option instead of leaving it undefined in the saved JSON
+  const clearOptionField = (index, key) => updateOptions(options.map((option, i) => {
+    if (i !== index) return option;
+    const { [key]: cleared, ...rest } = option;
+    return rest;
+  }));
+
+  const changeScore = (index, value) => (value === '' ? clearOptionField(index, 'score') : updateOption(index, { score: Number(value) }));
+
+  return (
+    <div className={styles.editor}>
+      {question.retired && <p className={styles.retiredNotice}>{t('admin.retiredNotice')}</p>}
+
+      <label htmlFor={`${idPrefix}-category`}>{t('admin.fields.category')}</label>
+      <input
+        id={`${idPrefix}-category`}
+        type="text"
+        list={`${idPrefix}-categories`}
+        value={question.category || ''}
+        onChange={(e) => update({ category: e.target.value })}
+      />
+      <datalist id={`${idPrefix}-categories`}>
+        {categories.map((category) => <option key={category} value={category} />)}
+      </datalist>
+
+      <label htmlFor={`${idPrefix}-content`}>{t('admin.fields.content')}</label>
+      <textarea
+        id={`${idPrefix}-content`}
+        rows={3}
+        value={question.content || ''}
+        onChange={(e) => update({ content: e.target.value })}
+      />
+
+      <label htmlFor={`${idPrefix}-type`}>{t('admin.fields.answerType')}</label>
+      <select id={`${idPrefix}-type`} value={getAnswerType(question)} onChange={(e) => changeAnswerType(e.target.value)}>
+        {Object.values(AnswerType).map((type) => (
+          <option key={type} value={type}>{t(`admin.answerTypes.${type}`)}</option>
+        ))}
+      </select>
+
+      {hasOptions(question) && (
+        <fieldset className={styles.options} aria-describedby={`${idPrefix}-options-hint`}>
+          <legend>{t('admin.fields.options')}</legend>
+          <p id={`${idPrefix}-options-hint`} className={styles.hint}>{t('admin.retiredHint')}</p>
+          <ol className={styles.optionList}>
+            {options.map((option, index) => {
+              const letter = option.option_letter;
+              const item = t('admin.fields.option', { letter });
+              const isPublished = publishedLetters.includes(letter);
+              return (
+                <li key={letter} className={option.retired ? `${styles.option} ${styles.retired}` : styles.option}>
+                  <span className={styles.letter} aria-hidden="true">{letter}.</span>
+                  <input
+                    type="text"
+                    className={styles.optionText}
+                    value={option.content || ''}
+                    onChange={(e) => updateOption(index, { content: e.target.value })}
+                    aria-label={t('admin.fields.optionText', { letter })}
+                    disabled={option.retired}
+                  />
+                  <input
+                    type="number"
+                    className={styles.score}
+                    min={0}
+                    max={1}
+                    step={0.01}
+                    value={option.score ?? ''}
+                    onChange={(e) => changeScore(index, e.target.value)}
+                    aria-label={t('admin.fields.optionScore', { letter })}
+                    disabled={option.retired}
+                  />
+                  <div className={styles.optionActions}>
+                    <button
+                      type="button"
+                      className={styles.smallButton}
+                      onClick={() => updateOptions(moveItem(options, index, -1))}
+                      disabled={index === 0}
+                      aria-label={t('admin.moveUp', { item })}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className={styles.smallButton}
+                      onClick={() => updateOptions(moveItem(options, index, 1))}
+                      disabled={index === options.length - 1}
+                      aria-label={t('admin.moveDown', { item })}
+                    >
+                      ↓
+                    </button>
+                    {!isPublished ? (
+                      <button type="button" className={styles.smallButton} onClick={() => updateOptions(options.filter((_, i) => i !== index))} aria-label={t('admin.removeLabel', { item })}>
+                        {t('admin.remove')}
+                      </button>
+                    ) : option.retired ? (
+                      <button type="button" className={styles.smallButton} onClick={() => clearOptionField(index, 'retired')} aria-label={t('admin.restoreLabel', { item })}>
+                        {t('admin.restore')}
+                      </button>
+                    ) : (
+                      <button type="button" className={styles.smallButton} onClick={() => updateOption(index, { retired: true })} aria-label={t('admin.retireLabel', { item })}>
+                        {t('admin.retire')}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+          <button
+            type="button"
+            className={styles.addButton}
+            onClick={() => updateOptions([...options, { option_letter: nextOptionLetter(options), content: '' }])}
+          >
+            {t('admin.fields.addOption')}
+          </button>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default QuestionEditor;
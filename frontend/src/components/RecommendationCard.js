@@ -0,0 +1,62 @@
+// src/components/RecommendationCard.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { LEVELS } from '../utils/recommendations';
+import styles from './RecommendationCard.module.css';
+
+// Badge colour per level: high priority needs attention, high impact and low effort are good news
+const TONES = {
+  priority: { high: 'attention', medium: 'moderate', low: 'muted' },
+  impact: { high: 'positive', medium: 'moderate', low: 'muted' },
+  effort: { high: 'attention', medium: 'moderate', low: 'positive' },
+};
+
+const LevelBadge = ({ kind, level }) => {
+  const { t } = useLanguage();
+  const levelLabel = LEVELS.includes(level) ? t(`levels.${level}`) : level || t('levels.none');
+  return (
+    <span className={`${styles.badge} ${styles[TONES[kind][level]] || ''}`}>
+      {t(`recommendations.${kind}Badge`, { level: levelLabel })}
+    </span>
+  );
+};
+
+/**
+ * One recommendation with its priority, estimated impact and effort, and the
+ * answers that led to it.
+ * @param {{ recommendation: object }} props
+ */
+const RecommendationCard = ({ recommendation }) => {
+  const { title, description, priority, impact, effort, rationale, based_on: basedOn = [] } = recommendation;
+  const { t } = useLanguage();
+
+  return (
+    <article className={styles.card}>
+      <h5 className={styles.title}>{title}</h5>
+      <div className={styles.badges}>
+        <LevelBadge kind="priority" level={priority} />
+        <LevelBadge kind="impact" level={impact} />
+        <LevelBadge kind="effort" level={effort} />
+      </div>
+      {description && <p className={styles.description}>{description}</p>}
+      {(rationale || basedOn.length > 0) && (
+        <details className={styles.rationale}>
+          <summary>{t('recommendations.why')}</summary>
+          {rationale && <p>{rationale}</p>}
+          {basedOn.length > 0 && (
+            <dl className={styles.evidence}>
+              {basedOn.map((evidence) => (
+                <div key={evidence.question_id} className={styles.evidenceItem}>
+                  <dt>{evidence.question}</dt>
+                  <dd>{evidence.answer}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </details>
+      )}
+    </article>
+  );
+};
+
+export default RecommendationCard;
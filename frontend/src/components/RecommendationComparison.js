@@ -0,0 +1,43 @@
+// src/components/RecommendationComparison.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './RecommendationComparison.module.css';
+
+// Titles and hints are translated under comparison.groups.<key>
+const GROUPS = ['resolved', 'stillOpen', 'added'];
+
+/**
+ * Recommendations of the two assessments side by side: resolved, still open and new.
+ * @param {{ comparison: { resolved: Array<object>, stillOpen: Array<object>, added: Array<object> } }} props
+ *   From compareRecommendations
+ */
+const RecommendationComparison = ({ comparison }) => {
+  const { t } = useLanguage();
+
+  return (
+    <div className={styles.columns}>
+      {GROUPS.map((key) => (
+        <section key={key} className={`${styles.column} ${styles[key]}`} aria-labelledby={`recommendations-${key}-heading`}>
+          <h4 id={`recommendations-${key}-heading`}>
+            {t(`comparison.groups.${key}.title`)} <span className={styles.count}>({comparison[key].length})</span>
+          </h4>
+          <p className={styles.hint}>{t(`comparison.groups.${key}.hint`)}</p>
+          {comparison[key].length === 0 ? (
+            <p className={styles.hint}>{t(`comparison.groups.${key}.empty`)}</p>
+          ) : (
+            <ul className={styles.list}>
+              {comparison[key].map((item) => (
+                <li key={item.id || item.title}>
+                  <strong>{item.title}</strong>
+                  {item.category && <span className={styles.category}>{[item.category, item.subcategory].filter(Boolean).join(' / ')}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default RecommendationComparison;
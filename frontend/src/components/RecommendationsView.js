@@ -0,0 +1,74 @@
+// src/components/RecommendationsView.js
+import React, { useMemo, useState } from 'react';
+import RecommendationCard from './RecommendationCard';
+import { LEVELS, filterRecommendations, groupRecommendations } from '../utils/recommendations';
+import { categoryLabel } from '../utils/categories';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './RecommendationsView.module.css';
+
+/**
+ * Recommendations grouped by category and subcategory, with a search box and
+ * a priority filter.
+ * @param {{ recommendations: Array<object> }} props
+ */
+const RecommendationsView = ({ recommendations }) => {
+  const i18n = useLanguage();
+  const { t } = i18n;
+  const [query, setQuery] = useState('');
+  const [priority, setPriority] = useState('');
+
+  const groups = useMemo(
+    () => groupRecommendations(filterRecommendations(recommendations, { query, priority })),
+    [recommendations, query, priority]
+  );
+  const shownCount = groups.reduce(
+    (total, group) => total + group.subcategories.reduce((sum, sub) => sum + sub.items.length, 0),
+    0
+  );
+
+  return (
+    <section className={styles.view} aria-labelledby="recommendations-heading">
+      <h2 id="recommendations-heading">{t('recommendations.heading')}</h2>
+      <div className={styles.filters}>
+        <label className={styles.filter}>
+          {t('recommendations.search')}
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('recommendations.searchPlaceholder')}
+          />
+        </label>
+        <label className={styles.filter}>
+          {t('recommendations.priority')}
+          <select value={priority} onChange={(e) => setPriority(e.target.value)}>
+            <option value="">{t('recommendations.allPriorities')}</option>
+            {LEVELS.map((level) => (
+              <option key={level} value={level}>{t(`levels.${level}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className={styles.count} role="status">
+        {t('recommendations.showing', { shown: shownCount, total: recommendations.length })}
+      </p>
+
+      {groups.map((group) => (
+        <div key={group.category} className={styles.category}>
+          <h3 className={styles.categoryTitle}>{categoryLabel(group.category, i18n)}</h3>
+          {group.subcategories.map((sub) => (
+            <div key={sub.subcategory} className={styles.subcategory}>
+              <h4 className={styles.subcategoryTitle}>{categoryLabel(sub.subcategory, i18n)}</h4>
+              {sub.items.map((item) => (
+                <RecommendationCard key={item.id} recommendation={item} />
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+      {shownCount === 0 && <p>{t('recommendations.noMatch')}</p>}
+    </section>
+  );
+};
+
+export default RecommendationsView;
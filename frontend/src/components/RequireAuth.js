@@ -0,0 +1,40 @@
+// src/components/RequireAuth.js
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { AuthStatus, useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './RequireAuth.module.css';
+
+/**
+ * Route guard: renders its children only for an authenticated user. Otherwise
+ * redirects to /login, remembering the page the user was heading to so the
+ * login page can send them back. Pages that work on one assessment also need
+ * an active session; without one the user picks or starts it on /assessments.
+ * Admin pages are refused to users that getCurrentUser doesn't report as admins.
+ * @param {{ children: React.ReactNode, requireSession?: boolean, requireAdmin?: boolean }} props
+ */
+const RequireAuth = ({ children, requireSession = true, requireAdmin = false }) => {
+  const { status, sessionId, user } = useAuth();
+  const location = useLocation();
+  const { t } = useLanguage();
+
+  if (status === AuthStatus.VALIDATING) {
+    return <div className={styles.loading}>{t('common.initializing')}</div>;
+  }
+
+  if (status === AuthStatus.UNAUTHENTICATED) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (requireAdmin && !user?.is_admin) {
+    return <p className={styles.forbidden} role="alert">{t('admin.forbidden')}</p>;
+  }
+
+  if (requireSession && !sessionId) {
+    return <Navigate to="/assessments" replace state={{ from: location, reason: 'session_missing' }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,77 @@
+// src/components/SessionExpiryWarning.js
+import React, { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './SessionExpiryWarning.module.css';
+
+const WARNING_BEFORE_EXPIRY_MS = 2 * 60 * 1000; // Show the banner 2 minutes before expiry
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * Banner that warns the user shortly before their access token expires and
+ * lets them renew it. If the countdown runs out, a silent refresh is attempted
+ * so an idle user filling in a long survey isn't logged out unnecessarily.
+ */
+const SessionExpiryWarning = () => {
+  const { isAuthenticated, tokenExpiresAt, extendSession } = useAuth();
+  const { t } = useLanguage();
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+  const autoRefreshTriggeredRef = useRef(false);
+
+  const remaining = tokenExpiresAt ? tokenExpiresAt - now : null;
+  const visible = isAuthenticated && remaining !== null && remaining <= WARNING_BEFORE_EXPIRY_MS;
+
+  // --- Wake up when the warning window opens, then tick every second while visible ---
+  useEffect(() => {
+    if (!isAuthenticated || !tokenExpiresAt) return undefined;
+    autoRefreshTriggeredRef.current = false;
+
+    const untilWarning = tokenExpiresAt - WARNING_BEFORE_EXPIRY_MS - Date.now();
+    let intervalId = null;
+    const timeoutId = setTimeout(() => {
+      setNow(Date.now());
+      intervalId = setInterval(() => setNow(Date.now()), 1000);
+    }, Math.max(0, untilWarning));
+
+    return () => {
+      clearTimeout(timeoutId);
+      if (intervalId) clearInterval(intervalId);
+    };
+  }, [isAuthenticated, tokenExpiresAt]);
+
+  const handleExtend = async () => {
+    setExtending(true);
+    await extendSession();
+    setExtending(false);
+  };
+
+  // --- Countdown ran out: try a silent refresh once ---
+  useEffect(() => {
+    if (visible && remaining <= 0 && !autoRefreshTriggeredRef.current) {
+      autoRefreshTriggeredRef.current = true;
+      extendSession();
+    }
+  }, [visible, remaining, extendSession]);
+
+  if (!visible) return null;
+
+  return (
+    <div className={styles.banner} role="alert">
+      <span>
+        {t('expiry.message', { time: <strong>{formatRemaining(remaining)}</strong> })}
+      </span>
+      <button type="button" className={styles.extendButton} onClick={handleExtend} disabled={extending}>
+        {extending ? t('expiry.renewing') : t('expiry.stay')}
+      </button>
+    </div>
+  );
+};
+
+export default SessionExpiryWarning;
@@ -0,0 +1,165 @@
+// src/components/SurveyAnswerInput.js
+import React from 'react';
+import { AnswerType, getAnswerType, getLikertScale } from '../utils/surveyAnswers';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './SurveyAnswerInput.module.css';
+
+/**
+ * Renders the input for one survey question, chosen by `question.answer_type`
+ * (see utils/surveyAnswers). Values are reported through onChange in the
+ * shape stored in SurveyPage's `responses`.
+ * @param {{ question: object, value: any, onChange: Function, invalid?: boolean, describedBy?: string }} props
+ */
+const SurveyAnswerInput = ({ question, value, onChange, invalid = false, describedBy }) => {
+  const { t } = useLanguage();
+  const qId = question.question_id;
+  const label = t('survey.responseLabel', { question: question.content });
+  const common = { 'aria-invalid': invalid, 'aria-describedby': describedBy };
+  const type = getAnswerType(question);
+
+  switch (type) {
+    case AnswerType.SINGLE_CHOICE:
+      return (
+        <select
+          className={styles.select}
+          onChange={(e) => onChange(e.target.value)}
+          value={value || ''}
+          aria-label={label}
+          {...common}
+        >
+          <option value="" disabled>{t('survey.selectOption')}</option>
+          {question.options.map((option) => (
+            <option key={option.option_letter} value={option.option_letter}>
+              {option.option_letter}. {option.content}
+            </option>
+          ))}
+        </select>
+      );
+
+    case AnswerType.MULTI_CHOICE: {
+      const selected = Array.isArray(value) ? value : [];
+      return (
+        <fieldset className={styles.fieldset} aria-describedby={describedBy}>
+          <legend className={styles.legend}>
+            <span className={styles.visuallyHidden}>{label} </span>
+            {t('survey.selectAll')}
+          </legend>
+          {question.options.map((option) => {
+            const inputId = `${qId}-${option.option_letter}`;
+            return (
+              <div key={option.option_letter} className={styles.checkboxOption}>
+                <input
+                  type="checkbox"
+                  id={inputId}
+                  checked={selected.includes(option.option_letter)}
+                  onChange={(e) => onChange(e.target.checked
+                    ? [...selected, option.option_letter]
+                    : selected.filter((letter) => letter !== option.option_letter))}
+                />
+                <label htmlFor={inputId}>{option.option_letter}. {option.content}</label>
+              </div>
+            );
+          })}
+        </fieldset>
+      );
+    }
+
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE: {
+      const isPercentage = type === AnswerType.PERCENTAGE;
+      const unit = isPercentage ? '%' : question.unit;
+      return (
+        <div className={styles.numberRow}>
+          <input
+            type="number"
+            inputMode="decimal"
+            className={styles.numberInput}
+            value={value ?? ''}
+            min={question.min ?? (isPercentage ? 0 : undefined)}
+            max={question.max ?? (isPercentage ? 100 : undefined)}
+            step={question.step ?? 'any'}
+            onChange={(e) => onChange(e.target.value)}
+            aria-label={label}
+            {...common}
+          />
+          {unit && <span className={styles.unit}>{unit}</span>}
+        </div>
+      );
+    }
+
+    case AnswerType.LIKERT: {
+      const { min, max, min_label: minLabel, max_label: maxLabel } = getLikertScale(question);
+      const points = Array.from({ length: max - min + 1 }, (_, index) => min + index);
+      return (
+        <fieldset className={styles.fieldset} aria-describedby={describedBy}>
+          <legend className={styles.visuallyHidden}>{label}</legend>
+          <div className={styles.likertRow}>
+            {minLabel && <span className={styles.likertLabel}>{minLabel}</span>}
+            {points.map((point) => (
+              <label key={point} className={`${styles.likertPoint} ${value === point ? styles.selected : ''}`}>
+                <input
+                  type="radio"
+                  name={`${qId}-likert`}
+                  value={point}
+                  checked={value === point}
+                  onChange={() => onChange(point)}
+                />
+                {point}
+              </label>
+            ))}
+            {maxLabel && <span className={styles.likertLabel}>{maxLabel}</span>}
+          </div>
+        </fieldset>
+      );
+    }
+
+    case AnswerType.DATE:
+      return (
+        <input
+          type="date"
+          className={styles.dateInput}
+          value={value || ''}
+          min={question.min}
+          max={question.max}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label={label}
+          {...common}
+        />
+      );
+
+    case AnswerType.YES_NO:
+      return (
+        <fieldset className={styles.fieldset} aria-describedby={describedBy}>
+          <legend className={styles.visuallyHidden}>{label}</legend>
+          <div className={styles.toggleGroup}>
+            {[[true, t('common.yes')], [false, t('common.no')]].map(([optionValue, optionLabel]) => (
+              <label key={String(optionValue)} className={`${styles.toggleOption} ${value === optionValue ? styles.selected : ''}`}>
+                <input
+                  type="radio"
+                  name={`${qId}-yes-no`}
+                  checked={value === optionValue}
+                  onChange={() => onChange(optionValue)}
+                />
+                {optionLabel}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      );
+
+    case AnswerType.TEXT:
+    default:
+      return (
+        <textarea
+          className={styles.textarea}
+          onChange={(e) => onChange(e.target.value)}
+          value={value || ''}
+          placeholder={t('survey.answerPlaceholder')}
+          aria-label={label}
+          {...common}
+        ></textarea>
+      );
+  }
+};
+
+export default SurveyAnswerInput;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { screen } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import SurveyAnswerInput from './SurveyAnswerInput';
+
+const options = [
+  { option_letter: 'A', content: 'Never' },
+  { option_letter: 'B', content: 'Sometimes' },
+];
+
+const questions = [
+  { question_id: 'Q1', content: 'How often?', options },
+  { question_id: 'Q2', content: 'Which ones?', answer_type: 'multi_choice', options },
+  { question_id: 'Q3', content: 'Describe it', answer_type: 'text' },
+  { question_id: 'Q4', content: 'Energy use', answer_type: 'number', unit: 'kWh', min: 0 },
+  { question_id: 'Q5', content: 'Share renewable', answer_type: 'percentage' },
+  { question_id: 'Q6', content: 'How mature?', answer_type: 'likert', scale: { min: 1, max: 5, min_label: 'Low', max_label: 'High' } },
+  { question_id: 'Q7', content: 'Audit date', answer_type: 'date' },
+  { question_id: 'Q8', content: 'Any policy?', answer_type: 'yes_no' },
+];
+
+test.each(questions.map((question) => [question.answer_type || 'default', question]))(
+  'the %s input has no accessibility violations',
+  async (type, question) => {
+    const { container } = renderWithProviders(<SurveyAnswerInput question={question} value={undefined} onChange={() => {}} />);
+    await expect(container).toHaveNoAxeViolations();
+  }
+);
+
+test('names the checkbox group after the question', () => {
+  renderWithProviders(<SurveyAnswerInput question={questions[1]} value={['A']} onChange={() => {}} />);
+  expect(screen.getByRole('group', { name: /Which ones\?.*Select all that apply/ })).toBeInTheDocument();
+  expect(screen.getByRole('checkbox', { name: 'A. Never' })).toBeChecked();
+});
+
+test('points invalid inputs at their error message', () => {
+  renderWithProviders(
+    <>
+      <SurveyAnswerInput question={questions[3]} value="-1" onChange={() => {}} invalid describedBy="Q4-error" />
+      <p id="Q4-error">Please enter a value of at least 0.</p>
+    </>
+  );
+  const input = screen.getByRole('spinbutton', { name: /Energy use/ });
+  expect(input).toHaveAttribute('aria-invalid', 'true');
+  expect(input).toHaveAccessibleDescription('Please enter a value of at least 0.');
+});
@@ -0,0 +1,27 @@
+// src/components/SurveyDraftBanner.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './SurveyDraftBanner.module.css';
+
+/**
+ * Offers to restore a previously autosaved survey draft.
+ * @param {{ draft: { responses: object, updated_at: string }, onResume: Function, onDiscard: Function }} props
+ */
+const SurveyDraftBanner = ({ draft, onResume, onDiscard }) => {
+  const { t, formatDateTime } = useLanguage();
+  const answeredCount = Object.keys(draft.responses || {}).length;
+
+  return (
+    <div className={styles.banner} role="region" aria-label={t('draft.region')}>
+      <p className={styles.text}>
+        {t('draft.summary', { count: answeredCount, savedAt: formatDateTime(draft.updated_at) })}
+      </p>
+      <div className={styles.actions}>
+        <button type="button" onClick={onResume}>{t('draft.resume')}</button>
+        <button type="button" onClick={onDiscard} className={styles.discardButton}>{t('draft.discard')}</button>
+      </div>
+    </div>
+  );
+};
+
+export default SurveyDraftBanner;
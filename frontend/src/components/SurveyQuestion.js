@@ -1,17 +1,21 @@
 import React from 'react';
 import styles from './SurveyQuestion.module.css'; // Import styles
+import { AnswerType, getAnswerType } from '../utils/surveyAnswers';
+import { useLanguage } from '../context/LanguageContext';
 
 const SurveyQuestion = ({ question }) => {
+  const { t } = useLanguage();
   // Basic check if question data is available
   if (!question) {
-    return <div>Loading question...</div>;
+    return <div>{t('survey.loadingQuestion')}</div>;
   }
 
   return (
     // Removed the outer div as the parent (.questionBlock) handles spacing/border
     <>
       <h3 className={styles.questionContent}>{question.content}</h3>
-      {question.options && question.options.length > 0 && ( // Check if options exist and is array
+      {/* Other answer types (e.g. multi-choice checkboxes) already show the option text in the input */}
+      {getAnswerType(question) === AnswerType.SINGLE_CHOICE && ( // Options exist and render as a <select>
         <ul className={styles.optionsList}>
           {question.options.map((option) => (
             <li key={option.option_letter} className={styles.optionItem}>
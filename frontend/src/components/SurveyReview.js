@@ -0,0 +1,103 @@
+// src/components/SurveyReview.js
+import React, { useEffect, useRef, useState } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { BLOCKING_FLAGS, ReviewFlag, countReviewFlags } from '../utils/surveyReview';
+import styles from './SurveyReview.module.css';
+
+const FLAG_CLASSES = {
+  [ReviewFlag.UNANSWERED]: styles.unanswered,
+  [ReviewFlag.INVALID]: styles.invalid,
+  [ReviewFlag.UNUSUAL]: styles.unusual,
+};
+
+/**
+ * The last screen before the survey is submitted: every question with its
+ * answer, flagged where it is missing, invalid or unusual (see
+ * utils/surveyReview), with a way back to each one. It can be printed or saved
+ * as a PDF, and submitting takes an explicit confirmation.
+ * @param {{ sections: Array<object>, canEdit: Function, onEdit: Function, onBack: Function, onDownloadPdf: Function, onSubmit: Function, submitting: boolean }} props
+ *   sections are from buildSurveyReview; canEdit(question) tells whether the
+ *   user answers it, onEdit(stepIndex, questionId) goes to it
+ */
+const SurveyReview = ({ sections, canEdit, onEdit, onBack, onDownloadPdf, onSubmit, submitting }) => {
+  const { t } = useLanguage();
+  const [confirmed, setConfirmed] = useState(false);
+  const headingRef = useRef(null);
+
+  // The review replaces the form, so focus moves to its heading
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  const counts = countReviewFlags(sections);
+  const total = sections.reduce((sum, { items }) => sum + items.length, 0);
+  const blocked = BLOCKING_FLAGS.some((flag) => counts[flag] > 0);
+  const summary = [
+    counts[ReviewFlag.UNANSWERED] > 0 && t('review.summary.unanswered', { count: counts[ReviewFlag.UNANSWERED] }),
+    counts[ReviewFlag.INVALID] > 0 && t('review.summary.invalid', { count: counts[ReviewFlag.INVALID] }),
+    counts[ReviewFlag.UNUSUAL] > 0 && t('review.summary.unusual', { count: counts[ReviewFlag.UNUSUAL] }),
+  ].filter(Boolean);
+
+  return (
+    <section className={styles.review} aria-labelledby="survey-review-title">
+      <h2 id="survey-review-title" className={styles.title} tabIndex={-1} ref={headingRef}>{t('review.title')}</h2>
+      <p className={styles.intro}>{t('review.intro')}</p>
+      <p className={blocked ? `${styles.summary} ${styles.summaryBlocked}` : styles.summary}>
+        {summary.length > 0 ? summary.join(' ') : t('review.summary.complete', { count: total })}
+      </p>
+      <div className={styles.tools}>
+        <button type="button" className={styles.secondaryButton} onClick={() => window.print()}>{t('review.print')}</button>
+        <button type="button" className={styles.secondaryButton} onClick={onDownloadPdf}>{t('review.downloadPdf')}</button>
+      </div>
+
+      {sections.map(({ title, stepIndex, items }) => (
+        <div key={stepIndex} className={styles.section}>
+          <h3>{title}</h3>
+          <ol className={styles.items}>
+            {items.map(({ question, answerText, flag, message }) => (
+              <li key={question.question_id} className={flag ? `${styles.item} ${FLAG_CLASSES[flag]}` : styles.item}>
+                <div className={styles.itemText}>
+                  <p className={styles.question}>{question.content}</p>
+                  <p className={styles.answer}>
+                    {flag === ReviewFlag.UNANSWERED ? <i>{t('review.notAnswered')}</i> : answerText}
+                  </p>
+                  {flag && (
+                    <p className={styles.flag}>
+                      <strong>{t(`review.flags.${flag}`)}</strong>{message && ` ${message}`}
+                    </p>
+                  )}
+                </div>
+                {canEdit(question) && (
+                  <button
+                    type="button"
+                    className={styles.editButton}
+                    onClick={() => onEdit(stepIndex, question.question_id)}
+                    aria-label={t('review.editLabel', { question: question.content })}
+                  >
+                    {t('review.edit')}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+
+      <div className={styles.confirmation}>
+        {blocked && <p className={styles.blockedNote}>{t('review.blocked')}</p>}
+        <label className={styles.confirm}>
+          <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} disabled={blocked} />
+          {t('review.confirm')}
+        </label>
+        <div className={styles.actions}>
+          <button type="button" className={styles.secondaryButton} onClick={onBack} disabled={submitting}>{t('review.back')}</button>
+          <button type="button" onClick={onSubmit} disabled={blocked || !confirmed || submitting}>
+            {submitting ? t('survey.submitting') : t('survey.submit')}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default SurveyReview;
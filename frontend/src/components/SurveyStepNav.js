@@ -0,0 +1,46 @@
+// src/components/SurveyStepNav.js
+import React from 'react';
+import { incompleteQuestions } from '../utils/surveySteps';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './SurveyStepNav.module.css';
+
+/**
+ * Summary of all survey steps with their answered counts. Any step can be
+ * opened from here, so users can jump straight back to a section they skipped.
+ * @param {{ steps: Array<object>, responses: object, currentIndex: number, onSelect: Function }} props
+ */
+const SurveyStepNav = ({ steps, responses, currentIndex, onSelect }) => {
+  const { t } = useLanguage();
+
+  return (
+    <nav aria-label={t('survey.sections')}>
+      <ol className={styles.stepList}>
+        {steps.map((step, index) => {
+          const missing = incompleteQuestions(step, responses).length;
+          const answered = step.questions.length - missing;
+          const classNames = [
+            styles.stepItem,
+            missing === 0 ? styles.complete : styles.incomplete,
+            index === currentIndex ? styles.current : '',
+          ].join(' ');
+
+          return (
+            <li key={step.id}>
+              <button
+                type="button"
+                className={classNames}
+                onClick={() => onSelect(index)}
+                aria-current={index === currentIndex ? 'step' : undefined}
+              >
+                <span className={styles.stepTitle}>{index + 1}. {step.title}</span>
+                <span className={styles.stepCount}>{answered}/{step.questions.length}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+};
+
+export default SurveyStepNav;
@@ -0,0 +1,33 @@
+// src/components/ThemeSwitcher.js
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { useTheme } from '../context/ThemeContext';
+import { THEMES } from '../theme';
+import styles from './ThemeSwitcher.module.css';
+
+const THEME_LABELS = {
+  light: 'theme.light',
+  dark: 'theme.dark',
+  'high-contrast': 'theme.highContrast',
+};
+
+/**
+ * Select for the colour theme. The choice is remembered on this device.
+ */
+const ThemeSwitcher = () => {
+  const { theme, setTheme } = useTheme();
+  const { t } = useLanguage();
+
+  return (
+    <label className={styles.switcher}>
+      <span className={styles.label}>{t('theme.label')}</span>
+      <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+        {THEMES.map((code) => (
+          <option key={code} value={code}>{t(THEME_LABELS[code])}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ThemeSwitcher;
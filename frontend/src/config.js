@@ -0,0 +1,44 @@
+// src/config.js
+// Runtime configuration for the frontend.
+//
+// Values are resolved in this order (later wins):
+//   1. Built-in defaults (the Render deployment)
+//   2. Build-time env vars: REACT_APP_API_BASE_URL, REACT_APP_USE_MOCK_API
+//   3. A served `config.json` next to index.html (lets one build target any backend)
+
+const DEFAULT_API_BASE_URL = "https://test-render-backend-jpp0.onrender.com";
+
+const defaults = {
+  apiBaseUrl: process.env.REACT_APP_API_BASE_URL || DEFAULT_API_BASE_URL,
+  useMockBackend: process.env.REACT_APP_USE_MOCK_API === "true",
+  // Client name, logo and colours for a white-labelled deployment (see src/theme/index.js)
+  branding: {},
+};
+
+let currentConfig = { ...defaults };
+
+// Drop null/empty values so a partial config.json doesn't blank out defaults
+const pickDefined = (obj) =>
+  Object.fromEntries(
+    Object.entries(obj || {}).filter(([, value]) => value !== null && value !== undefined && value !== "")
+  );
+
+/**
+ * Fetches `config.json` from the public folder and merges it over the defaults.
+ * A missing or malformed file is not an error: the build-time values are used.
+ */
+export const loadConfig = async () => {
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL || ""}/config.json`, { cache: "no-store" });
+    if (response.ok) {
+      const runtimeConfig = await response.json();
+      currentConfig = { ...defaults, ...pickDefined(runtimeConfig) };
+    }
+  } catch (error) {
+    // Static hosts often rewrite unknown paths to index.html, which fails JSON parsing
+    console.info("No runtime config.json found, using build-time configuration.");
+  }
+  return currentConfig;
+};
+
+export const getConfig = () => currentConfig;
@@ -0,0 +1,177 @@
+// src/context/AuthContext.js
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { createSession, getCurrentUser, refreshAccessToken, setUnauthorizedHandler } from '../services/api';
+import { clearAuthToken, getAccessToken, getTokenExpiry, subscribeToTokenChanges } from '../services/authToken';
+import { isConnectionError } from '../services/offlineQueue';
+import { clearCachedQuestions } from '../serviceWorkerRegistration';
+import { useLanguage } from './LanguageContext';
+import { NotificationLevel, useNotifications } from './NotificationContext';
+
+// Define possible status states
+export const AuthStatus = {
+  VALIDATING: 'VALIDATING', // Checking an existing token via getCurrentUser
+  AUTHENTICATED: 'AUTHENTICATED', // Token is valid and the user is loaded
+  UNAUTHENTICATED: 'UNAUTHENTICATED', // No valid token, show login
+};
+
+const AuthContext = createContext(null);
+
+// Notification id, so a burst of 401s shows one message and login can clear it
+const EXPIRED_NOTIFICATION_ID = 'session-expired';
+
+// The user as last loaded, so a reload without a connection doesn't sign them out
+const USER_KEY = 'current_user';
+
+const readStoredUser = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Also on an expired session: the next user of this browser mustn't see the cached questions
+const clearStoredAuth = () => {
+  clearAuthToken();
+  sessionStorage.removeItem('session_id');
+  sessionStorage.removeItem(USER_KEY);
+  clearCachedQuestions();
+};
+
+/**
+ * App-wide authentication state. Must be rendered inside the Router because
+ * logout and expired-token handling redirect to /login in-app, and inside the
+ * NotificationProvider, which tells the user why they were logged out.
+ */
+export const AuthProvider = ({ children }) => {
+  const [status, setStatus] = useState(AuthStatus.VALIDATING);
+  const [user, setUser] = useState(null);
+  const [sessionId, setSessionId] = useState(() => sessionStorage.getItem('session_id'));
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(getTokenExpiry);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t } = useLanguage();
+  const { notify, dismiss } = useNotifications();
+
+  // --- Load the current user for the stored token ---
+  const loadUser = useCallback(async () => {
+    if (!getAccessToken()) {
+      setUser(null);
+      setStatus(AuthStatus.UNAUTHENTICATED);
+      return;
+    }
+    setStatus(AuthStatus.VALIDATING);
+    try {
+      const currentUser = await getCurrentUser();
+      sessionStorage.setItem(USER_KEY, JSON.stringify(currentUser));
+      setUser(currentUser);
+      setSessionId(sessionStorage.getItem('session_id'));
+      setStatus(AuthStatus.AUTHENTICATED);
+    } catch (error) {
+      // Offline the token can't be checked; it is trusted until the backend is reachable again
+      const storedUser = readStoredUser();
+      if (isConnectionError(error) && storedUser) {
+        console.warn('AuthProvider: offline, continuing as the user loaded earlier.');
+        setUser(storedUser);
+        setSessionId(sessionStorage.getItem('session_id'));
+        setStatus(AuthStatus.AUTHENTICATED);
+        return;
+      }
+      // A 401 is handled by the unauthorized handler below; anything else means we can't verify
+      console.error('AuthProvider: token validation failed.', error);
+      clearStoredAuth();
+      setUser(null);
+      setSessionId(null);
+      setStatus(AuthStatus.UNAUTHENTICATED);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUser();
+  }, [loadUser]);
+
+  // --- Track token expiry (login, silent refresh and logout all go through authToken) ---
+  useEffect(() => subscribeToTokenChanges(setTokenExpiresAt), []);
+
+  // --- Called by the login page once AuthForm has stored the token ---
+  const completeLogin = useCallback(() => {
+    dismiss(EXPIRED_NOTIFICATION_ID);
+    return loadUser();
+  }, [loadUser, dismiss]);
+
+  // --- Make an existing assessment the active one (from the /assessments dashboard) ---
+  const selectSession = useCallback((id) => {
+    sessionStorage.setItem('session_id', id);
+    setSessionId(id);
+  }, []);
+
+  // --- Start a new assessment on purpose; returns the new session ID ---
+  const startNewSession = useCallback(async () => {
+    const { session_id: newSessionId } = await createSession();
+    selectSession(newSessionId);
+    return newSessionId;
+  }, [selectSession]);
+
+  const logout = useCallback(() => {
+    clearStoredAuth();
+    setUser(null);
+    setSessionId(null);
+    setStatus(AuthStatus.UNAUTHENTICATED);
+    navigate('/login', { replace: true });
+  }, [navigate]);
+
+  // --- Token could not be renewed: drop auth state and send the user to /login ---
+  // Keeps the current location so the user returns to where they were.
+  const expireSession = useCallback(() => {
+    clearStoredAuth();
+    setUser(null);
+    setSessionId(null);
+    setStatus(AuthStatus.UNAUTHENTICATED);
+    notify({ id: EXPIRED_NOTIFICATION_ID, level: NotificationLevel.WARNING, message: t('auth.expired') });
+    if (location.pathname !== '/login') {
+      navigate('/login', { replace: true, state: { from: location } });
+    }
+  }, [navigate, location, notify, t]);
+
+  // --- Renew the token before it expires (used by SessionExpiryWarning) ---
+  const extendSession = useCallback(async () => {
+    try {
+      await refreshAccessToken();
+      return true;
+    } catch (error) {
+      console.error('AuthProvider: could not extend the session.', error);
+      expireSession();
+      return false;
+    }
+  }, [expireSession]);
+
+  // --- Replace the interceptor's hard reload with an in-app redirect ---
+  useEffect(() => {
+    setUnauthorizedHandler(expireSession);
+    return () => setUnauthorizedHandler(null);
+  }, [expireSession]);
+
+  const value = useMemo(() => ({
+    status,
+    user,
+    sessionId,
+    isAuthenticated: status === AuthStatus.AUTHENTICATED,
+    tokenExpiresAt,
+    completeLogin,
+    selectSession,
+    startNewSession,
+    extendSession,
+    logout,
+  }), [status, user, sessionId, tokenExpiresAt, completeLogin, selectSession, startNewSession, extendSession, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,60 @@
+import React from 'react';
+import { act, fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { Route, Routes } from 'react-router-dom';
+import { renderWithProviders } from '../testing/render';
+import { getCurrentUser, setUnauthorizedHandler } from '../services/api';
+import { storeAuthToken } from '../services/authToken';
+import { clearCachedQuestions } from '../serviceWorkerRegistration';
+import { AuthProvider, useAuth } from './AuthContext';
+
+jest.mock('../services/api');
+jest.mock('../serviceWorkerRegistration');
+
+const SurveyStub = () => <p>Survey ({useAuth().status})</p>;
+
+const LoginStub = () => {
+  const { completeLogin } = useAuth();
+  return <button type="button" onClick={completeLogin}>Log in</button>;
+};
+
+const renderApp = async () => {
+  renderWithProviders(
+    <AuthProvider>
+      <Routes>
+        <Route path="/login" element={<LoginStub />} />
+        <Route path="/survey" element={<SurveyStub />} />
+      </Routes>
+    </AuthProvider>,
+    { route: '/survey' }
+  );
+  await screen.findByText('Survey (AUTHENTICATED)'); // The stored token was validated
+};
+
+// The handler AuthProvider registered for the response interceptor's 401s
+const unauthorizedHandler = () => setUnauthorizedHandler.mock.calls.filter(([handler]) => handler).pop()[0];
+
+beforeEach(() => {
+  storeAuthToken({ access_token: 'token', expires_in: 3600 });
+  getCurrentUser.mockResolvedValue({ username: 'alice' });
+});
+
+afterEach(() => sessionStorage.clear());
+
+test('an expired session sends the user to /login with a notification', async () => {
+  await renderApp();
+
+  act(() => {
+    unauthorizedHandler()();
+    unauthorizedHandler()(); // A burst of 401s shows the message once
+  });
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  expect(within(notifications).getByRole('listitem')).toHaveTextContent('Your session has expired. Please log in again.');
+  expect(screen.getByRole('button', { name: 'Log in' })).toBeInTheDocument();
+  expect(clearCachedQuestions).toHaveBeenCalled(); // They belong to the user who was signed in
+
+  // Logging in again clears it
+  act(() => storeAuthToken({ access_token: 'token', expires_in: 3600 }));
+  fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+  await waitFor(() => expect(within(notifications).queryByRole('listitem')).not.toBeInTheDocument());
+});
@@ -0,0 +1,50 @@
+// src/context/LanguageContext.js
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { setApiLanguage } from '../services/api';
+import { DEFAULT_LANGUAGE, createI18n, matchLanguage } from '../i18n';
+
+const STORAGE_KEY = 'language';
+
+const LanguageContext = createContext(null);
+
+// The user's earlier choice, else the browser's preferred languages
+const initialLanguage = () =>
+  matchLanguage([localStorage.getItem(STORAGE_KEY)])
+  || matchLanguage(typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])
+  || DEFAULT_LANGUAGE;
+
+/**
+ * App-wide UI language. The choice is remembered on this device and sent to
+ * the backend as Accept-Language, so question content and the report come back
+ * in the same language.
+ */
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(initialLanguage);
+
+  // Applied during render so requests made by child effects already carry the header
+  setApiLanguage(language);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = useCallback((code) => {
+    localStorage.setItem(STORAGE_KEY, code);
+    setLanguageState(code);
+  }, []);
+
+  const value = useMemo(() => ({ ...createI18n(language), setLanguage }), [language, setLanguage]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+/**
+ * @returns {{ language: string, setLanguage: Function, t: Function, formatNumber: Function, formatPercent: Function, formatDate: Function, formatDateTime: Function, formatTime: Function }}
+ */
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useLanguage must be used within a LanguageProvider');
+  }
+  return context;
+};
@@ -0,0 +1,78 @@
+// src/context/NotificationContext.js
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+
+export const NotificationLevel = {
+  SUCCESS: 'success',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+// Older notifications are dropped once this many are stacked
+const MAX_NOTIFICATIONS = 4;
+
+// How long a notification stays up, in ms; null keeps it until dismissed.
+// Problems stay until the user has read them, confirmations go away on their own.
+const DEFAULT_DURATIONS = {
+  [NotificationLevel.SUCCESS]: 5000,
+  [NotificationLevel.WARNING]: null,
+  [NotificationLevel.ERROR]: null,
+};
+
+// Gives the user time to reach an undo button
+const ACTION_DURATION_MS = 10000;
+
+const NotificationContext = createContext(null);
+
+/**
+ * App-wide toast notifications, shown by NotificationCenter. Use these instead
+ * of alert() for anything the user should know about that isn't part of a form.
+ */
+export const NotificationProvider = ({ children }) => {
+  const [notifications, setNotifications] = useState([]);
+  const nextIdRef = useRef(1);
+
+  const dismiss = useCallback((id) => {
+    setNotifications((current) => current.filter((notification) => notification.id !== id));
+  }, []);
+
+  /**
+   * Shows a notification and returns its id.
+   * @param {{ level?: string, message: string, action?: { label: string, onClick: Function },
+   *   duration?: number|null, id?: string }} options
+   *   Passing an existing id replaces that notification (e.g. one per failed save).
+   *   The action's button also dismisses the notification.
+   * @returns {string}
+   */
+  const notify = useCallback(({ level = NotificationLevel.SUCCESS, message, action, duration, id }) => {
+    const notificationId = id || `notification-${nextIdRef.current}`;
+    const defaultDuration = action && level === NotificationLevel.SUCCESS ? ACTION_DURATION_MS : DEFAULT_DURATIONS[level];
+    const notification = {
+      id: notificationId,
+      serial: nextIdRef.current++, // Grows with every call, replacements included, so they are announced again
+      level,
+      message,
+      action,
+      duration: duration === undefined ? defaultDuration : duration,
+    };
+    setNotifications((current) => [
+      ...current.filter((item) => item.id !== notificationId),
+      notification,
+    ].slice(-MAX_NOTIFICATIONS));
+    return notificationId;
+  }, []);
+
+  const value = useMemo(() => ({ notifications, notify, dismiss }), [notifications, notify, dismiss]);
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+};
+
+/**
+ * @returns {{ notifications: Array<object>, notify: Function, dismiss: Function }}
+ */
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
@@ -0,0 +1,48 @@
+// src/context/ThemeContext.js
+import React, { createContext, useCallback, useContext, useLayoutEffect, useMemo, useState } from 'react';
+import { getConfig } from '../config';
+import { matchTheme, preferredTheme } from '../theme';
+
+const STORAGE_KEY = 'theme';
+
+const ThemeContext = createContext(null);
+
+// The user's earlier choice, else what the operating system asks for
+const initialTheme = () => matchTheme(localStorage.getItem(STORAGE_KEY)) || preferredTheme();
+
+/**
+ * App-wide colour theme (light, dark or high contrast), remembered on this
+ * device, plus the client branding from config.json. Brand colours are applied
+ * once at startup (see index.js); this only exposes the name and logo.
+ */
+export const ThemeProvider = ({ children }) => {
+  const [theme, setThemeState] = useState(initialTheme);
+
+  // Before paint, so a dark theme doesn't flash light first
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const setTheme = useCallback((value) => {
+    const next = matchTheme(value);
+    if (!next) return;
+    localStorage.setItem(STORAGE_KEY, next);
+    setThemeState(next);
+  }, []);
+
+  // config.json has been loaded before the app renders (see index.js)
+  const value = useMemo(() => ({ theme, setTheme, branding: getConfig().branding || {} }), [theme, setTheme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+/**
+ * @returns {{ theme: string, setTheme: Function, branding: { name?: string, logoUrl?: string, colors?: object } }}
+ */
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+};
@@ -0,0 +1,31 @@
+import React from 'react';
+import { fireEvent, screen } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+
+afterEach(() => {
+  localStorage.clear();
+  delete document.documentElement.dataset.theme;
+  delete window.matchMedia;
+});
+
+describe('ThemeProvider', () => {
+  it('applies the chosen theme and remembers it', () => {
+    const { unmount } = renderWithProviders(<ThemeSwitcher />);
+    expect(document.documentElement.dataset.theme).toBe('light');
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Colour theme' }), { target: { value: 'high-contrast' } });
+    expect(document.documentElement.dataset.theme).toBe('high-contrast');
+    unmount();
+
+    renderWithProviders(<ThemeSwitcher />);
+    expect(screen.getByRole('combobox', { name: 'Colour theme' })).toHaveValue('high-contrast');
+  });
+
+  it("starts in the operating system's theme until the user picks one", () => {
+    window.matchMedia = (query) => ({ matches: query === '(prefers-color-scheme: dark)' });
+    renderWithProviders(<ThemeSwitcher />);
+    expect(document.documentElement.dataset.theme).toBe('dark');
+    expect(localStorage.getItem('theme')).toBeNull();
+  });
+});
@@ -0,0 +1,17 @@
+// src/hooks/useFocusOnChange.js
+import { useEffect } from 'react';
+
+/**
+ * Moves keyboard focus to `ref` whenever `key` changes to a non-empty value,
+ * so that screen reader and keyboard users land on the content that replaced
+ * what they were looking at (e.g. a heading, given tabIndex={-1}).
+ * Pass null as the key while there is nothing to focus yet.
+ */
+const useFocusOnChange = (ref, key) => {
+  useEffect(() => {
+    if (key === null || key === undefined) return;
+    ref.current?.focus();
+  }, [ref, key]);
+};
+
+export default useFocusOnChange;
@@ -0,0 +1,85 @@
+// src/hooks/useOfflineSync.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { deleteSurveyDraft, sendQueuedSubmissions, setQueueUser } from '../services/api';
+import { QueuedKind } from '../services/offlineQueue';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import useOnlineStatus from './useOnlineStatus';
+import useQueuedSubmissions from './useQueuedSubmissions';
+import { removeLocalDraft } from './useSurveyDraft';
+
+// While online with submissions waiting: the browser may say online on a link that still drops requests
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+// Notification id for the "sent" message, replaced by the next one
+const SYNCED_NOTIFICATION_ID = 'offline-synced';
+
+/**
+ * Sends the user's queued submissions (see services/offlineQueue) as soon as
+ * the browser is back online, then every 30 seconds while some are left, and
+ * reports what was sent or refused as notifications. Only to be used once, by
+ * ConnectionStatus.
+ * @param {string} [username] - The signed-in user; nothing is queued or sent without one
+ * @returns {{ online: boolean, pending: Array<object>, syncing: boolean, syncNow: Function }}
+ */
+const useOfflineSync = (username) => {
+  const online = useOnlineStatus();
+  const pending = useQueuedSubmissions(username);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const { t, formatDateTime } = useLanguage();
+  const { notify } = useNotifications();
+
+  // Submissions that can't get through are queued for this user from now on
+  useEffect(() => {
+    setQueueUser(username || null);
+    return () => setQueueUser(null);
+  }, [username]);
+
+  const syncNow = useCallback(async () => {
+    if (!username || syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const { sent, rejected } = await sendQueuedSubmissions(username);
+      if (sent.length > 0) notify({ id: SYNCED_NOTIFICATION_ID, message: t('offline.synced', { count: sent.length }) });
+      // A queued survey keeps its draft until it is sent; a refused one keeps it for good
+      await Promise.all(sent.filter((entry) => entry.kind === QueuedKind.SURVEY).map(async ({ payload }) => {
+        removeLocalDraft(payload.session_id);
+        try {
+          await deleteSurveyDraft(payload.session_id);
+        } catch (error) {
+          console.warn('useOfflineSync: could not delete the server draft of a sent survey.', error);
+        }
+      }));
+      rejected.forEach(({ entry, error }) => notify({
+        level: NotificationLevel.ERROR,
+        message: t(entry.kind === QueuedKind.SURVEY ? 'offline.surveyRejected' : 'offline.rejected', {
+          date: formatDateTime(entry.queued_at),
+          detail: error.response?.data?.detail || error.message,
+        }),
+      }));
+    } catch (error) {
+      console.error('useOfflineSync: sending queued submissions failed.', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [username, notify, t, formatDateTime]);
+
+  // The interval calls whatever syncNow is current, so a language change doesn't restart it
+  const syncRef = useRef(syncNow);
+  syncRef.current = syncNow;
+  const hasPending = pending.length > 0;
+
+  useEffect(() => {
+    if (!online || !hasPending) return undefined;
+    syncRef.current();
+    const intervalId = setInterval(() => syncRef.current(), RETRY_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [online, hasPending, username]);
+
+  return { online, pending, syncing, syncNow };
+};
+
+export default useOfflineSync;
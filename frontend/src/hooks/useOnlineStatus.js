@@ -0,0 +1,28 @@
+// src/hooks/useOnlineStatus.js
+import { useEffect, useState } from 'react';
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Whether the browser thinks it has a connection. It can be wrong in one
+ * direction only: "online" may still mean requests fail (a captive portal, a
+ * flaky link), but "offline" is reliable.
+ * @returns {boolean}
+ */
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;
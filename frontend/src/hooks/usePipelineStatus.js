@@ -0,0 +1,205 @@
+// src/hooks/usePipelineStatus.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getRecommendationsStatus, subscribeToPipelineStatus } from '../services/api';
+import { backoffDelay, isFinalStatus, isKnownStatus } from '../utils/pipelineStatus';
+
+export const WatchMode = {
+  STREAM: 'stream',
+  POLLING: 'polling',
+};
+
+export const PauseReason = {
+  HIDDEN: 'hidden',
+  OFFLINE: 'offline',
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 12000;
+const DEFAULT_STALL_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_RETRIES = 5;
+
+const currentPauseReason = () => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return PauseReason.OFFLINE;
+  if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return PauseReason.HIDDEN;
+  return null;
+};
+
+/**
+ * Watches a session's pipeline status: the push stream when it's available,
+ * otherwise polling. Failed polls are retried with jittered exponential backoff
+ * up to `maxRetries` times before `connectionLost` is raised. Watching pauses
+ * while the tab is hidden or the browser is offline and picks up again (with an
+ * immediate check) when it comes back. `stalled` turns on when a non-final
+ * status hasn't changed for `stallTimeoutMs`.
+ *
+ * @param {string} sessionId
+ * @param {object} [options]
+ * @param {Function} [options.stopWhen] - Status predicate that ends watching (default: final statuses)
+ * @param {Function} [options.onQuestions] - Receives follow-up questions pushed by the stream
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.stallTimeoutMs]
+ * @param {number} [options.maxRetries]
+ */
+const usePipelineStatus = (sessionId, {
+  stopWhen = isFinalStatus,
+  onQuestions,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  stallTimeoutMs = DEFAULT_STALL_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+} = {}) => {
+  const [snapshot, setSnapshot] = useState({ status: null, url: null, errorMessage: '' });
+  const [updateCount, setUpdateCount] = useState(0);
+  const [mode, setMode] = useState(WatchMode.STREAM);
+  const [pauseReason, setPauseReason] = useState(currentPauseReason);
+  const [connectionLost, setConnectionLost] = useState(false);
+  const [stalled, setStalled] = useState(false);
+  const [restartToken, setRestartToken] = useState(0);
+
+  const stoppedRef = useRef(false);
+  const streamFailedRef = useRef(false);
+  const lastStatusRef = useRef(null);
+  const lastChangeAtRef = useRef(Date.now());
+  // Callbacks live in refs so new closures from the caller don't reconnect the watcher
+  const stopWhenRef = useRef(stopWhen);
+  const onQuestionsRef = useRef(onQuestions);
+  stopWhenRef.current = stopWhen;
+  onQuestionsRef.current = onQuestions;
+
+  // --- Reset when the session changes ---
+  useEffect(() => {
+    stoppedRef.current = false;
+    streamFailedRef.current = false;
+    lastStatusRef.current = null;
+    lastChangeAtRef.current = Date.now();
+    setSnapshot({ status: null, url: null, errorMessage: '' });
+    setMode(WatchMode.STREAM);
+    setConnectionLost(false);
+    setStalled(false);
+  }, [sessionId]);
+
+  // --- Follow tab visibility and connectivity ---
+  useEffect(() => {
+    const update = () => setPauseReason(currentPauseReason());
+    document.addEventListener('visibilitychange', update);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      document.removeEventListener('visibilitychange', update);
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // --- Stream or poll while active ---
+  useEffect(() => {
+    if (!sessionId || pauseReason || connectionLost || stoppedRef.current) return undefined;
+
+    let cancelled = false;
+    let timeoutId = null;
+    let closeStream = () => {};
+    let failures = 0;
+
+    const applyStatus = (result) => {
+      const status = result?.status;
+      if (!isKnownStatus(status)) {
+        console.warn(`Received unknown pipeline status: ${status}. Still watching.`);
+      }
+      if (lastStatusRef.current !== status) {
+        lastStatusRef.current = status;
+        lastChangeAtRef.current = Date.now();
+        setStalled(false);
+      }
+      setSnapshot({ status, url: result?.url || null, errorMessage: result?.error_message || '' });
+      setUpdateCount((count) => count + 1);
+      if (stopWhenRef.current(status)) {
+        stoppedRef.current = true;
+        return true;
+      }
+      return false;
+    };
+
+    const poll = async () => {
+      try {
+        const result = await getRecommendationsStatus(sessionId);
+        if (cancelled) return;
+        failures = 0;
+        if (applyStatus(result)) return;
+        timeoutId = setTimeout(poll, pollIntervalMs);
+      } catch (error) {
+        if (cancelled) return;
+        failures += 1;
+        if (failures > maxRetries) {
+          console.error(`Giving up on pipeline status after ${maxRetries} retries.`, error);
+          setConnectionLost(true);
+          return;
+        }
+        const delay = backoffDelay(failures, { maxMs: Math.max(pollIntervalMs, 60000) });
+        console.warn(`Status check failed (attempt ${failures}), retrying in ${delay}ms.`, error);
+        timeoutId = setTimeout(poll, delay);
+      }
+    };
+
+    const startPolling = () => {
+      setMode(WatchMode.POLLING);
+      poll();
+    };
+
+    if (streamFailedRef.current) {
+      startPolling();
+    } else {
+      setMode(WatchMode.STREAM);
+      closeStream = subscribeToPipelineStatus(sessionId, {
+        onStatus: (result) => {
+          if (cancelled) return;
+          if (applyStatus(result)) closeStream();
+        },
+        onQuestions: (questions) => {
+          if (!cancelled) onQuestionsRef.current?.(questions);
+        },
+        onError: (streamError) => {
+          if (cancelled) return;
+          console.warn('Status stream unavailable, falling back to polling.', streamError);
+          streamFailedRef.current = true;
+          closeStream();
+          startPolling();
+        },
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+      closeStream();
+    };
+  }, [sessionId, pauseReason, connectionLost, restartToken, pollIntervalMs, maxRetries]);
+
+  // --- Stall detection ---
+  const { status } = snapshot;
+  useEffect(() => {
+    if (!status || pauseReason || stopWhenRef.current(status)) return undefined;
+    const remaining = stallTimeoutMs - (Date.now() - lastChangeAtRef.current);
+    const timeoutId = setTimeout(() => setStalled(true), Math.max(0, remaining));
+    return () => clearTimeout(timeoutId);
+  }, [status, pauseReason, stallTimeoutMs]);
+
+  // Check again right away, e.g. after submitting answers or when the user asks to retry
+  const refresh = useCallback(() => {
+    stoppedRef.current = false;
+    setConnectionLost(false);
+    setRestartToken((token) => token + 1);
+  }, []);
+
+  return {
+    status,
+    url: snapshot.url,
+    errorMessage: snapshot.errorMessage,
+    isUnknownStatus: status !== null && !isKnownStatus(status),
+    updateCount,
+    mode,
+    pauseReason,
+    connectionLost,
+    stalled,
+    refresh,
+  };
+};
+
+export default usePipelineStatus;
@@ -0,0 +1,23 @@
+// src/hooks/useQueuedSubmissions.js
+import { useEffect, useState } from 'react';
+import { getQueuedSubmissions, subscribeToQueue } from '../services/offlineQueue';
+
+/**
+ * A user's submissions waiting to be sent (see services/offlineQueue), kept up
+ * to date as entries are queued and sent, also from other tabs.
+ * @param {string} [username] - Nothing is listed without one
+ * @returns {Array<object>} Queue entries, oldest first
+ */
+const useQueuedSubmissions = (username) => {
+  const [entries, setEntries] = useState(() => (username ? getQueuedSubmissions(username) : []));
+
+  useEffect(() => {
+    const update = () => setEntries(username ? getQueuedSubmissions(username) : []);
+    update();
+    return subscribeToQueue(update);
+  }, [username]);
+
+  return entries;
+};
+
+export default useQueuedSubmissions;
@@ -0,0 +1,187 @@
+// src/hooks/useSurveyDraft.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { deleteSurveyDraft, getSurveyDraft, saveSurveyDraft } from '../services/api';
+
+export const SaveState = {
+  IDLE: 'idle',
+  SAVING: 'saving',
+  SAVED: 'saved', // Saved locally and on the server
+  LOCAL_ONLY: 'local_only', // Server save failed, answers are only on this device
+};
+
+const REMOTE_SAVE_DEBOUNCE_MS = 1500;
+
+const NO_OTHERS = new Set();
+
+const draftKey = (sessionId) => `survey_draft_${sessionId}`;
+
+// localStorage (not sessionStorage) so drafts survive a closed tab or a crash
+const readLocalDraft = (sessionId) => {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(sessionId)));
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeLocalDraft = (sessionId, draft) => localStorage.setItem(draftKey(sessionId), JSON.stringify(draft));
+
+// Also used once a survey queued offline has been sent (see hooks/useOfflineSync)
+export const removeLocalDraft = (sessionId) => localStorage.removeItem(draftKey(sessionId));
+
+const hasAnswers = (draft) => !!draft && Object.keys(draft.responses || {}).length > 0;
+
+// Leaves out the answers to questions someone else answers
+const ownPart = (draft, othersIds) => {
+  if (!draft || othersIds.size === 0) return draft;
+  const responses = Object.fromEntries(Object.entries(draft.responses || {}).filter(([questionId]) => !othersIds.has(questionId)));
+  return { ...draft, responses };
+};
+
+// Pick whichever copy was saved last
+const newestDraft = (localDraft, remoteDraft) => {
+  const candidates = [localDraft, remoteDraft].filter(hasAnswers);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((newest, draft) =>
+    new Date(draft.updated_at) > new Date(newest.updated_at) ? draft : newest
+  );
+};
+
+/**
+ * Autosaves survey answers per session, to localStorage immediately and to the
+ * backend draft endpoint (debounced). On mount it looks for an existing draft
+ * and exposes it as `pendingDraft` so the page can offer to resume it; autosave
+ * stays off until the user resumes or discards, so an empty form never
+ * overwrites saved answers.
+ *
+ * `serverDraft` is the draft as the server last returned it. In a shared
+ * session it also holds the answers of the other people and who gave each
+ * answer (`answered_by`, see utils/team); `pendingDraft` only has the user's own.
+ *
+ * @param {string} sessionId
+ * @param {object} responses - Current answers keyed by question_id
+ * @param {Set<string>} [othersIds] - Question IDs someone else answers
+ */
+const useSurveyDraft = (sessionId, responses, othersIds = NO_OTHERS) => {
+  // { localDraft, remoteDraft } found on load, until the user resumes or discards
+  const [foundDrafts, setFoundDrafts] = useState(null);
+  const [draftChecked, setDraftChecked] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [saveState, setSaveState] = useState(SaveState.IDLE);
+  const [serverDraft, setServerDraft] = useState(null);
+  const lastSavedJsonRef = useRef(null);
+  const remoteTimeoutRef = useRef(null);
+
+  // --- Look for an existing draft (local and remote) ---
+  useEffect(() => {
+    let cancelled = false;
+    setDraftChecked(false);
+    setFoundDrafts(null);
+    setLastSavedAt(null);
+    setServerDraft(null);
+
+    const loadDraft = async () => {
+      const localDraft = readLocalDraft(sessionId);
+      let remoteDraft = null;
+      try {
+        remoteDraft = await getSurveyDraft(sessionId);
+      } catch (error) {
+        console.warn('useSurveyDraft: could not load server draft, using local copy only.', error);
+      }
+      if (cancelled) return;
+      setServerDraft(remoteDraft);
+      setFoundDrafts({ localDraft, remoteDraft });
+      setDraftChecked(true);
+    };
+
+    if (sessionId) loadDraft();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  // Follows the team: the draft to resume changes once it is known who answers what
+  const pendingDraft = useMemo(() => (foundDrafts
+    ? newestDraft(ownPart(foundDrafts.localDraft, othersIds), ownPart(foundDrafts.remoteDraft, othersIds))
+    : null), [foundDrafts, othersIds]);
+
+  // --- Autosave on every change once the resume decision is made ---
+  useEffect(() => {
+    if (!sessionId || !draftChecked || pendingDraft) return undefined;
+    const json = JSON.stringify(responses);
+    if (Object.keys(responses).length === 0 || json === lastSavedJsonRef.current) return undefined;
+
+    const updatedAt = new Date().toISOString();
+    writeLocalDraft(sessionId, { responses, updated_at: updatedAt });
+    lastSavedJsonRef.current = json;
+    setLastSavedAt(updatedAt);
+    setSaveState(SaveState.SAVING);
+
+    clearTimeout(remoteTimeoutRef.current);
+    remoteTimeoutRef.current = setTimeout(async () => {
+      try {
+        const result = await saveSurveyDraft(sessionId, responses);
+        setSaveState(SaveState.SAVED);
+        if (result?.updated_at) setLastSavedAt(result.updated_at);
+        if (result?.responses) setServerDraft(result);
+      } catch (error) {
+        console.warn('useSurveyDraft: server autosave failed, draft kept locally.', error);
+        setSaveState(SaveState.LOCAL_ONLY);
+      }
+    }, REMOTE_SAVE_DEBOUNCE_MS);
+    return undefined;
+  }, [sessionId, responses, draftChecked, pendingDraft]);
+
+  // Don't fire a stale server save after unmount or a session switch
+  useEffect(() => () => clearTimeout(remoteTimeoutRef.current), [sessionId]);
+
+  // --- Resume: hand the saved answers back to the page ---
+  const resumeDraft = useCallback(() => {
+    if (!pendingDraft) return {};
+    const { responses: savedResponses, updated_at: updatedAt } = pendingDraft;
+    lastSavedJsonRef.current = JSON.stringify(savedResponses);
+    setLastSavedAt(updatedAt);
+    setSaveState(SaveState.SAVED);
+    setFoundDrafts(null);
+    return savedResponses;
+  }, [pendingDraft]);
+
+  // --- Save to the server right away (before leaving the page) ---
+  // Throws when the save fails; the local copy is written by autosave already.
+  const saveNow = useCallback(async () => {
+    clearTimeout(remoteTimeoutRef.current);
+    const result = await saveSurveyDraft(sessionId, responses);
+    setSaveState(SaveState.SAVED);
+    if (result?.updated_at) setLastSavedAt(result.updated_at);
+    if (result?.responses) setServerDraft(result);
+    return result;
+  }, [sessionId, responses]);
+
+  // --- Remove the draft everywhere (discard, or after a successful submit) ---
+  const clearDraft = useCallback(async () => {
+    clearTimeout(remoteTimeoutRef.current);
+    removeLocalDraft(sessionId);
+    lastSavedJsonRef.current = null;
+    setFoundDrafts(null);
+    setLastSavedAt(null);
+    setSaveState(SaveState.IDLE);
+    try {
+      await deleteSurveyDraft(sessionId);
+    } catch (error) {
+      console.warn('useSurveyDraft: could not delete server draft.', error);
+    }
+  }, [sessionId]);
+
+  return {
+    draftChecked,
+    pendingDraft,
+    lastSavedAt,
+    saveState,
+    serverDraft,
+    resumeDraft,
+    saveNow,
+    clearDraft,
+  };
+};
+
+export default useSurveyDraft;
@@ -0,0 +1,57 @@
+// src/hooks/useTeam.js
+import { useCallback, useEffect, useState } from 'react';
+import { getTeam } from '../services/api';
+
+/**
+ * Loads the team of a session (see utils/team). While it loads, and when it
+ * can't be loaded, `team` is null, which utils/team reads as a session the user
+ * has to themselves; pages wait for `loading` and report `failed` instead of
+ * offering every question.
+ * @param {string} sessionId
+ * @returns {{ team: object|null, loading: boolean, failed: boolean, reload: Function }}
+ */
+const useTeam = (sessionId) => {
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      const data = await getTeam(sessionId);
+      setTeam(data || null);
+      setFailed(false);
+    } catch (error) {
+      console.error('useTeam: could not load the team.', error);
+      setFailed(true);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTeam(null);
+    setLoading(true);
+    setFailed(false);
+
+    const loadTeam = async () => {
+      try {
+        const data = await getTeam(sessionId);
+        if (!cancelled) setTeam(data || null);
+      } catch (error) {
+        console.error('useTeam: could not load the team.', error);
+        if (!cancelled) setFailed(true);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    if (sessionId) loadTeam();
+    else setLoading(false);
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  return { team, loading, failed, reload };
+};
+
+export default useTeam;
@@ -0,0 +1,115 @@
+// src/i18n/index.js
+// Translations and locale-aware formatting.
+//
+// Messages live in one catalog per language (./locales), nested by area and
+// looked up with dotted keys: t('survey.submit'). Placeholders are written as
+// {name}. A message with `one`/`other` forms is picked by the `count` param.
+// Keys missing from a catalog fall back to English, then to the key itself.
+//
+// Placeholder values may be React elements (t('header.signedInAs', { username: <strong>..</strong> })),
+// in which case t returns an array of children instead of a string.
+import { cloneElement, isValidElement } from 'react';
+import en from './locales/en';
+import de from './locales/de';
+import fr from './locales/fr';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'fr', label: 'Français' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, de, fr };
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * First supported language among the candidates ("de-CH" matches "de").
+ * @param {Array<string>} candidates - e.g. navigator.languages
+ * @returns {string|null}
+ */
+export const matchLanguage = (candidates = []) => {
+  for (const candidate of candidates) {
+    const code = String(candidate || '').toLowerCase().split('-')[0];
+    if (CATALOGS[code]) return code;
+  }
+  return null;
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const interpolate = (message, params) => {
+  if (!Object.values(params).some(isValidElement)) {
+    return message.replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+  }
+  const parts = [];
+  let lastIndex = 0;
+  message.replace(PLACEHOLDER, (match, name, offset) => {
+    parts.push(message.slice(lastIndex, offset));
+    const value = name in params ? params[name] : match;
+    parts.push(isValidElement(value) ? cloneElement(value, { key: `${name}-${offset}` }) : String(value));
+    lastIndex = offset + match.length;
+    return match;
+  });
+  parts.push(message.slice(lastIndex));
+  return parts.filter((part) => part !== '');
+};
+
+/**
+ * Translator and formatters for one language.
+ * @param {string} language - One of LANGUAGES
+ * @returns {{ language: string, t: Function, formatNumber: Function, formatPercent: Function, formatDate: Function, formatDateTime: Function, formatTime: Function }}
+ */
+export const createI18n = (language) => {
+  const code = CATALOGS[language] ? language : DEFAULT_LANGUAGE;
+  const pluralRules = new Intl.PluralRules(code);
+
+  const resolve = (key, params) => {
+    const found = lookup(CATALOGS[code], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (found && typeof found === 'object' && 'other' in found) {
+      const form = typeof params.count === 'number' ? pluralRules.select(params.count) : 'other';
+      return found[form] ?? found.other;
+    }
+    return typeof found === 'string' ? found : null;
+  };
+
+  const t = (key, params = {}) => {
+    const message = resolve(key, params);
+    if (message === null) {
+      console.warn(`Missing translation for "${key}"`);
+      return key;
+    }
+    return interpolate(message, params);
+  };
+
+  const formatNumber = (value, options) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? new Intl.NumberFormat(code, options).format(number) : String(value ?? '');
+  };
+
+  // 0.734 -> "73%" (or "73 %" in German)
+  const formatPercent = (fraction) => formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
+
+  // Dates may be Date objects, timestamps or ISO strings; plain "YYYY-MM-DD" dates are not shifted by the time zone
+  const toDate = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value));
+  const formatWith = (defaults) => (value, options) => {
+    if (value === null || value === undefined || value === '') return '';
+    const date = toDate(value);
+    return Number.isNaN(date.getTime()) ? String(value) : new Intl.DateTimeFormat(code, { ...defaults, ...options }).format(date);
+  };
+
+  return {
+    language: code,
+    t,
+    formatNumber,
+    formatPercent,
+    formatDate: formatWith({ dateStyle: 'medium' }),
+    formatDateTime: formatWith({ dateStyle: 'medium', timeStyle: 'short' }),
+    formatTime: formatWith({ timeStyle: 'medium' }),
+  };
+};
+
+// English, for code that runs outside the LanguageProvider (tests, exports)
+export const defaultI18n = createI18n(DEFAULT_LANGUAGE);
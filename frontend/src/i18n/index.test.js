@@ -0,0 +1,47 @@
+import React from 'react';
+import { createI18n, matchLanguage } from './index';
+
+test('translates, falling back to English and then to the key', () => {
+  const { t } = createI18n('de');
+  expect(t('common.next')).toBe('Weiter');
+  expect(createI18n('xx').t('common.next')).toBe('Next');
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(t('common.doesNotExist')).toBe('common.doesNotExist');
+  expect(warn).toHaveBeenCalled();
+  warn.mockRestore();
+});
+
+test('interpolates placeholders, including React elements', () => {
+  const { t } = createI18n('en');
+  expect(t('survey.part', { number: 3 })).toBe('Part 3');
+  expect(t('status.unknown')).toBe('Unknown ({status})');
+
+  const parts = t('header.signedInAs', { username: <strong>alice</strong> });
+  expect(parts[0]).toBe('Signed in as ');
+  expect(parts[1].type).toBe('strong');
+  expect(parts[1].key).toBeTruthy();
+});
+
+test('picks plural forms by count', () => {
+  const { t } = createI18n('en');
+  expect(t('draft.summary', { count: 1, savedAt: 'now' })).toMatch(/1 answered question \(/);
+  expect(t('draft.summary', { count: 4, savedAt: 'now' })).toMatch(/4 answered questions \(/);
+});
+
+test('matches browser languages to supported ones', () => {
+  expect(matchLanguage(['es-ES', 'de-CH', 'en'])).toBe('de');
+  expect(matchLanguage(['FR'])).toBe('fr');
+  expect(matchLanguage([null, 'es'])).toBeNull();
+});
+
+test('formats numbers and dates for the language', () => {
+  expect(createI18n('en').formatNumber(1234.5)).toBe('1,234.5');
+  expect(createI18n('de').formatNumber(1234.5)).toBe('1.234,5');
+  expect(createI18n('de').formatNumber('abc')).toBe('abc');
+  expect(createI18n('en').formatPercent(0.734)).toBe('73%');
+  expect(createI18n('de').formatPercent(0.734)).toBe('73\u00a0%');
+  expect(createI18n('en').formatDate('2024-03-01')).toBe('Mar 1, 2024');
+  expect(createI18n('fr').formatDate('2024-03-01')).toBe('1 mars 2024');
+  expect(createI18n('en').formatDate('')).toBe('');
+});
@@ -0,0 +1,619 @@
+// src/i18n/locales/de.js
+// German messages. Keys missing here fall back to English (see ./en.js).
+const de = {
+  common: {
+    back: 'Zurück',
+    next: 'Weiter',
+    cancel: 'Abbrechen',
+    edit: 'Bearbeiten',
+    retry: 'Erneut versuchen',
+    undo: 'Rückgängig',
+    tryAgain: 'Erneut versuchen',
+    saving: 'Wird gespeichert...',
+    saved: 'Gespeichert',
+    yes: 'Ja',
+    no: 'Nein',
+    notAnswered: 'Nicht beantwortet',
+    language: 'Sprache',
+    initializing: 'Wird initialisiert...',
+    pageOf: 'Seite {page} von {pages}',
+    uncategorised: 'Sonstiges',
+  },
+  notifications: {
+    region: 'Benachrichtigungen',
+    dismiss: 'Benachrichtigung schließen',
+    levels: {
+      success: 'Erfolg:',
+      warning: 'Warnung:',
+      error: 'Fehler:',
+    },
+  },
+  levels: {
+    high: 'Hoch',
+    medium: 'Mittel',
+    low: 'Niedrig',
+    none: 'k. A.',
+  },
+  status: {
+    session_created: 'Umfrage nicht abgeschickt',
+    started: 'Antworten werden verarbeitet',
+    pipeline_running: 'Folgefragen',
+    generating_report: 'Bericht wird erstellt',
+    ready: 'Bericht fertig',
+    error: 'Fehlgeschlagen',
+    not_found: 'Nicht gefunden',
+    unknown: 'Unbekannt ({status})',
+  },
+  header: {
+    title: 'Green-IT-Bewertungsplattform',
+    myAssessments: 'Meine Bewertungen',
+    signedInAs: 'Angemeldet als {username}',
+    logout: 'Abmelden',
+    admin: 'Verwaltung',
+    team: 'Team',
+  },
+  theme: {
+    label: 'Farbschema',
+    light: 'Helles Design',
+    dark: 'Dunkles Design',
+    highContrast: 'Hoher Kontrast',
+  },
+  auth: {
+    login: 'Anmelden',
+    register: 'Registrieren',
+    username: 'Benutzername:',
+    password: 'Passwort:',
+    processing: 'Wird verarbeitet...',
+    loginFailed: 'Anmeldung fehlgeschlagen. Bitte Zugangsdaten prüfen und erneut versuchen.',
+    registerFailed: 'Registrierung fehlgeschlagen. Bitte Zugangsdaten prüfen und erneut versuchen.',
+    noAccount: 'Noch kein Konto?',
+    registerHere: 'Hier registrieren',
+    haveAccount: 'Schon ein Konto?',
+    loginHere: 'Hier anmelden',
+    expired: 'Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.',
+  },
+  expiry: {
+    message: 'Ihre Sitzung läuft in {time} ab. Ihre Antworten bleiben erhalten, wenn Sie angemeldet bleiben.',
+    renewing: 'Wird verlängert...',
+    stay: 'Angemeldet bleiben',
+  },
+  assessments: {
+    title: 'Ihre Bewertungen',
+    startNew: 'Neue Bewertung starten',
+    starting: 'Wird gestartet...',
+    compareSelected: 'Auswahl vergleichen ({count}/2)',
+    chooseOrStart: 'Wählen Sie eine Bewertung zum Fortsetzen oder starten Sie eine neue.',
+    loadFailed: 'Ihre Bewertungen konnten nicht geladen werden. Bitte versuchen Sie es erneut.',
+    startFailed: 'Es konnte keine neue Bewertung gestartet werden: {detail}',
+    loading: 'Bewertungen werden geladen...',
+    empty: 'Sie haben noch keine Bewertungen. Starten Sie eine, um mit der Umfrage zu beginnen.',
+    compare: 'Vergleichen',
+    started: 'Gestartet',
+    status: 'Status',
+    report: 'Bericht',
+    actions: 'Aktionen',
+    current: 'Aktuell',
+    download: 'Herunterladen (.pptx)',
+    compareLabel: 'Die am {date} gestartete Bewertung vergleichen',
+    open: 'Öffnen',
+    resume: 'Fortsetzen',
+    sharedBy: 'Geteilt von {owner}',
+  },
+  survey: {
+    title: 'Umfrage',
+    loading: 'Umfragefragen werden geladen...',
+    loadingQuestion: 'Frage wird geladen...',
+    noQuestions: 'Derzeit sind keine Umfragefragen verfügbar.',
+    loadFailed: 'Die Umfragefragen konnten nicht geladen werden.',
+    stepIncomplete: 'Bitte beantworten Sie alle Fragen dieses Abschnitts (mit gültigen Werten), bevor Sie fortfahren.',
+    submitIncomplete: 'Bitte beantworten Sie alle Fragen. In „{step}“ fehlen noch Antworten oder sind ungültig.',
+    submitFailed: 'Absenden fehlgeschlagen: {detail}',
+    pleaseTryAgain: 'Bitte versuchen Sie es erneut.',
+    submitted: 'Ihre Umfrage wurde abgeschickt.',
+    draftDiscarded: 'Ihre gespeicherten Antworten wurden verworfen.',
+    lastSaved: 'Zuletzt gespeichert {time}',
+    localOnly: ' (nur auf diesem Gerät)',
+    discardDraft: 'Entwurf verwerfen',
+    progress: 'Schritt {step} von {steps} · {answered} von {total} Fragen beantwortet',
+    submitting: 'Wird abgeschickt...',
+    submit: 'Umfrage abschicken',
+    part: 'Teil {number}',
+    sections: 'Umfrageabschnitte',
+    responseLabel: 'Antwort auf die Frage: {question}',
+    selectOption: 'Option auswählen',
+    selectAll: 'Alle zutreffenden auswählen:',
+    answerPlaceholder: 'Ihre Antwort...',
+    likertValue: '{value} von {max}',
+    likertValueLabelled: '{value} von {max} ({label})',
+  },
+  draft: {
+    region: 'Gespeicherter Umfrageentwurf',
+    summary: {
+      one: 'Sie haben einen gespeicherten Entwurf mit {count} beantworteten Frage (zuletzt gespeichert {savedAt}).',
+      other: 'Sie haben einen gespeicherten Entwurf mit {count} beantworteten Fragen (zuletzt gespeichert {savedAt}).',
+    },
+    resume: 'Entwurf fortsetzen',
+    discard: 'Verwerfen und neu beginnen',
+  },
+  validation: {
+    chooseOption: 'Bitte wählen Sie eine der aufgeführten Optionen.',
+    chooseListed: 'Bitte wählen Sie nur aufgeführte Optionen.',
+    number: 'Bitte geben Sie eine Zahl ein.',
+    min: 'Bitte geben Sie einen Wert von mindestens {min} ein.',
+    max: 'Bitte geben Sie einen Wert von höchstens {max} ein.',
+    rating: 'Bitte wählen Sie eine Bewertung von {min} bis {max}.',
+    date: 'Bitte geben Sie ein gültiges Datum ein.',
+    dateMin: 'Bitte geben Sie ein Datum ab dem {min} ein.',
+    dateMax: 'Bitte geben Sie ein Datum bis zum {max} ein.',
+    yesNo: 'Bitte wählen Sie Ja oder Nein.',
+  },
+  answerImport: {
+    button: 'Antworten importieren',
+    template: 'Vorlage herunterladen:',
+    templateFormats: {
+      csv: 'Vorlage (CSV)',
+      xlsx: 'Vorlage (Excel)',
+    },
+    title: 'Importierte Antworten prüfen',
+    intro: 'Antworten aus {file}. Es wird erst etwas eingetragen, wenn Sie bestätigen.',
+    matched: {
+      one: '{count} Antwort kann eingetragen werden',
+      other: '{count} Antworten können eingetragen werden',
+    },
+    unchanged: '(bereits so beantwortet)',
+    unmatched: {
+      one: '{count} Zeile passt nicht',
+      other: '{count} Zeilen passen nicht',
+    },
+    conflicts: {
+      one: '{count} Konflikt',
+      other: '{count} Konflikte',
+    },
+    row: 'Zeile {row}',
+    duplicate: 'Die Datei enthält unterschiedliche Antworten: {values}. Keine davon wird importiert.',
+    existing: 'Ihre Antwort: {current}. In der Datei: {value}.',
+    skipped: {
+      one: '{count} Zeile ohne Antwort wurde übersprungen.',
+      other: '{count} Zeilen ohne Antwort wurden übersprungen.',
+    },
+    replaceExisting: 'Meine bisherigen Antworten durch die aus der Datei ersetzen',
+    apply: {
+      one: '{count} Antwort eintragen',
+      other: '{count} Antworten eintragen',
+    },
+    nothingToApply: 'Keine der Antworten in der Datei kann eingetragen werden.',
+    applied: {
+      one: '{count} Antwort wurde aus der Datei eingetragen.',
+      other: '{count} Antworten wurden aus der Datei eingetragen.',
+    },
+    templateFailed: 'Die Vorlage konnte nicht erstellt werden.',
+    errors: {
+      unsupportedType: 'Bitte wählen Sie eine CSV-, Excel- (.xlsx) oder JSON-Datei.',
+      readFailed: 'Die Datei konnte nicht gelesen werden.',
+      notJson: 'Die Datei ist kein gültiges JSON.',
+      jsonShape: 'Die JSON-Datei muss Fragen-IDs Antworten zuordnen oder Objekte mit "question_id" und "answer" auflisten.',
+      notXlsx: 'Die Datei ist keine lesbare Excel-Arbeitsmappe.',
+      missingColumns: 'Die Datei braucht eine Spalte "question_id" und eine Spalte "answer".',
+      empty: 'Die Datei enthält keine Antworten.',
+      unknownQuestion: 'Diese Umfrage hat keine Frage {id}.',
+      missingId: 'Die Zeile hat keine Fragen-ID.',
+      unknownOption: '"{value}" ist keine der Optionen ({letters}).',
+    },
+    allowed: {
+      single: 'Eine Option (Buchstabe oder Text):',
+      multi: 'Eine oder mehrere Optionen (Buchstaben oder Texte), getrennt durch ";":',
+      number: 'Eine Zahl',
+      numberMin: 'Eine Zahl, mindestens {min}',
+      numberMax: 'Eine Zahl, höchstens {max}',
+      numberRange: 'Eine Zahl von {min} bis {max}',
+      likert: 'Eine ganze Zahl von {min} bis {max}',
+      date: 'Ein Datum im Format JJJJ-MM-TT',
+      yesNo: 'ja oder nein',
+      text: 'Freitext',
+    },
+  },
+  review: {
+    open: 'Antworten prüfen',
+    title: 'Antworten prüfen',
+    intro: 'Prüfen Sie Ihre Antworten, bevor Sie die Umfrage absenden. Mit „Bearbeiten“ ändern Sie eine Antwort.',
+    summary: {
+      complete: {
+        one: 'Die Frage ist beantwortet.',
+        other: 'Alle {count} Fragen sind beantwortet.',
+      },
+      unanswered: {
+        one: '{count} Frage ist nicht beantwortet.',
+        other: '{count} Fragen sind nicht beantwortet.',
+      },
+      invalid: {
+        one: '{count} Antwort ist ungültig.',
+        other: '{count} Antworten sind ungültig.',
+      },
+      unusual: {
+        one: '{count} Antwort wirkt ungewöhnlich; bitte prüfen Sie sie.',
+        other: '{count} Antworten wirken ungewöhnlich; bitte prüfen Sie sie.',
+      },
+    },
+    flags: {
+      unanswered: 'Noch nicht beantwortet.',
+      invalid: 'Ungültig:',
+      unusual: 'Bitte prüfen:',
+    },
+    unusual: {
+      percentageEnd: 'Genau {value} % ist selten.',
+      zero: 'Ist null hier richtig?',
+      negative: 'Ist ein negativer Wert hier richtig?',
+      placeholder: 'Das sieht eher nach einem Platzhalter als nach einer Antwort aus.',
+      futureDate: 'Dieses Datum liegt in der Zukunft.',
+      allOptions: 'Alle Optionen sind ausgewählt.',
+    },
+    notAnswered: 'Keine Antwort',
+    edit: 'Bearbeiten',
+    editLabel: 'Antwort bearbeiten: {question}',
+    print: 'Drucken',
+    downloadPdf: 'Als PDF herunterladen',
+    pdfFailed: 'Das PDF konnte nicht erstellt werden.',
+    pdfInfo: 'Sitzung {session} · {date}',
+    blocked: 'Jede Frage braucht eine gültige Antwort, bevor die Umfrage abgesendet werden kann.',
+    confirm: 'Ich habe diese Antworten geprüft und möchte die Umfrage absenden.',
+    back: 'Zurück zur Umfrage',
+  },
+  offline: {
+    offline: 'Sie sind offline. Abgeschickte Antworten werden auf diesem Gerät gespeichert und gesendet, sobald die Verbindung wieder besteht.',
+    pending: {
+      one: '{count} Übermittlung wartet auf das Senden.',
+      other: '{count} Übermittlungen warten auf das Senden.',
+    },
+    sendNow: 'Jetzt senden',
+    sending: 'Wird gesendet...',
+    synced: {
+      one: '{count} offline erstellte Übermittlung wurde gesendet.',
+      other: '{count} offline erstellte Übermittlungen wurden gesendet.',
+    },
+    rejected: 'Eine am {date} offline erstellte Übermittlung wurde abgelehnt: {detail}',
+    surveyRejected: 'Der am {date} offline abgeschickte Fragebogen wurde abgelehnt: {detail} Ihre Antworten bleiben als Entwurf erhalten.',
+    surveyQueued: 'Sie sind offline. Der Fragebogen wird auf diesem Gerät gespeichert und abgeschickt, sobald die Verbindung wieder besteht.',
+    answerQueued: 'Sie sind offline. Die Antwort wird auf diesem Gerät gespeichert und gesendet, sobald die Verbindung wieder besteht.',
+    waiting: 'Wartet auf das Senden',
+  },
+  followup: {
+    title: 'Folgefragen',
+    noSession: 'Fehler: Keine Sitzungs-ID gefunden. Bitte beginnen Sie den Vorgang erneut.',
+    checking: 'Es wird nach Folgefragen gesucht...',
+    pleaseWait: 'Bitte warten.',
+    pending: {
+      one: '{count} Folgefrage wartet auf eine Antwort.',
+      other: '{count} Folgefragen warten auf eine Antwort.',
+    },
+    intro: 'Bitte beantworten Sie die folgenden Fragen, um die Bewertung zu verfeinern. Jede Antwort wird einzeln gespeichert.',
+    guidelines: 'Hinweise:',
+    saveAnswer: 'Antwort speichern',
+    saved: 'Ihre Antwort wurde gespeichert.',
+    allAnswered: 'Alle bisherigen Folgefragen sind beantwortet.',
+    noneAvailable: 'Derzeit sind keine Folgefragen verfügbar.',
+    waiting: 'Es wird nach Neuigkeiten gesucht oder auf den Abschluss des Vorgangs gewartet...',
+    loadAnswersFailed: 'Ihre früheren Antworten konnten nicht geladen werden. Neue Antworten können trotzdem gespeichert werden.',
+    answerRequired: 'Bitte beantworten Sie diese Frage vor dem Speichern.',
+    locked: 'Diese Antwort kann nicht mehr geändert werden, da der Bericht erstellt wird.',
+    saveFailed: 'Speichern nicht möglich: {detail}. Bitte versuchen Sie es erneut.',
+    unknownError: 'Unbekannter Fehler',
+    other: 'Sonstiges (bitte angeben):',
+    otherPlaceholder: 'Details hier angeben...',
+    selectOption: '-- Option auswählen --',
+    noInput: '(Für diesen Fragetyp sind keine Eingabeoptionen definiert)',
+    yourAnswers: 'Ihre Antworten ({count})',
+    answersLocked: 'Antworten können nicht mehr geändert werden, da der Bericht erstellt wird.',
+    saveChanges: 'Änderungen speichern',
+    noAnswer: 'Keine Antwort',
+    scoresAvailable: 'Ihre Reifegrade sind bereits auf der {link} verfügbar.',
+    reportPage: 'Berichtsseite',
+  },
+  evidence: {
+    label: 'Nachweise',
+    hint: 'Hängen Sie Dokumente an, die Ihre Antwort belegen, etwa Energierechnungen, Inventarlisten oder Zertifikate: {types}, je bis {size}, höchstens {count} Dateien.',
+    attach: 'Dateien anhängen',
+    remove: 'Entfernen',
+    removeLabel: '{name} entfernen',
+    cancelLabel: 'Hochladen von {name} abbrechen',
+    retryLabel: '{name} erneut hochladen',
+    dismiss: 'Ausblenden',
+    dismissLabel: '{name} ausblenden',
+    uploading: '{name} wird hochgeladen: {percent} %',
+    uploaded: '{name} wurde hochgeladen.',
+    removed: '{name} wurde entfernt.',
+    removeFailed: '{name} konnte nicht entfernt werden.',
+    attached: 'Nachweise:',
+    loadFailed: 'Ihre hochgeladenen Dateien konnten nicht geladen werden.',
+    uploadingHint: 'Warten Sie vor dem Speichern, bis die Dateien hochgeladen sind.',
+    errors: {
+      type: '{name}: Es können nur {types}-Dateien angehängt werden.',
+      empty: '{name} ist leer.',
+      size: '{name} ist größer als {max}.',
+      tooMany: '{name}: An eine Frage können höchstens {count} Dateien angehängt werden.',
+      uploadFailed: '{name} konnte nicht hochgeladen werden: {detail}',
+      locked: 'Dateien können nicht mehr geändert werden, da der Bericht erstellt wird.',
+    },
+  },
+  team: {
+    title: 'Team',
+    intro: 'Laden Sie Kolleginnen und Kollegen zu dieser Bewertung ein und weisen Sie ihnen Abschnitte der Umfrage oder Kategorien der Folgefragen zu. Was niemandem zugewiesen ist, beantwortet die Eigentümerin oder der Eigentümer, die oder der auch allein die Umfrage absendet.',
+    loading: 'Team wird geladen...',
+    loadFailed: 'Das Team konnte nicht geladen werden.',
+    inviteLabel: 'Benutzername der einzuladenden Person',
+    invite: 'Einladen',
+    inviting: 'Wird eingeladen...',
+    invited: '{name} wurde dem Team hinzugefügt.',
+    progressTitle: 'Fortschritt',
+    person: 'Person',
+    survey: 'Umfrage',
+    followup: 'Folgefragen',
+    owner: 'Eigentümer',
+    you: '{name} (Sie)',
+    surveyProgress: '{answered} von {total} beantwortet',
+    followupProgress: '{answered} beantwortet, {waiting} offen',
+    membersTitle: 'Kolleginnen und Kollegen und ihre Teile',
+    noMembers: 'Es wurde noch niemand eingeladen.',
+    noMembersOwner: 'Laden Sie Kolleginnen und Kollegen ein, um die Arbeit an dieser Bewertung zu teilen.',
+    remove: 'Entfernen',
+    removeLabel: '{name} aus dem Team entfernen',
+    removed: '{name} wurde aus dem Team entfernt. Die Antworten bleiben erhalten.',
+    surveySections: 'Abschnitte der Umfrage',
+    followupCategories: 'Kategorien der Folgefragen',
+    partList: '{part}:',
+    noParts: 'Noch keine vorhanden.',
+    currently: '(derzeit {name})',
+    nothingAssigned: 'nichts zugewiesen',
+    ownerNote: '{owner} beantwortet alles, was niemandem zugewiesen ist.',
+    surveyIntro: '{owner} hat Sie eingeladen. Es werden nur die Ihnen zugewiesenen Abschnitte angezeigt; {owner} sendet die Umfrage ab.',
+    noSurveySections: 'Ihnen ist kein Abschnitt der Umfrage zugewiesen, hier gibt es also nichts zu beantworten. {owner} sendet die Umfrage ab.',
+    toFollowup: 'Zu den Rückfragen',
+    assignedTo: 'Diesen Abschnitt beantwortet {name}.',
+    notAnsweredYet: 'Noch nicht beantwortet',
+    answeredBy: 'Beantwortet von {name}',
+    answeredByYou: 'Von Ihnen beantwortet',
+    finishPart: 'Meinen Teil abschließen',
+    partDone: 'Ihre Antworten sind gespeichert. {owner} sendet die Umfrage ab, sobald alle Abschnitte fertig sind.',
+    partSaveFailed: 'Ihre Antworten konnten nicht gespeichert werden: {detail}',
+    sectionIncomplete: '„{step}“ ist noch nicht vollständig. Diesen Abschnitt beantwortet {name}.',
+    followupsForOthers: {
+      one: '1 Folgefrage beantwortet jemand anderes aus dem Team.',
+      other: '{count} Folgefragen beantworten andere aus dem Team.',
+    },
+    errors: {
+      unknownUser: 'Es gibt keinen Benutzer namens {name}.',
+      alreadyMember: '{name} ist bereits im Team.',
+      inviteFailed: '{name} konnte nicht eingeladen werden: {detail}',
+      assignFailed: 'Die Teile von {name} konnten nicht gespeichert werden.',
+      removeFailed: '{name} konnte nicht aus dem Team entfernt werden.',
+      restoreFailed: '{name} konnte nicht wieder ins Team aufgenommen werden.',
+    },
+  },
+  pipeline: {
+    offline: 'Sie scheinen offline zu sein. Statusaktualisierungen werden fortgesetzt, sobald die Verbindung wieder besteht.',
+    connectionLost: 'Der Server war nicht erreichbar, um den Status Ihrer Bewertung zu prüfen.',
+    stalled: 'Das dauert länger als erwartet. Sie können weiter warten oder jetzt erneut prüfen.',
+    checkAgain: 'Erneut prüfen',
+    unknownStatus: 'Der Server hat einen Status gemeldet, den diese Seite nicht kennt ({status}). Wir prüfen weiter.',
+  },
+  report: {
+    title: 'Bewertungsbericht',
+    noSession: 'Keine aktive Sitzung gefunden.',
+    loadingStatus: 'Status wird geladen...',
+    processingTitle: 'Bewertungsdaten werden verarbeitet...',
+    processingText: 'Das System analysiert Ihre Antworten und stellt bei Bedarf an anderer Stelle Folgefragen. Bitte warten.',
+    goToFollowup: 'Zu den Folgefragen',
+    generatingTitle: 'Empfehlungsbericht wird erstellt...',
+    generatingText: 'Dies kann einige Minuten dauern. Bitte warten.',
+    readyTitle: 'Empfehlungsbericht fertig',
+    readyText: 'Ihre persönlichen Empfehlungen finden Sie unten. Derselbe Bericht steht auch als PowerPoint-Download bereit.',
+    download: 'Bericht herunterladen (.pptx)',
+    missingUrl: 'Fehler: Die Download-URL fehlt, obwohl der Bericht fertig ist.',
+    recommendationsFailed: 'Die Empfehlungen konnten hier nicht geladen werden. Der Bericht kann weiterhin heruntergeladen werden.',
+    loadingRecommendations: 'Empfehlungen werden geladen...',
+    errorTitle: 'Fehler beim Erstellen des Berichts',
+    errorText: 'Beim Erstellen oder Verarbeiten Ihres Berichts ist leider ein Fehler aufgetreten.',
+    errorDetails: 'Details: {message}',
+    notFound: 'Für diese Sitzungs-ID wurde kein Berichtsstatus gefunden.',
+    checking: 'Status wird geprüft ({status})...',
+  },
+  recommendations: {
+    heading: 'Empfehlungen',
+    search: 'Suche',
+    searchPlaceholder: 'z. B. Cloud, Recycling',
+    priority: 'Priorität',
+    allPriorities: 'Alle Prioritäten',
+    showing: '{shown} von {total} Empfehlungen',
+    noMatch: 'Keine Empfehlungen entsprechen Ihren Filtern.',
+    priorityBadge: 'Priorität: {level}',
+    impactBadge: 'Wirkung: {level}',
+    effortBadge: 'Aufwand: {level}',
+    why: 'Warum dies empfohlen wird',
+  },
+  export: {
+    button: 'Exportieren',
+    exporting: '{format} wird exportiert...',
+    failed: 'Der Export konnte nicht erstellt werden. Bitte versuchen Sie es erneut.',
+    formats: {
+      pdf: 'PDF-Dokument',
+      csv: 'CSV (Tabellentext)',
+      xlsx: 'Excel-Arbeitsmappe (.xlsx)',
+      json: 'JSON-Daten',
+    },
+    document: {
+      title: 'Green-IT-Bewertung',
+      fileTitle: 'Green-IT-Bewertung {session}',
+      info: 'Sitzung {session} - erstellt am {date}',
+      survey: 'Antworten im Fragebogen',
+      followup: 'Antworten auf Rückfragen',
+      recommendations: 'Empfehlungen',
+      noAnswer: '(keine Antwort)',
+      noFollowups: 'Es wurden keine Rückfragen beantwortet.',
+      ratings: 'Priorität: {priority}, Wirkung: {impact}, Aufwand: {effort}',
+      why: 'Begründung: {rationale}',
+    },
+    columns: {
+      id: 'ID',
+      category: 'Kategorie',
+      subcategory: 'Unterkategorie',
+      question: 'Frage',
+      answer: 'Antwort',
+      recommendation: 'Empfehlung',
+      description: 'Beschreibung',
+      priority: 'Priorität',
+      impact: 'Wirkung',
+      effort: 'Aufwand',
+      rationale: 'Begründung',
+      basedOn: 'Grundlage',
+    },
+  },
+  maturity: {
+    heading: 'Green-IT-Reifegrad',
+    failed: 'Ihre Reifegrade konnten nicht berechnet werden.',
+    calculating: 'Reifegrade werden berechnet...',
+    none: 'Keine Ihrer bisherigen Antworten kann bewertet werden.',
+    overall: 'Gesamtreifegrad: {level}',
+    chartType: 'Diagrammtyp',
+    radar: 'Netz',
+    bars: 'Balken',
+    unscored: 'Noch nicht bewertet: {categories}',
+    chartLabel: 'Reifegrad nach Kategorie: {scores}',
+    levels: {
+      leading: 'Führend',
+      established: 'Etabliert',
+      developing: 'In Entwicklung',
+      emerging: 'Im Aufbau',
+      initial: 'Anfänglich',
+    },
+  },
+  comparison: {
+    title: 'Bewertungen vergleichen',
+    back: 'Zurück zu Ihren Bewertungen',
+    earlier: 'Frühere Bewertung',
+    later: 'Spätere Bewertung',
+    choose: 'Bewertung auswählen',
+    loadFailed: 'Ihre Bewertungen konnten nicht geladen werden. Bitte versuchen Sie es erneut.',
+    loadSelectedFailed: 'Die ausgewählten Bewertungen konnten nicht geladen werden. Bitte versuchen Sie es erneut.',
+    needTwo: 'Zum Vergleichen brauchen Sie mindestens zwei abgeschickte Bewertungen.',
+    chooseDifferent: 'Wählen Sie zwei verschiedene Bewertungen.',
+    loading: 'Vergleich wird geladen...',
+    surveyAnswers: 'Umfrageantworten',
+    followupAnswers: 'Antworten auf Folgefragen',
+    noSurveyAnswers: 'Keine der beiden Bewertungen hat Umfrageantworten.',
+    noFollowupAnswers: 'Keine der beiden Bewertungen hat Antworten auf Folgefragen.',
+    recommendations: 'Empfehlungen',
+    recommendationsPending: 'Empfehlungen können verglichen werden, sobald beide Berichte fertig sind.',
+    byCategory: 'Nach Kategorie',
+    category: 'Kategorie',
+    overall: 'Gesamt',
+    improved: 'Verbessert',
+    regressed: 'Verschlechtert',
+    otherChanges: 'Sonstige Änderungen',
+    score: 'Punktzahl',
+    notScored: 'Nicht bewertet',
+    question: 'Frage',
+    earlierColumn: 'Früher',
+    laterColumn: 'Später',
+    change: 'Änderung',
+    showUnchanged: '{count} unveränderte anzeigen',
+    noChanges: 'Keine Antworten wurden geändert.',
+    changes: {
+      improved: 'Verbessert',
+      regressed: 'Verschlechtert',
+      changed: 'Geändert',
+      unchanged: 'Unverändert',
+      added: 'Neu beantwortet',
+      removed: 'Nicht mehr beantwortet',
+    },
+    groups: {
+      resolved: { title: 'Erledigt', hint: 'Früher empfohlen, jetzt nicht mehr', empty: 'Noch nichts erledigt.' },
+      stillOpen: { title: 'Weiterhin offen', hint: 'Beide Male empfohlen', empty: 'Nichts übernommen.' },
+      added: { title: 'Neu', hint: 'Nur in der späteren Bewertung empfohlen', empty: 'Keine neuen Empfehlungen.' },
+    },
+  },
+  admin: {
+    title: 'Fragenkatalog',
+    forbidden: 'Nur Administratoren können die Verwaltung öffnen.',
+    loading: 'Fragenkatalog wird geladen...',
+    loadFailed: 'Der Fragenkatalog konnte nicht geladen werden.',
+    versionSaved: 'Version {version}, gespeichert am {date} von {user}',
+    versionOriginal: 'Version {version} (die ursprünglichen Fragen)',
+    unsaved: 'Ungespeicherte Änderungen',
+    save: 'Als Version {version} speichern',
+    saving: 'Wird gespeichert...',
+    saved: 'Version {version} gespeichert. Die Umfrage zeigt jetzt diese Fragen.',
+    saveFailed: 'Der Fragenkatalog konnte nicht gespeichert werden: {detail}',
+    conflict: 'Jemand anderes hat den Fragenkatalog während Ihrer Bearbeitung gespeichert: {detail}. Laden Sie neu, um diese Version zu sehen; Ihre Änderungen gehen dabei verloren.',
+    reload: 'Neu laden',
+    discard: 'Änderungen verwerfen',
+    discarded: 'Ihre Änderungen wurden verworfen.',
+    exportJson: 'Als JSON exportieren',
+    importJson: 'JSON importieren',
+    imported: {
+      one: '{count} Frage aus Version {version} importiert. Prüfen und speichern Sie sie, um sie zu veröffentlichen.',
+      other: '{count} Fragen aus Version {version} importiert. Prüfen und speichern Sie sie, um sie zu veröffentlichen.',
+    },
+    importedUnversioned: {
+      one: '{count} Frage importiert. Prüfen und speichern Sie sie, um sie zu veröffentlichen.',
+      other: '{count} Fragen importiert. Prüfen und speichern Sie sie, um sie zu veröffentlichen.',
+    },
+    invalid: 'Beheben Sie diese Probleme vor dem Speichern:',
+    questions: 'Fragen',
+    addQuestion: 'Frage hinzufügen',
+    untitled: '(noch kein Text)',
+    retiredBadge: 'Stillgelegt',
+    newBadge: 'Neu',
+    moveUp: '{item} nach oben verschieben',
+    moveDown: '{item} nach unten verschieben',
+    retire: 'Stilllegen',
+    retireLabel: '{item} stilllegen',
+    restore: 'Wiederherstellen',
+    restoreLabel: '{item} wiederherstellen',
+    remove: 'Entfernen',
+    removeLabel: '{item} entfernen',
+    editor: 'Frage {id} bearbeiten',
+    retiredNotice: 'Diese Frage ist stillgelegt: Sie bleibt für frühere Antworten erhalten, wird aber nicht mehr gestellt.',
+    fields: {
+      category: 'Kategorie',
+      content: 'Fragetext',
+      answerType: 'Antworttyp',
+      options: 'Antwortoptionen',
+      optionText: 'Text von Option {letter}',
+      optionScore: 'Punktwert von Option {letter} (0 bis 1, optional)',
+      option: 'Option {letter}',
+      addOption: 'Option hinzufügen',
+    },
+    answerTypes: {
+      single_choice: 'Einfachauswahl',
+      multi_choice: 'Mehrfachauswahl',
+      text: 'Freitext',
+      number: 'Zahl',
+      percentage: 'Prozentsatz',
+      likert: 'Bewertungsskala',
+      date: 'Datum',
+      yes_no: 'Ja / Nein',
+    },
+    retiredHint: 'Stillgelegte Optionen behalten ihren Buchstaben, damit frühere Antworten verständlich bleiben.',
+    preview: 'Vorschau',
+    previewRetired: 'Stillgelegte Fragen werden den Befragten nicht angezeigt.',
+    validation: {
+      missingId: 'Eine Frage hat keine ID.',
+      duplicateId: '{id}: Eine andere Frage hat dieselbe ID.',
+      emptyContent: '{id}: Die Frage hat keinen Text.',
+      duplicateLetter: '{id}: Option {letter} kommt doppelt vor.',
+      tooFewOptions: '{id}: Eine Auswahlfrage braucht mindestens zwei nicht stillgelegte Optionen.',
+      emptyOption: '{id}: Option {letter} hat keinen Text.',
+      optionScore: '{id}: Der Punktwert von Option {letter} muss zwischen 0 und 1 liegen.',
+      publishedMissing: '{id}: Die Frage ist veröffentlicht und würde gelöscht. Behalten Sie sie und legen Sie sie stattdessen still.',
+      publishedOptionMissing: '{id}: Option {letter} ist veröffentlicht und würde gelöscht. Behalten Sie sie und legen Sie sie stattdessen still.',
+    },
+    import: {
+      notJson: 'Die Datei ist kein gültiges JSON.',
+      wrongFormat: 'Die Datei ist kein Export eines Fragenkatalogs.',
+      newerSchema: 'Die Datei wurde von einer neueren Version der Anwendung geschrieben (Format {version}).',
+      noQuestions: 'Die Datei enthält keine Liste von Fragen.',
+      readFailed: 'Die Datei konnte nicht gelesen werden.',
+    },
+  },
+};
+
+export default de;
@@ -0,0 +1,620 @@
+// src/i18n/locales/en.js
+// English messages. This is the reference catalog: every key used in the app
+// must exist here, other languages may leave keys out.
+const en = {
+  common: {
+    back: 'Back',
+    next: 'Next',
+    cancel: 'Cancel',
+    edit: 'Edit',
+    retry: 'Retry',
+    undo: 'Undo',
+    tryAgain: 'Try again',
+    saving: 'Saving...',
+    saved: 'Saved',
+    yes: 'Yes',
+    no: 'No',
+    notAnswered: 'Not answered',
+    language: 'Language',
+    initializing: 'Initializing...',
+    pageOf: 'Page {page} of {pages}',
+    uncategorised: 'Other',
+  },
+  notifications: {
+    region: 'Notifications',
+    dismiss: 'Dismiss notification',
+    levels: {
+      success: 'Success:',
+      warning: 'Warning:',
+      error: 'Error:',
+    },
+  },
+  levels: {
+    high: 'High',
+    medium: 'Medium',
+    low: 'Low',
+    none: 'n/a',
+  },
+  status: {
+    session_created: 'Survey not submitted',
+    started: 'Processing answers',
+    pipeline_running: 'Follow-up questions',
+    generating_report: 'Generating report',
+    ready: 'Report ready',
+    error: 'Failed',
+    not_found: 'Not found',
+    unknown: 'Unknown ({status})',
+  },
+  header: {
+    title: 'Green IT Assessment Platform',
+    myAssessments: 'My assessments',
+    signedInAs: 'Signed in as {username}',
+    logout: 'Logout',
+    admin: 'Admin',
+    team: 'Team',
+  },
+  theme: {
+    label: 'Colour theme',
+    light: 'Light theme',
+    dark: 'Dark theme',
+    highContrast: 'High contrast',
+  },
+  auth: {
+    login: 'Login',
+    register: 'Register',
+    username: 'Username:',
+    password: 'Password:',
+    processing: 'Processing...',
+    loginFailed: 'Login failed. Please check credentials/try again.',
+    registerFailed: 'Registration failed. Please check credentials/try again.',
+    noAccount: "Don't have an account?",
+    registerHere: 'Register here',
+    haveAccount: 'Already have an account?',
+    loginHere: 'Login here',
+    expired: 'Your session has expired. Please log in again.',
+  },
+  expiry: {
+    message: 'Your session will expire in {time}. Your answers are kept if you stay signed in.',
+    renewing: 'Renewing...',
+    stay: 'Stay signed in',
+  },
+  assessments: {
+    title: 'Your assessments',
+    startNew: 'Start new assessment',
+    starting: 'Starting...',
+    compareSelected: 'Compare selected ({count}/2)',
+    chooseOrStart: 'Choose an assessment to continue, or start a new one.',
+    loadFailed: 'Your assessments could not be loaded. Please try again.',
+    startFailed: 'A new assessment could not be started: {detail}',
+    loading: 'Loading assessments...',
+    empty: 'You have no assessments yet. Start one to begin the survey.',
+    compare: 'Compare',
+    started: 'Started',
+    status: 'Status',
+    report: 'Report',
+    actions: 'Actions',
+    current: 'Current',
+    download: 'Download (.pptx)',
+    compareLabel: 'Compare the assessment started {date}',
+    open: 'Open',
+    resume: 'Resume',
+    sharedBy: 'Shared by {owner}',
+  },
+  survey: {
+    title: 'Survey',
+    loading: 'Loading survey questions...',
+    loadingQuestion: 'Loading question...',
+    noQuestions: 'No survey questions are currently available.',
+    loadFailed: 'The survey questions could not be loaded.',
+    stepIncomplete: 'Please answer all questions in this section (with valid values) before continuing.',
+    submitIncomplete: 'Please answer all questions. "{step}" still has unanswered or invalid answers.',
+    submitFailed: 'Submission failed: {detail}',
+    pleaseTryAgain: 'Please try again.',
+    submitted: 'Your survey was submitted.',
+    draftDiscarded: 'Your saved answers were discarded.',
+    lastSaved: 'Last saved {time}',
+    localOnly: ' (on this device only)',
+    discardDraft: 'Discard draft',
+    progress: 'Step {step} of {steps} · {answered} of {total} questions answered',
+    submitting: 'Submitting...',
+    submit: 'Submit Survey',
+    part: 'Part {number}',
+    sections: 'Survey sections',
+    responseLabel: 'Response for question: {question}',
+    selectOption: 'Select an option',
+    selectAll: 'Select all that apply:',
+    answerPlaceholder: 'Your answer...',
+    likertValue: '{value} of {max}',
+    likertValueLabelled: '{value} of {max} ({label})',
+  },
+  draft: {
+    region: 'Saved survey draft',
+    summary: {
+      one: 'You have a saved draft with {count} answered question (last saved {savedAt}).',
+      other: 'You have a saved draft with {count} answered questions (last saved {savedAt}).',
+    },
+    resume: 'Resume draft',
+    discard: 'Discard and start over',
+  },
+  validation: {
+    chooseOption: 'Please select one of the listed options.',
+    chooseListed: 'Please select only the listed options.',
+    number: 'Please enter a number.',
+    min: 'Please enter a value of at least {min}.',
+    max: 'Please enter a value of at most {max}.',
+    rating: 'Please choose a rating from {min} to {max}.',
+    date: 'Please enter a valid date.',
+    dateMin: 'Please enter a date on or after {min}.',
+    dateMax: 'Please enter a date on or before {max}.',
+    yesNo: 'Please choose yes or no.',
+  },
+  answerImport: {
+    button: 'Import answers',
+    template: 'Download a template:',
+    templateFormats: {
+      csv: 'Template (CSV)',
+      xlsx: 'Template (Excel)',
+    },
+    title: 'Review imported answers',
+    intro: 'Answers read from {file}. Nothing is filled in until you confirm.',
+    matched: {
+      one: '{count} answer can be filled in',
+      other: '{count} answers can be filled in',
+    },
+    unchanged: '(already answered this way)',
+    unmatched: {
+      one: "{count} row doesn't match",
+      other: "{count} rows don't match",
+    },
+    conflicts: {
+      one: '{count} conflict',
+      other: '{count} conflicts',
+    },
+    row: 'Row {row}',
+    duplicate: 'The file has different answers: {values}. None of them is imported.',
+    existing: 'Your answer: {current}. In the file: {value}.',
+    skipped: {
+      one: '{count} row without an answer was skipped.',
+      other: '{count} rows without an answer were skipped.',
+    },
+    replaceExisting: 'Replace my current answers with the ones from the file',
+    apply: {
+      one: 'Fill in {count} answer',
+      other: 'Fill in {count} answers',
+    },
+    nothingToApply: 'None of the answers in the file can be filled in.',
+    applied: {
+      one: '{count} answer was filled in from the file.',
+      other: '{count} answers were filled in from the file.',
+    },
+    templateFailed: 'The template could not be created.',
+    errors: {
+      unsupportedType: 'Please choose a CSV, Excel (.xlsx) or JSON file.',
+      readFailed: 'The file could not be read.',
+      notJson: "The file isn't valid JSON.",
+      jsonShape: 'The JSON file must map question IDs to answers, or list objects with "question_id" and "answer".',
+      notXlsx: "The file isn't an Excel workbook that can be read.",
+      missingColumns: 'The file needs a "question_id" and an "answer" column.',
+      empty: "The file doesn't contain any answers.",
+      unknownQuestion: 'There is no question {id} in this survey.',
+      missingId: 'The row has no question ID.',
+      unknownOption: '"{value}" is not one of the options ({letters}).',
+    },
+    allowed: {
+      single: 'One option (letter or text):',
+      multi: 'One or more options (letters or texts), separated by ";":',
+      number: 'A number',
+      numberMin: 'A number, at least {min}',
+      numberMax: 'A number, at most {max}',
+      numberRange: 'A number from {min} to {max}',
+      likert: 'A whole number from {min} to {max}',
+      date: 'A date as YYYY-MM-DD',
+      yesNo: 'yes or no',
+      text: 'Free text',
+    },
+  },
+  review: {
+    open: 'Review answers',
+    title: 'Review your answers',
+    intro: 'Check your answers before you submit the survey. Use "Edit" to change one.',
+    summary: {
+      complete: {
+        one: 'The question is answered.',
+        other: 'All {count} questions are answered.',
+      },
+      unanswered: {
+        one: '{count} question is not answered.',
+        other: '{count} questions are not answered.',
+      },
+      invalid: {
+        one: '{count} answer is not valid.',
+        other: '{count} answers are not valid.',
+      },
+      unusual: {
+        one: '{count} answer looks unusual; please check it.',
+        other: '{count} answers look unusual; please check them.',
+      },
+    },
+    flags: {
+      unanswered: 'Not answered yet.',
+      invalid: 'Not valid:',
+      unusual: 'Please check:',
+    },
+    unusual: {
+      percentageEnd: 'Exactly {value}% is rare.',
+      zero: 'Is zero right here?',
+      negative: 'Is a negative value right here?',
+      placeholder: 'This looks like a placeholder rather than an answer.',
+      futureDate: 'This date is in the future.',
+      allOptions: 'Every option is selected.',
+    },
+    notAnswered: 'No answer',
+    edit: 'Edit',
+    editLabel: 'Edit the answer to: {question}',
+    print: 'Print',
+    downloadPdf: 'Download as PDF',
+    pdfFailed: 'The PDF could not be created.',
+    pdfInfo: 'Session {session} · {date}',
+    blocked: 'Every question needs a valid answer before the survey can be submitted.',
+    confirm: 'I have reviewed these answers and want to submit the survey.',
+    back: 'Back to the survey',
+  },
+  offline: {
+    offline: "You're offline. Answers you submit are kept on this device and sent once the connection is back.",
+    pending: {
+      one: '{count} submission is waiting to be sent.',
+      other: '{count} submissions are waiting to be sent.',
+    },
+    sendNow: 'Send now',
+    sending: 'Sending...',
+    synced: {
+      one: '{count} submission made offline was sent.',
+      other: '{count} submissions made offline were sent.',
+    },
+    rejected: 'A submission made offline on {date} was refused: {detail}',
+    surveyRejected: 'The survey submitted offline on {date} was refused: {detail} Your answers are kept as a draft.',
+    surveyQueued: "You're offline. The survey is kept on this device and submitted once the connection is back.",
+    answerQueued: "You're offline. The answer is kept on this device and saved once the connection is back.",
+    waiting: 'Waiting to be sent',
+  },
+  followup: {
+    title: 'Follow-Up Questions',
+    noSession: 'Error: No session ID found. Please start the process over.',
+    checking: 'Checking for follow-up questions...',
+    pleaseWait: 'Please wait.',
+    pending: {
+      one: '{count} follow-up question is waiting for an answer.',
+      other: '{count} follow-up questions are waiting for an answer.',
+    },
+    intro: 'Please answer the following questions to help refine the assessment. Each answer is saved on its own.',
+    guidelines: 'Guidelines:',
+    saveAnswer: 'Save answer',
+    saved: 'Your answer was saved.',
+    allAnswered: 'All follow-up questions so far are answered.',
+    noneAvailable: 'No follow-up questions available at this moment.',
+    waiting: 'Checking for updates or waiting for the process to complete...',
+    loadAnswersFailed: 'Your earlier answers could not be loaded. New answers can still be saved.',
+    answerRequired: 'Please answer this question before saving.',
+    locked: 'This answer can no longer be changed because the report is being generated.',
+    saveFailed: 'Could not save: {detail}. Please try again.',
+    unknownError: 'Unknown error',
+    other: 'Other (please specify):',
+    otherPlaceholder: 'Provide details here...',
+    selectOption: '-- Select an option --',
+    noInput: '(No input options defined for this question type)',
+    yourAnswers: 'Your answers ({count})',
+    answersLocked: 'Answers can no longer be changed because the report is being generated.',
+    saveChanges: 'Save changes',
+    noAnswer: 'No answer',
+    scoresAvailable: 'Your maturity scores are already available on the {link}.',
+    reportPage: 'report page',
+  },
+  evidence: {
+    label: 'Evidence files',
+    hint: 'Attach documents that back up your answer, such as energy bills, inventories or certificates: {types}, up to {size} each, at most {count} files.',
+    attach: 'Attach files',
+    remove: 'Remove',
+    removeLabel: 'Remove {name}',
+    cancelLabel: 'Cancel upload of {name}',
+    retryLabel: 'Retry uploading {name}',
+    dismiss: 'Dismiss',
+    dismissLabel: 'Dismiss {name}',
+    uploading: 'Uploading {name}: {percent}%',
+    uploaded: '{name} was uploaded.',
+    removed: '{name} was removed.',
+    removeFailed: '{name} could not be removed.',
+    attached: 'Evidence:',
+    loadFailed: 'Your uploaded files could not be loaded.',
+    uploadingHint: 'Wait for the uploads to finish before saving.',
+    errors: {
+      type: '{name}: only {types} files can be attached.',
+      empty: '{name} is empty.',
+      size: '{name} is larger than {max}.',
+      tooMany: '{name}: at most {count} files can be attached to a question.',
+      uploadFailed: '{name} could not be uploaded: {detail}',
+      locked: 'Files can no longer be changed because the report is being generated.',
+    },
+  },
+  team: {
+    title: 'Team',
+    intro: 'Invite colleagues to this assessment and give them survey sections or follow-up categories to answer. Everything not assigned to someone stays with the owner, and only the owner submits the survey.',
+    loading: 'Loading the team...',
+    loadFailed: 'The team could not be loaded.',
+    inviteLabel: 'Username of the colleague to invite',
+    invite: 'Invite',
+    inviting: 'Inviting...',
+    invited: '{name} was added to the team.',
+    progressTitle: 'Progress',
+    person: 'Person',
+    survey: 'Survey',
+    followup: 'Follow-up',
+    owner: 'Owner',
+    you: '{name} (you)',
+    surveyProgress: '{answered} of {total} answered',
+    followupProgress: '{answered} answered, {waiting} waiting',
+    membersTitle: 'Colleagues and their parts',
+    noMembers: 'No colleagues have been invited.',
+    noMembersOwner: 'Invite colleagues to share the work on this assessment.',
+    remove: 'Remove',
+    removeLabel: 'Remove {name} from the team',
+    removed: '{name} was removed from the team. Their answers are kept.',
+    surveySections: 'Survey sections',
+    followupCategories: 'Follow-up categories',
+    partList: '{part}:',
+    noParts: 'None available yet.',
+    currently: '(now {name})',
+    nothingAssigned: 'nothing assigned',
+    ownerNote: "{owner} answers everything that isn't assigned to someone.",
+    surveyIntro: 'You were invited by {owner}. Only the sections assigned to you are shown; {owner} submits the survey.',
+    noSurveySections: 'No survey section is assigned to you, so there is nothing to answer here. {owner} submits the survey.',
+    toFollowup: 'Go to the follow-up questions',
+    assignedTo: 'This section is answered by {name}.',
+    notAnsweredYet: 'Not answered yet',
+    answeredBy: 'Answered by {name}',
+    answeredByYou: 'Answered by you',
+    finishPart: 'Finish my part',
+    partDone: 'Your answers are saved. {owner} submits the survey once every section is done.',
+    partSaveFailed: 'Your answers could not be saved: {detail}',
+    sectionIncomplete: '"{step}" is not complete yet. It is answered by {name}.',
+    followupsForOthers: {
+      one: '1 follow-up question is for a colleague to answer.',
+      other: '{count} follow-up questions are for colleagues to answer.',
+    },
+    errors: {
+      unknownUser: 'There is no user named {name}.',
+      alreadyMember: '{name} is on the team already.',
+      inviteFailed: '{name} could not be invited: {detail}',
+      assignFailed: "{name}'s parts could not be saved.",
+      removeFailed: '{name} could not be removed from the team.',
+      restoreFailed: '{name} could not be added back to the team.',
+    },
+  },
+  pipeline: {
+    offline: 'You appear to be offline. Status updates will resume when your connection is back.',
+    connectionLost: "We couldn't reach the server to check the status of your assessment.",
+    stalled: 'This is taking longer than expected. You can keep waiting or check again now.',
+    checkAgain: 'Check again',
+    unknownStatus: "The server reported a status this page doesn't recognise ({status}). We'll keep checking.",
+  },
+  report: {
+    title: 'Assessment Report',
+    noSession: 'No active session found.',
+    loadingStatus: 'Loading status...',
+    processingTitle: 'Processing Assessment Data...',
+    processingText: 'The system is analyzing your responses and may ask follow-up questions if needed elsewhere. Please wait.',
+    goToFollowup: 'Go to the follow-up questions',
+    generatingTitle: 'Generating Recommendations Report...',
+    generatingText: 'This may take several minutes. Please wait.',
+    readyTitle: 'Recommendations Report Ready',
+    readyText: 'Your personalized recommendations are below. The same report is also available as a PowerPoint download.',
+    download: 'Download Report (.pptx)',
+    missingUrl: 'Error: Download URL is missing, although status is ready.',
+    recommendationsFailed: "The recommendations couldn't be loaded here. The downloadable report is still available.",
+    loadingRecommendations: 'Loading recommendations...',
+    errorTitle: 'Error Generating Report',
+    errorText: 'Sorry, an error occurred while generating or processing your report.',
+    errorDetails: 'Details: {message}',
+    notFound: 'Report status not found for this session ID.',
+    checking: 'Checking status ({status})...',
+  },
+  recommendations: {
+    heading: 'Recommendations',
+    search: 'Search',
+    searchPlaceholder: 'e.g. cloud, recycling',
+    priority: 'Priority',
+    allPriorities: 'All priorities',
+    showing: 'Showing {shown} of {total} recommendations',
+    noMatch: 'No recommendations match your filters.',
+    priorityBadge: 'Priority: {level}',
+    impactBadge: 'Impact: {level}',
+    effortBadge: 'Effort: {level}',
+    why: 'Why this is recommended',
+  },
+  export: {
+    button: 'Export',
+    exporting: 'Exporting {format}...',
+    failed: 'The export could not be created. Please try again.',
+    formats: {
+      pdf: 'PDF document',
+      csv: 'CSV (spreadsheet text)',
+      xlsx: 'Excel workbook (.xlsx)',
+      json: 'JSON data',
+    },
+    document: {
+      title: 'Green IT Assessment',
+      fileTitle: 'Green IT Assessment {session}',
+      info: 'Session {session} - generated {date}',
+      survey: 'Survey responses',
+      followup: 'Follow-up answers',
+      recommendations: 'Recommendations',
+      noAnswer: '(no answer)',
+      noFollowups: 'No follow-up questions were answered.',
+      ratings: 'Priority: {priority}, impact: {impact}, effort: {effort}',
+      why: 'Why: {rationale}',
+    },
+    columns: {
+      id: 'ID',
+      category: 'Category',
+      subcategory: 'Subcategory',
+      question: 'Question',
+      answer: 'Answer',
+      recommendation: 'Recommendation',
+      description: 'Description',
+      priority: 'Priority',
+      impact: 'Impact',
+      effort: 'Effort',
+      rationale: 'Rationale',
+      basedOn: 'Based on',
+    },
+  },
+  maturity: {
+    heading: 'Green IT maturity',
+    failed: 'Your maturity scores could not be calculated.',
+    calculating: 'Calculating maturity scores...',
+    none: 'None of your answers so far can be scored.',
+    overall: 'Overall maturity: {level}',
+    chartType: 'Chart type',
+    radar: 'Radar',
+    bars: 'Bars',
+    unscored: 'Not scored yet: {categories}',
+    chartLabel: 'Maturity by category: {scores}',
+    levels: {
+      leading: 'Leading',
+      established: 'Established',
+      developing: 'Developing',
+      emerging: 'Emerging',
+      initial: 'Initial',
+    },
+  },
+  comparison: {
+    title: 'Compare assessments',
+    back: 'Back to your assessments',
+    earlier: 'Earlier assessment',
+    later: 'Later assessment',
+    choose: 'Choose an assessment',
+    loadFailed: 'Your assessments could not be loaded. Please try again.',
+    loadSelectedFailed: 'The selected assessments could not be loaded. Please try again.',
+    needTwo: 'You need at least two submitted assessments to compare them.',
+    chooseDifferent: 'Choose two different assessments.',
+    loading: 'Loading comparison...',
+    surveyAnswers: 'Survey answers',
+    followupAnswers: 'Follow-up answers',
+    noSurveyAnswers: 'Neither assessment has survey answers.',
+    noFollowupAnswers: 'Neither assessment has follow-up answers.',
+    recommendations: 'Recommendations',
+    recommendationsPending: 'Recommendations can be compared once both reports are ready.',
+    byCategory: 'By category',
+    category: 'Category',
+    overall: 'Overall',
+    improved: 'Improved',
+    regressed: 'Regressed',
+    otherChanges: 'Other changes',
+    score: 'Score',
+    notScored: 'Not scored',
+    question: 'Question',
+    earlierColumn: 'Earlier',
+    laterColumn: 'Later',
+    change: 'Change',
+    showUnchanged: 'Show {count} unchanged',
+    noChanges: 'No answers changed.',
+    changes: {
+      improved: 'Improved',
+      regressed: 'Regressed',
+      changed: 'Changed',
+      unchanged: 'Unchanged',
+      added: 'Newly answered',
+      removed: 'No longer answered',
+    },
+    groups: {
+      resolved: { title: 'Resolved', hint: 'Recommended before, no longer recommended', empty: 'None resolved yet.' },
+      stillOpen: { title: 'Still open', hint: 'Recommended both times', empty: 'Nothing carried over.' },
+      added: { title: 'New', hint: 'Only recommended in the later assessment', empty: 'No new recommendations.' },
+    },
+  },
+  admin: {
+    title: 'Question bank',
+    forbidden: 'Only administrators can open the admin console.',
+    loading: 'Loading the question bank...',
+    loadFailed: 'The question bank could not be loaded.',
+    versionSaved: 'Version {version}, saved {date} by {user}',
+    versionOriginal: 'Version {version} (the original questions)',
+    unsaved: 'Unsaved changes',
+    save: 'Save as version {version}',
+    saving: 'Saving...',
+    saved: 'Saved version {version}. The survey now shows these questions.',
+    saveFailed: 'The question bank could not be saved: {detail}',
+    conflict: 'Someone else saved the question bank while you were editing: {detail}. Reload to see their version; your changes will be lost.',
+    reload: 'Reload',
+    discard: 'Discard changes',
+    discarded: 'Your changes were discarded.',
+    exportJson: 'Export JSON',
+    importJson: 'Import JSON',
+    imported: {
+      one: 'Imported {count} question from version {version}. Check it and save to publish it.',
+      other: 'Imported {count} questions from version {version}. Check them and save to publish them.',
+    },
+    importedUnversioned: {
+      one: 'Imported {count} question. Check it and save to publish it.',
+      other: 'Imported {count} questions. Check them and save to publish them.',
+    },
+    invalid: 'Fix these problems before saving:',
+    questions: 'Questions',
+    addQuestion: 'Add question',
+    untitled: '(no text yet)',
+    retiredBadge: 'Retired',
+    newBadge: 'New',
+    moveUp: 'Move {item} up',
+    moveDown: 'Move {item} down',
+    retire: 'Retire',
+    retireLabel: 'Retire {item}',
+    restore: 'Restore',
+    restoreLabel: 'Restore {item}',
+    remove: 'Remove',
+    removeLabel: 'Remove {item}',
+    editor: 'Edit question {id}',
+    retiredNotice: 'This question is retired: it is kept for earlier answers but no longer asked.',
+    fields: {
+      category: 'Category',
+      content: 'Question text',
+      answerType: 'Answer type',
+      options: 'Options',
+      optionText: 'Text of option {letter}',
+      optionScore: 'Score of option {letter} (0 to 1, optional)',
+      option: 'option {letter}',
+      addOption: 'Add option',
+    },
+    answerTypes: {
+      single_choice: 'Single choice',
+      multi_choice: 'Multiple choice',
+      text: 'Free text',
+      number: 'Number',
+      percentage: 'Percentage',
+      likert: 'Rating scale',
+      date: 'Date',
+      yes_no: 'Yes / no',
+    },
+    retiredHint: 'Retired options keep their letter so earlier answers still make sense.',
+    preview: 'Preview',
+    previewRetired: "Respondents don't see retired questions.",
+    validation: {
+      missingId: 'A question has no ID.',
+      duplicateId: '{id}: another question has the same ID.',
+      emptyContent: '{id}: the question has no text.',
+      duplicateLetter: '{id}: option {letter} appears twice.',
+      tooFewOptions: "{id}: a choice question needs at least two options that aren't retired.",
+      emptyOption: '{id}: option {letter} has no text.',
+      optionScore: '{id}: the score of option {letter} must be between 0 and 1.',
+      publishedMissing: '{id}: the question is published and would be deleted. Keep it and retire it instead.',
+      publishedOptionMissing: '{id}: option {letter} is published and would be deleted. Keep it and retire it instead.',
+    },
+    import: {
+      notJson: "The file isn't valid JSON.",
+      wrongFormat: "The file isn't a question bank export.",
+      newerSchema: 'The file was written by a newer version of the app (format {version}).',
+      noQuestions: "The file doesn't contain a list of questions.",
+      readFailed: 'The file could not be read.',
+    },
+  },
+};
+
+export default en;
@@ -0,0 +1,619 @@
+// src/i18n/locales/fr.js
+// French messages. Keys missing here fall back to English (see ./en.js).
+const fr = {
+  common: {
+    back: 'Retour',
+    next: 'Suivant',
+    cancel: 'Annuler',
+    edit: 'Modifier',
+    retry: 'Réessayer',
+    undo: 'Annuler',
+    tryAgain: 'Réessayer',
+    saving: 'Enregistrement...',
+    saved: 'Enregistré',
+    yes: 'Oui',
+    no: 'Non',
+    notAnswered: 'Sans réponse',
+    language: 'Langue',
+    initializing: 'Initialisation...',
+    pageOf: 'Page {page} sur {pages}',
+    uncategorised: 'Autre',
+  },
+  notifications: {
+    region: 'Notifications',
+    dismiss: 'Fermer la notification',
+    levels: {
+      success: 'Succès :',
+      warning: 'Avertissement :',
+      error: 'Erreur :',
+    },
+  },
+  levels: {
+    high: 'Élevé',
+    medium: 'Moyen',
+    low: 'Faible',
+    none: 'n/d',
+  },
+  status: {
+    session_created: 'Questionnaire non envoyé',
+    started: 'Traitement des réponses',
+    pipeline_running: 'Questions complémentaires',
+    generating_report: 'Génération du rapport',
+    ready: 'Rapport prêt',
+    error: 'Échec',
+    not_found: 'Introuvable',
+    unknown: 'Inconnu ({status})',
+  },
+  header: {
+    title: "Plateforme d'évaluation Green IT",
+    myAssessments: 'Mes évaluations',
+    signedInAs: 'Connecté en tant que {username}',
+    logout: 'Déconnexion',
+    admin: 'Administration',
+    team: 'Équipe',
+  },
+  theme: {
+    label: 'Thème de couleurs',
+    light: 'Thème clair',
+    dark: 'Thème sombre',
+    highContrast: 'Contraste élevé',
+  },
+  auth: {
+    login: 'Connexion',
+    register: "S'inscrire",
+    username: "Nom d'utilisateur :",
+    password: 'Mot de passe :',
+    processing: 'Traitement...',
+    loginFailed: 'Échec de la connexion. Vérifiez vos identifiants et réessayez.',
+    registerFailed: "Échec de l'inscription. Vérifiez vos identifiants et réessayez.",
+    noAccount: 'Pas encore de compte ?',
+    registerHere: 'Inscrivez-vous ici',
+    haveAccount: 'Vous avez déjà un compte ?',
+    loginHere: 'Connectez-vous ici',
+    expired: 'Votre session a expiré. Veuillez vous reconnecter.',
+  },
+  expiry: {
+    message: 'Votre session expire dans {time}. Vos réponses sont conservées si vous restez connecté.',
+    renewing: 'Renouvellement...',
+    stay: 'Rester connecté',
+  },
+  assessments: {
+    title: 'Vos évaluations',
+    startNew: 'Nouvelle évaluation',
+    starting: 'Démarrage...',
+    compareSelected: 'Comparer la sélection ({count}/2)',
+    chooseOrStart: 'Choisissez une évaluation à poursuivre ou commencez-en une nouvelle.',
+    loadFailed: "Vos évaluations n'ont pas pu être chargées. Veuillez réessayer.",
+    startFailed: "Impossible de commencer une nouvelle évaluation : {detail}",
+    loading: 'Chargement des évaluations...',
+    empty: "Vous n'avez encore aucune évaluation. Commencez-en une pour démarrer le questionnaire.",
+    compare: 'Comparer',
+    started: 'Commencée',
+    status: 'Statut',
+    report: 'Rapport',
+    actions: 'Actions',
+    current: 'En cours',
+    download: 'Télécharger (.pptx)',
+    compareLabel: "Comparer l'évaluation commencée le {date}",
+    open: 'Ouvrir',
+    resume: 'Reprendre',
+    sharedBy: 'Partagée par {owner}',
+  },
+  survey: {
+    title: 'Questionnaire',
+    loading: 'Chargement des questions...',
+    loadingQuestion: 'Chargement de la question...',
+    noQuestions: "Aucune question n'est disponible pour le moment.",
+    loadFailed: "Les questions n'ont pas pu être chargées.",
+    stepIncomplete: 'Veuillez répondre à toutes les questions de cette section (avec des valeurs valides) avant de continuer.',
+    submitIncomplete: 'Veuillez répondre à toutes les questions. « {step} » contient encore des réponses manquantes ou invalides.',
+    submitFailed: "Échec de l'envoi : {detail}",
+    pleaseTryAgain: 'Veuillez réessayer.',
+    submitted: 'Votre questionnaire a été envoyé.',
+    draftDiscarded: 'Vos réponses enregistrées ont été supprimées.',
+    lastSaved: 'Dernier enregistrement {time}',
+    localOnly: ' (sur cet appareil uniquement)',
+    discardDraft: 'Supprimer le brouillon',
+    progress: 'Étape {step} sur {steps} · {answered} questions sur {total} répondues',
+    submitting: 'Envoi...',
+    submit: 'Envoyer le questionnaire',
+    part: 'Partie {number}',
+    sections: 'Sections du questionnaire',
+    responseLabel: 'Réponse à la question : {question}',
+    selectOption: 'Choisir une option',
+    selectAll: 'Cochez toutes les réponses applicables :',
+    answerPlaceholder: 'Votre réponse...',
+    likertValue: '{value} sur {max}',
+    likertValueLabelled: '{value} sur {max} ({label})',
+  },
+  draft: {
+    region: 'Brouillon enregistré',
+    summary: {
+      one: 'Vous avez un brouillon avec {count} question répondue (dernier enregistrement {savedAt}).',
+      other: 'Vous avez un brouillon avec {count} questions répondues (dernier enregistrement {savedAt}).',
+    },
+    resume: 'Reprendre le brouillon',
+    discard: 'Supprimer et recommencer',
+  },
+  validation: {
+    chooseOption: 'Veuillez choisir une des options proposées.',
+    chooseListed: 'Veuillez choisir uniquement des options proposées.',
+    number: 'Veuillez saisir un nombre.',
+    min: 'Veuillez saisir une valeur supérieure ou égale à {min}.',
+    max: 'Veuillez saisir une valeur inférieure ou égale à {max}.',
+    rating: 'Veuillez choisir une note de {min} à {max}.',
+    date: 'Veuillez saisir une date valide.',
+    dateMin: 'Veuillez saisir une date à partir du {min}.',
+    dateMax: "Veuillez saisir une date jusqu'au {max}.",
+    yesNo: 'Veuillez choisir oui ou non.',
+  },
+  answerImport: {
+    button: 'Importer des réponses',
+    template: 'Télécharger un modèle :',
+    templateFormats: {
+      csv: 'Modèle (CSV)',
+      xlsx: 'Modèle (Excel)',
+    },
+    title: 'Vérifier les réponses importées',
+    intro: "Réponses lues dans {file}. Rien n'est rempli avant votre confirmation.",
+    matched: {
+      one: '{count} réponse peut être remplie',
+      other: '{count} réponses peuvent être remplies',
+    },
+    unchanged: '(déjà répondu ainsi)',
+    unmatched: {
+      one: '{count} ligne ne correspond pas',
+      other: '{count} lignes ne correspondent pas',
+    },
+    conflicts: {
+      one: '{count} conflit',
+      other: '{count} conflits',
+    },
+    row: 'Ligne {row}',
+    duplicate: "Le fichier contient des réponses différentes : {values}. Aucune n'est importée.",
+    existing: 'Votre réponse : {current}. Dans le fichier : {value}.',
+    skipped: {
+      one: '{count} ligne sans réponse a été ignorée.',
+      other: '{count} lignes sans réponse ont été ignorées.',
+    },
+    replaceExisting: 'Remplacer mes réponses actuelles par celles du fichier',
+    apply: {
+      one: 'Remplir {count} réponse',
+      other: 'Remplir {count} réponses',
+    },
+    nothingToApply: 'Aucune des réponses du fichier ne peut être remplie.',
+    applied: {
+      one: '{count} réponse a été remplie depuis le fichier.',
+      other: '{count} réponses ont été remplies depuis le fichier.',
+    },
+    templateFailed: "Le modèle n'a pas pu être créé.",
+    errors: {
+      unsupportedType: 'Veuillez choisir un fichier CSV, Excel (.xlsx) ou JSON.',
+      readFailed: "Le fichier n'a pas pu être lu.",
+      notJson: "Le fichier n'est pas un JSON valide.",
+      jsonShape: 'Le fichier JSON doit associer des identifiants de question à des réponses, ou lister des objets avec "question_id" et "answer".',
+      notXlsx: "Le fichier n'est pas un classeur Excel lisible.",
+      missingColumns: 'Le fichier doit avoir une colonne "question_id" et une colonne "answer".',
+      empty: 'Le fichier ne contient aucune réponse.',
+      unknownQuestion: "Il n'y a pas de question {id} dans ce questionnaire.",
+      missingId: "La ligne n'a pas d'identifiant de question.",
+      unknownOption: "« {value} » n'est pas une des options ({letters}).",
+    },
+    allowed: {
+      single: 'Une option (lettre ou texte) :',
+      multi: 'Une ou plusieurs options (lettres ou textes), séparées par « ; » :',
+      number: 'Un nombre',
+      numberMin: 'Un nombre, au moins {min}',
+      numberMax: 'Un nombre, au plus {max}',
+      numberRange: 'Un nombre de {min} à {max}',
+      likert: 'Un nombre entier de {min} à {max}',
+      date: 'Une date au format AAAA-MM-JJ',
+      yesNo: 'oui ou non',
+      text: 'Texte libre',
+    },
+  },
+  review: {
+    open: 'Vérifier les réponses',
+    title: 'Vérifiez vos réponses',
+    intro: 'Vérifiez vos réponses avant d’envoyer le questionnaire. « Modifier » permet d’en changer une.',
+    summary: {
+      complete: {
+        one: 'La question a une réponse.',
+        other: 'Les {count} questions ont une réponse.',
+      },
+      unanswered: {
+        one: '{count} question est sans réponse.',
+        other: '{count} questions sont sans réponse.',
+      },
+      invalid: {
+        one: "{count} réponse n'est pas valide.",
+        other: '{count} réponses ne sont pas valides.',
+      },
+      unusual: {
+        one: '{count} réponse semble inhabituelle ; merci de la vérifier.',
+        other: '{count} réponses semblent inhabituelles ; merci de les vérifier.',
+      },
+    },
+    flags: {
+      unanswered: 'Pas encore de réponse.',
+      invalid: 'Non valide :',
+      unusual: 'À vérifier :',
+    },
+    unusual: {
+      percentageEnd: 'Exactement {value} %, c’est rare.',
+      zero: 'Zéro est-il correct ici ?',
+      negative: 'Une valeur négative est-elle correcte ici ?',
+      placeholder: 'Cela ressemble plus à un espace réservé qu’à une réponse.',
+      futureDate: 'Cette date est dans le futur.',
+      allOptions: 'Toutes les options sont cochées.',
+    },
+    notAnswered: 'Pas de réponse',
+    edit: 'Modifier',
+    editLabel: 'Modifier la réponse à : {question}',
+    print: 'Imprimer',
+    downloadPdf: 'Télécharger en PDF',
+    pdfFailed: "Le PDF n'a pas pu être créé.",
+    pdfInfo: 'Session {session} · {date}',
+    blocked: 'Chaque question doit avoir une réponse valide avant que le questionnaire puisse être envoyé.',
+    confirm: "J'ai vérifié ces réponses et je veux envoyer le questionnaire.",
+    back: 'Retour au questionnaire',
+  },
+  offline: {
+    offline: 'Vous êtes hors ligne. Les réponses envoyées sont conservées sur cet appareil et transmises dès le retour de la connexion.',
+    pending: {
+      one: '{count} envoi en attente de transmission.',
+      other: '{count} envois en attente de transmission.',
+    },
+    sendNow: 'Envoyer maintenant',
+    sending: 'Envoi...',
+    synced: {
+      one: '{count} envoi fait hors ligne a été transmis.',
+      other: '{count} envois faits hors ligne ont été transmis.',
+    },
+    rejected: 'Un envoi fait hors ligne le {date} a été refusé : {detail}',
+    surveyRejected: 'Le questionnaire envoyé hors ligne le {date} a été refusé : {detail} Vos réponses sont conservées comme brouillon.',
+    surveyQueued: 'Vous êtes hors ligne. Le questionnaire est conservé sur cet appareil et envoyé dès le retour de la connexion.',
+    answerQueued: 'Vous êtes hors ligne. La réponse est conservée sur cet appareil et enregistrée dès le retour de la connexion.',
+    waiting: 'En attente de transmission',
+  },
+  followup: {
+    title: 'Questions complémentaires',
+    noSession: 'Erreur : aucun identifiant de session trouvé. Veuillez recommencer.',
+    checking: 'Recherche de questions complémentaires...',
+    pleaseWait: 'Veuillez patienter.',
+    pending: {
+      one: '{count} question complémentaire attend une réponse.',
+      other: '{count} questions complémentaires attendent une réponse.',
+    },
+    intro: "Veuillez répondre aux questions suivantes pour affiner l'évaluation. Chaque réponse est enregistrée séparément.",
+    guidelines: 'Consignes :',
+    saveAnswer: 'Enregistrer la réponse',
+    saved: 'Votre réponse a été enregistrée.',
+    allAnswered: 'Toutes les questions complémentaires ont été répondues.',
+    noneAvailable: "Aucune question complémentaire n'est disponible pour le moment.",
+    waiting: 'Recherche de mises à jour ou attente de la fin du traitement...',
+    loadAnswersFailed: "Vos réponses précédentes n'ont pas pu être chargées. Vous pouvez tout de même enregistrer de nouvelles réponses.",
+    answerRequired: 'Veuillez répondre à cette question avant de l’enregistrer.',
+    locked: 'Cette réponse ne peut plus être modifiée car le rapport est en cours de génération.',
+    saveFailed: "Impossible d'enregistrer : {detail}. Veuillez réessayer.",
+    unknownError: 'Erreur inconnue',
+    other: 'Autre (veuillez préciser) :',
+    otherPlaceholder: 'Précisez ici...',
+    selectOption: '-- Choisir une option --',
+    noInput: '(Aucune option de saisie définie pour ce type de question)',
+    yourAnswers: 'Vos réponses ({count})',
+    answersLocked: 'Les réponses ne peuvent plus être modifiées car le rapport est en cours de génération.',
+    saveChanges: 'Enregistrer les modifications',
+    noAnswer: 'Aucune réponse',
+    scoresAvailable: 'Vos niveaux de maturité sont déjà disponibles sur la {link}.',
+    reportPage: 'page du rapport',
+  },
+  evidence: {
+    label: 'Justificatifs',
+    hint: "Joignez des documents qui appuient votre réponse, par exemple des factures d'énergie, des inventaires ou des certificats : {types}, jusqu'à {size} chacun, {count} fichiers au maximum.",
+    attach: 'Joindre des fichiers',
+    remove: 'Retirer',
+    removeLabel: 'Retirer {name}',
+    cancelLabel: "Annuler l'envoi de {name}",
+    retryLabel: 'Renvoyer {name}',
+    dismiss: 'Masquer',
+    dismissLabel: 'Masquer {name}',
+    uploading: 'Envoi de {name} : {percent} %',
+    uploaded: '{name} a été envoyé.',
+    removed: '{name} a été retiré.',
+    removeFailed: "{name} n'a pas pu être retiré.",
+    attached: 'Justificatifs :',
+    loadFailed: "Vos fichiers envoyés n'ont pas pu être chargés.",
+    uploadingHint: "Attendez la fin de l'envoi des fichiers avant d'enregistrer.",
+    errors: {
+      type: '{name} : seuls les fichiers {types} peuvent être joints.',
+      empty: '{name} est vide.',
+      size: '{name} dépasse {max}.',
+      tooMany: '{name} : {count} fichiers au maximum peuvent être joints à une question.',
+      uploadFailed: "{name} n'a pas pu être envoyé : {detail}",
+      locked: 'Les fichiers ne peuvent plus être modifiés car le rapport est en cours de création.',
+    },
+  },
+  team: {
+    title: 'Équipe',
+    intro: "Invitez des collègues à cette évaluation et confiez-leur des sections du questionnaire ou des catégories de questions complémentaires. Ce qui n'est confié à personne reste au propriétaire, qui est seul à envoyer le questionnaire.",
+    loading: "Chargement de l'équipe...",
+    loadFailed: "L'équipe n'a pas pu être chargée.",
+    inviteLabel: "Nom d'utilisateur du collègue à inviter",
+    invite: 'Inviter',
+    inviting: 'Invitation...',
+    invited: "{name} a été ajouté à l'équipe.",
+    progressTitle: 'Avancement',
+    person: 'Personne',
+    survey: 'Questionnaire',
+    followup: 'Questions complémentaires',
+    owner: 'Propriétaire',
+    you: '{name} (vous)',
+    surveyProgress: '{answered} sur {total} répondues',
+    followupProgress: '{answered} répondues, {waiting} en attente',
+    membersTitle: 'Collègues et leurs parties',
+    noMembers: "Aucun collègue n'a été invité.",
+    noMembersOwner: 'Invitez des collègues pour partager le travail sur cette évaluation.',
+    remove: 'Retirer',
+    removeLabel: "Retirer {name} de l'équipe",
+    removed: "{name} a été retiré de l'équipe. Ses réponses sont conservées.",
+    surveySections: 'Sections du questionnaire',
+    followupCategories: 'Catégories des questions complémentaires',
+    partList: '{part} :',
+    noParts: 'Aucune pour le moment.',
+    currently: '(actuellement {name})',
+    nothingAssigned: 'rien de confié',
+    ownerNote: "{owner} répond à tout ce qui n'est confié à personne.",
+    surveyIntro: '{owner} vous a invité. Seules les sections qui vous sont confiées sont affichées ; {owner} envoie le questionnaire.',
+    noSurveySections: "Aucune section du questionnaire ne vous est confiée, il n'y a donc rien à répondre ici. {owner} envoie le questionnaire.",
+    toFollowup: 'Aller aux questions complémentaires',
+    assignedTo: 'Cette section est confiée à {name}.',
+    notAnsweredYet: 'Pas encore de réponse',
+    answeredBy: 'Réponse de {name}',
+    answeredByYou: 'Votre réponse',
+    finishPart: 'Terminer ma partie',
+    partDone: 'Vos réponses sont enregistrées. {owner} enverra le questionnaire une fois toutes les sections terminées.',
+    partSaveFailed: "Vos réponses n'ont pas pu être enregistrées : {detail}",
+    sectionIncomplete: "« {step} » n'est pas encore complète. Cette section est confiée à {name}.",
+    followupsForOthers: {
+      one: '1 question complémentaire est confiée à un collègue.',
+      other: '{count} questions complémentaires sont confiées à des collègues.',
+    },
+    errors: {
+      unknownUser: "Il n'existe aucun utilisateur nommé {name}.",
+      alreadyMember: "{name} fait déjà partie de l'équipe.",
+      inviteFailed: "{name} n'a pas pu être invité : {detail}",
+      assignFailed: "Les parties de {name} n'ont pas pu être enregistrées.",
+      removeFailed: "{name} n'a pas pu être retiré de l'équipe.",
+      restoreFailed: "{name} n'a pas pu être réintégré dans l'équipe.",
+    },
+  },
+  pipeline: {
+    offline: 'Vous semblez être hors ligne. Les mises à jour reprendront dès le retour de la connexion.',
+    connectionLost: "Le serveur n'a pas pu être joint pour vérifier le statut de votre évaluation.",
+    stalled: 'Cela prend plus de temps que prévu. Vous pouvez continuer à attendre ou vérifier maintenant.',
+    checkAgain: 'Vérifier à nouveau',
+    unknownStatus: 'Le serveur a signalé un statut inconnu de cette page ({status}). Nous continuons à vérifier.',
+  },
+  report: {
+    title: "Rapport d'évaluation",
+    noSession: 'Aucune session active trouvée.',
+    loadingStatus: 'Chargement du statut...',
+    processingTitle: "Traitement des données d'évaluation...",
+    processingText: 'Le système analyse vos réponses et peut poser des questions complémentaires ailleurs si nécessaire. Veuillez patienter.',
+    goToFollowup: 'Aller aux questions complémentaires',
+    generatingTitle: 'Génération du rapport de recommandations...',
+    generatingText: 'Cela peut prendre plusieurs minutes. Veuillez patienter.',
+    readyTitle: 'Rapport de recommandations prêt',
+    readyText: 'Vos recommandations personnalisées figurent ci-dessous. Le même rapport est disponible en téléchargement PowerPoint.',
+    download: 'Télécharger le rapport (.pptx)',
+    missingUrl: 'Erreur : le lien de téléchargement est manquant alors que le rapport est prêt.',
+    recommendationsFailed: "Les recommandations n'ont pas pu être chargées ici. Le rapport reste téléchargeable.",
+    loadingRecommendations: 'Chargement des recommandations...',
+    errorTitle: 'Erreur lors de la génération du rapport',
+    errorText: "Une erreur s'est produite lors de la génération ou du traitement de votre rapport.",
+    errorDetails: 'Détails : {message}',
+    notFound: 'Aucun statut de rapport trouvé pour cet identifiant de session.',
+    checking: 'Vérification du statut ({status})...',
+  },
+  recommendations: {
+    heading: 'Recommandations',
+    search: 'Rechercher',
+    searchPlaceholder: 'p. ex. cloud, recyclage',
+    priority: 'Priorité',
+    allPriorities: 'Toutes les priorités',
+    showing: '{shown} recommandations sur {total}',
+    noMatch: 'Aucune recommandation ne correspond à vos filtres.',
+    priorityBadge: 'Priorité : {level}',
+    impactBadge: 'Impact : {level}',
+    effortBadge: 'Effort : {level}',
+    why: 'Pourquoi cette recommandation',
+  },
+  export: {
+    button: 'Exporter',
+    exporting: 'Export {format}...',
+    failed: "L'export n'a pas pu être créé. Veuillez réessayer.",
+    formats: {
+      pdf: 'Document PDF',
+      csv: 'CSV (texte tabulé)',
+      xlsx: 'Classeur Excel (.xlsx)',
+      json: 'Données JSON',
+    },
+    document: {
+      title: 'Évaluation Green IT',
+      fileTitle: 'Évaluation Green IT {session}',
+      info: 'Session {session} - générée le {date}',
+      survey: 'Réponses au questionnaire',
+      followup: 'Réponses complémentaires',
+      recommendations: 'Recommandations',
+      noAnswer: '(pas de réponse)',
+      noFollowups: "Aucune question complémentaire n'a reçu de réponse.",
+      ratings: 'Priorité : {priority}, impact : {impact}, effort : {effort}',
+      why: 'Pourquoi : {rationale}',
+    },
+    columns: {
+      id: 'ID',
+      category: 'Catégorie',
+      subcategory: 'Sous-catégorie',
+      question: 'Question',
+      answer: 'Réponse',
+      recommendation: 'Recommandation',
+      description: 'Description',
+      priority: 'Priorité',
+      impact: 'Impact',
+      effort: 'Effort',
+      rationale: 'Justification',
+      basedOn: 'Fondée sur',
+    },
+  },
+  maturity: {
+    heading: 'Maturité Green IT',
+    failed: "Vos niveaux de maturité n'ont pas pu être calculés.",
+    calculating: 'Calcul des niveaux de maturité...',
+    none: 'Aucune de vos réponses ne peut encore être notée.',
+    overall: 'Maturité globale : {level}',
+    chartType: 'Type de graphique',
+    radar: 'Radar',
+    bars: 'Barres',
+    unscored: 'Pas encore noté : {categories}',
+    chartLabel: 'Maturité par catégorie : {scores}',
+    levels: {
+      leading: 'Exemplaire',
+      established: 'Établi',
+      developing: 'En progression',
+      emerging: 'Émergent',
+      initial: 'Initial',
+    },
+  },
+  comparison: {
+    title: 'Comparer des évaluations',
+    back: 'Retour à vos évaluations',
+    earlier: 'Évaluation antérieure',
+    later: 'Évaluation ultérieure',
+    choose: 'Choisir une évaluation',
+    loadFailed: "Vos évaluations n'ont pas pu être chargées. Veuillez réessayer.",
+    loadSelectedFailed: "Les évaluations sélectionnées n'ont pas pu être chargées. Veuillez réessayer.",
+    needTwo: 'Il faut au moins deux évaluations envoyées pour les comparer.',
+    chooseDifferent: 'Choisissez deux évaluations différentes.',
+    loading: 'Chargement de la comparaison...',
+    surveyAnswers: 'Réponses au questionnaire',
+    followupAnswers: 'Réponses complémentaires',
+    noSurveyAnswers: "Aucune des deux évaluations n'a de réponses au questionnaire.",
+    noFollowupAnswers: "Aucune des deux évaluations n'a de réponses complémentaires.",
+    recommendations: 'Recommandations',
+    recommendationsPending: 'Les recommandations pourront être comparées une fois les deux rapports prêts.',
+    byCategory: 'Par catégorie',
+    category: 'Catégorie',
+    overall: 'Global',
+    improved: 'Amélioré',
+    regressed: 'Dégradé',
+    otherChanges: 'Autres changements',
+    score: 'Score',
+    notScored: 'Non noté',
+    question: 'Question',
+    earlierColumn: 'Avant',
+    laterColumn: 'Après',
+    change: 'Évolution',
+    showUnchanged: 'Afficher {count} inchangées',
+    noChanges: "Aucune réponse n'a changé.",
+    changes: {
+      improved: 'Amélioré',
+      regressed: 'Dégradé',
+      changed: 'Modifié',
+      unchanged: 'Inchangé',
+      added: 'Nouvelle réponse',
+      removed: 'Plus de réponse',
+    },
+    groups: {
+      resolved: { title: 'Résolues', hint: 'Recommandées avant, plus maintenant', empty: 'Rien de résolu pour le moment.' },
+      stillOpen: { title: 'Toujours ouvertes', hint: 'Recommandées les deux fois', empty: 'Rien de reporté.' },
+      added: { title: 'Nouvelles', hint: "Recommandées uniquement dans l'évaluation ultérieure", empty: 'Aucune nouvelle recommandation.' },
+    },
+  },
+  admin: {
+    title: 'Banque de questions',
+    forbidden: "Seuls les administrateurs peuvent ouvrir la console d'administration.",
+    loading: 'Chargement de la banque de questions...',
+    loadFailed: "La banque de questions n'a pas pu être chargée.",
+    versionSaved: 'Version {version}, enregistrée le {date} par {user}',
+    versionOriginal: "Version {version} (les questions d'origine)",
+    unsaved: 'Modifications non enregistrées',
+    save: 'Enregistrer comme version {version}',
+    saving: 'Enregistrement...',
+    saved: 'Version {version} enregistrée. Le questionnaire affiche désormais ces questions.',
+    saveFailed: "La banque de questions n'a pas pu être enregistrée : {detail}",
+    conflict: "Quelqu'un d'autre a enregistré la banque de questions pendant votre modification : {detail}. Rechargez pour voir sa version ; vos modifications seront perdues.",
+    reload: 'Recharger',
+    discard: 'Annuler les modifications',
+    discarded: 'Vos modifications ont été annulées.',
+    exportJson: 'Exporter en JSON',
+    importJson: 'Importer un JSON',
+    imported: {
+      one: '{count} question importée depuis la version {version}. Vérifiez-la et enregistrez pour la publier.',
+      other: '{count} questions importées depuis la version {version}. Vérifiez-les et enregistrez pour les publier.',
+    },
+    importedUnversioned: {
+      one: '{count} question importée. Vérifiez-la et enregistrez pour la publier.',
+      other: '{count} questions importées. Vérifiez-les et enregistrez pour les publier.',
+    },
+    invalid: "Corrigez ces problèmes avant d'enregistrer :",
+    questions: 'Questions',
+    addQuestion: 'Ajouter une question',
+    untitled: '(pas encore de texte)',
+    retiredBadge: 'Retirée',
+    newBadge: 'Nouvelle',
+    moveUp: 'Monter {item}',
+    moveDown: 'Descendre {item}',
+    retire: 'Retirer',
+    retireLabel: 'Retirer {item}',
+    restore: 'Rétablir',
+    restoreLabel: 'Rétablir {item}',
+    remove: 'Supprimer',
+    removeLabel: 'Supprimer {item}',
+    editor: 'Modifier la question {id}',
+    retiredNotice: "Cette question est retirée : elle est conservée pour les réponses antérieures mais n'est plus posée.",
+    fields: {
+      category: 'Catégorie',
+      content: 'Texte de la question',
+      answerType: 'Type de réponse',
+      options: 'Options',
+      optionText: "Texte de l'option {letter}",
+      optionScore: "Score de l'option {letter} (0 à 1, facultatif)",
+      option: "l'option {letter}",
+      addOption: 'Ajouter une option',
+    },
+    answerTypes: {
+      single_choice: 'Choix unique',
+      multi_choice: 'Choix multiple',
+      text: 'Texte libre',
+      number: 'Nombre',
+      percentage: 'Pourcentage',
+      likert: 'Échelle de notation',
+      date: 'Date',
+      yes_no: 'Oui / non',
+    },
+    retiredHint: 'Les options retirées gardent leur lettre pour que les réponses antérieures restent compréhensibles.',
+    preview: 'Aperçu',
+    previewRetired: 'Les questions retirées ne sont pas montrées aux répondants.',
+    validation: {
+      missingId: "Une question n'a pas d'identifiant.",
+      duplicateId: '{id} : une autre question a le même identifiant.',
+      emptyContent: "{id} : la question n'a pas de texte.",
+      duplicateLetter: "{id} : l'option {letter} apparaît deux fois.",
+      tooFewOptions: "{id} : une question à choix a besoin d'au moins deux options non retirées.",
+      emptyOption: "{id} : l'option {letter} n'a pas de texte.",
+      optionScore: "{id} : le score de l'option {letter} doit être compris entre 0 et 1.",
+      publishedMissing: '{id} : la question est publiée et serait supprimée. Conservez-la et retirez-la plutôt.',
+      publishedOptionMissing: "{id} : l'option {letter} est publiée et serait supprimée. Conservez-la et retirez-la plutôt.",
+    },
+    import: {
+      notJson: "Le fichier n'est pas un JSON valide.",
+      wrongFormat: "Le fichier n'est pas un export de banque de questions.",
+      newerSchema: "Le fichier a été écrit par une version plus récente de l'application (format {version}).",
+      noQuestions: 'Le fichier ne contient pas de liste de questions.',
+      readFailed: "Le fichier n'a pas pu être lu.",
+    },
+  },
+};
+
+export default fr;
@@ -1,12 +1,24 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client'; // use createRoot instead of render
 import App from './App';
+import { loadConfig } from './config';
+import { configureApi } from './services/api';
+import { applyBranding } from './theme';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 
 const container = document.getElementById('root');
 const root = createRoot(container);
 
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+// Resolve runtime config (config.json / env) before the first API call is made
+loadConfig().then(async (config) => {
+  await configureApi(config);
+  applyBranding(config.branding);
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
+
+// Caches the app shell and the questions for use offline
+registerServiceWorker();
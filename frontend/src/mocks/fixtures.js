@@ -0,0 +1,382 @@
+// src/mocks/fixtures.js
+// Static content served by the mock backend. Shapes mirror the real API responses.
+//
+// Survey and follow-up questions carry the maturity scoring metadata described
+// in src/utils/answerScoring.js (option `score`s, `scoring` ranges and `option_scores`).
+
+export const surveyQuestions = [
+  {
+    question_id: "Q1",
+    category: "Infrastructure",
+    content: "Where is your IT infrastructure primarily hosted?",
+    options: [
+      { option_letter: "A", content: "Entirely on-premise" },
+      { option_letter: "B", content: "Mostly on-premise with some cloud" },
+      { option_letter: "C", content: "Mostly in the public cloud" },
+      { option_letter: "D", content: "Entirely in the public cloud" },
+    ],
+  },
+  {
+    // Only relevant when at least part of the estate runs in the cloud
+    question_id: "Q5",
+    category: "Infrastructure",
+    content: "Do you choose cloud regions based on the carbon intensity of their electricity?",
+    display_condition: { question_id: "Q1", operator: "not_equals", value: "A" },
+    options: [
+      { option_letter: "A", content: "No", score: 0 },
+      { option_letter: "B", content: "Sometimes", score: 0.5 },
+      { option_letter: "C", content: "Always", score: 1 },
+    ],
+  },
+  {
+    question_id: "Q2",
+    category: "Energy",
+    content: "Do you measure the energy consumption of your data centre or server rooms?",
+    options: [
+      { option_letter: "A", content: "No", score: 0 },
+      { option_letter: "B", content: "Occasionally, with estimates", score: 0.33 },
+      { option_letter: "C", content: "Yes, with periodic metering", score: 0.67 },
+      { option_letter: "D", content: "Yes, with continuous monitoring", score: 1 },
+    ],
+  },
+  {
+    question_id: "Q3",
+    category: "Hardware",
+    content: "How are end-user devices handled at the end of their life?",
+    options: [
+      { option_letter: "A", content: "Disposed of as general waste", score: 0 },
+      { option_letter: "B", content: "Sent to a certified recycler", score: 0.5 },
+      { option_letter: "C", content: "Refurbished and reused or donated", score: 1 },
+    ],
+  },
+  {
+    question_id: "Q6",
+    category: "Energy",
+    answer_type: "number",
+    content: "What was the annual electricity consumption of your IT estate?",
+    unit: "kWh",
+    min: 0,
+  },
+  {
+    // Power Usage Effectiveness only makes sense when consumption is metered
+    question_id: "Q7",
+    category: "Energy",
+    answer_type: "number",
+    content: "What is the Power Usage Effectiveness (PUE) of your main data centre?",
+    display_condition: { question_id: "Q2", operator: "in", value: ["C", "D"] },
+    min: 1,
+    max: 3,
+    step: 0.01,
+    scoring: { best: 1.2, worst: 2.5 },
+  },
+  {
+    question_id: "Q8",
+    category: "Energy",
+    answer_type: "percentage",
+    content: "What share of the electricity used by IT comes from renewable sources?",
+    scoring: { best: 100, worst: 0 },
+  },
+  {
+    question_id: "Q9",
+    category: "Hardware",
+    answer_type: "number",
+    content: "How many physical servers do you operate?",
+    unit: "servers",
+    min: 0,
+    step: 1,
+  },
+  {
+    question_id: "Q10",
+    category: "Hardware",
+    answer_type: "multi_choice",
+    content: "Which eco-labels do you require when buying hardware?",
+    options: [
+      { option_letter: "A", content: "TCO Certified", score: 0.5 },
+      { option_letter: "B", content: "EPEAT", score: 0.5 },
+      { option_letter: "C", content: "ENERGY STAR", score: 0.25 },
+      { option_letter: "D", content: "Blue Angel", score: 0.25 },
+    ],
+  },
+  {
+    question_id: "Q11",
+    category: "Hardware",
+    answer_type: "yes_no",
+    content: "Do you run a take-back programme for employee devices?",
+    scoring: { yes: 1, no: 0 },
+  },
+  {
+    question_id: "Q12",
+    category: "Strategy",
+    answer_type: "likert",
+    content: "How much weight does sustainability carry in IT purchasing decisions?",
+    scale: { min: 1, max: 5, min_label: "None", max_label: "Decisive" },
+  },
+  {
+    question_id: "Q13",
+    category: "Strategy",
+    answer_type: "date",
+    content: "When was your last energy or sustainability audit of IT?",
+    max: "2030-12-31",
+  },
+  {
+    question_id: "Q4",
+    category: "Strategy",
+    content: "Describe any sustainability targets your IT department currently has.",
+  },
+];
+
+// Follow-up questions are released in rounds while the pipeline is running
+export const followupRounds = [
+  [
+    {
+      question_id: "F1",
+      question: "Which energy efficiency measures are in place in your server rooms?",
+      category: "Infrastructure",
+      subcategory: "Energy Efficiency",
+      additional_fields: {
+        multiple_correct_answer_options: [
+          "Hot/cold aisle containment",
+          "Free cooling",
+          "Server virtualisation",
+          "",
+        ],
+        option_scores: { "Hot/cold aisle containment": 0.35, "Free cooling": 0.35, "Server virtualisation": 0.3 },
+        guidelines: "Select every measure that is currently operational.",
+      },
+    },
+    {
+      question_id: "F2",
+      question: "How often is your hardware refresh cycle reviewed?",
+      category: "Hardware",
+      subcategory: "Lifecycle",
+      additional_fields: {
+        answer_options: ["Never", "Every few years", "Yearly", "Continuously"],
+        option_scores: { Never: 0, "Every few years": 0.33, Yearly: 0.67, Continuously: 1 },
+      },
+    },
+  ],
+  [
+    {
+      question_id: "F3",
+      question: "What share of your electricity comes from renewable sources, and how is it sourced?",
+      category: "Energy",
+      subcategory: "Procurement",
+      additional_fields: {
+        subjective_answer: [""],
+        guidelines: "Include green tariffs, PPAs or on-site generation if applicable.",
+      },
+    },
+  ],
+];
+
+// Recommendations served once the report is ready. `based_on` lists the questions
+// whose answers are quoted back as the rationale's evidence; `applies_when` is a
+// display condition on the survey answers, so a later assessment that fixed the
+// underlying issue no longer gets the recommendation.
+
+// Applies unless the answers show the issue is fixed, including when they're missing
+// (a negated condition alone stays false while its questions are unanswered)
+const unlessAnswered = (condition, questionIds) => ({
+  any: [...questionIds.map((questionId) => ({ question_id: questionId, operator: "not_answered" })), { not: condition }],
+});
+
+export const recommendationTemplates = [
+  {
+    id: "R1",
+    title: "Install continuous energy monitoring in server rooms",
+    description: "Meter IT load and facility load separately so PUE can be tracked month by month.",
+    category: "Energy",
+    subcategory: "Measurement",
+    priority: "high",
+    impact: "high",
+    effort: "medium",
+    rationale: "Energy use is not measured continuously, so savings from other measures can't be verified.",
+    based_on: ["Q2", "Q7"],
+    applies_when: unlessAnswered({ question_id: "Q2", operator: "equals", value: "D" }, ["Q2"]),
+  },
+  {
+    id: "R2",
+    title: "Move to a renewable electricity tariff or PPA",
+    description: "Switch the IT estate to certified renewable electricity and record the guarantees of origin.",
+    category: "Energy",
+    subcategory: "Procurement",
+    priority: "high",
+    impact: "high",
+    effort: "low",
+    rationale: "Part of the electricity used by IT still comes from non-renewable sources.",
+    based_on: ["Q8", "F3"],
+    applies_when: unlessAnswered({ question_id: "Q8", operator: "gte", value: 90 }, ["Q8"]),
+  },
+  {
+    id: "R3",
+    title: "Consolidate servers through virtualisation",
+    description: "Raise average utilisation and retire under-used physical servers.",
+    category: "Infrastructure",
+    subcategory: "Energy Efficiency",
+    priority: "medium",
+    impact: "high",
+    effort: "high",
+    rationale: "The number of physical servers and the efficiency measures in place leave room for consolidation.",
+    based_on: ["Q9", "F1"],
+    applies_when: unlessAnswered({ question_id: "Q9", operator: "lte", value: 5 }, ["Q9"]),
+  },
+  {
+    id: "R4",
+    title: "Choose cloud regions by grid carbon intensity",
+    description: "Prefer regions powered by low-carbon grids for workloads that are not latency-sensitive.",
+    category: "Infrastructure",
+    subcategory: "Cloud",
+    priority: "low",
+    impact: "medium",
+    effort: "low",
+    rationale: "Cloud regions are not yet selected with carbon intensity in mind.",
+    based_on: ["Q1", "Q5"],
+    applies_when: unlessAnswered({ question_id: "Q5", operator: "equals", value: "C" }, ["Q5"]),
+  },
+  {
+    id: "R5",
+    title: "Extend device lifetimes and refurbish before recycling",
+    description: "Lengthen the refresh cycle and route working devices to refurbishment or donation.",
+    category: "Hardware",
+    subcategory: "Lifecycle",
+    priority: "medium",
+    impact: "medium",
+    effort: "low",
+    rationale: "End-of-life handling and the refresh cycle determine most of the embodied carbon of end-user devices.",
+    based_on: ["Q3", "Q11", "F2"],
+    applies_when: unlessAnswered({ all: [{ question_id: "Q3", value: "C" }, { question_id: "Q11", value: true }] }, ["Q3", "Q11"]),
+  },
+  {
+    id: "R6",
+    title: "Require eco-labels in hardware tenders",
+    description: "Make TCO Certified or EPEAT a mandatory criterion for laptops, monitors and servers.",
+    category: "Hardware",
+    subcategory: "Procurement",
+    priority: "low",
+    impact: "medium",
+    effort: "low",
+    rationale: "Eco-label requirements are a low-effort way to raise the baseline of purchased equipment.",
+    based_on: ["Q10", "Q12"],
+    applies_when: unlessAnswered({ question_id: "Q10", operator: "contains", value: ["A", "B"] }, ["Q10"]),
+  },
+  {
+    id: "R7",
+    title: "Set measurable IT sustainability targets",
+    description: "Agree yearly targets for energy, renewable share and device reuse, and review them after each audit.",
+    category: "Strategy",
+    subcategory: "Governance",
+    priority: "medium",
+    impact: "medium",
+    effort: "medium",
+    rationale: "Targets and regular audits keep the other measures on track.",
+    based_on: ["Q4", "Q13"],
+    applies_when: { question_id: "Q13", operator: "not_answered" },
+  },
+];
+
+// Placeholder report content; the real backend serves a generated .pptx
+export const buildMockReportUrl = (sessionId) =>
+  `data:text/plain;charset=utf-8,${encodeURIComponent(`Mock recommendations report for session ${sessionId}`)}`;
+
+// Localised content, keyed by language and id. Anything missing stays in English,
+// as a real backend would do for a partly translated catalogue.
+export const contentTranslations = {
+  de: {
+    categories: {
+      Infrastructure: "Infrastruktur",
+      Energy: "Energie",
+      Hardware: "Hardware",
+      Strategy: "Strategie",
+    },
+    subcategories: {
+      "Energy Efficiency": "Energieeffizienz",
+      Lifecycle: "Lebenszyklus",
+      Procurement: "Beschaffung",
+      Measurement: "Messung",
+      Cloud: "Cloud",
+      Governance: "Steuerung",
+    },
+    surveyQuestions: {
+      Q1: {
+        content: "Wo wird Ihre IT-Infrastruktur überwiegend betrieben?",
+        options: { A: "Vollständig im eigenen Rechenzentrum", B: "Überwiegend im eigenen Rechenzentrum, teilweise in der Cloud", C: "Überwiegend in der Public Cloud", D: "Vollständig in der Public Cloud" },
+      },
+      Q5: {
+        content: "Wählen Sie Cloud-Regionen nach der CO₂-Intensität ihres Stroms aus?",
+        options: { A: "Nein", B: "Manchmal", C: "Immer" },
+      },
+      Q2: {
+        content: "Messen Sie den Energieverbrauch Ihres Rechenzentrums oder Ihrer Serverräume?",
+        options: { A: "Nein", B: "Gelegentlich, mit Schätzungen", C: "Ja, mit regelmäßigen Zählerablesungen", D: "Ja, mit kontinuierlichem Monitoring" },
+      },
+      Q3: {
+        content: "Wie werden Endgeräte am Ende ihrer Lebensdauer behandelt?",
+        options: { A: "Als Restmüll entsorgt", B: "An einen zertifizierten Recycler übergeben", C: "Aufbereitet und weiterverwendet oder gespendet" },
+      },
+      Q6: { content: "Wie hoch war der jährliche Stromverbrauch Ihrer IT?" },
+      Q7: { content: "Wie hoch ist die Power Usage Effectiveness (PUE) Ihres Hauptrechenzentrums?" },
+      Q8: { content: "Welcher Anteil des Stroms für die IT stammt aus erneuerbaren Quellen?" },
+      Q9: { content: "Wie viele physische Server betreiben Sie?", unit: "Server" },
+      Q10: { content: "Welche Umweltzeichen verlangen Sie beim Kauf von Hardware?", options: { D: "Blauer Engel" } },
+      Q11: { content: "Gibt es ein Rücknahmeprogramm für Geräte der Mitarbeitenden?" },
+      Q12: {
+        content: "Welches Gewicht hat Nachhaltigkeit bei IT-Beschaffungsentscheidungen?",
+        scale: { min_label: "Keines", max_label: "Entscheidend" },
+      },
+      Q13: { content: "Wann fand das letzte Energie- oder Nachhaltigkeitsaudit der IT statt?" },
+      Q4: { content: "Beschreiben Sie die Nachhaltigkeitsziele, die Ihre IT-Abteilung derzeit verfolgt." },
+    },
+    followupQuestions: {
+      F1: {
+        question: "Welche Energieeffizienzmaßnahmen sind in Ihren Serverräumen umgesetzt?",
+        guidelines: "Wählen Sie alle Maßnahmen aus, die derzeit in Betrieb sind.",
+        options: { "Hot/cold aisle containment": "Kalt-/Warmgang-Einhausung", "Free cooling": "Freie Kühlung", "Server virtualisation": "Servervirtualisierung" },
+      },
+      F2: {
+        question: "Wie oft wird Ihr Hardware-Erneuerungszyklus überprüft?",
+        options: { Never: "Nie", "Every few years": "Alle paar Jahre", Yearly: "Jährlich", Continuously: "Laufend" },
+      },
+      F3: {
+        question: "Welcher Anteil Ihres Stroms stammt aus erneuerbaren Quellen, und wie wird er bezogen?",
+        guidelines: "Nennen Sie gegebenenfalls Ökostromtarife, PPAs oder Eigenerzeugung.",
+      },
+    },
+    recommendations: {
+      R1: {
+        title: "Kontinuierliches Energiemonitoring in Serverräumen einführen",
+        description: "IT-Last und Gebäudelast getrennt messen, damit die PUE monatlich verfolgt werden kann.",
+        rationale: "Der Energieverbrauch wird nicht kontinuierlich gemessen, daher lassen sich Einsparungen anderer Maßnahmen nicht belegen.",
+      },
+      R2: {
+        title: "Auf einen Ökostromtarif oder ein PPA umstellen",
+        description: "Die IT auf zertifizierten Strom aus erneuerbaren Quellen umstellen und die Herkunftsnachweise dokumentieren.",
+        rationale: "Ein Teil des IT-Stroms stammt noch aus nicht erneuerbaren Quellen.",
+      },
+      R3: {
+        title: "Server durch Virtualisierung konsolidieren",
+        description: "Die durchschnittliche Auslastung erhöhen und wenig genutzte physische Server stilllegen.",
+        rationale: "Die Zahl der physischen Server und die umgesetzten Effizienzmaßnahmen lassen Raum für Konsolidierung.",
+      },
+      R4: {
+        title: "Cloud-Regionen nach CO₂-Intensität des Stromnetzes wählen",
+        description: "Für nicht latenzkritische Workloads Regionen mit CO₂-armem Strommix bevorzugen.",
+        rationale: "Cloud-Regionen werden noch nicht nach ihrer CO₂-Intensität ausgewählt.",
+      },
+      R5: {
+        title: "Gerätelebensdauer verlängern und vor dem Recycling aufbereiten",
+        description: "Den Erneuerungszyklus verlängern und funktionierende Geräte zur Aufbereitung oder Spende geben.",
+        rationale: "Entsorgung und Erneuerungszyklus bestimmen den Großteil der grauen Emissionen von Endgeräten.",
+      },
+      R6: {
+        title: "Umweltzeichen in Hardware-Ausschreibungen verlangen",
+        description: "TCO Certified oder EPEAT als Pflichtkriterium für Laptops, Monitore und Server festlegen.",
+        rationale: "Anforderungen an Umweltzeichen heben mit wenig Aufwand das Niveau der beschafften Geräte.",
+      },
+      R7: {
+        title: "Messbare Nachhaltigkeitsziele für die IT festlegen",
+        description: "Jährliche Ziele für Energie, Ökostromanteil und Wiederverwendung vereinbaren und nach jedem Audit überprüfen.",
+        rationale: "Ziele und regelmäßige Audits halten die übrigen Maßnahmen auf Kurs.",
+      },
+    },
+  },
+};
@@ -0,0 +1,77 @@
+// src/mocks/mockAdapter.js
+// Axios adapter that routes requests to the in-repo mock backend instead of the network.
+import { AxiosError, CanceledError } from "axios";
+import { createMockBackend } from "./mockBackend";
+
+const DEFAULT_LATENCY_MS = 300; // Keeps loading states visible during local runs
+
+/**
+ * Builds an axios adapter backed by a mock backend instance.
+ * @param {object} [options]
+ * @param {object} [options.backend] - Backend from createMockBackend (one is created if omitted)
+ * @param {number} [options.latencyMs] - Artificial delay per request
+ */
+export const createMockAdapter = ({ backend = createMockBackend(), latencyMs = DEFAULT_LATENCY_MS } = {}) => {
+  return (config) =>
+    new Promise((resolve, reject) => {
+      // Uploads report progress halfway and at the end, so progress bars move in local runs
+      const uploadSize = config.data instanceof FormData
+        ? [...config.data.values()].reduce((total, value) => total + (value.size || 0), 0)
+        : 0;
+      const reportProgress = (share) => config.onUploadProgress?.({ loaded: uploadSize * share, total: uploadSize, progress: share });
+      const progressId = uploadSize > 0 ? setTimeout(() => reportProgress(0.5), latencyMs / 2) : null;
+
+      const timeoutId = setTimeout(() => {
+        config.signal?.removeEventListener?.("abort", handleAbort);
+        if (uploadSize > 0) reportProgress(1);
+        const headers = config.headers?.toJSON ? config.headers.toJSON() : config.headers || {};
+        let status;
+        let data;
+        try {
+          ({ status, data } = backend.handle({
+            method: config.method,
+            url: config.url,
+            params: config.params,
+            data: config.data,
+            headers,
+          }));
+        } catch (error) {
+          // A bug or a malformed body fails the request like a server error would, instead of hanging it
+          console.error(`Mock backend failed on ${config.method?.toUpperCase()} ${config.url}:`, error);
+          status = 500;
+          data = { detail: error.message || "Internal Server Error" };
+        }
+
+        const response = {
+          data,
+          status,
+          statusText: String(status),
+          headers: { "content-type": "application/json" },
+          config,
+          request: {},
+        };
+
+        const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+        if (validateStatus(status)) {
+          resolve(response);
+        } else {
+          reject(new AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+          ));
+        }
+      }, latencyMs);
+
+      // Aborting `config.signal` cancels the request like a real adapter would
+      const handleAbort = () => {
+        clearTimeout(progressId);
+        clearTimeout(timeoutId);
+        reject(new CanceledError(null, config));
+      };
+      if (config.signal?.aborted) handleAbort();
+      config.signal?.addEventListener?.("abort", handleAbort);
+    });
+};
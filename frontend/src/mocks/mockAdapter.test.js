@@ -0,0 +1,13 @@
+import { createMockAdapter } from './mockAdapter';
+
+test('a backend error fails the request with a 500 instead of hanging it', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const backend = { handle: () => JSON.parse('{not json') };
+  const adapter = createMockAdapter({ backend, latencyMs: 0 });
+
+  await expect(adapter({ method: 'post', url: '/survey-responses', data: '{not json' })).rejects.toMatchObject({
+    code: 'ERR_BAD_RESPONSE',
+    response: { status: 500 },
+  });
+  console.error.mockRestore();
+});
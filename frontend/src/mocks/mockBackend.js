@@ -0,0 +1,682 @@
+// src/mocks/mockBackend.js
+// In-repo stand-in for the assessment backend. It implements every endpoint the
+// client calls so the whole survey -> follow-up -> report flow runs offline.
+//
+// The pipeline is scripted by status polls rather than wall-clock time, which keeps
+// local runs and tests deterministic:
+//   session_created --(survey submitted)--> pipeline_running
+//   pipeline_running: follow-up rounds are released one by one, each after
+//                     `followupReleasePolls` polls once the previous round is answered
+//   pipeline_running --(all rounds answered)--> generating_report
+//   generating_report --(`reportPolls` polls)--> ready
+//
+// Access tokens expire after `tokenTtlSeconds` and can be renewed via /token/refresh.
+//
+// `stream()` stands in for the server-sent status stream: it advances the script
+// every `streamTickMs` and pushes status and follow-up question changes.
+//
+// Question content and recommendations are localised by the Accept-Language
+// header where fixtures.contentTranslations has a translation (German only).
+//
+// Users named in `adminUsernames` (default: "admin") can edit the survey question
+// bank through /admin/question-bank. Edited texts are served as written, without
+// the fixture translations.
+//
+// Evidence uploads (/evidence) are checked against the limits in utils/evidence
+// and only their metadata is kept; the file contents are dropped.
+//
+// The owner of a session can invite other registered users to it
+// (/sessions/:id/team) and assign survey sections and follow-up categories to
+// them, by untranslated category name. Each part has one person answering it:
+// whoever it is assigned to, else the owner. Draft saves only change the
+// caller's part, and only the owner can submit the survey.
+
+import { surveyQuestions, followupRounds, recommendationTemplates, contentTranslations, buildMockReportUrl } from "./fixtures";
+import { evaluateCondition } from "../utils/surveyConditions";
+import { EVIDENCE_MAX_BYTES, EVIDENCE_MAX_FILES, EVIDENCE_TYPES } from "../utils/evidence";
+
+const STORAGE_KEY = "mock_backend_state";
+
+export const DEFAULT_ADMIN_USERNAMES = ["admin"];
+
+export const DEFAULT_SCRIPT = {
+  followupReleasePolls: 1,
+  reportPolls: 2,
+  tokenTtlSeconds: 15 * 60,
+  streamTickMs: 3000,
+};
+
+const emptyState = () => ({ users: {}, tokens: {}, refreshTokens: {}, sessions: {}, questionBank: null });
+
+// Until an admin saves, the bank is the fixture questions at version 1
+const initialQuestionBank = () => ({ version: 1, updated_at: null, updated_by: null, questions: surveyQuestions });
+
+// "Q3" or "Q3/B" for each published question or option missing from `questions`;
+// answers refer to them, so they may only be retired
+const deletedPublishedItems = (published, questions) => {
+  const byId = new Map(questions.map((question) => [question.question_id, question]));
+  return published.flatMap(({ question_id: id, options = [] }) => {
+    const question = byId.get(id);
+    if (!question) return [id];
+    const letters = new Set((question.options || []).map((option) => option.option_letter));
+    return options.filter((option) => !letters.has(option.option_letter)).map((option) => `${id}/${option.option_letter}`);
+  });
+};
+
+const fixtureQuestions = new Map(surveyQuestions.map((question) => [question.question_id, question]));
+
+const defaultStorage = () => (typeof window !== "undefined" && window.localStorage ? window.localStorage : null);
+
+const generateId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- Tiny router: "/recommendations/status/:id" -> /^\/recommendations\/status\/([^/]+)$/ ---
+const compilePath = (path) => {
+  const keys = [];
+  const pattern = path.replace(/:([a-zA-Z_]+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  return { regex: new RegExp(`^${pattern}$`), keys };
+};
+
+const ok = (data, status = 200) => ({ status, data });
+const fail = (status, detail) => ({ status, data: { detail } });
+
+/**
+ * Creates a mock backend instance.
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage] - Where state is persisted between reloads (default: localStorage, null for memory only)
+ * @param {object} [options.script] - Overrides for DEFAULT_SCRIPT
+ * @param {Array<string>} [options.adminUsernames] - Users who may edit the question bank
+ * @returns {{ handle: Function, stream: Function, reset: Function }}
+ */
+export const createMockBackend = ({ storage = defaultStorage(), script = {}, adminUsernames = DEFAULT_ADMIN_USERNAMES } = {}) => {
+  const settings = { ...DEFAULT_SCRIPT, ...script };
+
+  const load = () => {
+    if (!storage) return emptyState();
+    try {
+      return { ...emptyState(), ...JSON.parse(storage.getItem(STORAGE_KEY)) };
+    } catch (error) {
+      return emptyState();
+    }
+  };
+
+  let state = load();
+
+  const save = () => {
+    if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(state));
+  };
+
+  // --- Auth helpers ---
+  const issueToken = (username) => {
+    const token = generateId(`mock.${username}`);
+    const refreshToken = generateId(`refresh.${username}`);
+    state.tokens[token] = { username, expires_at: Date.now() + settings.tokenTtlSeconds * 1000 };
+    state.refreshTokens[refreshToken] = username;
+    return {
+      access_token: token,
+      token_type: "bearer",
+      expires_in: settings.tokenTtlSeconds,
+      refresh_token: refreshToken,
+    };
+  };
+
+  const currentUser = (headers = {}) => {
+    const header = headers.Authorization || headers.authorization || "";
+    const entry = state.tokens[header.replace(/^Bearer\s+/i, "")];
+    if (!entry || !(entry.expires_at > Date.now())) return null;
+    return entry.username;
+  };
+
+  const isAdmin = (username) => adminUsernames.includes(username);
+
+  const questionBank = () => state.questionBank || initialQuestionBank();
+
+  // --- Team helpers ---
+  // Sessions stored before teams existed have no member list yet
+  const teamMembers = (session) => {
+    if (!session.team) session.team = [];
+    return session.team;
+  };
+
+  // The owner's sessions and the ones they were invited to
+  const sessionFor = (username, sessionId) => {
+    const session = state.sessions[sessionId];
+    if (!session) return null;
+    return session.owner === username || teamMembers(session).some((member) => member.username === username) ? session : null;
+  };
+
+  // Who answers a part: the member it is assigned to, else the owner
+  const assigneeOf = (session, field, category) => (
+    teamMembers(session).find((member) => member[field].includes(category))?.username || session.owner
+  );
+
+  const surveyCategoryOf = (questionId) => questionBank().questions.find((q) => q.question_id === questionId)?.category;
+
+  const followupCategoryOf = (questionId) => followupRounds.flat().find((q) => q.question_id === questionId)?.category;
+
+  const surveyAnsweredBy = (session) => {
+    if (!session.survey_answered_by) session.survey_answered_by = {};
+    return session.survey_answered_by;
+  };
+
+  const teamPayload = (session) => ({
+    owner: session.owner,
+    members: teamMembers(session),
+    answered_by: {
+      survey: surveyAnsweredBy(session),
+      followup: Object.fromEntries(session.followup_responses.map((item) => [item.question_id, item.answered_by || session.owner])),
+    },
+  });
+
+  const draftPayload = (session) => ({ ...session.survey_draft, answered_by: surveyAnsweredBy(session) });
+
+  // --- Pipeline script helpers ---
+  const releasedQuestions = (session) => followupRounds.slice(0, session.released_rounds).flat();
+
+  const answeredIds = (session) => new Set(session.followup_responses.map((item) => item.question_id));
+
+  // Sessions stored before evidence uploads existed have no list yet
+  const sessionEvidence = (session) => {
+    if (!session.evidence) session.evidence = [];
+    return session.evidence;
+  };
+
+  const pendingQuestions = (session) => {
+    const answered = answeredIds(session);
+    return releasedQuestions(session).filter((q) => !answered.has(q.question_id));
+  };
+
+  const advancePipeline = (session) => {
+    session.polls += 1;
+    if (session.phase === "pipeline_running") {
+      if (pendingQuestions(session).length > 0) return;
+      if (session.released_rounds < followupRounds.length) {
+        if (session.polls >= settings.followupReleasePolls) {
+          session.released_rounds += 1;
+          session.polls = 0;
+        }
+      } else {
+        session.phase = "generating_report";
+        session.polls = 0;
+      }
+    } else if (session.phase === "generating_report" && session.polls >= settings.reportPolls) {
+      session.phase = "ready";
+      session.polls = 0;
+    }
+  };
+
+  // --- Localisation helpers ---
+  // Translations for the request's Accept-Language, or null to keep English
+  const translationsFor = (headers = {}) => {
+    const header = headers["Accept-Language"] || headers["accept-language"] || "";
+    const language = header.split(",")[0].split("-")[0].trim().toLowerCase();
+    return contentTranslations[language] || null;
+  };
+
+  // Only texts that still match the fixture are translated; an admin's edits would otherwise be hidden
+  const localizeSurveyQuestion = (question, translations) => {
+    if (!translations) return question;
+    const fixture = fixtureQuestions.get(question.question_id);
+    const text = (fixture?.content === question.content && translations.surveyQuestions[question.question_id]) || {};
+    const fixtureOption = (letter) => fixture?.options?.find((option) => option.option_letter === letter);
+    const localized = {
+      ...question,
+      category: translations.categories[question.category] || question.category,
+      category_key: question.category, // Teams are assigned parts by this name
+      content: text.content || question.content,
+    };
+    if (text.unit) localized.unit = text.unit;
+    if (question.scale) localized.scale = { ...question.scale, ...text.scale };
+    if (question.options) {
+      localized.options = question.options.map((option) => ({
+        ...option,
+        content: (fixtureOption(option.option_letter)?.content === option.content && text.options?.[option.option_letter]) || option.content,
+      }));
+    }
+    return localized;
+  };
+
+  // What respondents see: retired questions and options left out
+  const publishedQuestions = () => questionBank().questions
+    .filter((question) => !question.retired)
+    .map((question) => (question.options ? { ...question, options: question.options.filter((option) => !option.retired) } : question));
+
+  // Option texts are the answer values of follow-up questions, so option_scores are renamed with them
+  const localizeFollowupQuestion = (question, translations) => {
+    if (!translations || !question) return question;
+    const text = translations.followupQuestions[question.question_id] || {};
+    const optionText = (option) => text.options?.[option] || option;
+    const fields = { ...question.additional_fields };
+    ["multiple_correct_answer_options", "answer_options"].forEach((key) => {
+      if (fields[key]) fields[key] = fields[key].map(optionText);
+    });
+    if (fields.option_scores) {
+      fields.option_scores = Object.fromEntries(Object.entries(fields.option_scores).map(([option, score]) => [optionText(option), score]));
+    }
+    if (text.guidelines) fields.guidelines = text.guidelines;
+    return {
+      ...question,
+      question: text.question || question.question,
+      category: translations.categories[question.category] || question.category,
+      category_key: question.category,
+      subcategory: translations.subcategories[question.subcategory] || question.subcategory,
+      additional_fields: fields,
+    };
+  };
+
+  // --- Recommendation helpers ---
+  const surveyAnswerText = (question, answer) => {
+    const optionText = (letter) => question.options?.find((o) => o.option_letter === letter)?.content || letter;
+    if (Array.isArray(answer)) return answer.map(optionText).join(", ");
+    if (typeof answer === "boolean") return answer ? "Yes" : "No";
+    if (question.options?.length) return optionText(answer);
+    return question.unit ? `${answer} ${question.unit}` : String(answer);
+  };
+
+  // The answer behind a recommendation, or null when the question wasn't answered
+  const answerEvidence = (session, questionId, translations) => {
+    const definition = questionBank().questions.find((q) => q.question_id === questionId);
+    const surveyQuestion = definition && localizeSurveyQuestion(definition, translations);
+    if (surveyQuestion) {
+      const response = (session.survey_responses || []).find((item) => item.question_id === questionId);
+      if (!response) return null;
+      return { question_id: questionId, question: surveyQuestion.content, answer: surveyAnswerText(surveyQuestion, response.answer) };
+    }
+    const followup = session.followup_responses.find((item) => item.question_id === questionId);
+    if (!followup) return null;
+    const { values, subjective_value: subjectiveValue, value } = followup.answer || {};
+    return {
+      question_id: questionId,
+      question: localizeFollowupQuestion(followupRounds.flat().find((q) => q.question_id === questionId), translations)?.question || followup.question,
+      answer: values ? [...values, subjectiveValue].filter(Boolean).join(", ") : value,
+    };
+  };
+
+  const buildRecommendations = (session, translations) => {
+    const answers = Object.fromEntries((session.survey_responses || []).map((item) => [item.question_id, item.answer]));
+    return recommendationTemplates
+      .filter((template) => evaluateCondition(template.applies_when, answers))
+      .map(({ based_on: basedOn, applies_when: appliesWhen, ...template }) => ({
+        ...template,
+        ...translations?.recommendations[template.id],
+        category: translations?.categories[template.category] || template.category,
+        subcategory: translations?.subcategories[template.subcategory] || template.subcategory,
+        based_on: basedOn.map((questionId) => answerEvidence(session, questionId, translations)).filter(Boolean),
+      }));
+  };
+
+  const statusPayload = (session) => ({
+    status: session.phase,
+    url: session.phase === "ready" ? buildMockReportUrl(session.session_id) : null,
+  });
+
+  // --- Route handlers ---
+  const routes = [
+    ["post", "/token", ({ body }) => {
+      const user = state.users[body.username];
+      if (!user || user.password !== body.password) return fail(401, "Incorrect username or password");
+      return ok(issueToken(body.username));
+    }, { public: true }],
+
+    ["post", "/register", ({ body }) => {
+      if (!body.username || !body.password) return fail(422, "Username and password are required");
+      if (state.users[body.username]) return fail(400, "Username already registered");
+      state.users[body.username] = { password: body.password };
+      return ok(issueToken(body.username));
+    }, { public: true }],
+
+    ["post", "/token/refresh", ({ body }) => {
+      const username = state.refreshTokens[body.refresh_token];
+      if (!username) return fail(401, "Invalid refresh token");
+      delete state.refreshTokens[body.refresh_token]; // Refresh tokens are single-use
+      return ok(issueToken(username));
+    }, { public: true }],
+
+    ["get", "/users/me", ({ username }) => ok({ username, is_admin: isAdmin(username) })],
+
+    ["post", "/create-session", ({ username }) => {
+      const sessionId = generateId("session");
+      state.sessions[sessionId] = {
+        session_id: sessionId,
+        owner: username,
+        created_at: new Date().toISOString(),
+        phase: "session_created",
+        polls: 0,
+        released_rounds: 0,
+        survey_responses: null,
+        survey_draft: null,
+        followup_responses: [],
+        evidence: [],
+        team: [],
+        survey_answered_by: {},
+      };
+      return ok({ session_id: sessionId });
+    }],
+
+    // The user's assessments, including the ones they were invited to, newest first;
+    // reading the list doesn't advance any pipeline
+    ["get", "/sessions", ({ username }) => ok(
+      Object.values(state.sessions)
+        .filter((session) => sessionFor(username, session.session_id))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map((session) => ({
+          session_id: session.session_id,
+          created_at: session.created_at,
+          owner: session.owner,
+          role: session.owner === username ? "owner" : "contributor",
+          ...statusPayload(session),
+        }))
+    )],
+
+    ["get", "/sessions/:sessionId/team", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      return session ? ok(teamPayload(session)) : fail(404, "Session not found");
+    }],
+
+    ["post", "/sessions/:sessionId/team", ({ username, params, body }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      if (session.owner !== username) return fail(403, "Only the owner can invite colleagues");
+      if (!state.users[body.username]) return fail(404, "No user with this name");
+      if (body.username === session.owner || teamMembers(session).some((member) => member.username === body.username)) {
+        return fail(409, "Already on the team");
+      }
+      const member = { username: body.username, survey_sections: [], followup_categories: [], invited_at: new Date().toISOString() };
+      teamMembers(session).push(member);
+      return ok(member, 201);
+    }],
+
+    // Assigning a part to a member takes it away from whoever had it
+    ["put", "/sessions/:sessionId/team/:member", ({ username, params, body }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      if (session.owner !== username) return fail(403, "Only the owner can assign parts");
+      const member = teamMembers(session).find((item) => item.username === params.member);
+      if (!member) return fail(404, "Not on the team");
+      ["survey_sections", "followup_categories"].forEach((field) => {
+        if (!Array.isArray(body[field])) return;
+        teamMembers(session).forEach((other) => {
+          if (other !== member) other[field] = other[field].filter((category) => !body[field].includes(category));
+        });
+        member[field] = [...new Set(body[field])];
+      });
+      return ok(member);
+    }],
+
+    // Their answers stay; the parts go back to the owner
+    ["delete", "/sessions/:sessionId/team/:member", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      if (session.owner !== username) return fail(403, "Only the owner can remove colleagues");
+      if (!teamMembers(session).some((item) => item.username === params.member)) return fail(404, "Not on the team");
+      session.team = teamMembers(session).filter((item) => item.username !== params.member);
+      return ok(null, 204);
+    }],
+
+    ["get", "/survey-questions", ({ translations }) => ok(publishedQuestions().map((q) => localizeSurveyQuestion(q, translations)))],
+
+    ["get", "/admin/question-bank", ({ username }) => (isAdmin(username) ? ok(questionBank()) : fail(403, "Admin users only"))],
+
+    ["put", "/admin/question-bank", ({ username, body }) => {
+      if (!isAdmin(username)) return fail(403, "Admin users only");
+      if (!Array.isArray(body.questions)) return fail(422, "questions must be a list");
+      const current = questionBank();
+      if (body.base_version !== current.version) {
+        return fail(409, `The question bank was changed by ${current.updated_by || "someone else"} (now version ${current.version})`);
+      }
+      const deleted = deletedPublishedItems(current.questions, body.questions);
+      if (deleted.length > 0) return fail(422, `Published questions and options can only be retired: ${deleted.join(", ")}`);
+      state.questionBank = {
+        version: current.version + 1,
+        updated_at: new Date().toISOString(),
+        updated_by: username,
+        questions: body.questions,
+      };
+      return ok(state.questionBank);
+    }],
+
+    ["post", "/survey-responses", ({ username, body }) => {
+      const session = sessionFor(username, body.session_id);
+      if (!session) return fail(404, "Session not found");
+      if (session.owner !== username) return fail(403, "Only the owner can submit the survey");
+      if (!Array.isArray(body.responses)) return fail(422, "responses must be a list");
+      session.survey_responses = body.responses;
+      session.survey_draft = null;
+      session.phase = "pipeline_running";
+      session.polls = 0;
+      return ok({ message: "Survey responses saved" });
+    }],
+
+    ["get", "/survey-responses/:sessionId", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      return session.survey_responses ? ok(session.survey_responses) : fail(404, "Survey not submitted yet");
+    }],
+
+    ["get", "/survey-drafts/:sessionId", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      return session.survey_draft ? ok(draftPayload(session)) : fail(404, "No draft saved");
+    }],
+
+    // Answers outside the caller's part are left as they are, whatever the body says
+    ["put", "/survey-drafts/:sessionId", ({ username, params, body }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      const current = session.survey_draft?.responses || {};
+      const incoming = body.responses || {};
+      const responses = { ...current };
+      const answeredBy = surveyAnsweredBy(session);
+      new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach((questionId) => {
+        if (assigneeOf(session, "survey_sections", surveyCategoryOf(questionId)) !== username) return;
+        if (!(questionId in incoming)) {
+          delete responses[questionId];
+          delete answeredBy[questionId];
+        } else if (JSON.stringify(incoming[questionId]) !== JSON.stringify(current[questionId])) {
+          responses[questionId] = incoming[questionId];
+          answeredBy[questionId] = username;
+        }
+      });
+      session.survey_draft = { responses, updated_at: new Date().toISOString() };
+      return ok(draftPayload(session));
+    }],
+
+    // Removes the caller's part of the draft
+    ["delete", "/survey-drafts/:sessionId", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      if (!session.survey_draft) return ok(null, 204);
+      const answeredBy = surveyAnsweredBy(session);
+      const responses = Object.fromEntries(Object.entries(session.survey_draft.responses)
+        .filter(([questionId]) => assigneeOf(session, "survey_sections", surveyCategoryOf(questionId)) !== username));
+      Object.keys(session.survey_draft.responses).forEach((questionId) => {
+        if (!(questionId in responses)) delete answeredBy[questionId];
+      });
+      session.survey_draft = Object.keys(responses).length > 0 ? { responses, updated_at: new Date().toISOString() } : null;
+      return ok(null, 204);
+    }],
+
+    ["get", "/followup-questions", ({ username, query, translations }) => {
+      const session = sessionFor(username, query.session_id);
+      if (!session) return fail(404, "Session not found");
+      return ok(pendingQuestions(session).map((q) => localizeFollowupQuestion(q, translations)));
+    }],
+
+    // Submitted answers with their question definitions, so they can be shown and edited again
+    ["get", "/followup-responses", ({ username, query, translations }) => {
+      const session = sessionFor(username, query.session_id);
+      if (!session) return fail(404, "Session not found");
+      const questions = new Map(releasedQuestions(session).map((q) => [q.question_id, localizeFollowupQuestion(q, translations)]));
+      const storedEvidence = new Set(sessionEvidence(session).map((file) => file.evidence_id));
+      return ok(session.followup_responses.map((item) => ({
+        ...questions.get(item.question_id),
+        question_id: item.question_id,
+        answer: item.answer,
+        answered_by: item.answered_by || session.owner,
+        evidence_ids: (item.evidence_ids || []).filter((id) => storedEvidence.has(id)), // Removed files drop out
+      })));
+    }],
+
+    ["post", "/followup-responses", ({ username, body }) => {
+      const items = Array.isArray(body) ? body : [];
+      if (items.length === 0) return fail(422, "No follow-up responses provided");
+      for (const item of items) {
+        const session = sessionFor(username, item.session_id);
+        if (!session) return fail(404, "Session not found");
+        if (session.phase !== "pipeline_running") {
+          return fail(409, "Follow-up answers can no longer be changed once report generation has started");
+        }
+        if (assigneeOf(session, "followup_categories", followupCategoryOf(item.question_id)) !== username) {
+          return fail(403, "This question is assigned to someone else");
+        }
+        session.followup_responses = session.followup_responses
+          .filter((existing) => existing.question_id !== item.question_id)
+          .concat({ ...item, answered_by: username });
+      }
+      return ok({ message: "Follow-up responses saved" });
+    }],
+
+    ["get", "/evidence", ({ username, query }) => {
+      const session = sessionFor(username, query.session_id);
+      if (!session) return fail(404, "Session not found");
+      return ok(sessionEvidence(session));
+    }],
+
+    // Multipart form: session_id, question_id, file
+    ["post", "/evidence", ({ username, body }) => {
+      if (typeof body.get !== "function") return fail(422, "Expected a multipart form");
+      const session = sessionFor(username, body.get("session_id"));
+      if (!session) return fail(404, "Session not found");
+      const questionId = body.get("question_id");
+      if (!releasedQuestions(session).some((q) => q.question_id === questionId)) return fail(404, "Question not found");
+      if (session.phase !== "pipeline_running") {
+        return fail(409, "Evidence can no longer be changed once report generation has started");
+      }
+      const file = body.get("file");
+      if (!file || typeof file.name !== "string") return fail(422, "No file uploaded");
+      const extension = (/\.([^.]+)$/.exec(file.name)?.[1] || "").toLowerCase();
+      if (!EVIDENCE_TYPES.some((type) => type.extension === extension)) return fail(415, "This file type can't be uploaded");
+      if (file.size > EVIDENCE_MAX_BYTES) return fail(413, "The file is too large");
+      const evidence = sessionEvidence(session);
+      if (evidence.filter((item) => item.question_id === questionId).length >= EVIDENCE_MAX_FILES) {
+        return fail(422, `At most ${EVIDENCE_MAX_FILES} files per question`);
+      }
+      const record = {
+        evidence_id: generateId("evidence"),
+        question_id: questionId,
+        filename: file.name,
+        content_type: file.type || "application/octet-stream",
+        size: file.size,
+        uploaded_at: new Date().toISOString(),
+      };
+      evidence.push(record);
+      return ok(record, 201);
+    }],
+
+    ["delete", "/evidence/:evidenceId", ({ username, params }) => {
+      const session = Object.values(state.sessions).find((item) => sessionFor(username, item.session_id)
+        && sessionEvidence(item).some((file) => file.evidence_id === params.evidenceId));
+      if (!session) return fail(404, "File not found");
+      if (session.phase !== "pipeline_running") {
+        return fail(409, "Evidence can no longer be changed once report generation has started");
+      }
+      session.evidence = session.evidence.filter((file) => file.evidence_id !== params.evidenceId);
+      return ok(null, 204);
+    }],
+
+    ["get", "/recommendations/:sessionId", ({ username, params, translations }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return fail(404, "Session not found");
+      if (session.phase !== "ready") return fail(409, "Recommendations are not ready yet");
+      return ok({ recommendations: buildRecommendations(session, translations) });
+    }],
+
+    ["get", "/recommendations/status/:sessionId", ({ username, params }) => {
+      const session = sessionFor(username, params.sessionId);
+      if (!session) return ok({ status: "not_found" });
+      advancePipeline(session);
+      return ok(statusPayload(session));
+    }],
+  ].map(([method, path, handler, options = {}]) => ({ method, handler, ...compilePath(path), ...options }));
+
+  /**
+   * Handles one request.
+   * @param {{ method: string, url: string, params?: object, data?: any, headers?: object }} request
+   * @returns {{ status: number, data: any }}
+   */
+  const handle = ({ method = "get", url = "", params = {}, data, headers = {} }) => {
+    const parsedUrl = new URL(url, "http://mock.local");
+    const query = { ...Object.fromEntries(parsedUrl.searchParams), ...params };
+    const body = typeof data === "string" && data !== "" ? JSON.parse(data) : data || {};
+
+    for (const route of routes) {
+      if (route.method !== method.toLowerCase()) continue;
+      const match = parsedUrl.pathname.match(route.regex);
+      if (!match) continue;
+
+      const routeParams = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+      const username = currentUser(headers);
+      if (!route.public && !username) return fail(401, "Not authenticated");
+
+      const result = route.handler({ username, params: routeParams, query, body, translations: translationsFor(headers) });
+      save();
+      return result;
+    }
+    return fail(404, `No mock route for ${method.toUpperCase()} ${parsedUrl.pathname}`);
+  };
+
+  /**
+   * Push channel for pipeline status, mirroring GET /recommendations/stream/:id.
+   * Sends the current status right away, then only changes.
+   * @param {string} sessionId
+   * @param {object} headers - Must carry the bearer token, like a normal request
+   * @param {{ onOpen?: Function, onStatus: Function, onQuestions?: Function, onError?: Function }} handlers
+   * @returns {Function} close
+   */
+  const stream = (sessionId, headers, { onOpen, onStatus, onQuestions, onError }) => {
+    const username = currentUser(headers);
+    const session = username && sessionFor(username, sessionId);
+    const translations = translationsFor(headers);
+    if (!session) {
+      const timeoutId = setTimeout(() => onError?.(new Error("Stream rejected: not authenticated or unknown session")), 0);
+      return () => clearTimeout(timeoutId);
+    }
+
+    let lastStatus = null;
+    let lastQuestionIds = null;
+    const tick = () => {
+      advancePipeline(session);
+      save();
+      const status = JSON.stringify(statusPayload(session));
+      if (status !== lastStatus) {
+        lastStatus = status;
+        onStatus(statusPayload(session));
+      }
+      const pending = pendingQuestions(session);
+      const questionIds = pending.map((q) => q.question_id).join(",");
+      if (session.phase === "pipeline_running" && questionIds !== lastQuestionIds) {
+        lastQuestionIds = questionIds;
+        onQuestions?.(pending.map((q) => localizeFollowupQuestion(q, translations)));
+      }
+    };
+
+    const openTimeoutId = setTimeout(() => {
+      onOpen?.();
+      tick();
+    }, 0);
+    const intervalId = setInterval(tick, settings.streamTickMs);
+    return () => {
+      clearTimeout(openTimeoutId);
+      clearInterval(intervalId);
+    };
+  };
+
+  const reset = () => {
+    state = emptyState();
+    save();
+  };
+
+  return { handle, stream, reset };
+};
@@ -0,0 +1,251 @@
+import { createMockBackend } from './mockBackend';
+import { contentTranslations, followupRounds } from './fixtures';
+
+const setup = () => {
+  const headers = {};
+  const backend = createMockBackend({ storage: null, script: { followupReleasePolls: 1, reportPolls: 1 } });
+  const { data: auth } = backend.handle({ method: 'post', url: '/register', data: JSON.stringify({ username: 'ana', password: 'pw' }) });
+  headers.Authorization = `Bearer ${auth.access_token}`;
+  const call = (method, url, data) => backend.handle({ method, url, headers, data: data && JSON.stringify(data) });
+  return { backend, call, headers };
+};
+
+test('rejects protected endpoints without a token', () => {
+  const backend = createMockBackend({ storage: null });
+  expect(backend.handle({ method: 'get', url: '/users/me' }).status).toBe(401);
+});
+
+test('rejects a wrong password', () => {
+  const { backend } = setup();
+  const result = backend.handle({ method: 'post', url: '/token', data: { username: 'ana', password: 'nope' } });
+  expect(result.status).toBe(401);
+});
+
+test('runs the survey -> follow-up -> report flow', () => {
+  const { call } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  const status = () => call('get', `/recommendations/status/${session_id}`).data;
+
+  expect(status().status).toBe('session_created');
+  call('post', '/survey-responses', { session_id, responses: [{ question_id: 'Q1', answer: 'A' }] });
+
+  for (const round of followupRounds) {
+    expect(status().status).toBe('pipeline_running');
+    const { data: questions } = call('get', `/followup-questions?session_id=${session_id}`);
+    expect(questions.map((q) => q.question_id)).toEqual(round.map((q) => q.question_id));
+    call('post', '/followup-responses', questions.map((q) => ({ session_id, question_id: q.question_id, answer: { value: 'x' } })));
+  }
+
+  expect(status().status).toBe('generating_report');
+  expect(call('get', `/recommendations/${session_id}`).status).toBe(409);
+  const ready = status();
+  expect(ready.status).toBe('ready');
+  expect(ready.url).toBeTruthy();
+
+  const { data: { recommendations } } = call('get', `/recommendations/${session_id}`);
+  const hosting = recommendations.find((item) => item.based_on.some((evidence) => evidence.question_id === 'Q1'));
+  expect(hosting.based_on[0].answer).toBe('Entirely on-premise');
+});
+
+test('localises question content for the Accept-Language header', () => {
+  const { call, headers } = setup();
+  headers['Accept-Language'] = 'de-DE,de;q=0.9';
+  const { data: questions } = call('get', '/survey-questions');
+  expect(questions[0].content).toBe('Wo wird Ihre IT-Infrastruktur überwiegend betrieben?');
+  expect(questions[0].options[0]).toEqual({ option_letter: 'A', content: 'Vollständig im eigenen Rechenzentrum' });
+
+  // Languages without content fall back to English
+  headers['Accept-Language'] = 'fr';
+  expect(call('get', '/survey-questions').data[0].content).toBe('Where is your IT infrastructure primarily hosted?');
+});
+
+test('only recommends what the survey answers still call for', () => {
+  const { call } = setup();
+  const recommendationIds = (responses) => {
+    const { data: { session_id } } = call('post', '/create-session');
+    call('post', '/survey-responses', { session_id, responses });
+    for (let i = 0; i < 10; i += 1) {
+      const { data: questions } = call('get', `/followup-questions?session_id=${session_id}`);
+      if (questions.length > 0) {
+        call('post', '/followup-responses', questions.map((q) => ({ session_id, question_id: q.question_id, answer: { value: 'x' } })));
+      }
+      call('get', `/recommendations/status/${session_id}`);
+    }
+    return call('get', `/recommendations/${session_id}`).data.recommendations.map((item) => item.id);
+  };
+
+  expect(recommendationIds([{ question_id: 'Q2', answer: 'B' }])).toContain('R1');
+  const improved = recommendationIds([{ question_id: 'Q2', answer: 'D' }, { question_id: 'Q8', answer: 95 }]);
+  expect(improved).not.toContain('R1');
+  expect(improved).not.toContain('R2');
+});
+
+test('lists submitted follow-up answers and locks them once the report starts', () => {
+  const { call } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  call('post', '/survey-responses', { session_id, responses: [] });
+  call('get', `/recommendations/status/${session_id}`);
+
+  const save = (answer) => call('post', '/followup-responses', [{ session_id, question_id: 'F2', answer }]);
+  save({ value: 'Never' });
+  save({ value: 'Yearly' });
+  const { data: answered } = call('get', `/followup-responses?session_id=${session_id}`);
+  expect(answered).toHaveLength(1);
+  expect(answered[0]).toMatchObject({ question_id: 'F2', answer: { value: 'Yearly' } });
+  expect(answered[0].additional_fields.answer_options).toContain('Yearly');
+
+  const round = followupRounds.flat().filter((q) => q.question_id !== 'F2');
+  call('post', '/followup-responses', round.map((q) => ({ session_id, question_id: q.question_id, answer: { value: 'x' } })));
+  for (let i = 0; i < 3; i += 1) call('get', `/recommendations/status/${session_id}`);
+  expect(save({ value: 'Never' }).status).toBe(409);
+});
+
+test('stores evidence files per question and links them to the saved answer', () => {
+  const { backend, call, headers } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  call('post', '/survey-responses', { session_id, responses: [] });
+  call('get', `/recommendations/status/${session_id}`);
+  const upload = (name, size = 4, questionId = 'F2') => {
+    const form = new FormData();
+    form.append('session_id', session_id);
+    form.append('question_id', questionId);
+    form.append('file', new File(['x'.repeat(size)], name));
+    return backend.handle({ method: 'post', url: '/evidence', headers, data: form });
+  };
+
+  const bill = upload('bill.pdf');
+  expect(bill).toMatchObject({ status: 201, data: { question_id: 'F2', filename: 'bill.pdf', size: 4 } });
+  const inventory = upload('inventory.xlsx').data;
+  expect(upload('setup.exe').status).toBe(415);
+  expect(upload('bill.pdf', 4, 'F99').status).toBe(404);
+
+  call('post', '/followup-responses', [{ session_id, question_id: 'F2', answer: { value: 'Never' }, evidence_ids: [bill.data.evidence_id, inventory.evidence_id] }]);
+  expect(call('delete', `/evidence/${inventory.evidence_id}`).status).toBe(204);
+
+  expect(call('get', `/evidence?session_id=${session_id}`).data).toEqual([bill.data]);
+  expect(call('get', `/followup-responses?session_id=${session_id}`).data[0].evidence_ids).toEqual([bill.data.evidence_id]);
+});
+
+test('lets the owner share a session and assign parts of it to colleagues', () => {
+  const { backend, call } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  const { data: bo } = backend.handle({ method: 'post', url: '/register', data: { username: 'bo', password: 'pw' } });
+  const callAsBo = (method, url, data) => backend.handle({ method, url, headers: { Authorization: `Bearer ${bo.access_token}` }, data: data && JSON.stringify(data) });
+
+  expect(callAsBo('get', `/sessions/${session_id}/team`).status).toBe(404);
+  expect(call('post', `/sessions/${session_id}/team`, { username: 'nobody' }).status).toBe(404);
+  expect(call('post', `/sessions/${session_id}/team`, { username: 'bo' }).status).toBe(201);
+  expect(call('post', `/sessions/${session_id}/team`, { username: 'bo' }).status).toBe(409);
+  expect(callAsBo('post', `/sessions/${session_id}/team`, { username: 'ana' }).status).toBe(403);
+  call('put', `/sessions/${session_id}/team/bo`, { survey_sections: ['Hardware'], followup_categories: ['Hardware'] });
+  expect(callAsBo('get', '/sessions').data).toEqual([expect.objectContaining({ session_id, owner: 'ana', role: 'contributor' })]);
+
+  // Each draft save only changes the saver's part
+  call('put', `/survey-drafts/${session_id}`, { responses: { Q1: 'A', Q3: 'B' } });
+  callAsBo('put', `/survey-drafts/${session_id}`, { responses: { Q1: 'D', Q3: 'C' } });
+  const { data: draft } = call('put', `/survey-drafts/${session_id}`, { responses: { Q1: 'B' } });
+  expect(draft.responses).toEqual({ Q1: 'B', Q3: 'C' });
+  expect(draft.answered_by).toEqual({ Q1: 'ana', Q3: 'bo' });
+
+  expect(callAsBo('post', '/survey-responses', { session_id, responses: [] }).status).toBe(403);
+  call('post', '/survey-responses', { session_id, responses: [] });
+  call('get', `/recommendations/status/${session_id}`);
+  const answer = (caller, questionId) => caller('post', '/followup-responses', [{ session_id, question_id: questionId, answer: { value: 'x' } }]).status;
+  expect(answer(call, 'F2')).toBe(403); // Hardware
+  expect(answer(callAsBo, 'F2')).toBe(200);
+  expect(answer(callAsBo, 'F1')).toBe(403);
+  expect(call('get', `/sessions/${session_id}/team`).data.answered_by).toEqual({ survey: { Q1: 'ana', Q3: 'bo' }, followup: { F2: 'bo' } });
+
+  expect(call('delete', `/sessions/${session_id}/team/bo`).status).toBe(204);
+  expect(callAsBo('get', `/survey-responses/${session_id}`).status).toBe(404);
+});
+
+test('lists only the current user\'s sessions with their status', () => {
+  const { backend, call } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  const { data: other } = backend.handle({ method: 'post', url: '/register', data: { username: 'bo', password: 'pw' } });
+  backend.handle({ method: 'post', url: '/create-session', headers: { Authorization: `Bearer ${other.access_token}` } });
+
+  const { data: sessions } = call('get', '/sessions');
+  expect(sessions).toEqual([expect.objectContaining({ session_id, status: 'session_created', url: null })]);
+});
+
+test('reports not_found for sessions owned by someone else', () => {
+  const { call } = setup();
+  expect(call('get', '/recommendations/status/unknown').data.status).toBe('not_found');
+});
+
+test('refresh tokens issue a new access token and are single-use', () => {
+  const backend = createMockBackend({ storage: null });
+  const { data: auth } = backend.handle({ method: 'post', url: '/register', data: { username: 'ana', password: 'pw' } });
+  expect(auth.expires_in).toBeGreaterThan(0);
+
+  const refresh = () => backend.handle({ method: 'post', url: '/token/refresh', data: { refresh_token: auth.refresh_token } });
+  const first = refresh();
+  expect(first.status).toBe(200);
+  expect(first.data.access_token).not.toBe(auth.access_token);
+  expect(refresh().status).toBe(401);
+});
+
+test('streams status and follow-up question changes', () => {
+  jest.useFakeTimers();
+  const { backend, call, headers } = setup();
+  const { data: { session_id } } = call('post', '/create-session');
+  call('post', '/survey-responses', { session_id, responses: [{ question_id: 'Q1', answer: 'A' }] });
+
+  const onStatus = jest.fn();
+  const onQuestions = jest.fn();
+  const close = backend.stream(session_id, headers, { onStatus, onQuestions });
+  jest.advanceTimersByTime(0);
+  expect(onStatus).toHaveBeenLastCalledWith({ status: 'pipeline_running', url: null });
+
+  jest.advanceTimersByTime(3000);
+  expect(onQuestions).toHaveBeenLastCalledWith(followupRounds[0]);
+  expect(onStatus).toHaveBeenCalledTimes(1); // unchanged status is not re-sent
+
+  close();
+  jest.useRealTimers();
+});
+
+test('stream reports an error for an unknown session', () => {
+  jest.useFakeTimers();
+  const { backend, headers } = setup();
+  const onError = jest.fn();
+  backend.stream('unknown', headers, { onStatus: jest.fn(), onError });
+  jest.advanceTimersByTime(0);
+  expect(onError).toHaveBeenCalled();
+  jest.useRealTimers();
+});
+
+test('lets admins edit the question bank and serves only live questions', () => {
+  const { backend, call, headers } = setup();
+  expect(call('get', '/users/me').data).toEqual({ username: 'ana', is_admin: false });
+  expect(call('get', '/admin/question-bank').status).toBe(403);
+
+  const { data: auth } = backend.handle({ method: 'post', url: '/register', data: { username: 'admin', password: 'pw' } });
+  const admin = (method, url, data) => backend.handle({ method, url, headers: { Authorization: `Bearer ${auth.access_token}` }, data });
+  const { data: bank } = admin('get', '/admin/question-bank');
+  expect(bank.version).toBe(1);
+
+  const [first, ...rest] = bank.questions;
+  const edited = [
+    { ...first, content: 'Where do you host?', options: first.options.map((option) => (option.option_letter === 'A' ? { ...option, retired: true } : option)) },
+    ...rest.map((question, index) => (index === 0 ? { ...question, retired: true } : question)),
+  ];
+  const withoutSecond = edited.filter((question) => question.question_id !== rest[1].question_id);
+  expect(admin('put', '/admin/question-bank', { base_version: 1, questions: withoutSecond })).toMatchObject({
+    status: 422,
+    data: { detail: `Published questions and options can only be retired: ${rest[1].question_id}` },
+  });
+  const saved = admin('put', '/admin/question-bank', { base_version: 1, questions: edited });
+  expect(saved.data).toMatchObject({ version: 2, updated_by: 'admin' });
+  expect(admin('put', '/admin/question-bank', { base_version: 1, questions: edited }).status).toBe(409);
+
+  headers['Accept-Language'] = 'de';
+  const { data: questions } = call('get', '/survey-questions');
+  expect(questions).toHaveLength(bank.questions.length - 1);
+  // The edited question isn't replaced by the old translation; the untouched ones still are
+  expect(questions[0].content).toBe('Where do you host?');
+  expect(questions[0].options.map((option) => option.option_letter)).toEqual(['B', 'C', 'D']);
+  expect(questions[1].content).toBe(contentTranslations.de.surveyQuestions[questions[1].question_id].content);
+});
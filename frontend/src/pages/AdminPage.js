@@ -0,0 +1,352 @@
+// src/pages/AdminPage.js
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { getQuestionBank, saveQuestionBank } from '../services/api';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import useFocusOnChange from '../hooks/useFocusOnChange';
+import QuestionEditor from '../components/QuestionEditor';
+import SurveyQuestion from '../components/SurveyQuestion';
+import SurveyAnswerInput from '../components/SurveyAnswerInput';
+import { downloadBlob } from '../utils/download';
+import {
+    buildQuestionBankExport,
+    createQuestion,
+    moveItem,
+    parseQuestionBankImport,
+    toPublishedQuestion,
+    validateQuestionBank,
+} from '../utils/questionBank';
+import styles from './AdminPage.module.css';
+
+const SAVE_NOTIFICATION_ID = 'question-bank-save';
+
+const readAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
+
+/**
+ * Admin console for the survey question bank (RequireAuth only lets admins in).
+ * Questions are edited locally and saved together as the next version of the
+ * bank; published questions and options are retired rather than deleted (see
+ * utils/questionBank). The selected question is previewed as the survey shows it.
+ */
+const AdminPage = () => {
+    const i18n = useLanguage();
+    const { t, formatDateTime } = i18n;
+    const { notify } = useNotifications();
+    const [savedBank, setSavedBank] = useState(null); // As last loaded or saved
+    const [questions, setQuestions] = useState([]); // The edited copy
+    const [loading, setLoading] = useState(true);
+    const [loadFailed, setLoadFailed] = useState(false); // Translated at render, so a language switch doesn't refetch
+    const [saving, setSaving] = useState(false);
+    const [problems, setProblems] = useState([]);
+    const [validationCount, setValidationCount] = useState(0); // Bumped per failed save, to refocus the problem list
+    const [selectedId, setSelectedId] = useState(null);
+    const [previewAnswers, setPreviewAnswers] = useState({});
+    const problemsRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    const dirty = savedBank !== null && questions !== savedBank.questions;
+
+    useFocusOnChange(problemsRef, validationCount || null);
+
+    // --- Load the bank ---
+    // Once per mount (and on retry or reload): a refetch replaces the edited copy
+    const loadBank = useCallback(async () => {
+        setLoading(true);
+        setLoadFailed(false);
+        try {
+            const bank = await getQuestionBank();
+            setSavedBank(bank);
+            setQuestions(bank.questions);
+            setProblems([]);
+            setSelectedId((current) => (bank.questions.some((q) => q.question_id === current) ? current : bank.questions[0]?.question_id ?? null));
+        } catch (fetchError) {
+            console.error('Error fetching the question bank:', fetchError);
+            setLoadFailed(true);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadBank();
+    }, [loadBank]);
+
+    // --- Ask before closing the tab with unsaved changes ---
+    useEffect(() => {
+        if (!dirty) return undefined;
+        const warn = (event) => {
+            event.preventDefault();
+            event.returnValue = '';
+        };
+        window.addEventListener('beforeunload', warn);
+        return () => window.removeEventListener('beforeunload', warn);
+    }, [dirty]);
+
+    const publishedById = useMemo(
+        () => new Map((savedBank?.questions || []).map((question) => [question.question_id, question])),
+        [savedBank]
+    );
+    const categories = useMemo(() => [...new Set(questions.map((q) => q.category).filter(Boolean))], [questions]);
+    const selected = questions.find((q) => q.question_id === selectedId) || null;
+
+    // --- Editing ---
+    const updateQuestion = (updated) => {
+        setQuestions((current) => current.map((q) => (q.question_id === updated.question_id ? updated : q)));
+    };
+
+    const handleAdd = () => {
+        const question = createQuestion(questions);
+        setQuestions([...questions, question]);
+        setSelectedId(question.question_id);
+    };
+
+    const handleRetire = (question, retired) => {
+        const { retired: previous, ...rest } = question;
+        updateQuestion(retired ? { ...rest, retired: true } : rest);
+    };
+
+    // Only for questions that were never saved
+    const handleRemove = (questionId) => {
+        const remaining = questions.filter((q) => q.question_id !== questionId);
+        setQuestions(remaining);
+        if (selectedId === questionId) setSelectedId(remaining[0]?.question_id ?? null);
+    };
+
+    // --- Save as the next version ---
+    const handleSave = async () => {
+        const found = validateQuestionBank(questions, i18n, savedBank.questions);
+        setProblems(found);
+        if (found.length > 0) {
+            setValidationCount((count) => count + 1);
+            return;
+        }
+        setSaving(true);
+        try {
+            const bank = await saveQuestionBank(questions, savedBank.version);
+            setSavedBank(bank);
+            setQuestions(bank.questions);
+            notify({ id: SAVE_NOTIFICATION_ID, message: t('admin.saved', { version: bank.version }) });
+        } catch (saveError) {
+            console.error('Error saving the question bank:', saveError);
+            const detail = saveError.response?.data?.detail || saveError.message;
+            notify(saveError.response?.status === 409
+                ? {
+                    id: SAVE_NOTIFICATION_ID,
+                    level: NotificationLevel.ERROR,
+                    message: t('admin.conflict', { detail }),
+                    action: { label: t('admin.reload'), onClick: loadBank },
+                }
+                : {
+                    id: SAVE_NOTIFICATION_ID,
+                    level: NotificationLevel.ERROR,
+                    message: t('admin.saveFailed', { detail }),
+                    action: { label: t('common.retry'), onClick: () => saveRef.current() },
+                });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // The retry button must save the questions as they are by then
+    const saveRef = useRef(handleSave);
+    saveRef.current = handleSave;
+
+    const handleDiscard = () => {
+        const discarded = questions;
+        setQuestions(savedBank.questions);
+        setProblems([]);
+        notify({
+            message: t('admin.discarded'),
+            action: { label: t('common.undo'), onClick: () => setQuestions(discarded) },
+        });
+    };
+
+    // --- JSON export / import ---
+    const handleExport = () => {
+        const data = buildQuestionBankExport(savedBank);
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `question-bank-v${savedBank.version}.json`);
+    };
+
+    const handleImport = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = ''; // Lets the same file be picked again
+        if (!file) return;
+        let text;
+        try {
+            text = await readAsText(file);
+        } catch (readError) {
+            console.error('Error reading the import file:', readError);
+            notify({ level: NotificationLevel.ERROR, message: t('admin.import.readFailed') });
+            return;
+        }
+        const result = parseQuestionBankImport(text, i18n);
+        if (result.error) {
+            notify({ level: NotificationLevel.ERROR, message: result.error });
+            return;
+        }
+        setQuestions(result.questions);
+        setSelectedId(result.questions[0]?.question_id ?? null);
+        setProblems(validateQuestionBank(result.questions, i18n, savedBank.questions));
+        const count = result.questions.length;
+        notify({
+            message: result.version === null
+                ? t('admin.importedUnversioned', { count })
+                : t('admin.imported', { count, version: result.version }),
+        });
+    };
+
+    if (loading && !savedBank) {
+        return <div className={styles.adminPage}><p role="status">{t('admin.loading')}</p></div>;
+    }
+
+    if (!savedBank) {
+        return (
+            <div className={styles.adminPage}>
+                <p className={styles.error} role="alert">
+                    {loadFailed && t('admin.loadFailed')}{' '}
+                    <button type="button" className={styles.linkButton} onClick={loadBank}>{t('common.retry')}</button>
+                </p>
+            </div>
+        );
+    }
+
+    const previewQuestion = selected && toPublishedQuestion(selected);
+
+    return (
+        <div className={styles.adminPage}>
+            <div className={styles.pageHeader}>
+                <div>
+                    <h2>{t('admin.title')}</h2>
+                    <p className={styles.versionInfo}>
+                        {savedBank.updated_at
+                            ? t('admin.versionSaved', { version: savedBank.version, date: formatDateTime(savedBank.updated_at), user: savedBank.updated_by })
+                            : t('admin.versionOriginal', { version: savedBank.version })}
+                        {dirty && <span className={styles.unsavedBadge}>{t('admin.unsaved')}</span>}
+                    </p>
+                </div>
+                <div className={styles.headerActions}>
+                    <button type="button" className={styles.secondaryButton} onClick={handleExport}>{t('admin.exportJson')}</button>
+                    <button type="button" className={styles.secondaryButton} onClick={() => fileInputRef.current.click()}>{t('admin.importJson')}</button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="application/json,.json"
+                        className={styles.fileInput}
+                        onChange={handleImport}
+                        tabIndex={-1}
+                        aria-label={t('admin.importJson')}
+                    />
+                    {dirty && <button type="button" className={styles.secondaryButton} onClick={handleDiscard}>{t('admin.discard')}</button>}
+                    <button type="button" onClick={handleSave} disabled={!dirty || saving}>
+                        {saving ? t('admin.saving') : t('admin.save', { version: savedBank.version + 1 })}
+                    </button>
+                </div>
+            </div>
+
+            {problems.length > 0 && (
+                <div ref={problemsRef} tabIndex={-1} className={styles.problems} role="alert">
+                    <p>{t('admin.invalid')}</p>
+                    <ul>
+                        {problems.map(({ questionId, message }) => <li key={`${questionId}-${message}`}>{message}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            <div className={styles.workspace}>
+                <nav className={styles.questionList} aria-labelledby="admin-questions-heading">
+                    <h3 id="admin-questions-heading">{t('admin.questions')}</h3>
+                    <ol>
+                        {questions.map((question, index) => {
+                            const id = question.question_id;
+                            const isPublished = publishedById.has(id);
+                            return (
+                                <li key={id} className={question.retired ? styles.retiredQuestion : undefined}>
+                                    <button
+                                        type="button"
+                                        className={id === selectedId ? `${styles.selectButton} ${styles.selected}` : styles.selectButton}
+                                        onClick={() => setSelectedId(id)}
+                                        aria-current={id === selectedId ? 'true' : undefined}
+                                    >
+                                        <span className={styles.questionId}>{id}</span>
+                                        <span className={styles.questionText}>{question.content || t('admin.untitled')}</span>
+                                    </button>
+                                    {question.retired && <span className={styles.badge}>{t('admin.retiredBadge')}</span>}
+                                    {!isPublished && <span className={styles.badge}>{t('admin.newBadge')}</span>}
+                                    <div className={styles.rowActions}>
+                                        <button
+                                            type="button"
+                                            className={styles.smallButton}
+                                            onClick={() => setQuestions(moveItem(questions, index, -1))}
+                                            disabled={index === 0}
+                                            aria-label={t('admin.moveUp', { item: id })}
+                                        >
+                                            ↑
+                                        </button>
+                                        <button
+                                            type="button"
+                                            className={styles.smallButton}
+                                            onClick={() => setQuestions(moveItem(questions, index, 1))}
+                                            disabled={index === questions.length - 1}
+                                            aria-label={t('admin.moveDown', { item: id })}
+                                        >
+                                            ↓
+                                        </button>
+                                        {!isPublished ? (
+                                            <button type="button" className={styles.smallButton} onClick={() => handleRemove(id)} aria-label={t('admin.removeLabel', { item: id })}>
+                                                {t('admin.remove')}
+                                            </button>
+                                        ) : question.retired ? (
+                                            <button type="button" className={styles.smallButton} onClick={() => handleRetire(question, false)} aria-label={t('admin.restoreLabel', { item: id })}>
+                                                {t('admin.restore')}
+                                            </button>
+                                        ) : (
+                                            <button type="button" className={styles.smallButton} onClick={() => handleRetire(question, true)} aria-label={t('admin.retireLabel', { item: id })}>
+                                                {t('admin.retire')}
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ol>
+                    <button type="button" onClick={handleAdd}>{t('admin.addQuestion')}</button>
+                </nav>
+
+                {selected && (
+                    <div className={styles.editorPane}>
+                        <section aria-labelledby="admin-editor-heading">
+                            <h3 id="admin-editor-heading">{t('admin.editor', { id: selected.question_id })}</h3>
+                            <QuestionEditor
+                                key={selected.question_id}
+                                question={selected}
+                                publishedLetters={(publishedById.get(selected.question_id)?.options || []).map((option) => option.option_letter)}
+                                categories={categories}
+                                onChange={updateQuestion}
+                            />
+                        </section>
+
+                        <section aria-labelledby="admin-preview-heading" className={styles.preview}>
+                            <h3 id="admin-preview-heading">{t('admin.preview')}</h3>
+                            {selected.retired && <p className={styles.muted}>{t('admin.previewRetired')}</p>}
+                            <div className={styles.previewQuestion}>
+                                <SurveyQuestion question={previewQuestion} />
+                                <SurveyAnswerInput
+                                    question={previewQuestion}
+                                    value={previewAnswers[selected.question_id]}
+                                    onChange={(value) => setPreviewAnswers((current) => ({ ...current, [selected.question_id]: value }))}
+                                />
+                            </div>
+                        </section>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AdminPage;
@@ -0,0 +1,165 @@
+import React from 'react';
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { useLanguage } from '../context/LanguageContext';
+import { getQuestionBank, saveQuestionBank } from '../services/api';
+import { QUESTION_BANK_FORMAT } from '../utils/questionBank';
+import AdminPage from './AdminPage';
+
+jest.mock('../services/api');
+
+const bank = {
+  version: 3,
+  updated_at: '2024-05-01T09:00:00Z',
+  updated_by: 'admin',
+  questions: [
+    {
+      question_id: 'Q1',
+      category: 'Energy',
+      content: 'Do you measure energy use?',
+      options: [
+        { option_letter: 'A', content: 'No', score: 0 },
+        { option_letter: 'B', content: 'Yes', score: 1 },
+        { option_letter: 'C', content: 'Sometimes', score: 0.5 },
+      ],
+    },
+    { question_id: 'Q2', category: 'Energy', content: 'Share of renewable energy', answer_type: 'percentage' },
+  ],
+};
+
+const renderPage = async () => {
+  const view = renderWithProviders(<AdminPage />);
+  await screen.findByRole('heading', { name: 'Edit question Q1' });
+  return view;
+};
+
+const notifications = () => screen.getByRole('region', { name: 'Notifications' });
+
+beforeEach(() => {
+  getQuestionBank.mockResolvedValue(bank);
+  saveQuestionBank.mockImplementation(async (questions, baseVersion) => ({ ...bank, version: baseVersion + 1, questions }));
+});
+
+test('has no accessibility violations', async () => {
+  const { container } = await renderPage();
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('previews edits and saves them as the next version', async () => {
+  await renderPage();
+  const save = screen.getByRole('button', { name: 'Save as version 4' });
+  expect(save).toBeDisabled();
+
+  fireEvent.change(screen.getByRole('textbox', { name: 'Question text' }), { target: { value: 'Do you meter energy use?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Retire option C' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Move option B up' }));
+
+  const preview = screen.getByRole('region', { name: 'Preview' });
+  expect(within(preview).getByRole('heading', { name: 'Do you meter energy use?' })).toBeInTheDocument();
+  expect(within(preview).getAllByRole('option').map((option) => option.textContent)).toEqual(['Select an option', 'B. Yes', 'A. No']);
+  expect(screen.getByText('Unsaved changes')).toBeInTheDocument();
+
+  fireEvent.click(save);
+  await waitFor(() => expect(within(notifications()).getByRole('listitem')).toHaveTextContent('Saved version 4.'));
+  const [questions, baseVersion] = saveQuestionBank.mock.calls[0];
+  expect(baseVersion).toBe(3);
+  expect(questions[0].content).toBe('Do you meter energy use?');
+  expect(questions[0].options.map((option) => [option.option_letter, Boolean(option.retired)])).toEqual([['B', false], ['A', false], ['C', true]]);
+  expect(screen.getByRole('button', { name: 'Save as version 5' })).toBeDisabled();
+});
+
+test('reorders and retires questions; new ones can be removed instead', async () => {
+  await renderPage();
+  const list = screen.getByRole('navigation', { name: 'Questions' });
+  fireEvent.click(within(list).getByRole('button', { name: 'Move Q2 up' }));
+  fireEvent.click(within(list).getByRole('button', { name: 'Retire Q1' }));
+  expect(screen.getByText(/This question is retired/)).toBeInTheDocument();
+
+  fireEvent.click(within(list).getByRole('button', { name: 'Add question' }));
+  expect(screen.getByRole('heading', { name: 'Edit question Q3' })).toBeInTheDocument();
+  expect(within(list).getByRole('button', { name: 'Remove Q3' })).toBeInTheDocument();
+  expect(within(list).getAllByRole('listitem').map((item) => item.textContent)).toEqual([
+    expect.stringMatching(/^Q2/),
+    expect.stringMatching(/^Q1.*Retired/),
+    expect.stringMatching(/^Q3.*New/),
+  ]);
+});
+
+test('lists what blocks saving and focuses the list', async () => {
+  await renderPage();
+  fireEvent.click(screen.getByRole('button', { name: 'Add question' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Save as version 4' }));
+
+  const problems = screen.getAllByRole('alert').find((alert) => alert.textContent.startsWith('Fix these problems before saving:'));
+  expect(problems).toHaveFocus();
+  expect(problems).toHaveTextContent('Q3: the question has no text.');
+  expect(problems).toHaveTextContent('Q3: option A has no text.');
+  expect(saveQuestionBank).not.toHaveBeenCalled();
+});
+
+test('offers a reload when someone else saved first', async () => {
+  saveQuestionBank.mockRejectedValueOnce({ response: { status: 409, data: { detail: 'now version 4' } } });
+  await renderPage();
+  fireEvent.change(screen.getByRole('textbox', { name: 'Question text' }), { target: { value: 'Changed' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save as version 4' }));
+
+  await waitFor(() => expect(within(notifications()).getByRole('listitem')).toHaveTextContent(/Someone else saved the question bank .*now version 4/));
+  fireEvent.click(within(notifications()).getByRole('button', { name: 'Reload' }));
+  await waitFor(() => expect(getQuestionBank).toHaveBeenCalledTimes(2));
+  await waitFor(() => expect(screen.queryByText('Unsaved changes')).not.toBeInTheDocument());
+});
+
+test('keeps unsaved edits when the language changes', async () => {
+  const SwitchToGerman = () => {
+    const { setLanguage } = useLanguage();
+    return <button type="button" onClick={() => setLanguage('de')}>Deutsch</button>;
+  };
+  renderWithProviders(<><SwitchToGerman /><AdminPage /></>);
+  await screen.findByRole('heading', { name: 'Edit question Q1' });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Question text' }), { target: { value: 'Changed' } });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Deutsch' }));
+  expect(await screen.findByText('Ungespeicherte Änderungen')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Changed')).toBeInTheDocument();
+  expect(getQuestionBank).toHaveBeenCalledTimes(1);
+});
+
+test('imports an exported bank for review', async () => {
+  await renderPage();
+  const file = new File([JSON.stringify({
+    format: QUESTION_BANK_FORMAT,
+    schema_version: 1,
+    version: 2,
+    questions: [{ question_id: 'Q7', category: 'Hardware', content: 'Do you refurbish laptops?', answer_type: 'yes_no' }],
+  })], 'question-bank-v2.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import JSON'), { target: { files: [file] } });
+
+  await waitFor(() => expect(within(notifications()).getByRole('listitem')).toHaveTextContent('Imported 1 question from version 2.'));
+  expect(screen.getByRole('heading', { name: 'Edit question Q7' })).toBeInTheDocument();
+  expect(screen.getByText('Unsaved changes')).toBeInTheDocument();
+});
+
+test('flags published questions and options an imported file would delete', async () => {
+  await renderPage();
+  const file = new File([JSON.stringify([
+    { ...bank.questions[0], options: bank.questions[0].options.slice(0, 2) },
+    { question_id: 'Q7', category: 'Hardware', content: 'Do you refurbish laptops?', answer_type: 'yes_no' },
+  ])], 'hand-written.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import JSON'), { target: { files: [file] } });
+
+  await screen.findByText('Fix these problems before saving:');
+  const problems = screen.getAllByRole('alert').find((alert) => alert.textContent.startsWith('Fix these problems before saving:'));
+  expect(problems).toHaveTextContent('Q1: option C is published and would be deleted. Keep it and retire it instead.');
+  expect(problems).toHaveTextContent('Q2: the question is published and would be deleted. Keep it and retire it instead.');
+  fireEvent.click(screen.getByRole('button', { name: 'Save as version 4' }));
+  expect(saveQuestionBank).not.toHaveBeenCalled();
+});
+
+test('rejects a file that is not a question bank', async () => {
+  await renderPage();
+  const file = new File(['{"format":"something-else"}'], 'other.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import JSON'), { target: { files: [file] } });
+
+  await waitFor(() => expect(within(notifications()).getByRole('listitem')).toHaveTextContent("The file isn't a question bank export."));
+  expect(screen.getByRole('heading', { name: 'Edit question Q1' })).toBeInTheDocument();
+});
@@ -0,0 +1,182 @@
+// src/pages/AssessmentsPage.js
+import React, { useCallback, useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { listSessions } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import { PipelineStatus, resumePathForStatus, statusLabel } from '../utils/pipelineStatus';
+import { TeamRole } from '../utils/team';
+import styles from './AssessmentsPage.module.css';
+
+const STATUS_CLASSES = {
+    [PipelineStatus.READY]: styles.statusReady,
+    [PipelineStatus.PIPELINE_RUNNING]: styles.statusRunning,
+    [PipelineStatus.GENERATING_REPORT]: styles.statusRunning,
+    [PipelineStatus.ERROR]: styles.statusFailed,
+};
+
+/**
+ * Dashboard of all the user's assessments. Any of them can be resumed at the
+ * step it reached (survey, follow-up or report), and a new one is only started
+ * when the user asks for it. Assessments colleagues have invited the user to are
+ * listed too. Two submitted assessments can be picked for comparison.
+ */
+const AssessmentsPage = () => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [starting, setStarting] = useState(false);
+    const [compareIds, setCompareIds] = useState([]);
+    const { sessionId, selectSession, startNewSession } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const i18n = useLanguage();
+    const { t } = i18n;
+    const { notify } = useNotifications();
+    const formatDate = (isoDate) => (isoDate ? i18n.formatDateTime(isoDate) : '-');
+
+    // --- Load the user's sessions ---
+    const loadSessions = useCallback(async () => {
+        setLoading(true);
+        setError('');
+        try {
+            setSessions(await listSessions());
+        } catch (fetchError) {
+            console.error('Error fetching assessments:', fetchError);
+            setError(t('assessments.loadFailed'));
+        } finally {
+            setLoading(false);
+        }
+    }, [t]);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const handleResume = (session) => {
+        selectSession(session.session_id);
+        navigate(resumePathForStatus(session.status));
+    };
+
+    const toggleCompare = (sessionId) => {
+        setCompareIds((current) => (current.includes(sessionId)
+            ? current.filter((id) => id !== sessionId)
+            : [...current, sessionId].slice(-2)));
+    };
+
+    // Older one first, whichever order they were ticked in
+    const handleCompare = () => {
+        const [earlier, later] = sessions
+            .filter((session) => compareIds.includes(session.session_id))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+        navigate(`/assessments/compare?earlier=${encodeURIComponent(earlier.session_id)}&later=${encodeURIComponent(later.session_id)}`);
+    };
+
+    const handleStartNew = async () => {
+        setStarting(true);
+        try {
+            await startNewSession();
+            navigate('/survey');
+        } catch (createError) {
+            console.error('Error starting a new assessment:', createError);
+            notify({
+                id: 'assessment-start-failed',
+                level: NotificationLevel.ERROR,
+                message: t('assessments.startFailed', { detail: createError.response?.data?.detail || createError.message }),
+                action: { label: t('common.retry'), onClick: handleStartNew },
+            });
+            setStarting(false);
+        }
+    };
+
+    return (
+        <div className={styles.assessmentsPage}>
+            <div className={styles.pageHeader}>
+                <h2>{t('assessments.title')}</h2>
+                <div className={styles.headerActions}>
+                    {sessions.length >= 2 && (
+                        <button type="button" className={styles.secondaryButton} onClick={handleCompare} disabled={compareIds.length !== 2}>
+                            {t('assessments.compareSelected', { count: compareIds.length })}
+                        </button>
+                    )}
+                    <button type="button" onClick={handleStartNew} disabled={starting}>
+                        {starting ? t('assessments.starting') : t('assessments.startNew')}
+                    </button>
+                </div>
+            </div>
+
+            {location.state?.reason === 'session_missing' && (
+                <p className={styles.notice}>{t('assessments.chooseOrStart')}</p>
+            )}
+            {error && (
+                <p className={styles.error} role="alert">
+                    {error}{' '}
+                    <button type="button" className={styles.linkButton} onClick={loadSessions}>{t('common.retry')}</button>
+                </p>
+            )}
+
+            {loading ? (
+                <p>{t('assessments.loading')}</p>
+            ) : sessions.length === 0 ? (
+                !error && <p className={styles.empty}>{t('assessments.empty')}</p>
+            ) : (
+                <table className={styles.sessionTable}>
+                    <thead>
+                        <tr>
+                            <th scope="col">{t('assessments.compare')}</th>
+                            <th scope="col">{t('assessments.started')}</th>
+                            <th scope="col">{t('assessments.status')}</th>
+                            <th scope="col">{t('assessments.report')}</th>
+                            <th scope="col"><span className={styles.visuallyHidden}>{t('assessments.actions')}</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map((session) => {
+                            const isActive = session.session_id === sessionId;
+                            const isReady = session.status === PipelineStatus.READY;
+                            return (
+                                <tr key={session.session_id} className={isActive ? styles.activeRow : undefined}>
+                                    <td>
+                                        {session.status !== PipelineStatus.SESSION_CREATED && (
+                                            <input
+                                                type="checkbox"
+                                                checked={compareIds.includes(session.session_id)}
+                                                onChange={() => toggleCompare(session.session_id)}
+                                                aria-label={t('assessments.compareLabel', { date: formatDate(session.created_at) })}
+                                            />
+                                        )}
+                                    </td>
+                                    <td>
+                                        {formatDate(session.created_at)}
+                                        {isActive && <span className={styles.activeBadge}>{t('assessments.current')}</span>}
+                                        {session.role === TeamRole.CONTRIBUTOR && (
+                                            <span className={styles.sharedBy}>{t('assessments.sharedBy', { owner: session.owner })}</span>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <span className={`${styles.status} ${STATUS_CLASSES[session.status] || ''}`}>{statusLabel(session.status, i18n)}</span>
+                                    </td>
+                                    <td>
+                                        {isReady && session.url ? (
+                                            <a href={session.url} download={`recommendations_${session.session_id}.pptx`}>{t('assessments.download')}</a>
+                                        ) : (
+                                            <span className={styles.muted}>-</span>
+                                        )}
+                                    </td>
+                                    <td className={styles.actions}>
+                                        <button type="button" onClick={() => handleResume(session)}>
+                                            {isReady || session.status === PipelineStatus.ERROR ? t('assessments.open') : t('assessments.resume')}
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default AssessmentsPage;
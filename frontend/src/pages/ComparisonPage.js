@@ -0,0 +1,199 @@
+// src/pages/ComparisonPage.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useLanguage } from '../context/LanguageContext';
+import { getFollowupResponses, getRecommendations, getSurveyQuestions, getSurveyResponses, listSessions } from '../services/api';
+import { PipelineStatus } from '../utils/pipelineStatus';
+import {
+    compareFollowupResponses,
+    compareRecommendations,
+    compareSurveyResponses,
+    summariseByCategory,
+} from '../utils/assessmentComparison';
+import ComparisonSummary from '../components/ComparisonSummary';
+import AnswerComparisonTable from '../components/AnswerComparisonTable';
+import RecommendationComparison from '../components/RecommendationComparison';
+import styles from './ComparisonPage.module.css';
+
+// A session that hasn't reached a step yet simply has nothing for it
+const orEmpty = (request, emptyValue, emptyStatuses) =>
+    request.catch((error) => {
+        if (emptyStatuses.includes(error.response?.status)) return emptyValue;
+        throw error;
+    });
+
+// Everything compared for one session; recommendations are null until its report is ready
+const loadAssessment = async (sessionId) => {
+    const [surveyResponses, followupResponses, recommendations] = await Promise.all([
+        orEmpty(getSurveyResponses(sessionId), [], [404]),
+        getFollowupResponses(sessionId),
+        orEmpty(getRecommendations(sessionId), null, [409]),
+    ]);
+    return { surveyResponses, followupResponses, recommendations };
+};
+
+/**
+ * Compares two of the user's assessments, e.g. consecutive quarters: survey and
+ * follow-up answers question by question, improvements and regressions per
+ * category, and which recommendations were resolved, are still open or are new.
+ * The sessions come from the `earlier` and `later` query parameters; without
+ * them the two most recent submitted assessments are used.
+ */
+const ComparisonPage = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const i18n = useLanguage();
+    const { t, language, formatDateTime } = i18n;
+    const [sessions, setSessions] = useState(null); // null until loaded
+    const [questions, setQuestions] = useState([]);
+    const [assessments, setAssessments] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // --- Load the session list and survey questions (in the selected language) ---
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([listSessions(), getSurveyQuestions()])
+            .then(([sessionList, surveyQuestions]) => {
+                if (cancelled) return;
+                setSessions(sessionList.filter((session) => session.status !== PipelineStatus.SESSION_CREATED));
+                setQuestions(surveyQuestions);
+            })
+            .catch((fetchError) => {
+                console.error('Error loading assessments for comparison:', fetchError);
+                if (!cancelled) setError(t('comparison.loadFailed'));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [language, t]);
+
+    // Sessions are listed newest first
+    const earlierId = searchParams.get('earlier') || sessions?.[1]?.session_id || '';
+    const laterId = searchParams.get('later') || sessions?.[0]?.session_id || '';
+
+    // --- Load both assessments whenever the selection or language changes ---
+    useEffect(() => {
+        if (!earlierId || !laterId || earlierId === laterId) {
+            setAssessments(null);
+            return undefined;
+        }
+        let cancelled = false;
+        setLoading(true);
+        setError('');
+        Promise.all([loadAssessment(earlierId), loadAssessment(laterId)])
+            .then(([earlier, later]) => {
+                if (!cancelled) setAssessments({ earlier, later });
+            })
+            .catch((fetchError) => {
+                console.error('Error loading assessments for comparison:', fetchError);
+                if (!cancelled) setError(t('comparison.loadSelectedFailed'));
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [earlierId, laterId, language, t]);
+
+    const comparison = useMemo(() => {
+        if (!assessments) return null;
+        const { earlier, later } = assessments;
+        const surveyRows = compareSurveyResponses(questions, earlier.surveyResponses, later.surveyResponses, i18n);
+        const followupRows = compareFollowupResponses(earlier.followupResponses, later.followupResponses);
+        return {
+            surveyRows,
+            followupRows,
+            categories: summariseByCategory([...surveyRows, ...followupRows]),
+            recommendations: earlier.recommendations && later.recommendations
+                ? compareRecommendations(earlier.recommendations, later.recommendations)
+                : null,
+        };
+    }, [assessments, questions, i18n]);
+
+    const selectSession = (param, sessionId) => {
+        const next = new URLSearchParams(searchParams);
+        next.set('earlier', earlierId);
+        next.set('later', laterId);
+        next.set(param, sessionId);
+        setSearchParams(next);
+    };
+
+    const renderSelect = (param, label, value) => (
+        <label className={styles.picker}>
+            {label}
+            <select value={value} onChange={(e) => selectSession(param, e.target.value)}>
+                <option value="" disabled>{t('comparison.choose')}</option>
+                {sessions.map((session) => (
+                    <option key={session.session_id} value={session.session_id}>
+                        {session.created_at ? formatDateTime(session.created_at) : '-'} ({session.session_id})
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+
+    const renderComparison = () => {
+        if (sessions.length < 2) {
+            return <p className={styles.muted}>{t('comparison.needTwo')}</p>;
+        }
+        if (earlierId === laterId) {
+            return <p className={styles.muted}>{t('comparison.chooseDifferent')}</p>;
+        }
+        if (loading) return <p>{t('comparison.loading')}</p>;
+        if (!comparison) return null;
+
+        return (
+            <>
+                <ComparisonSummary categories={comparison.categories} />
+                <AnswerComparisonTable
+                    id="survey-comparison"
+                    title={t('comparison.surveyAnswers')}
+                    rows={comparison.surveyRows}
+                    emptyMessage={t('comparison.noSurveyAnswers')}
+                />
+                <AnswerComparisonTable
+                    id="followup-comparison"
+                    title={t('comparison.followupAnswers')}
+                    rows={comparison.followupRows}
+                    emptyMessage={t('comparison.noFollowupAnswers')}
+                />
+                <section aria-labelledby="recommendation-comparison-heading">
+                    <h3 id="recommendation-comparison-heading">{t('comparison.recommendations')}</h3>
+                    {comparison.recommendations ? (
+                        <RecommendationComparison comparison={comparison.recommendations} />
+                    ) : (
+                        <p className={styles.muted}>{t('comparison.recommendationsPending')}</p>
+                    )}
+                </section>
+            </>
+        );
+    };
+
+    return (
+        <div className={styles.comparisonPage}>
+            <div className={styles.pageHeader}>
+                <h2>{t('comparison.title')}</h2>
+                <Link to="/assessments">{t('comparison.back')}</Link>
+            </div>
+
+            {error && <p className={styles.error} role="alert">{error}</p>}
+
+            {sessions === null ? (
+                !error && <p>{t('assessments.loading')}</p>
+            ) : (
+                <>
+                    {sessions.length >= 2 && (
+                        <div className={styles.pickers}>
+                            {renderSelect('earlier', t('comparison.earlier'), earlierId)}
+                            {renderSelect('later', t('comparison.later'), laterId)}
+                        </div>
+                    )}
+                    {renderComparison()}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonPage;
@@ -1,41 +1,41 @@
 // src/pages/FollowupPage.js
 import React from 'react';
+import { Link } from 'react-router-dom';
 import FollowupQuestions from '../components/FollowupQuestions'; // Adjust path if needed
+import useTeam from '../hooks/useTeam';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import styles from './FollowupPage.module.css';
 
 /**
- * Page component that retrieves the session ID from sessionStorage
- * and renders the FollowupQuestions component.
+ * Page component that takes the active session ID from the auth context
+ * and renders the FollowupQuestions component. RequireAuth guarantees the
+ * session exists before this page is rendered. In a shared session the team
+ * decides which questions are the user's to answer, so the questions wait for it.
  */
 const FollowupPage = () => {
-  // --- CHANGE HERE: Use sessionStorage ---
-  // const sessionId = localStorage.getItem("session_id"); // OLD
-  const sessionId = sessionStorage.getItem('session_id'); // NEW: Retrieve session ID from sessionStorage
-  // --- END CHANGE ---
+  const { sessionId, user } = useAuth();
+  const { team, loading: loadingTeam, failed: teamFailed, reload: reloadTeam } = useTeam(sessionId);
+  const { t } = useLanguage();
 
-  // Display a message if the session ID is not found in sessionStorage
-  if (!sessionId) {
-    // This message will now only show if sessionStorage truly doesn't have the ID
+  if (loadingTeam) return <p className={styles.statusMessage} role="status">{t('team.loading')}</p>;
+
+  // Without the team every question would look like the user's own
+  if (teamFailed) {
     return (
-      <p
-        style={{
-          color: 'red',
-          textAlign: 'center',
-          marginTop: '20px',
-          padding: '10px',
-          border: '1px solid red',
-          background: '#ffebee',
-        }}
-      >
-        No session found. Please log in or start the survey again.
+      <p className={styles.error} role="alert">
+        {t('team.loadFailed')}{' '}
+        <button type="button" className={styles.linkButton} onClick={reloadTeam}>{t('common.retry')}</button>
       </p>
     );
   }
 
-  // Render the FollowupQuestions component, passing the retrieved sessionId
   return (
-    <div className="followup-page">
-      {/* Pass the correctly retrieved sessionId */}
-      <FollowupQuestions sessionId={sessionId} />
+    <div>
+      <FollowupQuestions sessionId={sessionId} team={team} username={user?.username} />
+      <p className={styles.maturityLink}>
+        {t('followup.scoresAvailable', { link: <Link to="/recommendations">{t('followup.reportPage')}</Link> })}
+      </p>
     </div>
   );
 };
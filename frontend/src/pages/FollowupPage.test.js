@@ -0,0 +1,42 @@
+import React from 'react';
+import { fireEvent, screen } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { getTeam } from '../services/api';
+import FollowupQuestions from '../components/FollowupQuestions';
+import FollowupPage from './FollowupPage';
+
+jest.mock('../services/api');
+jest.mock('../components/FollowupQuestions', () => ({ __esModule: true, default: jest.fn() }));
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ sessionId: 's1', user: { username: 'ana' } }),
+}));
+
+const team = {
+  owner: 'bo',
+  members: [{ username: 'ana', survey_sections: [], followup_categories: ['Energy'] }],
+  answered_by: { survey: {}, followup: {} },
+};
+
+beforeEach(() => {
+  FollowupQuestions.mockReturnValue(<p>Follow-up questions</p>);
+});
+
+test('offers the questions once the team is loaded', async () => {
+  getTeam.mockResolvedValue(team);
+  renderWithProviders(<FollowupPage />);
+  expect(screen.getByText('Loading the team...')).toBeInTheDocument();
+  expect(await screen.findByText('Follow-up questions')).toBeInTheDocument();
+  expect(FollowupQuestions).toHaveBeenCalledTimes(1);
+  expect(FollowupQuestions.mock.calls[0][0]).toEqual({ sessionId: 's1', team, username: 'ana' });
+});
+
+test('reports a team that could not be loaded instead of offering every question', async () => {
+  getTeam.mockRejectedValueOnce(new Error('Network Error')).mockResolvedValue(team);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderWithProviders(<FollowupPage />);
+  expect(await screen.findByText(/^The team could not be loaded\./)).toBeInTheDocument();
+  expect(FollowupQuestions).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  expect(await screen.findByText('Follow-up questions')).toBeInTheDocument();
+});
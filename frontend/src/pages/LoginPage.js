@@ -0,0 +1,37 @@
+// src/pages/LoginPage.js
+import React from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import AuthForm from '../components/AuthForm';
+import { AuthStatus, useAuth } from '../context/AuthContext';
+
+/**
+ * Login/registration page. After a successful login the user is returned to
+ * the page they originally requested (defaults to the assessments dashboard).
+ * Why they were sent here (e.g. an expired session) is shown as a notification.
+ */
+const LoginPage = () => {
+  const { status, completeLogin } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/assessments';
+
+  const handleAuthSuccess = async () => {
+    await completeLogin();
+    navigate(redirectTo, { replace: true });
+  };
+
+  // Already logged in (e.g. user typed /login manually)
+  if (status === AuthStatus.AUTHENTICATED) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  return (
+    <div>
+      <AuthForm onAuthSuccess={handleAuthSuccess} />
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -1,161 +1,135 @@
-import React, { useEffect, useState, useRef, useCallback } from 'react';
-import { getRecommendationsStatus } from '../services/api';
-//import './RecommendationsPage.css'; // Add styling
-
-// Define expected statuses from the backend
-const FinalStatus = {
-    READY: 'ready',
-    ERROR: 'error',
-    NOT_FOUND: 'not_found'
-};
-
-const POLLING_INTERVAL_REC_MS = 15000; // Poll every 15 seconds
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import { getRecommendations } from '../services/api';
+import usePipelineStatus from '../hooks/usePipelineStatus';
+import useFocusOnChange from '../hooks/useFocusOnChange';
+import { PipelineStatus, isSurveySubmitted } from '../utils/pipelineStatus';
+import PipelineStatusNotice from '../components/PipelineStatusNotice';
+import RecommendationsView from '../components/RecommendationsView';
+import ExportMenu from '../components/ExportMenu';
+import MaturityScores from '../components/MaturityScores';
+import LiveRegion from '../components/LiveRegion';
+import styles from './RecommendationsPage.module.css';
+
+const POLLING_INTERVAL_REC_MS = 15000; // Fallback poll every 15 seconds when the status stream is unavailable
 
 const RecommendationsPage = () => {
-  const [status, setStatus] = useState("loading"); // loading, pipeline_running, generating_report, ready, error, not_found
-  const [reportUrl, setReportUrl] = useState(null);
-  const [errorMessage, setErrorMessage] = useState('');
-  const sessionId = sessionStorage.getItem("session_id");
-  const timeoutRef = useRef(null); // Ref for setTimeout ID
-  const isMounted = useRef(true); // Track mount status
-
-  // --- Polling Function ---
-  const checkStatus = useCallback(async () => {
-      if (!isMounted.current || !sessionId) return; // Stop if unmounted or no session
-
-      console.log("Checking recommendation status...");
-      let shouldStopPolling = false;
-      let nextStatus = "error"; // Default if something goes wrong
-      let nextErrorMessage = '';
-      let nextReportUrl = null;
-
-      try {
-          const result = await getRecommendationsStatus(sessionId);
-          if (!isMounted.current) return; // Check again after await
-
-          console.log("Status API Result:", result);
-          nextStatus = result.status;
-          nextReportUrl = result.url || null;
-          nextErrorMessage = result.error_message || '';
-
-          // Check if status is final
-          if (nextStatus === FinalStatus.READY || nextStatus === FinalStatus.ERROR || nextStatus === FinalStatus.NOT_FOUND) {
-              console.log(`Stopping polling. Final Status: ${nextStatus}`);
-              shouldStopPolling = true;
-          }
-
-      } catch (apiError) {
-          if (!isMounted.current) return;
-          console.error("API error checking status:", apiError);
-          nextStatus = FinalStatus.ERROR;
-          nextErrorMessage = "Could not connect to the server to check status.";
-          shouldStopPolling = true; // Stop polling on API error
-      } finally {
-          if (isMounted.current) {
-              // Update state only if it changed to avoid unnecessary re-renders
-              setStatus(prevStatus => prevStatus === nextStatus ? prevStatus : nextStatus);
-              setReportUrl(prevUrl => prevUrl === nextReportUrl ? prevUrl : nextReportUrl);
-              setErrorMessage(prevMsg => prevMsg === nextErrorMessage ? prevMsg : nextErrorMessage);
-
-              // Schedule next poll ONLY if not stopped
-              if (!shouldStopPolling) {
-                  // console.log(`Scheduling next status check in ${POLLING_INTERVAL_REC_MS}ms`);
-                  timeoutRef.current = setTimeout(checkStatus, POLLING_INTERVAL_REC_MS);
-              }
-          }
-      }
-  }, [sessionId]); // Depends only on sessionId (stable)
-
-
-  // --- useEffect for Initial Load & Starting Polling ---
+  const { sessionId } = useAuth();
+  const { t, language } = useLanguage();
+  const pipeline = usePipelineStatus(sessionId, { pollIntervalMs: POLLING_INTERVAL_REC_MS });
+  const status = pipeline.status ?? "loading"; // loading until the first update arrives
+  const { url: reportUrl, errorMessage } = pipeline;
+  const [recommendations, setRecommendations] = useState(null); // null until loaded
+  const [recommendationsError, setRecommendationsError] = useState('');
+  const stateHeadingRef = useRef(null); // The h2 of the state shown below, focused when the state changes
+
+  // Move focus to the new state's heading, so keyboard and screen reader users
+  // aren't left on content that was just replaced
+  useFocusOnChange(stateHeadingRef, status === "loading" ? null : status);
+
+  // --- Load the structured recommendations once the report is ready ---
+  // and again in the selected language when it changes
   useEffect(() => {
-      isMounted.current = true;
-      setStatus("loading"); // Set initial status
-
-      if (!sessionId) {
-          setStatus("error");
-          setErrorMessage("Session ID not found. Please start a new assessment.");
-          return; // Don't start polling
-      }
-
-      // Start the first check immediately
-      checkStatus();
-
-      // Cleanup function
+      if (status !== PipelineStatus.READY || !sessionId) return undefined;
+      let cancelled = false;
+      setRecommendationsError('');
+      getRecommendations(sessionId)
+          .then((data) => {
+              if (!cancelled) setRecommendations(data);
+          })
+          .catch((fetchError) => {
+              console.error("Error fetching recommendations:", fetchError);
+              if (!cancelled) setRecommendationsError(t('report.recommendationsFailed'));
+          });
       return () => {
-          isMounted.current = false;
-          if (timeoutRef.current) {
-              console.log("Clearing recommendations polling timeout on unmount.");
-              clearTimeout(timeoutRef.current);
-          }
+          cancelled = true;
       };
-      // Effect only depends on sessionId and the stable checkStatus callback
-  }, [sessionId, checkStatus]);
-
+  }, [status, sessionId, language, t]);
+
+  // --- Status announcements ---
+  // Polling updates the page without moving focus, so each new state is also read out
+  const announcement = {
+      loading: t('report.loadingStatus'),
+      [PipelineStatus.PIPELINE_RUNNING]: t('report.processingTitle'),
+      [PipelineStatus.GENERATING_REPORT]: t('report.generatingTitle'),
+      [PipelineStatus.READY]: recommendations || recommendationsError ? t('report.readyTitle') : t('report.loadingRecommendations'),
+      [PipelineStatus.ERROR]: t('report.errorTitle'),
+      [PipelineStatus.NOT_FOUND]: t('report.notFound'),
+  }[status] ?? t('report.checking', { status });
 
   // --- Render Logic ---
   const renderContent = () => {
       switch (status) {
           case "loading":
-              return <p>Loading status...</p>;
+              return <p>{t('report.loadingStatus')}</p>;
           // NEW CASE: Handle the phase where RAG is running but report generation hasn't started
-          case "pipeline_running":
+          case PipelineStatus.PIPELINE_RUNNING:
               return (
-                  <div className="generating-notice">
-                      <h2>Processing Assessment Data...</h2>
-                      <p>The system is analyzing your responses and may ask follow-up questions if needed elsewhere. Please wait.</p>
+                  <div className={styles.statusMessage}>
+                      <h2 ref={stateHeadingRef} tabIndex={-1}>{t('report.processingTitle')}</h2>
+                      <p>{t('report.processingText')}</p>
+                      <p><Link to="/followup">{t('report.goToFollowup')}</Link></p>
                       {/* Optional: Add a loading spinner */}
                   </div>
               );
           // Existing case for when report generation is definitely active
-          case "generating_report":
+          case PipelineStatus.GENERATING_REPORT:
               return (
-                  <div className="generating-notice">
-                      <h2>Generating Recommendations Report...</h2>
-                      <p>This may take several minutes. Please wait.</p>
+                  <div className={styles.statusMessage}>
+                      <h2 ref={stateHeadingRef} tabIndex={-1}>{t('report.generatingTitle')}</h2>
+                      <p>{t('report.generatingText')}</p>
                       {/* Optional: Add a loading spinner */}
                   </div>
               );
-          case FinalStatus.READY:
+          case PipelineStatus.READY:
               return (
-                  <div className="report-ready">
-                      <h2>Recommendations Report Ready</h2>
-                      <p>Your personalized PowerPoint report is ready for download.</p>
+                  <div>
+                      <h2 ref={stateHeadingRef} tabIndex={-1}>{t('report.readyTitle')}</h2>
+                      <p>{t('report.readyText')}</p>
                       {reportUrl ? (
                           <a
                               href={reportUrl}
                               download={`recommendations_${sessionId}.pptx`}
-                              className="download-button"
+                              className={styles.downloadButton}
                           >
-                              Download Report (.pptx)
+                              {t('report.download')}
                           </a>
                       ) : (
-                          <p className="error-message">Error: Download URL is missing, although status is ready.</p>
+                          <p className={styles.errorMessage} role="alert">{t('report.missingUrl')}</p>
                       )}
+                      {recommendations && <ExportMenu sessionId={sessionId} recommendations={recommendations} />}
+                      {recommendationsError && <p className={styles.errorMessage} role="alert">{recommendationsError}</p>}
+                      {!recommendations && !recommendationsError && <p>{t('report.loadingRecommendations')}</p>}
+                      {recommendations && <RecommendationsView recommendations={recommendations} />}
                   </div>
               );
-           case FinalStatus.ERROR:
+           case PipelineStatus.ERROR:
               return (
-                  <div className="error-notice">
-                      <h2>Error Generating Report</h2>
-                      <p>Sorry, an error occurred while generating or processing your report.</p>
-                      {errorMessage && <p>Details: {errorMessage}</p>}
+                  <div className={styles.errorMessage}>
+                      <h2 ref={stateHeadingRef} tabIndex={-1}>{t('report.errorTitle')}</h2>
+                      <p>{t('report.errorText')}</p>
+                      {errorMessage && <p>{t('report.errorDetails', { message: errorMessage })}</p>}
                   </div>
               );
-          case FinalStatus.NOT_FOUND:
-               return <p>Report status not found for this session ID.</p>;
+          case PipelineStatus.NOT_FOUND:
+               return <p>{t('report.notFound')}</p>;
           default:
-               // Handle any unexpected status from backend gracefully
-               console.warn("RecommendationsPage received unexpected status:", status);
-               return <p>Checking status ({status})...</p>;
+               // session_created/started, or a status the notice below reports as unknown
+               return <p>{t('report.checking', { status })}</p>;
       }
   };
 
   return (
-      <div className="recommendations-page">
-          <h1>Assessment Report</h1>
-          {!sessionId && <p className="error-message">No active session found.</p>}
+      <div className={styles.container}>
+          <h1>{t('report.title')}</h1>
+          {sessionId && <LiveRegion message={announcement} />}
+          {!sessionId && <p className={styles.errorMessage} role="alert">{t('report.noSession')}</p>}
           {sessionId && renderContent()}
+          {/* Scores only need the answers, so they show while the report is still being generated */}
+          {sessionId && isSurveySubmitted(status) && <MaturityScores sessionId={sessionId} refreshKey={status} />}
+          {sessionId && <PipelineStatusNotice watcher={pipeline} />}
       </div>
   );
 };
@@ -0,0 +1,72 @@
+import React from 'react';
+import { screen } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import {
+  getFollowupResponses,
+  getRecommendations,
+  getSurveyQuestions,
+  getSurveyResponses,
+} from '../services/api';
+import usePipelineStatus from '../hooks/usePipelineStatus';
+import { PipelineStatus } from '../utils/pipelineStatus';
+import RecommendationsPage from './RecommendationsPage';
+
+jest.mock('../services/api');
+jest.mock('../hooks/usePipelineStatus', () => ({
+  ...jest.requireActual('../hooks/usePipelineStatus'),
+  __esModule: true,
+  default: jest.fn(),
+}));
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ sessionId: 's1' }),
+}));
+
+const watcher = (status, overrides = {}) => ({
+  status,
+  url: status === PipelineStatus.READY ? 'https://example.com/report.pptx' : null,
+  errorMessage: null,
+  refresh: jest.fn(),
+  connectionLost: false,
+  pauseReason: null,
+  stalled: false,
+  isUnknownStatus: false,
+  ...overrides,
+});
+
+beforeEach(() => {
+  getRecommendations.mockResolvedValue([
+    { id: 'R1', title: 'Meter energy', category: 'Energy', subcategory: 'Measurement', priority: 'high', impact: 'high', effort: 'low' },
+  ]);
+  getSurveyQuestions.mockResolvedValue([]);
+  getSurveyResponses.mockResolvedValue([]);
+  getFollowupResponses.mockResolvedValue([]);
+});
+
+test('announces each status and moves focus to its heading', async () => {
+  usePipelineStatus.mockReturnValue(watcher(null));
+  const { rerender } = renderWithProviders(<RecommendationsPage />);
+  expect(screen.getAllByRole('status')[0]).toHaveTextContent('Loading status...');
+
+  usePipelineStatus.mockReturnValue(watcher(PipelineStatus.GENERATING_REPORT));
+  rerender(<RecommendationsPage />);
+  expect(screen.getByRole('heading', { name: 'Generating Recommendations Report...' })).toHaveFocus();
+  expect(screen.getAllByRole('status')[0]).toHaveTextContent('Generating Recommendations Report...');
+  await screen.findByText('None of your answers so far can be scored.');
+});
+
+test('the ready report has no accessibility violations', async () => {
+  usePipelineStatus.mockReturnValue(watcher(PipelineStatus.READY));
+  const { container } = renderWithProviders(<RecommendationsPage />);
+  await screen.findByRole('heading', { name: 'Meter energy' });
+  expect(screen.getByRole('heading', { name: 'Recommendations Report Ready' })).toHaveFocus();
+  expect(screen.getAllByRole('status')[0]).toHaveTextContent('Recommendations Report Ready');
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('reads out a lost connection', async () => {
+  usePipelineStatus.mockReturnValue(watcher(PipelineStatus.PIPELINE_RUNNING, { connectionLost: true }));
+  renderWithProviders(<RecommendationsPage />);
+  await screen.findByText('None of your answers so far can be scored.');
+  const notice = screen.getAllByRole('status').find((region) => region.textContent.includes("couldn't reach the server"));
+  expect(notice).toHaveAttribute('aria-live', 'polite');
+});
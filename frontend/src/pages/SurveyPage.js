@@ -1,142 +1,192 @@
-import React, { useEffect, useState, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
+    getSurveyDraft,
     getSurveyQuestions,
-    submitSurveyResponses,
-    getCurrentUser // Used for validation
+    submitSurveyResponses
 } from '../services/api'; // Ensure api.js path is correct
 import SurveyQuestion from '../components/SurveyQuestion'; // Ensure path is correct
-import AuthForm from '../components/AuthForm'; // Ensure path is correct
+import SurveyAnswerInput from '../components/SurveyAnswerInput';
+import SurveyDraftBanner from '../components/SurveyDraftBanner';
+import AnswerImportPreview from '../components/AnswerImportPreview';
+import SurveyStepNav from '../components/SurveyStepNav';
+import ProgressBar from '../components/ProgressBar';
+import SurveyReview from '../components/SurveyReview';
+import useSurveyDraft, { SaveState } from '../hooks/useSurveyDraft';
+import useTeam from '../hooks/useTeam';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import { buildSurveySteps, firstIncompleteStepIndex, incompleteQuestions } from '../utils/surveySteps';
+import { formatSurveyAnswer, isAnswered, toPayloadAnswer, validateAnswer } from '../utils/surveyAnswers';
+import { getVisibleQuestions } from '../utils/surveyConditions';
+import { buildSurveyReview, createSurveyReviewPdf } from '../utils/surveyReview';
+import { TeamPart, TeamRole, assigneeOf, categoryKey, isOwnQuestion, isShared, mergeTeamAnswers, roleOf } from '../utils/team';
+import {
+    ANSWER_FILE_ACCEPT,
+    TEMPLATE_FORMATS,
+    applyImportedAnswers,
+    buildAnswerTemplate,
+    countImportedAnswers,
+    createAnswerTemplateFile,
+    matchImportedAnswers,
+    readAnswerFile
+} from '../utils/answerImport';
+import { downloadBlob } from '../utils/download';
 import styles from './SurveyPage.module.css'; // Ensure path is correct
 
-// Define possible status states
-const AuthStatus = {
-    IDLE: 'IDLE', // Initial state before validation starts
-    VALIDATING: 'VALIDATING', // Checking existing token
-    AUTHENTICATED: 'AUTHENTICATED', // Validation succeeded or login successful
-    UNAUTHENTICATED: 'UNAUTHENTICATED', // No valid token, show login
-    FAILED: 'FAILED', // An error occurred during validation/fetch
-};
+// Notification id for a failed submit, replaced by each new failure
+const SUBMIT_NOTIFICATION_ID = 'survey-submit';
 
+// Authentication is handled by AuthProvider/RequireAuth; this page assumes a valid session.
 const SurveyPage = () => {
     // --- State Definitions ---
     const [questions, setQuestions] = useState([]);
-    const [loadingQuestions, setLoadingQuestions] = useState(false); // For loading questions *after* auth
+    const [loadingQuestions, setLoadingQuestions] = useState(true);
     const [submitting, setSubmitting] = useState(false); // For survey submission
-    const [authStatus, setAuthStatus] = useState(AuthStatus.IDLE); // Master status
     const [responses, setResponses] = useState({}); // Survey answers
     // State to display non-critical errors within the page
     const [pageError, setPageError] = useState(null);
+    // Flags questions left empty when the user tries to leave a step
+    const [showMissing, setShowMissing] = useState(false);
+    const { sessionId, user } = useAuth();
+    const username = user?.username;
+    const i18n = useLanguage();
+    const { t, formatTime } = i18n;
+    const { notify, dismiss } = useNotifications();
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const stepHeadingRef = useRef(null);
+    const formRef = useRef(null);
+    // Bumped when Next/Submit is blocked, to focus the first question that needs an answer
+    const [missingFocusRequest, setMissingFocusRequest] = useState(0);
+    // { fileName, preview } while an imported answer file is being reviewed
+    const [answerImport, setAnswerImport] = useState(null);
+    const importInputRef = useRef(null);
+    // { questionId } after "Edit" in the review, to focus that question's input
+    const [editFocus, setEditFocus] = useState(null);
+    // In a shared session each person answers their own sections (see utils/team):
+    // members only get those, the owner sees the others' answers read-only and submits
+    const { team, loading: loadingTeam, failed: teamFailed, reload: reloadTeam } = useTeam(sessionId);
+    const shared = isShared(team);
+    const isContributor = roleOf(team, username) === TeamRole.CONTRIBUTOR;
+    const isOwn = useCallback((question) => isOwnQuestion(team, username, TeamPart.SURVEY, question), [team, username]);
+    const ownQuestions = useMemo(() => questions.filter(isOwn), [questions, isOwn]);
+    const othersIds = useMemo(() => new Set(questions.filter((q) => !isOwn(q)).map((q) => q.question_id)), [questions, isOwn]);
+    // Autosaves `responses` per session and offers to resume an existing draft
+    // (the user's own answers in it)
+    const {
+        draftChecked,
+        pendingDraft,
+        lastSavedAt,
+        saveState,
+        serverDraft,
+        resumeDraft,
+        saveNow,
+        clearDraft,
+    } = useSurveyDraft(sessionId, responses, othersIds);
+    const answeredBy = serverDraft?.answered_by || {};
 
-    // --- Centralized Logout Handler ---
-    // Stable function reference due to useCallback with empty dependency array
-    const handleLogout = useCallback((isSilent = false) => {
-        if (!isSilent) console.log("handleLogout: Explicit logout.");
-        else console.log("handleLogout: Silent logout (validation or other failure).");
-        // --- Use sessionStorage ---
-        sessionStorage.removeItem("access_token");
-        sessionStorage.removeItem("session_id");
-        setAuthStatus(AuthStatus.UNAUTHENTICATED); // Set status directly
-        setQuestions([]); // Clear data
-        setResponses({});
-        setLoadingQuestions(false);
-        setSubmitting(false);
-        setPageError(null); // Clear page errors on logout
-    }, []); // Empty array: This function's reference is stable
-
-    // --- Fetch Questions Function (called AFTER authentication is confirmed) ---
-    // Stable function reference assuming dependencies (setters, imported APIs, handleLogout) are stable
+    // --- Fetch Questions Function ---
+    // Question texts come back in the selected language (see LanguageProvider), so this
+    // runs again when it changes. Answers are kept: they are keyed by question ID.
     const fetchQuestions = useCallback(async () => {
-        console.log("fetchQuestions: Attempting to fetch (authentication confirmed).");
         setLoadingQuestions(true);
         setPageError(null); // Clear previous errors on new fetch
         setQuestions([]);
-        setResponses({});
         try {
             const data = await getSurveyQuestions();
-            console.log("fetchQuestions: Success.");
             setQuestions(data);
-             if (!data || data.length === 0) {
-                 console.warn("fetchQuestions: API returned successfully but no questions found.");
-                 setPageError("No survey questions are currently available."); // Inform user
+            if (!data || data.length === 0) {
+                console.warn("fetchQuestions: API returned successfully but no questions found.");
+                setPageError(t('survey.noQuestions')); // Inform user
             }
         } catch (error) {
-            console.error("fetchQuestions: Error fetching post-validation:", error);
-            // Error handling depends on whether the interceptor handles 401s globally
+            console.error("fetchQuestions: Error fetching questions:", error);
+            // 401s are redirected to /login by AuthProvider
             if (error.response?.status !== 401) {
-                 setPageError("Failed to load survey questions. Please try refreshing the page.");
-            } else {
-                // If 401 occurs here, token might have expired *after* validation
-                setPageError("Your session may have expired. Please log in again.");
-                // Interceptor likely handles logout, but ensure state is UNAUTHENTICATED if needed
-                 setAuthStatus(AuthStatus.UNAUTHENTICATED); // Force status if interceptor doesn't redirect/reload
+                setPageError(t('survey.loadFailed'));
             }
         } finally {
             setLoadingQuestions(false);
         }
-    }, [handleLogout]); // Include stable handleLogout dependency (or empty array if eslint allows)
+    }, [t]); // `t` changes with the language
 
-    // --- Function to Validate Session on Load ---
-     // Stable function reference assuming dependencies (imported APIs, handleLogout, fetchQuestions) are stable
-    const validateSessionAndFetch = useCallback(async () => {
-        setAuthStatus(AuthStatus.VALIDATING);
-        setPageError(null); // Clear error on validation start
-        // --- Use sessionStorage ---
-        const token = sessionStorage.getItem("access_token");
+    // --- Effect for Initial Load ---
+    useEffect(() => {
+        fetchQuestions();
+    }, [fetchQuestions]);
 
-        if (!token) {
-            console.log("validateSession: No access token found.");
-            handleLogout(true); // Silently sets state to UNAUTHENTICATED
-            return;
-        }
+    // --- Wizard Steps ---
+    // The current step lives in the URL (?step=2) so it survives reloads and can be bookmarked
+    // Questions hidden by their display_condition are dropped from steps, validation and the payload.
+    // Steps are built from the full list so grouping doesn't shift while answers change.
+    const visibleQuestions = useMemo(() => getVisibleQuestions(questions, responses), [questions, responses]);
+    const steps = useMemo(() => {
+        const visibleIds = new Set(visibleQuestions.map(q => q.question_id));
+        return buildSurveySteps(questions, { i18n })
+            .map(step => ({ ...step, questions: step.questions.filter(q => visibleIds.has(q.question_id)) }))
+            .filter(step => step.questions.length > 0 && (!isContributor || step.questions.some(isOwn)));
+    }, [questions, visibleQuestions, i18n, isContributor, isOwn]);
+    // Questions counted for progress: a member's own, everything for the owner
+    const progressQuestions = isContributor ? visibleQuestions.filter(isOwn) : visibleQuestions;
+    const requestedStep = parseInt(searchParams.get('step'), 10) || 1;
+    const stepIndex = Math.min(Math.max(requestedStep, 1), Math.max(steps.length, 1)) - 1;
+    const currentStep = steps[stepIndex];
+    const isLastStep = stepIndex === steps.length - 1;
+    const answeredCount = progressQuestions.filter(q => isAnswered(responses[q.question_id])).length;
+    const stepAssignee = currentStep && shared ? assigneeOf(team, TeamPart.SURVEY, categoryKey(currentStep.questions[0])) : null;
+    // The review before submitting is in the URL too (?step=3&review=1); members don't submit
+    const reviewing = !isContributor && searchParams.get('review') === '1' && steps.length > 0;
+    const reviewSections = useMemo(() => (reviewing ? buildSurveyReview(steps, responses, i18n) : []), [reviewing, steps, responses, i18n]);
 
-        console.log("validateSession: Token found, attempting validation via getCurrentUser...");
-        try {
-            await getCurrentUser(); // Uses token via interceptor
-            console.log("validateSession: Validation successful.");
+    const goToStep = useCallback((index) => {
+        setPageError(null);
+        setShowMissing(false);
+        setSearchParams({ step: String(index + 1) });
+    }, [setSearchParams]);
 
-            // --- Check session_id existence using sessionStorage ---
-            const sessionId = sessionStorage.getItem("session_id");
-            if (!sessionId) {
-                console.error("validateSession: Validation successful but session_id missing! Logging out.");
-                setPageError("Your session data is incomplete. Please log in again.");
-                handleLogout(true);
-                return;
-             }
+    // Move focus to the new step's heading so keyboard and screen reader users land at the top
+    useEffect(() => {
+        if (stepHeadingRef.current) {
+            stepHeadingRef.current.focus();
+            stepHeadingRef.current.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+        }
+    }, [stepIndex, reviewing]);
 
-            setAuthStatus(AuthStatus.AUTHENTICATED); // Set authenticated status
-            fetchQuestions(); // Fetch questions now that validation passed
+    // Declared after the step effect so it wins when submitting jumps back to an incomplete step
+    useEffect(() => {
+        if (missingFocusRequest === 0 || !formRef.current) return;
+        const firstMissing = formRef.current.querySelector(
+            `.${styles.missingAnswer} select, .${styles.missingAnswer} input, .${styles.missingAnswer} textarea`
+        );
+        firstMissing?.focus();
+    }, [missingFocusRequest]);
 
-        } catch (error) {
-            // Interceptor might handle 401 globally. If not, or for other errors:
-            console.error("validateSession: Validation failed.", error);
-            if (error.response?.status !== 401) {
-                 setPageError("Could not verify your session due to a network or server error. Please try logging in.");
-            } else {
-                 console.log("validateSession: Authentication error during validation (token invalid/expired).");
-                 // No specific error needed if AuthForm will be shown
-            }
-             handleLogout(true); // Logout silently on any validation failure
+    // Likewise for the question picked in the review
+    useEffect(() => {
+        if (!editFocus || reviewing || !formRef.current) return;
+        const block = formRef.current.querySelector(`[data-question-id="${editFocus.questionId}"]`);
+        block?.querySelector('select, input, textarea')?.focus();
+        block?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    }, [editFocus, reviewing]);
+
+    // Sections someone else answers don't hold the owner up
+    const handleNext = useCallback(() => {
+        if (incompleteQuestions({ questions: currentStep.questions.filter(isOwn) }, responses).length > 0) {
+            setShowMissing(true);
+            setPageError(t('survey.stepIncomplete'));
+            setMissingFocusRequest((count) => count + 1);
+            return;
         }
-    // }, [handleLogout, fetchQuestions]); // Old dependencies
-     }, [handleLogout, fetchQuestions]); // Corrected: Include stable refs for clarity
+        goToStep(stepIndex + 1);
+    }, [currentStep, responses, stepIndex, goToStep, isOwn, t]);
 
-    // --- Effect for Initial Validation on Mount ---
+    // Brings in what the others have saved since
     useEffect(() => {
-        // Call the validation function defined above
-        validateSessionAndFetch();
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [validateSessionAndFetch]); // Rerun if validateSessionAndFetch changes (it shouldn't)
-
-    // --- Handler for Successful Authentication via AuthForm ---
-    // Depends on fetchQuestions (which is stable)
-    const handleAuthSuccess = useCallback(() => {
-        console.log("handleAuthSuccess: Login/Registration successful.");
-        setAuthStatus(AuthStatus.AUTHENTICATED); // Set authenticated status
-        setPageError(null); // Clear any previous page errors
-        fetchQuestions(); // Fetch questions immediately
-    }, [fetchQuestions]); // Correct: Depends on fetchQuestions
+        if (!shared || !serverDraft || othersIds.size === 0) return;
+        setResponses(prev => mergeTeamAnswers(prev, serverDraft.responses, othersIds));
+    }, [shared, serverDraft, othersIds]);
 
     // --- Response Change Handler ---
      // Stable function reference (only uses stable state setters)
@@ -145,162 +195,379 @@ const SurveyPage = () => {
          setResponses(prev => ({ ...prev, [questionId]: value }));
      }, []); // Corrected: Empty array
 
-    // --- Submit Handler ---
-    const handleSubmit = useCallback(async () => {
-        const sessionId = sessionStorage.getItem("session_id");
-        if (!sessionId || authStatus !== AuthStatus.AUTHENTICATED) {
-            setPageError("Your session is invalid or has expired. Please log in again.");
-            handleLogout();
+    // --- Draft Handlers ---
+    // A copy kept on this device may have older answers of the others
+    const handleResumeDraft = useCallback(() => {
+        setResponses(mergeTeamAnswers(resumeDraft(), serverDraft?.responses, othersIds));
+    }, [resumeDraft, serverDraft, othersIds]);
+
+    // No confirmation dialog: the answers can be brought back from the notification.
+    // Only the user's own answers go; the others' answers stay as saved on the server.
+    const handleDiscardDraft = useCallback(() => {
+        const discarded = Object.fromEntries(Object.entries((pendingDraft ? pendingDraft.responses : responses) || {})
+            .filter(([questionId]) => !othersIds.has(questionId)));
+        clearDraft();
+        setResponses(mergeTeamAnswers({}, serverDraft?.responses, othersIds));
+        if (Object.keys(discarded).length > 0) {
+            notify({
+                message: t('survey.draftDiscarded'),
+                // Restored answers are autosaved again as a new draft
+                action: { label: t('common.undo'), onClick: () => setResponses((current) => ({ ...current, ...discarded })) },
+            });
+        }
+    }, [pendingDraft, responses, othersIds, serverDraft, clearDraft, notify, t]);
+
+    // --- Answer Import ---
+    // The file is checked against all questions, including ones hidden for now,
+    // and nothing changes until the preview is confirmed
+    const handleImportFile = useCallback(async (event) => {
+        const [file] = event.target.files;
+        event.target.value = ''; // Lets the same file be picked again
+        if (!file) return;
+        const result = await readAnswerFile(file, i18n);
+        if (result.error) {
+            notify({ level: NotificationLevel.ERROR, message: result.error });
             return;
         }
-    
-        const unansweredQuestions = questions.filter(q => responses[q.question_id] === undefined || responses[q.question_id] === '');
-        if (unansweredQuestions.length > 0) {
-            setPageError(`Please answer all questions.`);
+        setAnswerImport({ fileName: file.name, preview: matchImportedAnswers(ownQuestions, result.rows, responses, i18n) });
+    }, [ownQuestions, responses, notify, i18n]);
+
+    const handleApplyImport = useCallback(({ replaceExisting }) => {
+        const { preview } = answerImport;
+        const previous = responses;
+        setResponses(applyImportedAnswers(responses, preview, { replaceExisting }));
+        setAnswerImport(null);
+        setPageError(null);
+        setShowMissing(false);
+        notify({
+            message: t('answerImport.applied', { count: countImportedAnswers(preview, { replaceExisting }) }),
+            action: { label: t('common.undo'), onClick: () => setResponses(previous) },
+        });
+    }, [answerImport, responses, notify, t]);
+
+    // The template lists every question with the answers given so far
+    const handleDownloadTemplate = useCallback((format) => {
+        try {
+            const { blob, filename } = createAnswerTemplateFile(format, buildAnswerTemplate(ownQuestions, responses, i18n));
+            downloadBlob(blob, filename);
+        } catch (error) {
+            console.error(`Error creating the ${format} answer template:`, error);
+            notify({ level: NotificationLevel.ERROR, message: t('answerImport.templateFailed') });
+        }
+    }, [ownQuestions, responses, notify, i18n, t]);
+
+    // --- Finishing a member's part ---
+    // The owner submits; the member's answers only need to be on the server
+    const handleFinishPart = useCallback(async () => {
+        const incompleteIndex = firstIncompleteStepIndex(steps, responses);
+        if (incompleteIndex !== -1) {
+            if (incompleteIndex !== stepIndex) goToStep(incompleteIndex);
+            setShowMissing(true);
+            setPageError(t('survey.submitIncomplete', { step: steps[incompleteIndex].title }));
+            setMissingFocusRequest((count) => count + 1);
+            return;
+        }
+        setSubmitting(true);
+        try {
+            await saveNow();
+            dismiss(SUBMIT_NOTIFICATION_ID);
+            notify({ message: t('team.partDone', { owner: team.owner }) });
+            navigate('/assessments');
+        } catch (error) {
+            console.error('Error saving the answers of this part:', error);
+            if (error.response?.status !== 401) {
+                notify({
+                    id: SUBMIT_NOTIFICATION_ID,
+                    level: NotificationLevel.ERROR,
+                    message: t('team.partSaveFailed', { detail: error.response?.data?.detail || t('survey.pleaseTryAgain') }),
+                    action: { label: t('common.retry'), onClick: () => submitRef.current() },
+                });
+            }
+        } finally {
+            setSubmitting(false);
+        }
+    }, [steps, responses, stepIndex, goToStep, saveNow, team, navigate, notify, dismiss, t]);
+
+    // --- Review ---
+    // The others' latest answers are reviewed and submitted, not the ones loaded with the page
+    const loadTeamAnswers = useCallback(async () => {
+        if (!shared) return responses;
+        try {
+            const current = mergeTeamAnswers(responses, (await getSurveyDraft(sessionId))?.responses, othersIds);
+            setResponses(current);
+            return current;
+        } catch (error) {
+            console.warn('Could not load the latest answers of the team; using the ones shown.', error);
+            return responses;
+        }
+    }, [shared, responses, sessionId, othersIds]);
+
+    // Opens whatever state the answers are in: the review flags what is missing
+    const handleOpenReview = useCallback(async () => {
+        await loadTeamAnswers();
+        setPageError(null);
+        setShowMissing(false);
+        setSearchParams({ step: String(stepIndex + 1), review: '1' });
+    }, [loadTeamAnswers, stepIndex, setSearchParams]);
+
+    const handleEditFromReview = useCallback((index, questionId) => {
+        goToStep(index);
+        setEditFocus({ questionId });
+    }, [goToStep]);
+
+    const handleDownloadReview = useCallback(() => {
+        try {
+            const { blob, filename } = createSurveyReviewPdf(reviewSections, { sessionId, i18n });
+            downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Error creating the review PDF:', error);
+            notify({ level: NotificationLevel.ERROR, message: t('review.pdfFailed') });
+        }
+    }, [reviewSections, sessionId, i18n, notify, t]);
+
+    // --- Submit Handler ---
+    const handleSubmit = useCallback(async () => {
+        const current = await loadTeamAnswers();
+
+        const incompleteIndex = firstIncompleteStepIndex(steps, current);
+        if (incompleteIndex !== -1) {
+            if (incompleteIndex !== stepIndex || reviewing) goToStep(incompleteIndex);
+            const assignee = shared ? assigneeOf(team, TeamPart.SURVEY, categoryKey(steps[incompleteIndex].questions[0])) : null;
+            if (assignee && assignee !== username) {
+                setPageError(t('team.sectionIncomplete', { step: steps[incompleteIndex].title, name: assignee }));
+                return;
+            }
+            setShowMissing(true);
+            setPageError(t('survey.submitIncomplete', { step: steps[incompleteIndex].title }));
+            setMissingFocusRequest((count) => count + 1);
             return;
         }
     
         setSubmitting(true);
         setPageError(null);
     
+        // Answers to hidden questions stay in the draft (in case the user changes their mind)
+        // but are never sent
         const responsePayload = {
             session_id: sessionId,
-            responses: Object.keys(responses).map(qid => ({
-                // --- REMOVE parseInt ---
-                question_id: qid, // Keep the original string key "Q1", "Q2", etc.
-                // --- END REMOVE parseInt ---
-                answer: responses[qid]
+            responses: getVisibleQuestions(questions, current).map(q => ({
+                question_id: q.question_id, // Keep the original string key "Q1", "Q2", etc.
+                answer: toPayloadAnswer(q, current[q.question_id]) // Typed per answer_type (see utils/surveyAnswers)
             }))
         };
-    
-        // Add this log to verify before sending
-        console.log("Submitting CORRECTED survey payload:", JSON.stringify(responsePayload, null, 2));
-    
+
         try {
-            await submitSurveyResponses(responsePayload);
-            console.log("Survey submitted successfully!");
+            const result = await submitSurveyResponses(responsePayload);
             setPageError(null);
+            dismiss(SUBMIT_NOTIFICATION_ID);
+            if (result?.queued) {
+                // Sent by ConnectionStatus once the connection is back. The draft stays until
+                // then (see hooks/useOfflineSync), so the answers survive a refusal.
+                notify({ level: NotificationLevel.WARNING, message: t('offline.surveyQueued') });
+            } else {
+                clearDraft(); // Submitted answers live on the server now
+                notify({ message: t('survey.submitted') });
+            }
             navigate("/followup");
         } catch (error) {
              console.error("Error submitting survey responses:", error);
+            // A 401 already shows the "session expired" notification
             if (error.response?.status !== 401) {
-                setPageError(`Submission failed: ${error.response?.data?.detail || 'Please try again.'}`);
-            } else if (authStatus !== AuthStatus.UNAUTHENTICATED) {
-                 setPageError("Your session expired during submission. Please log in again.");
-                 setAuthStatus(AuthStatus.UNAUTHENTICATED);
+                notify({
+                    id: SUBMIT_NOTIFICATION_ID,
+                    level: NotificationLevel.ERROR,
+                    message: t('survey.submitFailed', { detail: error.response?.data?.detail || t('survey.pleaseTryAgain') }),
+                    action: { label: t('common.retry'), onClick: () => submitRef.current() },
+                });
             }
         } finally {
             setSubmitting(false);
         }
-    }, [authStatus, questions, responses, navigate, handleLogout]);
+    }, [sessionId, steps, stepIndex, reviewing, goToStep, questions, loadTeamAnswers, shared, team, username, navigate, clearDraft, notify, dismiss, t]);
+    // Members finish their part where the owner submits
+    const handleLastStep = isContributor ? handleFinishPart : handleSubmit;
+    // Retrying from the notification submits the answers as they are by then
+    const submitRef = useRef(handleLastStep);
+    submitRef.current = handleLastStep;
 
     // --- Effect to manage body class for background ---
     useEffect(() => {
         const surveyBodyClass = 'survey-active-background'; // Class name for survey background
-
-        if (authStatus === AuthStatus.AUTHENTICATED) {
-            // Add class when authenticated and showing survey
-            document.body.classList.add(surveyBodyClass);
-        } else {
-            // Remove class when not authenticated or validating
-            document.body.classList.remove(surveyBodyClass);
-        }
+        document.body.classList.add(surveyBodyClass);
 
         // Cleanup function: Remove class when component unmounts
         return () => {
             document.body.classList.remove(surveyBodyClass);
         };
-    }, [authStatus]); // Re-run this effect when authStatus changes
-
+    }, []);
 
-    // --- Render Logic based on authStatus ---
 
-    switch (authStatus) {
-        case AuthStatus.IDLE:
-        case AuthStatus.VALIDATING:
-            console.log(`Rendering: Status=${authStatus}`);
-            // Show a loading indicator while checking the session
-            return <div className={styles.loadingMessage}>Initializing...</div>;
+    // --- Render Logic ---
+    // The body background is handled by the useEffect hook above
+    return (
+        <div className={styles.surveyContainer}>
+            {/* Display Non-Critical Errors at the top */}
+            {pageError && <p className={styles.errorMessage} role="alert">{pageError}</p>}
 
-        case AuthStatus.UNAUTHENTICATED:
-        case AuthStatus.FAILED:
-             console.log(`Rendering: Status=${authStatus} -> AuthForm`);
-            // Display pageError if it was set before logout/failure led here
-            return (
-                <div>
-                    {/* Display persistent errors above AuthForm if needed */}
-                    {pageError && <p className={styles.errorMessage} style={{textAlign: 'center', marginTop: '20px', color: '#D32F2F'}}>{pageError}</p>}
-                    <AuthForm onAuthSuccess={handleAuthSuccess} />
-                </div>
-            );
-
-
-        case AuthStatus.AUTHENTICATED:
-            console.log(`Rendering: Status=${authStatus}`);
-            // --- Main Authenticated View ---
-            // This div uses styles from SurveyPage.module.css
-            // The body background is handled by the useEffect hook above
-            return (
-                <div className={styles.surveyContainer}>
-                    {/* Display Non-Critical Errors at the top */}
-                    {pageError && <p className={styles.errorMessage}>{pageError}</p>}
-
-                    {loadingQuestions ? (
-                        <div className={styles.loadingMessage}>Loading survey questions...</div>
-                    ) : ( // Render survey content or "no questions" message
+            {loadingQuestions || !draftChecked || loadingTeam ? (
+                <div className={styles.loadingMessage} role="status">{t('survey.loading')}</div>
+            ) : teamFailed ? (
+                // Without the team every section would look like the user's own
+                <p className={styles.errorMessage} role="alert">
+                    {t('team.loadFailed')}{' '}
+                    <button type="button" className={styles.linkButton} onClick={reloadTeam}>{t('common.retry')}</button>
+                </p>
+            ) : pendingDraft ? (
+                // Ask before showing the form so new input can't clobber the saved draft
+                <SurveyDraftBanner draft={pendingDraft} onResume={handleResumeDraft} onDiscard={handleDiscardDraft} />
+            ) : ( // Render survey content or "no questions" message
+                <>
+                    <h1>{t('survey.title')}</h1>
+                    {isContributor && <p className={styles.teamNote}>{t('team.surveyIntro', { owner: team.owner })}</p>}
+                    {lastSavedAt && (
+                        <div className={styles.autosaveStatus}>
+                            <span>
+                                {saveState === SaveState.SAVING ? t('common.saving') : t('survey.lastSaved', { time: formatTime(lastSavedAt) })}
+                                {saveState === SaveState.LOCAL_ONLY && t('survey.localOnly')}
+                            </span>
+                            <button type="button" className={styles.discardDraftButton} onClick={handleDiscardDraft}>
+                                {t('survey.discardDraft')}
+                            </button>
+                        </div>
+                    )}
+                    {ownQuestions.length > 0 && !answerImport && !reviewing && (
+                        <div className={styles.importBar}>
+                            <button type="button" className={styles.importButton} onClick={() => importInputRef.current.click()}>
+                                {t('answerImport.button')}
+                            </button>
+                            <input
+                                ref={importInputRef}
+                                type="file"
+                                accept={ANSWER_FILE_ACCEPT}
+                                className={styles.fileInput}
+                                onChange={handleImportFile}
+                                tabIndex={-1}
+                                aria-label={t('answerImport.button')}
+                            />
+                            <div className={styles.templateLinks} role="group" aria-labelledby="answer-template-label">
+                                <span id="answer-template-label">{t('answerImport.template')}</span>
+                                {TEMPLATE_FORMATS.map(({ format }) => (
+                                    <button key={format} type="button" className={styles.linkButton} onClick={() => handleDownloadTemplate(format)}>
+                                        {t(`answerImport.templateFormats.${format}`)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {questions.length === 0 && !pageError ? ( // Show only if fetch finished and returned none, and no other error shown
+                        <p className={styles.loadingMessage}>{t('survey.noQuestions')}</p>
+                    ) : answerImport ? (
+                        <AnswerImportPreview
+                            fileName={answerImport.fileName}
+                            preview={answerImport.preview}
+                            onApply={handleApplyImport}
+                            onCancel={() => setAnswerImport(null)}
+                        />
+                    ) : reviewing ? (
+                        <SurveyReview
+                            sections={reviewSections}
+                            canEdit={isOwn}
+                            onEdit={handleEditFromReview}
+                            onBack={() => goToStep(stepIndex)}
+                            onDownloadPdf={handleDownloadReview}
+                            onSubmit={handleSubmit}
+                            submitting={submitting}
+                        />
+                    ) : questions.length > 0 && !currentStep ? (
+                        // A member with none of the survey sections assigned has no step to show
+                        <div className={styles.loadingMessage}>
+                            <p>{t('team.noSurveySections', { owner: team?.owner })}</p>
+                            <button type="button" className={styles.linkButton} onClick={() => navigate('/followup')}>{t('team.toFollowup')}</button>
+                        </div>
+                    ) : questions.length > 0 ? (
+                        // --- Render the current step of the survey wizard ---
                         <>
-                            <h1>Survey</h1>
-                            {questions.length === 0 && !pageError ? ( // Show only if fetch finished and returned none, and no other error shown
-                                <p className={styles.loadingMessage}>No survey questions are currently available.</p>
-                            ) : questions.length > 0 ? (
-                                // --- Render Survey Form only if questions exist ---
-                                <form onSubmit={(e) => { e.preventDefault(); handleSubmit(); }}>
-                                    {questions.map((q) => (
-                                        <div key={q.question_id} className={styles.questionBlock} data-question-id={q.question_id}>
+                            <ProgressBar
+                                value={answeredCount}
+                                max={visibleQuestions.length}
+                                label={t('survey.progress', { step: stepIndex + 1, steps: steps.length, answered: answeredCount, total: visibleQuestions.length })}
+                            />
+                            <SurveyStepNav steps={steps} responses={responses} currentIndex={stepIndex} onSelect={goToStep} />
+                            <form
+                                ref={formRef}
+                                onSubmit={(e) => { e.preventDefault(); !isLastStep ? handleNext() : isContributor ? handleFinishPart() : handleOpenReview(); }}
+                                noValidate
+                            >
+                                <h2 className={styles.stepTitle} tabIndex={-1} ref={stepHeadingRef}>{currentStep.title}</h2>
+                                {stepAssignee && stepAssignee !== username && (
+                                    <p className={styles.teamNote}>{t('team.assignedTo', { name: stepAssignee })}</p>
+                                )}
+                                {currentStep.questions.map((q) => {
+                                    const value = responses[q.question_id];
+                                    const answerer = shared && isAnswered(value) ? answeredBy[q.question_id] : null;
+                                    if (!isOwn(q)) {
+                                        // Someone else's question: shown with their answer, not editable here
+                                        return (
+                                            <div key={q.question_id} className={styles.questionBlock} data-question-id={q.question_id}>
+                                                <SurveyQuestion question={q} />
+                                                <p className={styles.teamAnswer}>
+                                                    {isAnswered(value) ? formatSurveyAnswer(q, value, i18n) : <i>{t('team.notAnsweredYet')}</i>}
+                                                </p>
+                                                {answerer && <p className={styles.answeredBy}>{t('team.answeredBy', { name: answerer })}</p>}
+                                            </div>
+                                        );
+                                    }
+                                    const missing = showMissing && !isAnswered(value);
+                                    // Range/format problems are shown as soon as the value is entered
+                                    const answerError = validateAnswer(q, value, i18n);
+                                    const errorId = `${q.question_id}-error`;
+                                    return (
+                                        <div
+                                            key={q.question_id}
+                                            className={`${styles.questionBlock} ${missing || answerError ? styles.missingAnswer : ''}`}
+                                            data-question-id={q.question_id}
+                                        >
                                             <SurveyQuestion question={q} />
-                                            {q.options && q.options.length > 0 ? (
-                                                <select
-                                                    className={styles.responseSelect}
-                                                    onChange={(e) => handleResponseChange(q.question_id, e.target.value)}
-                                                    value={responses[q.question_id] || ""} required
-                                                    aria-label={`Response for question: ${q.content}`}
-                                                >
-                                                    <option value="" disabled>Select an option</option>
-                                                    {q.options.map((option) => (
-                                                        <option key={option.option_letter} value={option.option_letter}>
-                                                            {option.option_letter}. {option.content}
-                                                        </option>
-                                                    ))}
-                                                </select>
-                                            ) : (
-                                                <textarea
-                                                    className={styles.responseTextarea}
-                                                    onChange={(e) => handleResponseChange(q.question_id, e.target.value)}
-                                                    value={responses[q.question_id] || ""} placeholder="Your answer..." required
-                                                    aria-label={`Response for question: ${q.content}`}
-                                                ></textarea>
+                                            <SurveyAnswerInput
+                                                question={q}
+                                                value={value}
+                                                onChange={(newValue) => handleResponseChange(q.question_id, newValue)}
+                                                invalid={missing || !!answerError}
+                                                describedBy={answerError ? errorId : undefined}
+                                            />
+                                            {answerError && <p id={errorId} className={styles.answerError}>{answerError}</p>}
+                                            {answerer && (
+                                                <p className={styles.answeredBy}>
+                                                    {answerer === username ? t('team.answeredByYou') : t('team.answeredBy', { name: answerer })}
+                                                </p>
                                             )}
                                         </div>
-                                    ))}
+                                    );
+                                })}
+                                <div className={styles.wizardButtons}>
+                                    <button
+                                        type="button"
+                                        className={styles.backButton}
+                                        onClick={() => goToStep(stepIndex - 1)}
+                                        disabled={stepIndex === 0 || submitting}
+                                    >
+                                        {t('common.back')}
+                                    </button>
                                     <button type="submit" className={styles.submitButton} disabled={submitting}>
-                                        {submitting ? 'Submitting...' : 'Submit Survey'}
+                                        {!isLastStep
+                                            ? t('common.next')
+                                            : isContributor
+                                                ? (submitting ? t('common.saving') : t('team.finishPart'))
+                                                : t('review.open')}
                                     </button>
-                                </form>
-                            ) : null /* Render nothing if questions are empty and pageError handles message */}
+                                </div>
+                            </form>
                         </>
-                    )}
-                     {/* Always show logout when in authenticated state */}
-                    <button onClick={() => handleLogout()} style={{ display: 'block', margin: '30px auto 0', background: '#6c757d', border: 'none', color: 'white', padding: '8px 15px', borderRadius: '4px', cursor: 'pointer' }}>
-                        Logout
-                    </button>
-                </div>
-             );
-
-        default:
-             console.error(`Rendering: Unknown Auth Status: ${authStatus}`);
-             // Fallback for unknown state
-             return <div className={styles.loadingMessage}>An unexpected error occurred. Please refresh the page.</div>;
-    }
+                    ) : null /* Render nothing if questions are empty and pageError handles message */}
+                </>
+            )}
+        </div>
+    );
 };
 
 export default SurveyPage;
\ No newline at end of file
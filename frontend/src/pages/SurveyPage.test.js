@@ -0,0 +1,198 @@
+import React from 'react';
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import { deleteSurveyDraft, getSurveyDraft, getSurveyQuestions, getTeam, saveSurveyDraft, submitSurveyResponses } from '../services/api';
+import SurveyPage from './SurveyPage';
+
+jest.mock('../services/api');
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ sessionId: 's1', user: { username: 'ana' } }),
+}));
+
+const options = [
+  { option_letter: 'A', content: 'Never' },
+  { option_letter: 'B', content: 'Always' },
+];
+
+const questions = [
+  { question_id: 'Q1', content: 'How often do you switch off idle servers?', category: 'Energy', options },
+  { question_id: 'Q2', content: 'Which devices are refurbished?', category: 'Energy', answer_type: 'multi_choice', options },
+  { question_id: 'Q3', content: 'Share of renewable energy', category: 'Energy', answer_type: 'percentage' },
+];
+
+const renderPage = async () => {
+  const view = renderWithProviders(<SurveyPage />);
+  await screen.findByRole('heading', { name: 'How often do you switch off idle servers?' });
+  return view;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  getSurveyQuestions.mockResolvedValue(questions);
+  getSurveyDraft.mockResolvedValue(null);
+});
+
+test('has no accessibility violations', async () => {
+  const { container } = await renderPage();
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('the review flags unanswered questions and links back to them', async () => {
+  const { container } = await renderPage();
+  fireEvent.change(screen.getByRole('combobox', { name: /How often/ }), { target: { value: 'B' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Review answers' }));
+
+  const review = await screen.findByRole('region', { name: 'Review your answers' });
+  expect(within(review).getByText('B. Always')).toBeInTheDocument();
+  expect(within(review).getByText('2 questions are not answered.')).toBeInTheDocument();
+  expect(within(review).getByRole('button', { name: 'Submit Survey' })).toBeDisabled();
+  await expect(container).toHaveNoAxeViolations();
+
+  fireEvent.click(within(review).getByRole('button', { name: 'Edit the answer to: Which devices are refurbished?' }));
+  expect(screen.getByRole('checkbox', { name: 'A. Never' })).toHaveFocus();
+});
+
+test('links a range error to its input', async () => {
+  await renderPage();
+  const input = screen.getByRole('spinbutton', { name: /Share of renewable energy/ });
+  fireEvent.change(input, { target: { value: '120' } });
+  expect(input).toHaveAttribute('aria-invalid', 'true');
+  expect(input).toHaveAccessibleDescription('Please enter a value of at most 100%.');
+});
+
+const answerAll = () => {
+  fireEvent.change(screen.getByRole('combobox', { name: /How often/ }), { target: { value: 'B' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'A. Never' }));
+  fireEvent.change(screen.getByRole('spinbutton', { name: /Share of renewable energy/ }), { target: { value: '40' } });
+};
+
+test('a failed submit can be retried from the notification', async () => {
+  submitSurveyResponses
+    .mockRejectedValueOnce({ response: { status: 500, data: { detail: 'Server unavailable' } } })
+    .mockResolvedValueOnce({});
+  await renderPage();
+  answerAll();
+  fireEvent.click(screen.getByRole('button', { name: 'Review answers' }));
+  const review = await screen.findByRole('region', { name: 'Review your answers' });
+  expect(within(review).getByRole('button', { name: 'Submit Survey' })).toBeDisabled();
+  fireEvent.click(within(review).getByRole('checkbox', { name: 'I have reviewed these answers and want to submit the survey.' }));
+  fireEvent.click(within(review).getByRole('button', { name: 'Submit Survey' }));
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  await waitFor(() => expect(within(notifications).getByRole('listitem')).toHaveTextContent('Submission failed: Server unavailable'));
+  fireEvent.click(within(notifications).getByRole('button', { name: 'Retry' }));
+
+  await waitFor(() => expect(within(notifications).getByRole('listitem')).toHaveTextContent('Your survey was submitted.'));
+  expect(submitSurveyResponses).toHaveBeenCalledTimes(2);
+});
+
+test('a survey submitted offline is reported as queued', async () => {
+  submitSurveyResponses.mockResolvedValueOnce({ queued: true });
+  await renderPage();
+  answerAll();
+  fireEvent.click(screen.getByRole('button', { name: 'Review answers' }));
+  const review = await screen.findByRole('region', { name: 'Review your answers' });
+  fireEvent.click(within(review).getByRole('checkbox', { name: 'I have reviewed these answers and want to submit the survey.' }));
+  fireEvent.click(within(review).getByRole('button', { name: 'Submit Survey' }));
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  await waitFor(() => expect(within(notifications).getByRole('listitem')).toHaveTextContent(/The survey is kept on this device/));
+  // Kept until the queued survey is sent
+  expect(deleteSurveyDraft).not.toHaveBeenCalled();
+  expect(localStorage.getItem('survey_draft_s1')).not.toBeNull();
+});
+
+test('discarding a saved draft can be undone', async () => {
+  getSurveyDraft.mockResolvedValue({ responses: { Q1: 'B' }, updated_at: '2024-03-01T10:00:00Z' });
+  renderWithProviders(<SurveyPage />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Discard and start over' }));
+  expect(screen.getByRole('combobox', { name: /How often/ })).toHaveValue('');
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  expect(notifications).toHaveTextContent('Your saved answers were discarded.');
+  fireEvent.click(within(notifications).getByRole('button', { name: 'Undo' }));
+  expect(screen.getByRole('combobox', { name: /How often/ })).toHaveValue('B');
+});
+
+test('a shared draft only offers the own answers, and discarding them keeps the others\'', async () => {
+  getSurveyQuestions.mockResolvedValue([...questions, { question_id: 'Q4', content: 'How old are your laptops?', category: 'Hardware', options }]);
+  getTeam.mockResolvedValue({
+    owner: 'ana',
+    members: [{ username: 'bo', survey_sections: ['Hardware'], followup_categories: [] }],
+    answered_by: { survey: {}, followup: {} },
+  });
+  getSurveyDraft.mockResolvedValue({ responses: { Q1: 'A', Q4: 'B' }, answered_by: { Q1: 'ana', Q4: 'bo' }, updated_at: '2024-03-01T10:00:00Z' });
+  renderWithProviders(<SurveyPage />);
+  const banner = await screen.findByRole('region', { name: 'Saved survey draft' });
+  await waitFor(() => expect(banner).toHaveTextContent(/with 1 answered question/));
+  fireEvent.click(within(banner).getByRole('button', { name: 'Discard and start over' }));
+
+  expect(screen.getByRole('combobox', { name: /How often/ })).toHaveValue('');
+  // bo's answer is still there
+  expect(screen.getByText(/1 of 4 questions answered/)).toBeInTheDocument();
+});
+
+test('imported answers are previewed and filled in after confirming', async () => {
+  const { container } = await renderPage();
+  fireEvent.change(screen.getByRole('combobox', { name: /How often/ }), { target: { value: 'A' } });
+  const file = new File([JSON.stringify({ Q1: 'Always', Q2: 'A; B', Q3: 140, Q7: 'A' })], 'inventory.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import answers'), { target: { files: [file] } });
+
+  const preview = await screen.findByRole('region', { name: 'Review imported answers' });
+  expect(within(preview).getByRole('heading', { name: '1 answer can be filled in' })).toBeInTheDocument();
+  expect(within(preview).getByRole('heading', { name: '1 conflict' })).toBeInTheDocument();
+  expect(within(preview).getByText(/There is no question Q7 in this survey\./)).toBeInTheDocument();
+  expect(within(preview).getByText(/Please enter a value of at most 100%\./)).toBeInTheDocument();
+  await expect(container).toHaveNoAxeViolations();
+
+  fireEvent.click(within(preview).getByRole('checkbox', { name: 'Replace my current answers with the ones from the file' }));
+  fireEvent.click(within(preview).getByRole('button', { name: 'Fill in 2 answers' }));
+
+  expect(screen.getByRole('combobox', { name: /How often/ })).toHaveValue('B');
+  expect(screen.getByRole('checkbox', { name: 'A. Never' })).toBeChecked();
+  expect(screen.getByRole('checkbox', { name: 'B. Always' })).toBeChecked();
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  expect(within(notifications).getByRole('listitem')).toHaveTextContent('2 answers were filled in from the file.');
+});
+
+test('a colleague only answers their sections and leaves submitting to the owner', async () => {
+  getSurveyQuestions.mockResolvedValue([...questions, { question_id: 'Q4', content: 'How old are your laptops?', category: 'Hardware', options }]);
+  getTeam.mockResolvedValue({
+    owner: 'bo',
+    members: [{ username: 'ana', survey_sections: ['Hardware'], followup_categories: [] }],
+    answered_by: { survey: {}, followup: {} },
+  });
+  saveSurveyDraft.mockResolvedValue({ responses: { Q4: 'A' }, answered_by: { Q4: 'ana' }, updated_at: '2024-03-01T10:00:00Z' });
+  renderWithProviders(<SurveyPage />);
+  await screen.findByRole('heading', { name: 'How old are your laptops?' });
+  expect(screen.queryByRole('heading', { name: 'How often do you switch off idle servers?' })).not.toBeInTheDocument();
+  expect(screen.getByText(/^You were invited by bo\./)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: /How old/ }), { target: { value: 'A' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Finish my part' }));
+
+  const notifications = screen.getByRole('region', { name: 'Notifications' });
+  await waitFor(() => expect(notifications).toHaveTextContent('Your answers are saved. bo submits the survey once every section is done.'));
+  expect(saveSurveyDraft).toHaveBeenCalledWith('s1', { Q4: 'A' });
+  expect(submitSurveyResponses).not.toHaveBeenCalled();
+});
+
+test('a colleague with only follow-up categories is told there is nothing to answer', async () => {
+  getTeam.mockResolvedValue({
+    owner: 'bo',
+    members: [{ username: 'ana', survey_sections: [], followup_categories: ['Energy'] }],
+    answered_by: { survey: {}, followup: {} },
+  });
+  renderWithProviders(<SurveyPage />);
+  expect(await screen.findByText('No survey section is assigned to you, so there is nothing to answer here. bo submits the survey.')).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: 'How often do you switch off idle servers?' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Go to the follow-up questions' })).toBeInTheDocument();
+});
+
+test('reports a team that could not be loaded instead of offering every section', async () => {
+  getTeam.mockRejectedValueOnce(new Error('Network Error'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  renderWithProviders(<SurveyPage />);
+  expect(await screen.findByText(/^The team could not be loaded\./)).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: 'How often do you switch off idle servers?' })).not.toBeInTheDocument();
+});
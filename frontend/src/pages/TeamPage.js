@@ -0,0 +1,309 @@
+// src/pages/TeamPage.js
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    assignTeamMember,
+    getFollowupQuestions,
+    getFollowupResponses,
+    getSurveyDraft,
+    getSurveyQuestions,
+    inviteTeamMember,
+    removeTeamMember,
+} from '../services/api';
+import useTeam from '../hooks/useTeam';
+import { useAuth } from '../context/AuthContext';
+import { useLanguage } from '../context/LanguageContext';
+import { NotificationLevel, useNotifications } from '../context/NotificationContext';
+import { getVisibleQuestions } from '../utils/surveyConditions';
+import { TeamPart, TeamRole, assigneeOf, categoriesOf, roleOf, teamProgress } from '../utils/team';
+import styles from './TeamPage.module.css';
+
+const PART_LISTS = [
+    { part: TeamPart.SURVEY, legend: 'team.surveySections' },
+    { part: TeamPart.FOLLOWUP, legend: 'team.followupCategories' },
+];
+
+/**
+ * The people working on the active assessment (see utils/team). Everyone sees
+ * who is on the team, what they answer and how far they have got; the owner
+ * also invites colleagues, assigns them survey sections and follow-up
+ * categories, and removes them again.
+ */
+const TeamPage = () => {
+    const { sessionId, user } = useAuth();
+    const username = user?.username;
+    const { t } = useLanguage();
+    const { notify } = useNotifications();
+    const { team, loading: loadingTeam, failed, reload } = useTeam(sessionId);
+    const [questions, setQuestions] = useState([]);
+    const [surveyAnswers, setSurveyAnswers] = useState({}); // For which questions are shown
+    const [pendingFollowups, setPendingFollowups] = useState([]);
+    const [answeredFollowups, setAnsweredFollowups] = useState([]);
+    const [inviteName, setInviteName] = useState('');
+    const [inviteError, setInviteError] = useState('');
+    const [inviting, setInviting] = useState(false);
+    const [busyMembers, setBusyMembers] = useState([]); // Members whose assignment is being saved
+
+    // --- Load what the parts are made of ---
+    useEffect(() => {
+        let cancelled = false;
+        const loadQuestions = async () => {
+            try {
+                const [surveyQuestions, draft, pending, answered] = await Promise.all([
+                    getSurveyQuestions(),
+                    getSurveyDraft(sessionId),
+                    getFollowupQuestions(sessionId),
+                    getFollowupResponses(sessionId),
+                ]);
+                if (cancelled) return;
+                setQuestions(surveyQuestions || []);
+                setSurveyAnswers(draft?.responses || {});
+                setPendingFollowups(pending || []);
+                setAnsweredFollowups(answered || []);
+            } catch (error) {
+                // The team itself still shows; only the progress numbers are missing
+                console.error('Error loading the questions of the assessment:', error);
+            }
+        };
+        loadQuestions();
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionId]);
+
+    const isOwner = !!team && roleOf(team, username) === TeamRole.OWNER;
+    const partOptions = useMemo(() => ({
+        [TeamPart.SURVEY]: categoriesOf(questions),
+        // Follow-up questions come in the survey's categories, also before they are released
+        [TeamPart.FOLLOWUP]: categoriesOf([...questions, ...pendingFollowups, ...answeredFollowups]),
+    }), [questions, pendingFollowups, answeredFollowups]);
+    const progress = useMemo(() => (team ? teamProgress(team, {
+        surveyQuestions: getVisibleQuestions(questions, surveyAnswers),
+        pendingFollowups,
+    }) : []), [team, questions, surveyAnswers, pendingFollowups]);
+
+    const titleOf = (part, key) => partOptions[part].find((option) => option.key === key)?.title || key;
+    const personName = (name) => (name === username ? t('team.you', { name }) : name);
+
+    // --- Invite ---
+    const handleInvite = async (event) => {
+        event.preventDefault();
+        const name = inviteName.trim();
+        if (!name) return;
+        setInviting(true);
+        setInviteError('');
+        try {
+            await inviteTeamMember(sessionId, name);
+            setInviteName('');
+            notify({ message: t('team.invited', { name }) });
+            reload();
+        } catch (error) {
+            console.error(`Error inviting ${name}:`, error);
+            const status = error.response?.status;
+            if (status === 404) setInviteError(t('team.errors.unknownUser', { name }));
+            else if (status === 409) setInviteError(t('team.errors.alreadyMember', { name }));
+            else if (status !== 401) {
+                notify({
+                    level: NotificationLevel.ERROR,
+                    message: t('team.errors.inviteFailed', { name, detail: error.response?.data?.detail || error.message }),
+                });
+            }
+        } finally {
+            setInviting(false);
+        }
+    };
+
+    // --- Assign ---
+    // Saved right away; the team is reloaded because the part may have been someone else's
+    const saveAssignment = useCallback(async (member, changes) => {
+        const assignment = {
+            surveySections: member.survey_sections,
+            followupCategories: member.followup_categories,
+            ...changes,
+        };
+        setBusyMembers((prev) => [...prev, member.username]);
+        try {
+            await assignTeamMember(sessionId, member.username, assignment);
+        } catch (error) {
+            console.error(`Error assigning parts to ${member.username}:`, error);
+            if (error.response?.status !== 401) {
+                notify({
+                    level: NotificationLevel.ERROR,
+                    message: t('team.errors.assignFailed', { name: member.username }),
+                    action: { label: t('common.retry'), onClick: () => saveAssignment(member, changes) },
+                });
+            }
+        } finally {
+            setBusyMembers((prev) => prev.filter((name) => name !== member.username));
+            reload();
+        }
+    }, [sessionId, notify, reload, t]);
+
+    const togglePart = (member, part, key) => {
+        const current = member[part];
+        const next = current.includes(key) ? current.filter((item) => item !== key) : [...current, key];
+        saveAssignment(member, part === TeamPart.SURVEY ? { surveySections: next } : { followupCategories: next });
+    };
+
+    // --- Remove ---
+    // No confirmation dialog: Undo invites them again with the same parts
+    const handleRemove = async (member) => {
+        setBusyMembers((prev) => [...prev, member.username]);
+        try {
+            await removeTeamMember(sessionId, member.username);
+            notify({
+                message: t('team.removed', { name: member.username }),
+                action: {
+                    label: t('common.undo'),
+                    onClick: async () => {
+                        try {
+                            await inviteTeamMember(sessionId, member.username);
+                            await assignTeamMember(sessionId, member.username, {
+                                surveySections: member.survey_sections,
+                                followupCategories: member.followup_categories,
+                            });
+                        } catch (error) {
+                            console.error(`Error adding ${member.username} back:`, error);
+                            notify({ level: NotificationLevel.ERROR, message: t('team.errors.restoreFailed', { name: member.username }) });
+                        }
+                        reload();
+                    },
+                },
+            });
+        } catch (error) {
+            console.error(`Error removing ${member.username}:`, error);
+            if (error.response?.status !== 401) {
+                notify({
+                    level: NotificationLevel.ERROR,
+                    message: t('team.errors.removeFailed', { name: member.username }),
+                    action: { label: t('common.retry'), onClick: () => handleRemove(member) },
+                });
+            }
+        } finally {
+            setBusyMembers((prev) => prev.filter((name) => name !== member.username));
+            reload();
+        }
+    };
+
+    if (loadingTeam) return <div className={styles.teamPage}><p role="status">{t('team.loading')}</p></div>;
+
+    return (
+        <div className={styles.teamPage}>
+            <h2>{t('team.title')}</h2>
+            <p className={styles.intro}>{t('team.intro')}</p>
+
+            {failed && (
+                <p className={styles.error} role="alert">
+                    {t('team.loadFailed')}{' '}
+                    <button type="button" className={styles.linkButton} onClick={reload}>{t('common.retry')}</button>
+                </p>
+            )}
+
+            {isOwner && (
+                <form className={styles.inviteForm} onSubmit={handleInvite} noValidate>
+                    <label htmlFor="team-invite">{t('team.inviteLabel')}</label>
+                    <input
+                        id="team-invite"
+                        type="text"
+                        value={inviteName}
+                        onChange={(e) => { setInviteName(e.target.value); setInviteError(''); }}
+                        aria-invalid={!!inviteError}
+                        aria-describedby={inviteError ? 'team-invite-error' : undefined}
+                        autoComplete="off"
+                    />
+                    <button type="submit" disabled={inviting || !inviteName.trim()}>
+                        {inviting ? t('team.inviting') : t('team.invite')}
+                    </button>
+                    {inviteError && <p id="team-invite-error" className={styles.fieldError}>{inviteError}</p>}
+                </form>
+            )}
+
+            {team && (
+                <>
+                    <h3>{t('team.progressTitle')}</h3>
+                    <table className={styles.progressTable}>
+                        <thead>
+                            <tr>
+                                <th scope="col">{t('team.person')}</th>
+                                <th scope="col">{t('team.survey')}</th>
+                                <th scope="col">{t('team.followup')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {progress.map((row) => (
+                                <tr key={row.username}>
+                                    <th scope="row">
+                                        {personName(row.username)}
+                                        {row.role === TeamRole.OWNER && <span className={styles.ownerBadge}>{t('team.owner')}</span>}
+                                    </th>
+                                    <td>{t('team.surveyProgress', { answered: row.surveyAnswered, total: row.surveyTotal })}</td>
+                                    <td>{t('team.followupProgress', { answered: row.followupAnswered, waiting: row.followupWaiting })}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <h3>{t('team.membersTitle')}</h3>
+                    {team.members.length === 0 ? (
+                        <p className={styles.muted}>{isOwner ? t('team.noMembersOwner') : t('team.noMembers')}</p>
+                    ) : (
+                        <ul className={styles.memberList}>
+                            {team.members.map((member) => {
+                                const busy = busyMembers.includes(member.username);
+                                return (
+                                    <li key={member.username} className={styles.member}>
+                                        <div className={styles.memberHeader}>
+                                            <strong>{personName(member.username)}</strong>
+                                            {isOwner && (
+                                                <button
+                                                    type="button"
+                                                    className={styles.secondaryButton}
+                                                    onClick={() => handleRemove(member)}
+                                                    disabled={busy}
+                                                    aria-label={t('team.removeLabel', { name: member.username })}
+                                                >
+                                                    {t('team.remove')}
+                                                </button>
+                                            )}
+                                        </div>
+                                        {PART_LISTS.map(({ part, legend }) => (isOwner ? (
+                                            <fieldset key={part} className={styles.parts} disabled={busy}>
+                                                <legend>{t(legend)}</legend>
+                                                {partOptions[part].length === 0 && <span className={styles.muted}>{t('team.noParts')}</span>}
+                                                {partOptions[part].map(({ key, title }) => {
+                                                    const assignee = assigneeOf(team, part, key);
+                                                    return (
+                                                        <label key={key} className={styles.partOption}>
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={member[part].includes(key)}
+                                                                onChange={() => togglePart(member, part, key)}
+                                                            />
+                                                            {title}
+                                                            {assignee !== member.username && assignee !== team.owner && (
+                                                                <span className={styles.muted}> {t('team.currently', { name: assignee })}</span>
+                                                            )}
+                                                        </label>
+                                                    );
+                                                })}
+                                            </fieldset>
+                                        ) : (
+                                            <p key={part} className={styles.assigned}>
+                                                {t('team.partList', { part: t(legend) })}{' '}
+                                                {member[part].length > 0
+                                                    ? member[part].map((key) => titleOf(part, key)).join(', ')
+                                                    : <span className={styles.muted}>{t('team.nothingAssigned')}</span>}
+                                            </p>
+                                        )))}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                    <p className={styles.muted}>{t('team.ownerNote', { owner: personName(team.owner) })}</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TeamPage;
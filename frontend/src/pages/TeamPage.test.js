@@ -0,0 +1,73 @@
+import React from 'react';
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import { renderWithProviders } from '../testing/render';
+import {
+  assignTeamMember,
+  getFollowupQuestions,
+  getFollowupResponses,
+  getSurveyDraft,
+  getSurveyQuestions,
+  getTeam,
+  inviteTeamMember,
+} from '../services/api';
+import TeamPage from './TeamPage';
+
+jest.mock('../services/api');
+jest.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ sessionId: 's1', user: { username: 'ana' } }),
+}));
+
+const team = {
+  owner: 'ana',
+  members: [{ username: 'bo', survey_sections: ['Energy'], followup_categories: [], invited_at: '2024-05-01T10:00:00Z' }],
+  answered_by: { survey: { Q1: 'bo' }, followup: {} },
+};
+
+const renderPage = async () => {
+  const view = renderWithProviders(<TeamPage />, { route: '/team' });
+  await screen.findByRole('heading', { name: 'Team' });
+  await screen.findByRole('group', { name: 'Survey sections' });
+  return view;
+};
+
+beforeEach(() => {
+  getTeam.mockResolvedValue(team);
+  getSurveyQuestions.mockResolvedValue([
+    { question_id: 'Q1', content: 'Meters?', category: 'Energy' },
+    { question_id: 'Q2', content: 'Tariff?', category: 'Energy' },
+    { question_id: 'Q3', content: 'Laptops?', category: 'Hardware' },
+  ]);
+  getSurveyDraft.mockResolvedValue(null);
+  getFollowupQuestions.mockResolvedValue([]);
+  getFollowupResponses.mockResolvedValue([]);
+  assignTeamMember.mockResolvedValue({});
+});
+
+test('has no accessibility violations', async () => {
+  const { container } = await renderPage();
+  await expect(container).toHaveNoAxeViolations();
+});
+
+test('shows how far each person has got', async () => {
+  await renderPage();
+  const rows = screen.getAllByRole('row');
+  expect(rows[1]).toHaveTextContent('ana (you)Owner0 of 1 answered');
+  expect(rows[2]).toHaveTextContent('bo1 of 2 answered');
+});
+
+test('assigns a section to a colleague right away', async () => {
+  await renderPage();
+  fireEvent.click(within(screen.getByRole('group', { name: 'Survey sections' })).getByRole('checkbox', { name: 'Hardware' }));
+  await waitFor(() => expect(assignTeamMember).toHaveBeenCalledWith('s1', 'bo', { surveySections: ['Energy', 'Hardware'], followupCategories: [] }));
+  await waitFor(() => expect(getTeam).toHaveBeenCalledTimes(2));
+});
+
+test('explains an invitation for an unknown user next to the field', async () => {
+  inviteTeamMember.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+  await renderPage();
+  const input = screen.getByRole('textbox', { name: 'Username of the colleague to invite' });
+  fireEvent.change(input, { target: { value: 'zoe' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Invite' }));
+  await waitFor(() => expect(input).toHaveAccessibleDescription('There is no user named zoe.'));
+  expect(input).toHaveAttribute('aria-invalid', 'true');
+});
@@ -0,0 +1,23 @@
+// src/serviceWorkerRegistration.js
+// Registers public/service-worker.js, which keeps the app shell and the
+// questions available offline. Production builds only: in development a
+// cached shell would get in the way of hot reloading.
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL || ''}/service-worker.js`;
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !isSupported()) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+      console.error('Service worker registration failed; the app will not work offline.', error);
+    });
+  });
+};
+
+// Drops the cached questions, e.g. on logout: the follow-up questions belong to the user's sessions
+export const clearCachedQuestions = () => {
+  if (!isSupported()) return;
+  navigator.serviceWorker.controller?.postMessage({ type: 'CLEAR_QUESTIONS' });
+};
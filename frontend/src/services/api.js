@@ -1,18 +1,102 @@
 import axios from 'axios';
+import { getConfig } from '../config';
+import {
+  clearAuthToken,
+  getAccessToken,
+  getRefreshToken,
+  getTokenExpiry,
+  storeAuthToken,
+  subscribeToTokenChanges,
+} from './authToken';
+import { openEventStream } from './eventStream';
+import {
+  QueuedKind,
+  getQueuedSubmissions,
+  isConnectionError,
+  queueSubmission,
+  removeQueuedSubmission,
+} from './offlineQueue';
 
-//const API_BASE_URL = "http://127.0.0.1:8000";  // Adjust if necessary
-const API_BASE_URL = "https://test-render-backend-jpp0.onrender.com";
-
-// Create an axios instance
+// Create an axios instance (base URL comes from src/config.js, see configureApi)
 const api = axios.create({
-  baseURL: API_BASE_URL,
+  baseURL: getConfig().apiBaseUrl,
 });
 
+// Set when the bundled mock backend is in use; also serves the status stream
+let mockBackend = null;
+
+// Apply runtime configuration. Called once from index.js after loadConfig() resolves.
+// The mock backend and its fixtures are only loaded when enabled, so they stay out of the main bundle.
+export const configureApi = async ({ apiBaseUrl, useMockBackend }) => {
+  api.defaults.baseURL = apiBaseUrl;
+  if (useMockBackend) {
+    console.info("Using the bundled mock backend; no network requests will be made.");
+    const [{ createMockAdapter }, { createMockBackend }] = await Promise.all([
+      import("../mocks/mockAdapter"),
+      import("../mocks/mockBackend"),
+    ]);
+    mockBackend = createMockBackend();
+    api.defaults.adapter = createMockAdapter({ backend: mockBackend });
+  }
+};
+
+// Language for localised content (questions, recommendations, report). Set by LanguageProvider.
+let contentLanguage = null;
+
+export const setApiLanguage = (language) => {
+  contentLanguage = language;
+  api.defaults.headers.common["Accept-Language"] = language;
+};
+
+// Endpoints that issue tokens: never refreshed or retried, and a 401 from them
+// means "wrong credentials", not "session expired"
+const REFRESH_ENDPOINT = "/token/refresh";
+const AUTH_ENDPOINTS = ["/token", "/register", REFRESH_ENDPOINT];
+
+// Refresh this long before expiry so requests never go out with a dying token
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+// Single in-flight refresh; every request that needs a new token waits on it
+let refreshPromise = null;
+
+/**
+ * Exchanges the current refresh token for a new access token.
+ * Concurrent callers share one request, so a burst of 401s triggers a single refresh.
+ * @returns {Promise<string>} the new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post(REFRESH_ENDPOINT, { refresh_token: getRefreshToken() })
+      .then((response) => {
+        storeAuthToken(response.data);
+        return response.data.access_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Attach the auth token (if available) to each request
 api.interceptors.request.use(
-  (config) => {
-    // const token = localStorage.getItem("access_token"); // OLD
-    const token = sessionStorage.getItem("access_token"); // NEW
+  async (config) => {
+    if (!AUTH_ENDPOINTS.includes(config.url) && getAccessToken()) {
+      const expiresAt = getTokenExpiry();
+      // Without a refresh token there is nothing to refresh with; a 401 then ends the session
+      const expiringSoon = !!getRefreshToken() && expiresAt && expiresAt - Date.now() < REFRESH_MARGIN_MS;
+      // Hold the request while a refresh is running (or needed) instead of sending a stale token
+      if (refreshPromise || expiringSoon) {
+        try {
+          await refreshAccessToken();
+        } catch (refreshError) {
+          console.warn("Proactive token refresh failed.", refreshError);
+          config._retry = true; // Already tried; a 401 now means the session is over
+        }
+      }
+    }
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -21,22 +105,39 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// --- (RECOMMENDED) Response Interceptor for Global Error Handling ---
+// Registered by AuthProvider: a 401 logs the user out in-app, with a "session expired"
+// notification and a redirect to /login (instead of reloading the page)
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// --- Response Interceptor for Global Error Handling ---
 api.interceptors.response.use(
   (response) => response, // Pass through successful responses
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = AUTH_ENDPOINTS.includes(originalRequest?.url);
     // Check if the error is a 401 Unauthorized
-    if (error.response && error.response.status === 401) {
+    if (error.response && error.response.status === 401 && !isAuthRequest) {
+      // Token expired mid-flow: refresh once and replay the request instead of logging out
+      if (originalRequest && !originalRequest._retry && getAccessToken() && getRefreshToken()) {
+        originalRequest._retry = true;
+        try {
+          await refreshAccessToken();
+          return api(originalRequest);
+        } catch (refreshError) {
+          console.warn("Token refresh after 401 failed.", refreshError);
+        }
+      }
+
       console.warn("API request Unauthorized (401). Forcing logout.");
-      // Clear session storage
-      sessionStorage.removeItem("access_token");
+      clearAuthToken();
       sessionStorage.removeItem("session_id");
-      // Redirect to login or force re-render to show login
-      // Use window.location or trigger a state update via event/callback
-      // For simplicity here, we'll reload, which should trigger validation failure
-      // A more sophisticated app might use React Router's navigate or a global state.
-      window.location.href = '/'; // Or your specific login route path
-      // Note: This might be too aggressive if some 401s are expected/handled differently
+      if (unauthorizedHandler) {
+        unauthorizedHandler();
+      }
     }
     // Return the error so component-level catch blocks can still handle it if needed
     return Promise.reject(error);
@@ -49,49 +150,210 @@ export const createSession = async () => {
     return response.data;  // Should return { session_id: "..." }
   };
 
+// All of the user's assessment sessions, including the ones they were invited to:
+// [{ session_id, created_at, owner, role, status, url }] (role is "owner" or "contributor")
+export const listSessions = async () => {
+  const response = await api.get("/sessions");
+  return response.data;
+};
+
+// --- Teams (see utils/team) ---
+// { owner, members: [{ username, survey_sections, followup_categories, invited_at }],
+//   answered_by: { survey: { question_id: username }, followup: { question_id: username } } }
+export const getTeam = async (sessionId) => {
+  const response = await api.get(`/sessions/${sessionId}/team`);
+  return response.data;
+};
+
+// Owner only. 404 when no user has that name, 409 when they are on the team already.
+export const inviteTeamMember = async (sessionId, username) => {
+  const response = await api.post(`/sessions/${sessionId}/team`, { username });
+  return response.data;
+};
+
+// Owner only. Parts assigned here are taken away from the member who had them.
+export const assignTeamMember = async (sessionId, username, { surveySections, followupCategories }) => {
+  const response = await api.put(`/sessions/${sessionId}/team/${encodeURIComponent(username)}`, {
+    survey_sections: surveySections,
+    followup_categories: followupCategories,
+  });
+  return response.data;
+};
+
+export const removeTeamMember = async (sessionId, username) => {
+  await api.delete(`/sessions/${sessionId}/team/${encodeURIComponent(username)}`);
+};
+
 // API call to get survey questions
 export const getSurveyQuestions = async () => {
   const response = await api.get("/survey-questions");
   return response.data;
 };
 
-// API call to submit survey responses
-export const submitSurveyResponses = async (responseData) => {
-  const response = await api.post("/survey-responses", responseData);
+// --- Submissions made offline (see services/offlineQueue) ---
+const QUEUED_ENDPOINTS = {
+  [QueuedKind.SURVEY]: "/survey-responses",
+  [QueuedKind.FOLLOWUP]: "/followup-responses",
+};
+
+// Whose submissions get queued. Set by hooks/useOfflineSync (used by ConnectionStatus); nothing is queued without a user.
+let queueUser = null;
+
+export const setQueueUser = (username) => {
+  queueUser = username;
+};
+
+// Posts a submission. When it can't reach the backend it is queued instead and
+// `{ queued: true }` is returned; errors from the backend itself are thrown as usual.
+const submitOrQueue = async (kind, payload) => {
+  try {
+    const response = await api.post(QUEUED_ENDPOINTS[kind], payload);
+    return response.data;
+  } catch (error) {
+    if (!queueUser || !isConnectionError(error)) throw error;
+    console.info(`No connection; ${kind} queued until the browser is back online.`);
+    queueSubmission(kind, payload, queueUser);
+    return { queued: true };
+  }
+};
+
+/**
+ * Sends a user's queued submissions, oldest first. Stops at the first one that
+ * doesn't get through (no connection, a server error, an expired session) and
+ * keeps it and the rest for the next try. One the backend refuses outright
+ * (another 4xx) is dropped, since sending it again can't help.
+ * @param {string} username
+ * @returns {Promise<{ sent: Array<object>, rejected: Array<{ entry: object, error: Error }>, remaining: number }>}
+ */
+export const sendQueuedSubmissions = async (username) => {
+  const sent = [];
+  const rejected = [];
+  const entries = getQueuedSubmissions(username);
+  for (const entry of entries) {
+    try {
+      await api.post(QUEUED_ENDPOINTS[entry.kind], entry.payload);
+      removeQueuedSubmission(entry.id);
+      sent.push(entry);
+    } catch (error) {
+      const status = error.response?.status;
+      if (!status || status >= 500 || status === 401) break;
+      console.error(`Queued ${entry.kind} from ${entry.queued_at} was refused:`, error);
+      removeQueuedSubmission(entry.id);
+      rejected.push({ entry, error });
+    }
+  }
+  return { sent, rejected, remaining: getQueuedSubmissions(username).length };
+};
+
+// API call to submit survey responses; queued while offline (see submitOrQueue)
+export const submitSurveyResponses = async (responseData) => submitOrQueue(QueuedKind.SURVEY, responseData);
+
+// Submitted survey answers for a session: [{ question_id, answer }]
+export const getSurveyResponses = async (sessionId) => {
+  const response = await api.get(`/survey-responses/${sessionId}`);
   return response.data;
 };
 
+// --- Survey drafts (autosave) ---
+// Returns { responses, updated_at, answered_by } or null when no draft exists for the session.
+// In a shared session the draft holds everyone's answers; saving or deleting it only
+// changes the caller's part (see utils/team).
+export const getSurveyDraft = async (sessionId) => {
+  try {
+    const response = await api.get(`/survey-drafts/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+export const saveSurveyDraft = async (sessionId, responses) => {
+  const response = await api.put(`/survey-drafts/${sessionId}`, { responses });
+  return response.data;  // Returns the merged draft: { responses, updated_at, answered_by }
+};
+
+export const deleteSurveyDraft = async (sessionId) => {
+  await api.delete(`/survey-drafts/${sessionId}`);
+};
+
 // In src/services/api.js
 export const getFollowupQuestions = async (sessionId) => {
   const response = await api.get(`/followup-questions?session_id=${sessionId}`);
   return response.data;
 };
 
-export const submitFollowupResponses = async (followupData) => {
-  const response = await api.post("/followup-responses", followupData);
+// [{ session_id, question_id, question, category, subcategory, answer, evidence_ids }];
+// queued while offline (see submitOrQueue)
+export const submitFollowupResponses = async (followupData) => submitOrQueue(QueuedKind.FOLLOWUP, followupData);
+
+// Answers already submitted for the session, each with its question fields, `answer`,
+// `answered_by` and `evidence_ids`
+export const getFollowupResponses = async (sessionId) => {
+  const response = await api.get(`/followup-responses?session_id=${sessionId}`);
   return response.data;
 };
 
+// --- Evidence files for follow-up answers (see utils/evidence) ---
+// The session's uploaded files: [{ evidence_id, question_id, filename, content_type, size, uploaded_at }]
+export const getEvidence = async (sessionId) => {
+  const response = await api.get(`/evidence?session_id=${sessionId}`);
+  return response.data;
+};
+
+// Multipart upload of one file for a follow-up question. onProgress gets the share sent
+// so far (0-1); aborting `signal` cancels the upload. Returns the stored file's record.
+export const uploadEvidence = async (sessionId, questionId, file, { onProgress, signal } = {}) => {
+  const form = new FormData();
+  form.append("session_id", sessionId);
+  form.append("question_id", questionId);
+  form.append("file", file);
+  const response = await api.post("/evidence", form, {
+    signal,
+    onUploadProgress: (event) => onProgress?.(event.total ? event.loaded / event.total : 0),
+  });
+  return response.data;
+};
+
+export const deleteEvidence = async (evidenceId) => {
+  await api.delete(`/evidence/${evidenceId}`);
+};
+
 // API call for user login
 export const loginUser = async (username, password) => {
   const response = await api.post("/token", { username, password });
-  return response.data;  // Returns { access_token, token_type }
+  return response.data;  // Returns { access_token, token_type, expires_in?, refresh_token? }
 };
 
 // API call for user registration
 export const registerUser = async (username, password) => {
   const response = await api.post("/register", { username, password });
-  return response.data;  // Returns { access_token, token_type }
+  return response.data;  // Returns { access_token, token_type, expires_in?, refresh_token? }
 };
 
-// Optional: API call to get current user info
+// The signed-in user: { username, is_admin }
 export const getCurrentUser = async () => {
   const response = await api.get("/users/me");
   return response.data;
 };
 
+// --- Question bank (admin users only) ---
+// The full bank, retired questions and options included: { version, updated_at, updated_by, questions }
+export const getQuestionBank = async () => {
+  const response = await api.get("/admin/question-bank");
+  return response.data;
+};
+
+// Replaces the bank and returns it with the next version. `baseVersion` is the version the
+// edits started from; the backend answers 409 if someone else has saved since.
+export const saveQuestionBank = async (questions, baseVersion) => {
+  const response = await api.put("/admin/question-bank", { base_version: baseVersion, questions });
+  return response.data;
+};
+
+// Transient failures (network errors, 5xx) are thrown so the caller can retry with backoff
+// (see hooks/usePipelineStatus); a 404 means the backend has no pipeline for this session.
 export const getRecommendationsStatus = async (sessionId) => {
-  // Ensure session ID is retrieved using sessionStorage if needed here
  if (!sessionId) {
    throw new Error("Session ID is required to get recommendations status.");
  }
@@ -100,17 +362,64 @@ export const getRecommendationsStatus = async (sessionId) => {
    return response.data;
  } catch (error) {
    console.error("Error fetching recommendations status:", error);
-   // Don't automatically assume error status here if the interceptor handles 401
-   // Re-throw or handle specific non-auth errors if necessary
-   if (error.response && error.response.status !== 401) {
-        // Handle non-auth errors specifically if needed
-        return { status: "error", error_message: error.message || "Failed to fetch status" };
+   if (error.response?.status === 404) {
+        return { status: "not_found" };
    }
-   // If it's 401, the interceptor might handle it, otherwise re-throw
    throw error;
-   // Or return specific error status if you want component to handle non-auth API errors
-   // return { status: "error", error_message: error.message || "Failed to fetch status" };
  }
 };
 
+// Structured recommendations for a session whose status is `ready`:
+// { recommendations: [{ id, title, description, category, subcategory, priority, impact,
+//   effort, rationale, based_on: [{ question_id, question, answer }] }] }
+export const getRecommendations = async (sessionId) => {
+  const response = await api.get(`/recommendations/${sessionId}`);
+  return response.data.recommendations || [];
+};
+
+/**
+ * Opens the server-sent event stream for a session's pipeline.
+ * The server pushes `status` events ({ status, url, error_message }) and
+ * `followup_questions` events (the current list of pending questions).
+ * It is read with fetch (see services/eventStream), so the access token goes in
+ * the Authorization header like on any other request, never in the URL. The
+ * stream is opened again with the new token whenever the token changes.
+ *
+ * onError is called once the stream is unusable (it never opened, or it couldn't
+ * be reopened after a drop); callers fall back to polling at that point.
+ * @param {string} sessionId
+ * @param {{ onOpen?: Function, onStatus: Function, onQuestions?: Function, onError?: Function }} handlers
+ * @returns {Function} close
+ */
+export const subscribeToPipelineStatus = (sessionId, handlers) => {
+  const { onOpen, onStatus, onQuestions, onError } = handlers;
+  const streamHeaders = () => ({
+    Authorization: `Bearer ${getAccessToken()}`,
+    ...(contentLanguage ? { "Accept-Language": contentLanguage } : {}),
+  });
+  const url = `${api.defaults.baseURL}/recommendations/stream/${encodeURIComponent(sessionId)}`;
+  const open = () => (mockBackend
+    ? mockBackend.stream(sessionId, streamHeaders(), handlers)
+    : openEventStream(url, {
+      headers: streamHeaders,
+      onOpen,
+      onEvent: ({ event, data }) => {
+        if (event === "status") onStatus(JSON.parse(data));
+        else if (event === "followup_questions") onQuestions?.(JSON.parse(data));
+      },
+      onError: () => onError?.(new Error("Pipeline status stream unavailable")),
+    }));
+
+  let close = open();
+  // A refresh or a new login: the open connection still runs on the old token
+  const unsubscribe = subscribeToTokenChanges(() => {
+    close();
+    close = getAccessToken() ? open() : () => {};
+  });
+  return () => {
+    unsubscribe();
+    close();
+  };
+};
+
 export default api;
@@ -0,0 +1,35 @@
+import api, { subscribeToPipelineStatus } from './api';
+import { storeAuthToken } from './authToken';
+
+const defaultAdapter = api.defaults.adapter;
+
+afterEach(() => {
+  api.defaults.adapter = defaultAdapter;
+  sessionStorage.clear();
+});
+
+test('does not try to refresh a dying token without a refresh token', async () => {
+  storeAuthToken({ access_token: 'a1', expires_in: 10 });
+  const requests = [];
+  api.defaults.adapter = async (config) => {
+    requests.push(`${config.url} ${config.headers.Authorization}`);
+    return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+  };
+
+  await Promise.all([api.get('/sessions'), api.get('/users/me')]);
+  expect(requests).toEqual(['/sessions Bearer a1', '/users/me Bearer a1']);
+});
+
+test('the status stream sends the token as a header and reopens with a new one', async () => {
+  storeAuthToken({ access_token: 'a1' });
+  global.fetch = jest.fn(() => new Promise(() => {}));
+  const close = subscribeToPipelineStatus('s1', { onStatus: jest.fn() });
+  storeAuthToken({ access_token: 'a2' });
+  close();
+
+  expect(global.fetch.mock.calls.map(([url, { headers }]) => [url, headers.Authorization])).toEqual([
+    [expect.stringMatching(/\/recommendations\/stream\/s1$/), 'Bearer a1'],
+    [expect.stringMatching(/\/recommendations\/stream\/s1$/), 'Bearer a2'],
+  ]);
+  delete global.fetch;
+});
@@ -0,0 +1,69 @@
+// src/services/authToken.js
+// Storage helpers for the access token and its expiry. Everything lives in
+// sessionStorage, like the token itself always has.
+
+const ACCESS_TOKEN_KEY = "access_token";
+const REFRESH_TOKEN_KEY = "refresh_token";
+const EXPIRES_AT_KEY = "token_expires_at";
+
+const listeners = new Set();
+
+// Reads the `exp` claim (seconds) of a JWT without verifying it. Returns ms or null.
+export const decodeJwtExpiry = (token) => {
+  if (typeof token !== "string" || token.split(".").length !== 3) return null;
+  try {
+    const base64 = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const payload = JSON.parse(atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=")));
+    return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getAccessToken = () => sessionStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const getRefreshToken = () => sessionStorage.getItem(REFRESH_TOKEN_KEY);
+
+// Expiry timestamp in ms, or null when the backend didn't tell us
+export const getTokenExpiry = () => {
+  const stored = Number(sessionStorage.getItem(EXPIRES_AT_KEY));
+  return stored > 0 ? stored : null;
+};
+
+/**
+ * Stores the response of /token, /register or /token/refresh.
+ * Expiry comes from `expires_in` (seconds) when present, otherwise from the JWT `exp` claim.
+ * @param {{ access_token: string, refresh_token?: string, expires_in?: number }} authData
+ */
+export const storeAuthToken = (authData) => {
+  sessionStorage.setItem(ACCESS_TOKEN_KEY, authData.access_token);
+  if (authData.refresh_token) {
+    sessionStorage.setItem(REFRESH_TOKEN_KEY, authData.refresh_token);
+  }
+
+  const expiresAt = authData.expires_in
+    ? Date.now() + authData.expires_in * 1000
+    : decodeJwtExpiry(authData.access_token);
+  if (expiresAt) {
+    sessionStorage.setItem(EXPIRES_AT_KEY, String(expiresAt));
+  } else {
+    sessionStorage.removeItem(EXPIRES_AT_KEY);
+  }
+  listeners.forEach((listener) => listener(expiresAt));
+};
+
+export const clearAuthToken = () => {
+  sessionStorage.removeItem(ACCESS_TOKEN_KEY);
+  sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+  sessionStorage.removeItem(EXPIRES_AT_KEY);
+  listeners.forEach((listener) => listener(null));
+};
+
+/**
+ * Subscribes to token changes (login, refresh, logout). The listener gets the new expiry in ms or null.
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToTokenChanges = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
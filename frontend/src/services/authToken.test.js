@@ -0,0 +1,27 @@
+import { clearAuthToken, decodeJwtExpiry, getTokenExpiry, storeAuthToken, subscribeToTokenChanges } from './authToken';
+
+const makeJwt = (payload) => `header.${btoa(JSON.stringify(payload)).replace(/=+$/, '')}.signature`;
+
+afterEach(() => sessionStorage.clear());
+
+test('decodes the exp claim of a JWT', () => {
+  expect(decodeJwtExpiry(makeJwt({ exp: 1700000000 }))).toBe(1700000000 * 1000);
+  expect(decodeJwtExpiry('not-a-jwt')).toBeNull();
+  expect(decodeJwtExpiry(makeJwt({ sub: 'ana' }))).toBeNull();
+});
+
+test('prefers expires_in over the JWT claim', () => {
+  const before = Date.now();
+  storeAuthToken({ access_token: makeJwt({ exp: 1 }), expires_in: 60 });
+  expect(getTokenExpiry()).toBeGreaterThanOrEqual(before + 60000);
+});
+
+test('notifies subscribers on store and clear', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToTokenChanges(listener);
+  storeAuthToken({ access_token: makeJwt({ exp: 2000000000 }), refresh_token: 'r1' });
+  clearAuthToken();
+  unsubscribe();
+  expect(listener.mock.calls).toEqual([[2000000000 * 1000], [null]]);
+  expect(sessionStorage.getItem('refresh_token')).toBeNull();
+});
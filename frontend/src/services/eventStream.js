@@ -0,0 +1,110 @@
+// src/services/eventStream.js
+// Server-sent events over fetch. EventSource can't send headers, so it would need
+// the access token in the URL, where it ends up in access logs and the history.
+
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Splits the text of an event stream into events, whatever the chunk boundaries.
+ * @param {Function} onEvent - Called with { event, data } for each complete event
+ * @returns {{ push: Function }} push(text) feeds the next chunk
+ */
+export const createEventParser = (onEvent) => {
+  let buffer = "";
+  let eventName = "";
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) onEvent({ event: eventName || "message", data: dataLines.join("\n") });
+    eventName = "";
+    dataLines = [];
+  };
+
+  const push = (text) => {
+    buffer += text;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop(); // An unfinished line waits for the next chunk
+    lines.forEach((line) => {
+      if (line === "") {
+        dispatch();
+        return;
+      }
+      if (line.startsWith(":")) return; // Comment, e.g. a keep-alive
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "event") eventName = value;
+      else if (field === "data") dataLines.push(value);
+    });
+  };
+
+  return { push };
+};
+
+/**
+ * Opens an event stream with fetch, so it can carry an Authorization header.
+ * Reconnects when an open stream drops; onError is called once it can't be
+ * (re)opened, and the stream is given up then.
+ * @param {string} url
+ * @param {{ headers: Function, onOpen?: Function, onEvent: Function, onError?: Function }} options -
+ *   headers() is called for each connection, so a reconnect uses the current token
+ * @returns {Function} close
+ */
+export const openEventStream = (url, { headers, onOpen, onEvent, onError }) => {
+  let closed = false;
+  let controller = null;
+  let reconnectId = null;
+
+  const fail = (error) => {
+    if (closed) return;
+    closed = true;
+    onError?.(error);
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { Accept: "text/event-stream", ...headers() },
+        cache: "no-store",
+        signal: controller.signal,
+      });
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    if (!response.ok || !response.body) {
+      fail(new Error(`Event stream failed with status ${response.status}`));
+      return;
+    }
+
+    onOpen?.();
+    const parser = createEventParser(onEvent);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done || closed) break;
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+    } catch (error) {
+      if (closed) return;
+      console.warn("Event stream dropped, reconnecting.", error);
+    }
+    if (!closed) reconnectId = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  if (typeof fetch === "undefined" || typeof TextDecoder === "undefined" || typeof AbortController === "undefined") {
+    reconnectId = setTimeout(() => fail(new Error("Streaming fetch is not supported")), 0);
+  } else {
+    connect();
+  }
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectId);
+    controller?.abort();
+  };
+};
@@ -0,0 +1,43 @@
+import { createEventParser, openEventStream } from './eventStream';
+
+// A fetch response whose body yields the given chunks, then stays open
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map((chunk) => ({ done: false, value: encoder.encode(chunk) }));
+  return {
+    ok: true,
+    status: 200,
+    body: { getReader: () => ({ read: () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(() => {})) }) },
+  };
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('parses events split across chunks', () => {
+  const events = [];
+  const parser = createEventParser((event) => events.push(event));
+  parser.push(': keep-alive\n\nevent: status\ndata: {"status":');
+  parser.push('"ready"}\r\n\r\ndata: line 1\ndata:line 2\n');
+  expect(events).toEqual([{ event: 'status', data: '{"status":"ready"}' }]);
+  parser.push('\n');
+  expect(events[1]).toEqual({ event: 'message', data: 'line 1\nline 2' });
+});
+
+test('sends the headers with the request and reports an error when it fails', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(streamResponse(['event: status\ndata: {}\n\n']))
+    .mockResolvedValueOnce({ ok: false, status: 401, body: null });
+  const onEvent = jest.fn();
+  const close = openEventStream('/stream', { headers: () => ({ Authorization: 'Bearer a1' }), onEvent });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  close();
+  expect(global.fetch.mock.calls[0][1].headers).toEqual({ Accept: 'text/event-stream', Authorization: 'Bearer a1' });
+  expect(onEvent).toHaveBeenCalledWith({ event: 'status', data: '{}' });
+
+  const onError = jest.fn();
+  openEventStream('/stream', { headers: () => ({}), onEvent, onError });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(onError).toHaveBeenCalledWith(new Error('Event stream failed with status 401'));
+});
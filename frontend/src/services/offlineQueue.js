@@ -0,0 +1,104 @@
+// src/services/offlineQueue.js
+// Submissions made without a connection, kept on the device until they can be
+// sent (see submitSurveyResponses, submitFollowupResponses and
+// hooks/useOfflineSync, which sends them once the browser is back online).
+//
+// The queue lives in localStorage, like survey drafts, so it survives a closed
+// tab. Each entry belongs to the user who made it and is only sent with their
+// token. Entries are sent in the order they were made; a newer submission of
+// the same answers replaces the one still waiting.
+import { isCancel } from "axios";
+
+const STORAGE_KEY = "offline_queue";
+
+export const QueuedKind = {
+  SURVEY: "survey_responses",
+  FOLLOWUP: "followup_responses",
+};
+
+const listeners = new Set();
+
+const readQueue = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  if (queue.length > 0) localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  else localStorage.removeItem(STORAGE_KEY);
+  listeners.forEach((listener) => listener());
+};
+
+// What a submission replaces: the whole survey of a session, or the same follow-up answers
+const replaceKeyOf = (kind, payload) => (kind === QueuedKind.SURVEY
+  ? `${kind}:${payload.session_id}`
+  : `${kind}:${payload.map((answer) => `${answer.session_id}/${answer.question_id}`).sort().join(",")}`);
+
+// True for a request that never got an answer: offline, DNS, a dropped connection.
+// Cancelled requests don't count, and neither does any response from the server.
+export const isConnectionError = (error) => !!error && !error.response && !isCancel(error)
+  && ["ERR_NETWORK", "ECONNABORTED", "ETIMEDOUT"].includes(error.code);
+
+/**
+ * The entries waiting to be sent, oldest first.
+ * @param {string} [username] - Only this user's entries
+ * @returns {Array<{ id: string, kind: string, username: string, payload: *, queued_at: string }>}
+ */
+export const getQueuedSubmissions = (username) => {
+  const queue = readQueue();
+  return username === undefined ? queue : queue.filter((entry) => entry.username === username);
+};
+
+/**
+ * Keeps a submission for later.
+ * @param {string} kind - One of QueuedKind
+ * @param {*} payload - As it would have been posted
+ * @param {string} username
+ * @returns {object} The new entry
+ */
+export const queueSubmission = (kind, payload, username) => {
+  const replaceKey = replaceKeyOf(kind, payload);
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    username,
+    payload,
+    replace_key: replaceKey,
+    queued_at: new Date().toISOString(),
+  };
+  writeQueue([...readQueue().filter((item) => !(item.username === username && item.replace_key === replaceKey)), entry]);
+  return entry;
+};
+
+export const removeQueuedSubmission = (id) => {
+  writeQueue(readQueue().filter((entry) => entry.id !== id));
+};
+
+/**
+ * Follow-up answers of a session that are waiting to be sent, newest last.
+ * @returns {Array<object>} Items as posted to /followup-responses
+ */
+export const queuedFollowupAnswers = (entries, sessionId) => entries
+  .filter((entry) => entry.kind === QueuedKind.FOLLOWUP)
+  .flatMap((entry) => entry.payload)
+  .filter((answer) => answer.session_id === sessionId);
+
+/**
+ * Subscribes to changes of the queue, in this tab and in others.
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToQueue = (listener) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) listener();
+  };
+  listeners.add(listener);
+  window.addEventListener("storage", handleStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", handleStorage);
+  };
+};
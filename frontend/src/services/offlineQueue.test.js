@@ -0,0 +1,42 @@
+import {
+  QueuedKind, getQueuedSubmissions, isConnectionError, queueSubmission, queuedFollowupAnswers, removeQueuedSubmission,
+  subscribeToQueue,
+} from './offlineQueue';
+
+afterEach(() => localStorage.clear());
+
+test('keeps submissions per user, oldest first', () => {
+  queueSubmission(QueuedKind.SURVEY, { session_id: 's1', responses: [] }, 'ana');
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F1', answer: 'Yes' }], 'ben');
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F2', answer: 'No' }], 'ana');
+
+  expect(getQueuedSubmissions('ana').map(({ kind }) => kind)).toEqual([QueuedKind.SURVEY, QueuedKind.FOLLOWUP]);
+  expect(getQueuedSubmissions()).toHaveLength(3);
+
+  removeQueuedSubmission(getQueuedSubmissions('ben')[0].id);
+  expect(getQueuedSubmissions('ben')).toEqual([]);
+});
+
+test('a newer submission of the same answers replaces the waiting one', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeToQueue(listener);
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F1', answer: 'Yes' }], 'ana');
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F2', answer: 'No' }], 'ana');
+  queueSubmission(QueuedKind.FOLLOWUP, [{ session_id: 's1', question_id: 'F1', answer: 'Partly' }], 'ana');
+  unsubscribe();
+
+  expect(listener).toHaveBeenCalledTimes(3);
+  expect(queuedFollowupAnswers(getQueuedSubmissions('ana'), 's1')).toEqual([
+    { session_id: 's1', question_id: 'F2', answer: 'No' },
+    { session_id: 's1', question_id: 'F1', answer: 'Partly' },
+  ]);
+  expect(queuedFollowupAnswers(getQueuedSubmissions('ana'), 's2')).toEqual([]);
+});
+
+test('only requests that never got an answer count as connection errors', () => {
+  expect(isConnectionError({ code: 'ERR_NETWORK' })).toBe(true);
+  expect(isConnectionError({ code: 'ECONNABORTED' })).toBe(true);
+  expect(isConnectionError({ code: 'ERR_BAD_RESPONSE', response: { status: 503 } })).toBe(false);
+  expect(isConnectionError({ code: 'ERR_NETWORK', response: { status: 0 } })).toBe(false);
+  expect(isConnectionError(new Error('Boom'))).toBe(false);
+});
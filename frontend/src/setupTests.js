@@ -3,3 +3,15 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+import { DecompressionStream } from 'stream/web';
+import { toHaveNoAxeViolations } from './testing/axe';
+
+// react-router needs TextEncoder, which jsdom doesn't provide
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+// Deflated XLSX entries are read with DecompressionStream, also missing in jsdom
+global.DecompressionStream = global.DecompressionStream || DecompressionStream;
+
+// await expect(container).toHaveNoAxeViolations()
+expect.extend({ toHaveNoAxeViolations });
@@ -0,0 +1,29 @@
+// src/testing/axe.js
+// Automated accessibility checks for component and page tests, using axe-core
+// with the WCAG 2.1 A/AA rules.
+import axe from 'axe-core';
+
+const RUN_OPTIONS = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+  rules: {
+    // jsdom doesn't lay out or paint, so contrast can't be measured here
+    'color-contrast': { enabled: false },
+  },
+};
+
+const describeViolation = ({ id, help, nodes }) =>
+  `${id}: ${help}\n${nodes.map((node) => `  ${node.target.join(' ')}`).join('\n')}`;
+
+/**
+ * Jest matcher: passes when axe finds no WCAG 2.1 AA violations in the element.
+ * Registered in setupTests.js; use as `await expect(container).toHaveNoAxeViolations()`.
+ */
+export async function toHaveNoAxeViolations(element) {
+  const { violations } = await axe.run(element, RUN_OPTIONS);
+  return {
+    pass: violations.length === 0,
+    message: () => (violations.length === 0
+      ? 'Expected accessibility violations, found none'
+      : `Expected no accessibility violations, found ${violations.length}:\n\n${violations.map(describeViolation).join('\n\n')}`),
+  };
+}
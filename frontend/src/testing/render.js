@@ -0,0 +1,29 @@
+// src/testing/render.js
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { LanguageProvider } from '../context/LanguageContext';
+import { NotificationProvider } from '../context/NotificationContext';
+import { ThemeProvider } from '../context/ThemeContext';
+import NotificationCenter from '../components/NotificationCenter';
+
+/**
+ * Renders a component with the providers every page expects: the UI language
+ * (English unless `language` is given), the theme, notifications (shown after the
+ * component, as in App) and a router at `route`. The providers are passed as a
+ * wrapper, so `rerender` keeps them.
+ */
+export const renderWithProviders = (ui, { route = '/', language = 'en' } = {}) => {
+  localStorage.setItem('language', language);
+  const Providers = ({ children }) => (
+    <LanguageProvider>
+      <ThemeProvider>
+        <NotificationProvider>
+          <MemoryRouter initialEntries={[route]}>{children}</MemoryRouter>
+          <NotificationCenter />
+        </NotificationProvider>
+      </ThemeProvider>
+    </LanguageProvider>
+  );
+  return render(ui, { wrapper: Providers });
+};
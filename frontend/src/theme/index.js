@@ -0,0 +1,104 @@
+// src/theme/index.js
+// Colour themes and client branding.
+//
+// The look of the app is defined by the CSS variables in ./tokens.css, one set
+// per theme, selected by data-theme on <html>. A client's brand colours come
+// from the `branding` key of config.json and are set as --brand-* variables,
+// which tokens.css prefers over its own primary colours:
+//
+//   "branding": {
+//     "name": "Acme Corp",
+//     "logoUrl": "/acme-logo.svg",
+//     "colors": { "primary": "#0b5cad", "primaryHover": "#084a8c", "onPrimary": "#ffffff",
+//                 "primaryDark": "#7fb6f0", "primaryDarkHover": "#a3cbf5", "onPrimaryDark": "#0a1a2b" }
+//   }
+//
+// Every colour is optional; the dark ones are used by the dark theme.
+
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
+export const DEFAULT_THEME = 'light';
+
+// branding.colors key -> CSS variable read by tokens.css
+const BRAND_VARIABLES = {
+  primary: '--brand-primary',
+  primaryHover: '--brand-primary-hover',
+  onPrimary: '--brand-on-primary',
+  primaryDark: '--brand-primary-dark',
+  primaryDarkHover: '--brand-primary-dark-hover',
+  onPrimaryDark: '--brand-on-primary-dark',
+};
+
+// Button text has to stay readable on the brand colour (WCAG AA, normal text)
+const MIN_BUTTON_CONTRAST = 4.5;
+
+/**
+ * @param {string} theme
+ * @returns {string|null} The theme if it is one of THEMES
+ */
+export const matchTheme = (theme) => (THEMES.includes(theme) ? theme : null);
+
+const prefers = (query) => typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+
+/**
+ * The theme the operating system asks for: high contrast, dark or light.
+ * @returns {string}
+ */
+export const preferredTheme = () => {
+  if (prefers('(prefers-contrast: more)') || prefers('(forced-colors: active)')) return 'high-contrast';
+  if (prefers('(prefers-color-scheme: dark)')) return 'dark';
+  return DEFAULT_THEME;
+};
+
+const parseHex = (color) => {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map((start) => parseInt(hex.slice(start, start + 2), 16));
+};
+
+const relativeLuminance = ([r, g, b]) => {
+  const [R, G, B] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+/**
+ * WCAG contrast ratio of two hex colours ("#fff" or "#ffffff").
+ * @returns {number|null} From 1 to 21, or null if either colour isn't a hex colour
+ */
+export const contrastRatio = (foreground, background) => {
+  const fg = parseHex(foreground);
+  const bg = parseHex(background);
+  if (!fg || !bg) return null;
+  const [lighter, darker] = [relativeLuminance(fg), relativeLuminance(bg)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Sets the client's brand colours on <html>. Unknown keys are ignored, and a
+ * colour pair with too little contrast is reported on the console (it is still
+ * applied: the client asked for it).
+ * @param {{ colors?: object }} [branding] - The `branding` key of config.json
+ * @param {HTMLElement} [root]
+ */
+export const applyBranding = (branding, root = document.documentElement) => {
+  const colors = branding?.colors || {};
+  Object.entries(BRAND_VARIABLES).forEach(([key, variable]) => {
+    if (colors[key]) {
+      root.style.setProperty(variable, colors[key]);
+    } else {
+      root.style.removeProperty(variable);
+    }
+  });
+
+  [['onPrimary', 'primary'], ['onPrimaryDark', 'primaryDark']].forEach(([text, background]) => {
+    if (!colors[text] || !colors[background]) return;
+    const ratio = contrastRatio(colors[text], colors[background]);
+    if (ratio !== null && ratio < MIN_BUTTON_CONTRAST) {
+      console.warn(`branding.colors.${text} on ${background} has a contrast of ${ratio.toFixed(2)}:1; WCAG AA needs ${MIN_BUTTON_CONTRAST}:1.`);
+    }
+  });
+};
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { applyBranding, contrastRatio, preferredTheme, THEMES } from '.';
+
+// Variables of each theme block in tokens.css; the light theme is also :root
+const readTokens = () => {
+  const css = fs.readFileSync(path.join(__dirname, 'tokens.css'), 'utf8').replace(/\/\*[\s\S]*?\*\//g, '');
+  const themes = {};
+  css.replace(/([^{}]+)\{([^}]*)\}/g, (match, selector, body) => {
+    const name = /data-theme='([\w-]+)'/.exec(selector)[1];
+    themes[name] = Object.fromEntries(
+      [...body.matchAll(/(--[\w-]+):\s*([^;]+);/g)].map(([, variable, value]) => [variable, value.trim()])
+    );
+    return match;
+  });
+  return themes;
+};
+
+// Follows var() references; brand variables aren't set, so their fallbacks apply
+const resolve = (tokens, value) => {
+  const reference = /^var\((--[\w-]+)(?:,\s*(.+))?\)$/.exec(value);
+  if (!reference) return value;
+  const [, variable, fallback] = reference;
+  return tokens[variable] ? resolve(tokens, tokens[variable]) : resolve(tokens, fallback);
+};
+
+const TEXT_PAIRS = [
+  ['--color-text', '--color-surface'],
+  ['--color-text', '--color-surface-muted'],
+  ['--color-text', '--color-bg'],
+  ['--color-text-muted', '--color-surface'],
+  ['--color-text-muted', '--color-surface-muted'],
+  ['--color-heading', '--color-surface'],
+  ['--color-link', '--color-surface'],
+  ['--color-primary', '--color-surface'], // Primary-coloured text, e.g. outlined buttons
+  ['--color-primary', '--color-primary-subtle'],
+  ['--color-on-primary', '--color-primary'],
+  ['--color-on-primary', '--color-primary-hover'],
+  ['--color-on-secondary', '--color-secondary'],
+  ['--color-on-secondary', '--color-secondary-hover'],
+  ['--color-disabled-text', '--color-disabled-bg'],
+  ['--color-success-text', '--color-success-bg'],
+  ['--color-warning-text', '--color-warning-bg'],
+  ['--color-danger-text', '--color-danger-bg'],
+  ['--color-info-text', '--color-info-bg'],
+];
+
+// Non-text contrast (WCAG 1.4.11): input outlines and focus indicators
+const UI_PAIRS = [
+  ['--color-border-strong', '--color-surface'],
+  ['--color-focus', '--color-surface'],
+];
+
+const tokens = readTokens();
+
+describe('tokens.css', () => {
+  it('defines every theme with the same variables', () => {
+    expect(Object.keys(tokens).sort()).toEqual([...THEMES].sort());
+    const variables = Object.keys(tokens.light).sort();
+    THEMES.forEach((theme) => {
+      expect(Object.keys(tokens[theme]).filter((variable) => !variable.startsWith('--font')).sort())
+        .toEqual(variables.filter((variable) => !variable.startsWith('--font')));
+    });
+  });
+
+  describe.each(THEMES)('%s theme', (theme) => {
+    it.each(TEXT_PAIRS)('%s on %s meets 4.5:1', (foreground, background) => {
+      const ratio = contrastRatio(resolve(tokens[theme], `var(${foreground})`), resolve(tokens[theme], `var(${background})`));
+      expect(ratio).toBeGreaterThanOrEqual(4.5);
+    });
+
+    it.each(UI_PAIRS)('%s on %s meets 3:1', (foreground, background) => {
+      const ratio = contrastRatio(resolve(tokens[theme], `var(${foreground})`), resolve(tokens[theme], `var(${background})`));
+      expect(ratio).toBeGreaterThanOrEqual(3);
+    });
+  });
+});
+
+describe('contrastRatio', () => {
+  it('matches the WCAG values', () => {
+    expect(contrastRatio('#000', '#fff')).toBeCloseTo(21);
+    expect(contrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+    expect(contrastRatio('#fff', '#fff')).toBe(1);
+  });
+
+  it('returns null for anything but hex colours', () => {
+    expect(contrastRatio('red', '#fff')).toBeNull();
+  });
+});
+
+describe('applyBranding', () => {
+  const root = document.documentElement;
+
+  afterEach(() => root.removeAttribute('style'));
+
+  it('sets the brand colours as CSS variables', () => {
+    applyBranding({ colors: { primary: '#0b5cad', onPrimaryDark: '#0a1a2b', accent: '#f00' } });
+    expect(root.style.getPropertyValue('--brand-primary')).toBe('#0b5cad');
+    expect(root.style.getPropertyValue('--brand-on-primary-dark')).toBe('#0a1a2b');
+    expect(root.getAttribute('style')).not.toContain('accent');
+  });
+
+  it('clears colours the new branding leaves out', () => {
+    applyBranding({ colors: { primary: '#0b5cad' } });
+    applyBranding({});
+    expect(root.style.getPropertyValue('--brand-primary')).toBe('');
+  });
+
+  it('warns about button text that is hard to read on the brand colour', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    applyBranding({ colors: { primary: '#7fb6f0', onPrimary: '#ffffff' } });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('branding.colors.onPrimary'));
+  });
+});
+
+describe('preferredTheme', () => {
+  const mockMatchMedia = (matching) => {
+    window.matchMedia = (query) => ({ matches: matching.includes(query) });
+  };
+
+  afterEach(() => delete window.matchMedia);
+
+  it('follows the operating system', () => {
+    mockMatchMedia([]);
+    expect(preferredTheme()).toBe('light');
+    mockMatchMedia(['(prefers-color-scheme: dark)']);
+    expect(preferredTheme()).toBe('dark');
+    mockMatchMedia(['(prefers-color-scheme: dark)', '(prefers-contrast: more)']);
+    expect(preferredTheme()).toBe('high-contrast');
+  });
+});
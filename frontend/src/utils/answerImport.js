@@ -0,0 +1,367 @@
+// src/utils/answerImport.js
+// Bulk import of survey answers from a CSV, Excel (.xlsx) or JSON file.
+//
+// Spreadsheets need a "question_id" and an "answer" column (other columns are
+// ignored, so the downloadable template can carry the question text). JSON is
+// either an object of answers by question id, { "Q1": "B" }, or a list of
+// { question_id, answer } objects; the survey payload ({ responses: [...] }) and
+// the assessment export ({ survey_responses: [...] }) read as such a list.
+//
+// Choice answers are option letters or option texts, several separated by ";".
+// Each value is checked like a typed answer (see utils/surveyAnswers) and the
+// file is sorted into answers that match, rows that don't and conflicts, for
+// the user to review before anything is filled in.
+import { defaultI18n } from '../i18n';
+import { AnswerType, getAnswerType, getLikertScale, isAnswered, toPayloadAnswer, validateAnswer } from './surveyAnswers';
+import { tablesToCsv } from './exporters/csv';
+import { tablesToXlsx } from './exporters/xlsx';
+import { parseCsv } from './importers/csv';
+import { readXlsxRows } from './importers/xlsx';
+
+export const ANSWER_FILE_ACCEPT = '.csv,.xlsx,.json,text/csv,application/json,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const TEMPLATE_FORMATS = [
+  { format: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { format: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+];
+
+export const ConflictType = {
+  DUPLICATE: 'duplicate', // the file answers the question more than once, differently
+  EXISTING: 'existing', // the question already has a different answer
+};
+
+const QUESTION_ID_COLUMN = 'question_id';
+const ANSWER_COLUMN = 'answer';
+
+// Excel counts days from 1899-12-30 (including the 1900 leap day that wasn't)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readFile = (file, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader[method](file);
+});
+
+const extensionOf = (file) => (/\.([^.]+)$/.exec(file.name || '')?.[1] || '').toLowerCase();
+
+const normalizeHeader = (cell) => String(cell).trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Answer rows from spreadsheet cells. The header is the first row with a
+ * question_id column.
+ * @param {Array<Array<any>>} cells
+ * @returns {{ rows: Array<{ questionId: string, answer: any, row: number }>, error: null } | { error: string }}
+ */
+export const rowsFromTable = (cells, { t } = defaultI18n) => {
+  const headerIndex = cells.findIndex((cellRow) => cellRow.some((cell) => normalizeHeader(cell) === QUESTION_ID_COLUMN));
+  const header = headerIndex === -1 ? [] : cells[headerIndex].map(normalizeHeader);
+  const idColumn = header.indexOf(QUESTION_ID_COLUMN);
+  const answerColumn = header.indexOf(ANSWER_COLUMN);
+  if (idColumn === -1 || answerColumn === -1) return { error: t('answerImport.errors.missingColumns') };
+
+  const rows = cells.slice(headerIndex + 1).map((cellRow, index) => ({
+    questionId: String(cellRow[idColumn] ?? '').trim(),
+    answer: cellRow[answerColumn] ?? '',
+    row: headerIndex + index + 2, // as numbered in the spreadsheet
+  }));
+  return { rows, error: null };
+};
+
+/**
+ * Answer rows from a JSON file.
+ * @param {string} text
+ * @returns {{ rows: Array<{ questionId: string, answer: any }>, error: null } | { error: string }}
+ */
+export const rowsFromJson = (text, { t } = defaultI18n) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: t('answerImport.errors.notJson') };
+  }
+
+  const list = Array.isArray(data) ? data : data?.responses || data?.survey_responses;
+  if (Array.isArray(list)) {
+    if (list.some((item) => !item || typeof item !== 'object' || !('question_id' in item))) {
+      return { error: t('answerImport.errors.jsonShape') };
+    }
+    return { rows: list.map((item) => ({ questionId: String(item.question_id).trim(), answer: item.answer })), error: null };
+  }
+  if (!data || typeof data !== 'object') return { error: t('answerImport.errors.jsonShape') };
+  return { rows: Object.entries(data).map(([questionId, answer]) => ({ questionId: questionId.trim(), answer })), error: null };
+};
+
+/**
+ * Reads an answer file picked by the user; the format goes by the extension.
+ * @param {File} file
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @returns {Promise<{ rows: Array<object>, error: null } | { error: string }>}
+ */
+export const readAnswerFile = async (file, i18n = defaultI18n) => {
+  const { t } = i18n;
+  const extension = extensionOf(file);
+  let result;
+  try {
+    if (extension === 'json') {
+      result = rowsFromJson(await readFile(file, 'readAsText'), i18n);
+    } else if (extension === 'csv' || extension === 'txt') {
+      result = rowsFromTable(parseCsv(await readFile(file, 'readAsText')), i18n);
+    } else if (extension === 'xlsx') {
+      const bytes = new Uint8Array(await readFile(file, 'readAsArrayBuffer'));
+      let cells;
+      try {
+        cells = await readXlsxRows(bytes);
+      } catch (error) {
+        console.error('Error reading the workbook:', error);
+        return { error: t('answerImport.errors.notXlsx') };
+      }
+      result = rowsFromTable(cells, i18n);
+    } else {
+      return { error: t('answerImport.errors.unsupportedType') };
+    }
+  } catch (error) {
+    console.error('Error reading the answer file:', error);
+    return { error: t('answerImport.errors.readFailed') };
+  }
+  if (result.error) return result;
+  return result.rows.length > 0 ? result : { error: t('answerImport.errors.empty') };
+};
+
+const isBlank = (value) => (Array.isArray(value) ? value.every(isBlank) : !isAnswered(value));
+
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// An option by its letter ("b"), its text, or both as exported ("B. Text")
+const findOptionLetter = (question, raw) => {
+  const text = normalizeText(raw);
+  const options = question.options || [];
+  const byLetter = options.find((option) => option.option_letter.toLowerCase() === text);
+  if (byLetter) return byLetter.option_letter;
+  const byText = options.find((option) => normalizeText(option.content) === text
+    || normalizeText(`${option.option_letter}. ${option.content}`) === text);
+  return byText ? byText.option_letter : null;
+};
+
+const yesNoValue = (raw, t) => {
+  if (typeof raw === 'boolean') return raw;
+  const text = normalizeText(raw);
+  if (['yes', 'y', 'true', '1', normalizeText(t('common.yes'))].includes(text)) return true;
+  if (['no', 'n', 'false', '0', normalizeText(t('common.no'))].includes(text)) return false;
+  return text;
+};
+
+/**
+ * Turns a value from a file into the form value for the question.
+ * @returns {{ value: any, error: string|null }} `error` is a user-facing message
+ */
+export const resolveImportedValue = (question, raw, i18n = defaultI18n) => {
+  const { t } = i18n;
+  const letters = (question.options || []).map((option) => option.option_letter).join(', ');
+  const unknownOption = (value) => ({ value, error: t('answerImport.errors.unknownOption', { value: String(value).trim(), letters }) });
+
+  let value;
+  switch (getAnswerType(question)) {
+    case AnswerType.SINGLE_CHOICE: {
+      const letter = findOptionLetter(question, raw);
+      return letter ? { value: letter, error: null } : unknownOption(raw);
+    }
+    case AnswerType.MULTI_CHOICE: {
+      const parts = (Array.isArray(raw) ? raw : String(raw).split(/[;\n]/)).filter((part) => !isBlank(part));
+      const chosen = [];
+      for (const part of parts) {
+        const letter = findOptionLetter(question, part);
+        if (!letter) return unknownOption(part);
+        if (!chosen.includes(letter)) chosen.push(letter);
+      }
+      value = chosen;
+      break;
+    }
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE:
+      // Kept as text, like a typed number; "12,5" and "35 %" are read as 12.5 and 35
+      value = typeof raw === 'number' ? String(raw) : String(raw).trim().replace(/\s*%$/, '').replace(/^(-?\d+),(\d+)$/, '$1.$2');
+      break;
+    case AnswerType.LIKERT:
+      value = Number.isInteger(Number(raw)) && String(raw).trim() !== '' ? Number(raw) : raw;
+      break;
+    case AnswerType.DATE:
+      // Date cells in a workbook are day numbers
+      value = typeof raw === 'number' ? new Date(EXCEL_EPOCH + Math.round(raw) * DAY_MS).toISOString().slice(0, 10) : String(raw).trim();
+      break;
+    case AnswerType.YES_NO:
+      value = yesNoValue(raw, t);
+      break;
+    default:
+      value = String(raw).trim();
+  }
+  return { value, error: validateAnswer(question, value, i18n) };
+};
+
+const sameAnswer = (question, a, b) => JSON.stringify(toPayloadAnswer(question, a)) === JSON.stringify(toPayloadAnswer(question, b));
+
+/**
+ * Sorts the rows of an answer file for the preview.
+ * - matched: valid answers that can be filled in (`unchanged` when the question
+ *   already has that answer)
+ * - unmatched: unknown question ids and values that don't fit the question
+ * - conflicts: a question answered differently in several rows (not imported),
+ *   or a valid answer that differs from the one already given (imported only
+ *   when the user chooses to replace answers)
+ * Rows without an answer are only counted, so a partly filled template imports cleanly.
+ * @param {Array<object>} questions - From getSurveyQuestions
+ * @param {Array<{ questionId: string, answer: any, row?: number }>} rows - From readAnswerFile
+ * @param {object} responses - The current answers by question id
+ * @param {object} [i18n]
+ */
+export const matchImportedAnswers = (questions, rows, responses = {}, i18n = defaultI18n) => {
+  const { t } = i18n;
+  const questionsById = new Map(questions.map((question) => [question.question_id, question]));
+  const matched = [];
+  const unmatched = [];
+  const conflicts = [];
+  const valid = new Map(); // question id -> [{ value, row }]
+  let skipped = 0;
+
+  rows.forEach(({ questionId, answer, row }) => {
+    if (isBlank(answer)) {
+      skipped += 1;
+      return;
+    }
+    const question = questionsById.get(questionId);
+    if (!question) {
+      unmatched.push({ questionId, answer, row, reason: questionId ? t('answerImport.errors.unknownQuestion', { id: questionId }) : t('answerImport.errors.missingId') });
+      return;
+    }
+    const { value, error } = resolveImportedValue(question, answer, i18n);
+    if (error) {
+      unmatched.push({ questionId, answer, row, question, reason: error });
+      return;
+    }
+    if (!valid.has(questionId)) valid.set(questionId, []);
+    valid.get(questionId).push({ value, row });
+  });
+
+  valid.forEach((entries, questionId) => {
+    const question = questionsById.get(questionId);
+    const distinct = entries.filter((entry, index) => entries.findIndex((other) => sameAnswer(question, other.value, entry.value)) === index);
+    if (distinct.length > 1) {
+      conflicts.push({ type: ConflictType.DUPLICATE, questionId, question, values: distinct.map((entry) => entry.value), rows: entries.map((entry) => entry.row) });
+      return;
+    }
+    const { value, row } = entries[0];
+    const current = responses[questionId];
+    if (isAnswered(current) && !sameAnswer(question, current, value)) {
+      conflicts.push({ type: ConflictType.EXISTING, questionId, question, value, current, row });
+    } else {
+      matched.push({ questionId, question, value, row, unchanged: isAnswered(current) });
+    }
+  });
+
+  return { matched, unmatched, conflicts, skipped };
+};
+
+/**
+ * How many answers an import fills in or changes, as applyImportedAnswers would.
+ * @param {{ matched: Array<object>, conflicts: Array<object> }} preview - From matchImportedAnswers
+ * @param {{ replaceExisting?: boolean }} [options]
+ * @returns {number}
+ */
+export const countImportedAnswers = ({ matched, conflicts }, { replaceExisting = false } = {}) => (
+  matched.filter((item) => !item.unchanged).length
+  + (replaceExisting ? conflicts.filter((conflict) => conflict.type === ConflictType.EXISTING).length : 0)
+);
+
+/**
+ * The answers after the import: matched values, plus the ones that replace an
+ * existing answer when `replaceExisting` is set.
+ * @param {object} responses
+ * @param {{ matched: Array<object>, conflicts: Array<object> }} preview - From matchImportedAnswers
+ * @returns {object}
+ */
+export const applyImportedAnswers = (responses, { matched, conflicts }, { replaceExisting = false } = {}) => {
+  const next = { ...responses };
+  matched.forEach(({ questionId, value }) => {
+    next[questionId] = value;
+  });
+  if (replaceExisting) {
+    conflicts
+      .filter((conflict) => conflict.type === ConflictType.EXISTING)
+      .forEach(({ questionId, value }) => {
+        next[questionId] = value;
+      });
+  }
+  return next;
+};
+
+// An answer as it is written in the template, so a downloaded file imports back unchanged
+const toImportValue = (question, value) => {
+  if (!isAnswered(value)) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  const numeric = [AnswerType.NUMBER, AnswerType.PERCENTAGE].includes(getAnswerType(question)) && Number.isFinite(Number(value));
+  return numeric ? Number(value) : value;
+};
+
+// What the answer column takes, for the template
+const allowedValues = (question, { t }) => {
+  const type = getAnswerType(question);
+  const options = () => (question.options || []).map((option) => `${option.option_letter} = ${option.content}`).join('\n');
+  switch (type) {
+    case AnswerType.SINGLE_CHOICE:
+      return `${t('answerImport.allowed.single')}\n${options()}`;
+    case AnswerType.MULTI_CHOICE:
+      return `${t('answerImport.allowed.multi')}\n${options()}`;
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE: {
+      const min = question.min ?? (type === AnswerType.PERCENTAGE ? 0 : undefined);
+      const max = question.max ?? (type === AnswerType.PERCENTAGE ? 100 : undefined);
+      const unit = type === AnswerType.PERCENTAGE ? '%' : question.unit ? ` ${question.unit}` : '';
+      if (min !== undefined && max !== undefined) return t('answerImport.allowed.numberRange', { min: `${min}${unit}`, max: `${max}${unit}` });
+      if (min !== undefined) return t('answerImport.allowed.numberMin', { min: `${min}${unit}` });
+      if (max !== undefined) return t('answerImport.allowed.numberMax', { max: `${max}${unit}` });
+      return unit ? `${t('answerImport.allowed.number')} (${unit.trim()})` : t('answerImport.allowed.number');
+    }
+    case AnswerType.LIKERT: {
+      const { min, max } = getLikertScale(question);
+      return t('answerImport.allowed.likert', { min, max });
+    }
+    case AnswerType.DATE:
+      return t('answerImport.allowed.date');
+    case AnswerType.YES_NO:
+      return t('answerImport.allowed.yesNo');
+    default:
+      return t('answerImport.allowed.text');
+  }
+};
+
+/**
+ * The template as a table: one row per question, with the answers given so far.
+ * The column names are what the import looks for, so they aren't translated.
+ * @param {Array<object>} questions
+ * @param {object} [responses]
+ * @param {object} [i18n]
+ */
+export const buildAnswerTemplate = (questions, responses = {}, i18n = defaultI18n) => ({
+  name: 'Answers',
+  columns: ['question_id', 'category', 'question', 'allowed_values', 'answer'].map((key) => ({ key, label: key })),
+  rows: questions.map((question) => ({
+    question_id: question.question_id,
+    category: question.category || '',
+    question: question.content || '',
+    allowed_values: allowedValues(question, i18n),
+    answer: toImportValue(question, responses[question.question_id]),
+  })),
+});
+
+/**
+ * @param {'csv'|'xlsx'} format
+ * @param {object} table - From buildAnswerTemplate
+ * @returns {{ blob: Blob, filename: string }}
+ */
+export const createAnswerTemplateFile = (format, table) => {
+  const { mimeType } = TEMPLATE_FORMATS.find((item) => item.format === format) || {};
+  const content = format === 'xlsx' ? tablesToXlsx([table]) : tablesToCsv([table], { sectionColumn: false });
+  return { blob: new Blob([content], { type: mimeType }), filename: `survey-answers-template.${format}` };
+};
@@ -0,0 +1,133 @@
+import {
+  ConflictType,
+  applyImportedAnswers,
+  buildAnswerTemplate,
+  countImportedAnswers,
+  matchImportedAnswers,
+  readAnswerFile,
+  resolveImportedValue,
+  rowsFromJson,
+  rowsFromTable,
+} from './answerImport';
+import { parseCsv } from './importers/csv';
+import { tablesToCsv } from './exporters/csv';
+
+const questions = [
+  { question_id: 'Q1', category: 'Energy', content: 'Power source?', options: [{ option_letter: 'A', content: 'Grid' }, { option_letter: 'B', content: 'Solar' }] },
+  { question_id: 'Q2', category: 'Energy', content: 'Measures?', answer_type: 'multi_choice', options: [{ option_letter: 'A', content: 'LED' }, { option_letter: 'B', content: 'Timers' }, { option_letter: 'C', content: 'None' }] },
+  { question_id: 'Q3', category: 'Devices', content: 'Laptops', answer_type: 'number', unit: 'devices', min: 0 },
+  { question_id: 'Q4', category: 'Devices', content: 'Policy?', answer_type: 'yes_no' },
+  { question_id: 'Q5', category: 'Devices', content: 'Audit date', answer_type: 'date' },
+  { question_id: 'Q6', category: 'Devices', content: 'Share of renewables', answer_type: 'percentage' },
+];
+const byId = (id) => questions.find((question) => question.question_id === id);
+
+describe('resolveImportedValue', () => {
+  test('matches options by letter, text or both', () => {
+    expect(resolveImportedValue(byId('Q1'), 'b').value).toBe('B');
+    expect(resolveImportedValue(byId('Q1'), ' solar ').value).toBe('B');
+    expect(resolveImportedValue(byId('Q1'), 'A. Grid').value).toBe('A');
+    expect(resolveImportedValue(byId('Q1'), 'Wind').error).toBe('"Wind" is not one of the options (A, B).');
+  });
+
+  test('splits multiple choices on semicolons and keeps arrays from JSON', () => {
+    expect(resolveImportedValue(byId('Q2'), 'LED; c').value).toEqual(['A', 'C']);
+    expect(resolveImportedValue(byId('Q2'), ['B', 'b']).value).toEqual(['B']);
+    expect(resolveImportedValue(byId('Q2'), 'A; D').error).toMatch('"D" is not one of the options');
+  });
+
+  test('reads numbers, percentages, yes/no and spreadsheet dates', () => {
+    expect(resolveImportedValue(byId('Q3'), 12)).toEqual({ value: '12', error: null });
+    expect(resolveImportedValue(byId('Q3'), '-1').error).toBe('Please enter a value of at least 0 devices.');
+    expect(resolveImportedValue(byId('Q6'), '12,5 %').value).toBe('12.5');
+    expect(resolveImportedValue(byId('Q4'), 'Yes').value).toBe(true);
+    expect(resolveImportedValue(byId('Q4'), false).value).toBe(false);
+    expect(resolveImportedValue(byId('Q4'), 'maybe').error).toBe('Please choose yes or no.');
+    expect(resolveImportedValue(byId('Q5'), 45382).value).toBe('2024-03-31');
+    expect(resolveImportedValue(byId('Q5'), '31/03/2024').error).toBe('Please enter a valid date.');
+  });
+});
+
+describe('reading files', () => {
+  test('finds the question_id and answer columns by name', () => {
+    const { rows } = rowsFromTable([['Survey answers'], ['Question ID', 'Question', 'Answer'], ['Q1', 'Power source?', 'B']]);
+    expect(rows).toEqual([{ questionId: 'Q1', answer: 'B', row: 3 }]);
+    expect(rowsFromTable([['id', 'answer']]).error).toBe('The file needs a "question_id" and an "answer" column.');
+  });
+
+  test('accepts JSON maps, lists and the survey payload', () => {
+    expect(rowsFromJson('{"Q1": "B", "Q4": true}').rows).toEqual([{ questionId: 'Q1', answer: 'B' }, { questionId: 'Q4', answer: true }]);
+    expect(rowsFromJson('{"session_id": "s1", "responses": [{"question_id": "Q2", "answer": ["A"]}]}').rows).toEqual([{ questionId: 'Q2', answer: ['A'] }]);
+    expect(rowsFromJson('[{"answer": "B"}]').error).toMatch('The JSON file must map question IDs');
+    expect(rowsFromJson('not json').error).toBe("The file isn't valid JSON.");
+  });
+
+  test('picks the reader by file extension', async () => {
+    const csv = await readAnswerFile(new File(['question_id,answer\nQ1,A\n'], 'answers.CSV'));
+    expect(csv).toEqual({ rows: [{ questionId: 'Q1', answer: 'A', row: 2 }], error: null });
+    expect((await readAnswerFile(new File(['{}'], 'answers.json'))).error).toBe("The file doesn't contain any answers.");
+    expect((await readAnswerFile(new File(['x'], 'answers.pdf'))).error).toBe('Please choose a CSV, Excel (.xlsx) or JSON file.');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await readAnswerFile(new File(['x'], 'answers.xlsx'))).error).toBe("The file isn't an Excel workbook that can be read.");
+  });
+});
+
+describe('matchImportedAnswers', () => {
+  const rows = [
+    { questionId: 'Q1', answer: 'Solar', row: 2 },
+    { questionId: 'Q2', answer: 'A', row: 3 },
+    { questionId: 'Q2', answer: 'B', row: 4 },
+    { questionId: 'Q3', answer: 'many', row: 5 },
+    { questionId: 'Q4', answer: 'no', row: 6 },
+    { questionId: 'Q5', answer: '', row: 7 },
+    { questionId: 'Q9', answer: 'A', row: 8 },
+    { questionId: 'Q6', answer: 40, row: 9 },
+  ];
+
+  test('sorts rows into matched, unmatched and conflicts', () => {
+    const preview = matchImportedAnswers(questions, rows, { Q4: true, Q6: '40' });
+
+    expect(preview.matched.map(({ questionId, value, unchanged }) => [questionId, value, unchanged])).toEqual([
+      ['Q1', 'B', false],
+      ['Q6', '40', true],
+    ]);
+    expect(preview.unmatched.map(({ row, reason }) => [row, reason])).toEqual([
+      [5, 'Please enter a number.'],
+      [8, 'There is no question Q9 in this survey.'],
+    ]);
+    expect(preview.conflicts).toEqual([
+      expect.objectContaining({ type: ConflictType.DUPLICATE, questionId: 'Q2', values: [['A'], ['B']], rows: [3, 4] }),
+      expect.objectContaining({ type: ConflictType.EXISTING, questionId: 'Q4', value: false, current: true }),
+    ]);
+    expect(preview.skipped).toBe(1);
+  });
+
+  test('fills in matched answers, and replaces existing ones only when asked', () => {
+    const responses = { Q4: true, Q5: '2024-01-01' };
+    const preview = matchImportedAnswers(questions, rows, responses);
+
+    expect(applyImportedAnswers(responses, preview)).toEqual({ Q1: 'B', Q4: true, Q5: '2024-01-01', Q6: '40' });
+    expect(applyImportedAnswers(responses, preview, { replaceExisting: true })).toEqual({ Q1: 'B', Q4: false, Q5: '2024-01-01', Q6: '40' });
+    expect(countImportedAnswers(preview)).toBe(2);
+    expect(countImportedAnswers(preview, { replaceExisting: true })).toBe(3);
+  });
+});
+
+test('the template lists every question and imports back unchanged', () => {
+  const responses = { Q1: 'B', Q2: ['A', 'C'], Q3: '12', Q4: false };
+  const template = buildAnswerTemplate(questions, responses);
+
+  expect(template.rows[1]).toEqual({
+    question_id: 'Q2',
+    category: 'Energy',
+    question: 'Measures?',
+    allowed_values: 'One or more options (letters or texts), separated by ";":\nA = LED\nB = Timers\nC = None',
+    answer: 'A; C',
+  });
+  expect(template.rows[2].allowed_values).toBe('A number, at least 0 devices');
+
+  const { rows } = rowsFromTable(parseCsv(tablesToCsv([template], { sectionColumn: false })));
+  const preview = matchImportedAnswers(questions, rows, {});
+  expect(applyImportedAnswers({}, preview)).toEqual(responses);
+  expect(preview.skipped).toBe(2);
+});
@@ -0,0 +1,86 @@
+// src/utils/answerScoring.js
+// Maturity score of a survey answer, from 0 (least mature) to 1 (most mature).
+// The scale comes from metadata on the question:
+//   options[].score          - single choice; multi choice adds up the selected
+//                              options' scores, capped at 1
+//   scoring: { best, worst } - number/percentage, linear in between and clamped
+//                              (best may be lower than worst, e.g. for PUE)
+//   scoring: { yes, no }     - yes/no
+//   likert                   - linear from scale min to max; scoring: { reverse: true } flips it
+// Questions without this metadata, free text and dates are not scored (null).
+//
+// Follow-up questions are scored when `additional_fields.option_scores` maps
+// their answer options to scores ({ "Free cooling": 0.4, ... }); multi-select
+// answers add up like multi-choice survey answers.
+import { AnswerType, getAnswerType, getLikertScale, isAnswered } from './surveyAnswers';
+import { FollowupAnswerType, getFollowupAnswerType } from './followupAnswers';
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const optionScore = (question, letter) => {
+  const score = (question.options || []).find((option) => option.option_letter === letter)?.score;
+  return typeof score === 'number' ? score : null;
+};
+
+/**
+ * @param {object} question
+ * @param {any} answer - As submitted (see toPayloadAnswer)
+ * @returns {number|null}
+ */
+export const scoreAnswer = (question, answer) => {
+  if (!isAnswered(answer)) return null;
+  const scoring = question.scoring || {};
+
+  switch (getAnswerType(question)) {
+    case AnswerType.SINGLE_CHOICE: {
+      const score = optionScore(question, answer);
+      return score === null ? null : clamp(score);
+    }
+    case AnswerType.MULTI_CHOICE: {
+      if (!(question.options || []).some((option) => typeof option.score === 'number')) return null;
+      return clamp(answer.reduce((total, letter) => total + (optionScore(question, letter) || 0), 0));
+    }
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE: {
+      const { best, worst } = scoring;
+      const number = Number(answer);
+      if (typeof best !== 'number' || typeof worst !== 'number' || best === worst || !Number.isFinite(number)) return null;
+      return clamp((number - worst) / (best - worst));
+    }
+    case AnswerType.YES_NO: {
+      const score = answer ? scoring.yes : scoring.no;
+      return typeof score === 'number' ? clamp(score) : null;
+    }
+    case AnswerType.LIKERT: {
+      const { min, max } = getLikertScale(question);
+      if (max === min) return null;
+      const score = clamp((answer - min) / (max - min));
+      return scoring.reverse ? 1 - score : score;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * @param {object} question - Follow-up question
+ * @param {object} answer - As returned by getFollowupResponses ({ value } or { values, subjective_value })
+ * @returns {number|null}
+ */
+export const scoreFollowupAnswer = (question, answer) => {
+  const scores = question.additional_fields?.option_scores;
+  if (!scores || !answer) return null;
+  const scoreOf = (option) => (typeof scores[option] === 'number' ? scores[option] : null);
+
+  switch (getFollowupAnswerType(question)) {
+    case FollowupAnswerType.SINGLE: {
+      const score = scoreOf(answer.value);
+      return score === null ? null : clamp(score);
+    }
+    case FollowupAnswerType.MULTI:
+      if (!Array.isArray(answer.values)) return null;
+      return clamp(answer.values.reduce((total, option) => total + (scoreOf(option) || 0), 0));
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,41 @@
+import { scoreAnswer, scoreFollowupAnswer } from './answerScoring';
+
+const choice = { options: [{ option_letter: 'A', score: 0 }, { option_letter: 'B', score: 1 }, { option_letter: 'C' }] };
+const labels = { answer_type: 'multi_choice', options: [{ option_letter: 'A', score: 0.5 }, { option_letter: 'B', score: 0.75 }] };
+const pue = { answer_type: 'number', scoring: { best: 1.2, worst: 2.5 } };
+
+test('scores choices from option scores', () => {
+  expect(scoreAnswer(choice, 'B')).toBe(1);
+  expect(scoreAnswer(choice, 'C')).toBeNull();
+  expect(scoreAnswer(labels, ['A'])).toBe(0.5);
+  expect(scoreAnswer(labels, ['A', 'B'])).toBe(1);
+});
+
+test('scores numbers linearly between worst and best, in either direction', () => {
+  expect(scoreAnswer({ answer_type: 'percentage', scoring: { best: 100, worst: 0 } }, 40)).toBe(0.4);
+  expect(scoreAnswer(pue, 1.2)).toBe(1);
+  expect(scoreAnswer(pue, 3)).toBe(0);
+  expect(scoreAnswer({ answer_type: 'number' }, 5)).toBeNull();
+});
+
+test('scores likert scales and yes/no answers', () => {
+  expect(scoreAnswer({ answer_type: 'likert' }, 4)).toBe(0.75);
+  expect(scoreAnswer({ answer_type: 'likert', scoring: { reverse: true } }, 4)).toBe(0.25);
+  expect(scoreAnswer({ answer_type: 'yes_no', scoring: { yes: 1, no: 0 } }, false)).toBe(0);
+  expect(scoreAnswer({ answer_type: 'yes_no' }, true)).toBeNull();
+});
+
+test('does not score text, dates or missing answers', () => {
+  expect(scoreAnswer({ content: 'Targets?' }, 'Net zero by 2030')).toBeNull();
+  expect(scoreAnswer({ answer_type: 'date' }, '2024-03-31')).toBeNull();
+  expect(scoreAnswer(choice, '')).toBeNull();
+});
+
+test('scores follow-up answers from option_scores', () => {
+  const single = { additional_fields: { answer_options: ['Never', 'Yearly'], option_scores: { Never: 0, Yearly: 1 } } };
+  const multi = { additional_fields: { multiple_correct_answer_options: ['A', 'B', ''], option_scores: { A: 0.5, B: 0.75 } } };
+  expect(scoreFollowupAnswer(single, { value: 'Yearly' })).toBe(1);
+  expect(scoreFollowupAnswer(multi, { values: ['A'], subjective_value: 'other' })).toBe(0.5);
+  expect(scoreFollowupAnswer(multi, { values: ['A', 'B'], subjective_value: '' })).toBe(1);
+  expect(scoreFollowupAnswer({ additional_fields: { subjective_answer: [''] } }, { value: 'text' })).toBeNull();
+});
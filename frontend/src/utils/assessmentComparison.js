@@ -0,0 +1,146 @@
+// src/utils/assessmentComparison.js
+// Compares two assessments of the same user, typically an earlier and a later
+// run of the survey: answers question by question, a per-category tally of what
+// got better or worse, and which recommendations were resolved, are still open
+// or are new.
+import { formatSurveyAnswer } from './surveyAnswers';
+import { formatFollowupAnswer } from './followupAnswers';
+import { scoreAnswer } from './answerScoring';
+import { UNCATEGORISED } from './categories';
+
+// Translated under comparison.changes.<kind>
+export const ChangeKind = {
+  IMPROVED: 'improved', // scored answer with a higher score
+  REGRESSED: 'regressed', // scored answer with a lower score
+  CHANGED: 'changed', // different answer that can't be ranked
+  UNCHANGED: 'unchanged',
+  ADDED: 'added', // only answered in the later assessment
+  REMOVED: 'removed', // only answered in the earlier assessment
+};
+
+// Answers are plain JSON values, and multi-choice answers are kept in option order
+const sameAnswer = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const classifyChange = (before, after, scoreBefore, scoreAfter) => {
+  if (before === undefined) return ChangeKind.ADDED;
+  if (after === undefined) return ChangeKind.REMOVED;
+  if (sameAnswer(before, after)) return ChangeKind.UNCHANGED;
+  if (scoreBefore !== null && scoreAfter !== null && scoreBefore !== scoreAfter) {
+    return scoreAfter > scoreBefore ? ChangeKind.IMPROVED : ChangeKind.REGRESSED;
+  }
+  return ChangeKind.CHANGED;
+};
+
+const answersById = (responses) => new Map((responses || []).map((item) => [item.question_id, item.answer]));
+
+/**
+ * Diffs two sets of survey responses (as returned by getSurveyResponses).
+ * Only questions answered in at least one of them are included, in survey order.
+ * @param {Array<object>} questions - From getSurveyQuestions
+ * @param {Array<object>} earlierResponses
+ * @param {Array<object>} laterResponses
+ * @param {object} [i18n] - From useLanguage, for the answer texts
+ * A question without a category is under UNCATEGORISED (see utils/categories).
+ * @returns {Array<object>} rows with question_id, category, question, before/after
+ *   answers and their text, scoreBefore/scoreAfter and `change`
+ */
+export const compareSurveyResponses = (questions, earlierResponses, laterResponses, i18n) => {
+  const before = answersById(earlierResponses);
+  const after = answersById(laterResponses);
+  return questions
+    .filter((question) => before.has(question.question_id) || after.has(question.question_id))
+    .map((question) => {
+      const beforeAnswer = before.get(question.question_id);
+      const afterAnswer = after.get(question.question_id);
+      const scoreBefore = beforeAnswer === undefined ? null : scoreAnswer(question, beforeAnswer);
+      const scoreAfter = afterAnswer === undefined ? null : scoreAnswer(question, afterAnswer);
+      return {
+        question_id: question.question_id,
+        category: question.category || UNCATEGORISED,
+        question: question.content,
+        before: beforeAnswer,
+        after: afterAnswer,
+        beforeText: beforeAnswer === undefined ? '' : formatSurveyAnswer(question, beforeAnswer, i18n),
+        afterText: afterAnswer === undefined ? '' : formatSurveyAnswer(question, afterAnswer, i18n),
+        scoreBefore,
+        scoreAfter,
+        change: classifyChange(beforeAnswer, afterAnswer, scoreBefore, scoreAfter),
+      };
+    });
+};
+
+/**
+ * Diffs two sets of follow-up answers (as returned by getFollowupResponses).
+ * Follow-up questions aren't scored, so answers are only changed or unchanged.
+ * Questions asked in only one of the assessments come out as added or removed.
+ */
+export const compareFollowupResponses = (earlierResponses, laterResponses) => {
+  const before = new Map((earlierResponses || []).map((item) => [item.question_id, item]));
+  const after = new Map((laterResponses || []).map((item) => [item.question_id, item]));
+  const questionIds = [...new Set([...before.keys(), ...after.keys()])];
+
+  return questionIds.map((questionId) => {
+    const beforeItem = before.get(questionId);
+    const afterItem = after.get(questionId);
+    const source = afterItem || beforeItem;
+    return {
+      question_id: questionId,
+      category: source.category || UNCATEGORISED,
+      subcategory: source.subcategory || '',
+      question: source.question,
+      before: beforeItem?.answer,
+      after: afterItem?.answer,
+      beforeText: formatFollowupAnswer(beforeItem?.answer),
+      afterText: formatFollowupAnswer(afterItem?.answer),
+      change: classifyChange(beforeItem?.answer, afterItem?.answer, null, null),
+    };
+  });
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Tallies compared rows (survey and/or follow-up) per category, in the order the
+ * categories first appear. scoreBefore/scoreAfter average the scored answers.
+ * `trend` is IMPROVED or REGRESSED when one outnumbers the other, CHANGED when
+ * anything else changed and UNCHANGED otherwise.
+ */
+export const summariseByCategory = (rows) => {
+  const categories = new Map();
+  rows.forEach((row) => {
+    if (!categories.has(row.category)) {
+      categories.set(row.category, { counts: Object.fromEntries(Object.values(ChangeKind).map((kind) => [kind, 0])), before: [], after: [] });
+    }
+    const entry = categories.get(row.category);
+    entry.counts[row.change] += 1;
+    if (typeof row.scoreBefore === 'number') entry.before.push(row.scoreBefore);
+    if (typeof row.scoreAfter === 'number') entry.after.push(row.scoreAfter);
+  });
+
+  return [...categories].map(([category, { counts, before, after }]) => {
+    const otherChanges = counts[ChangeKind.CHANGED] + counts[ChangeKind.ADDED] + counts[ChangeKind.REMOVED];
+    let trend = ChangeKind.UNCHANGED;
+    if (counts[ChangeKind.IMPROVED] > counts[ChangeKind.REGRESSED]) trend = ChangeKind.IMPROVED;
+    else if (counts[ChangeKind.REGRESSED] > counts[ChangeKind.IMPROVED]) trend = ChangeKind.REGRESSED;
+    else if (counts[ChangeKind.IMPROVED] > 0 || otherChanges > 0) trend = ChangeKind.CHANGED;
+    return { category, counts, scoreBefore: average(before), scoreAfter: average(after), trend };
+  });
+};
+
+// Recommendations are matched by id, falling back to the title for backends without ids
+const recommendationKey = (item) => item.id || (item.title || '').trim().toLowerCase();
+
+/**
+ * Splits two recommendation lists into resolved (earlier only), still open
+ * (both; the later version is kept) and new (later only).
+ * @returns {{ resolved: Array<object>, stillOpen: Array<object>, added: Array<object> }}
+ */
+export const compareRecommendations = (earlier, later) => {
+  const earlierKeys = new Set(earlier.map(recommendationKey));
+  const laterKeys = new Set(later.map(recommendationKey));
+  return {
+    resolved: earlier.filter((item) => !laterKeys.has(recommendationKey(item))),
+    stillOpen: later.filter((item) => earlierKeys.has(recommendationKey(item))),
+    added: later.filter((item) => !earlierKeys.has(recommendationKey(item))),
+  };
+};
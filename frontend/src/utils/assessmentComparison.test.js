@@ -0,0 +1,58 @@
+import { ChangeKind, compareFollowupResponses, compareRecommendations, compareSurveyResponses, summariseByCategory } from './assessmentComparison';
+import { UNCATEGORISED } from './categories';
+
+const questions = [
+  { question_id: 'Q1', category: 'Energy', content: 'Metering?', options: [{ option_letter: 'A', content: 'No', score: 0 }, { option_letter: 'B', content: 'Yes', score: 1 }] },
+  { question_id: 'Q2', category: 'Energy', content: 'Renewable share?', answer_type: 'percentage', scoring: { best: 100, worst: 0 } },
+  { question_id: 'Q3', category: 'Strategy', content: 'Targets?' },
+  { question_id: 'Q4', category: 'Strategy', content: 'Audit?', answer_type: 'date' },
+];
+
+const earlier = [{ question_id: 'Q1', answer: 'A' }, { question_id: 'Q2', answer: 60 }, { question_id: 'Q3', answer: 'None' }];
+const later = [{ question_id: 'Q1', answer: 'B' }, { question_id: 'Q2', answer: 40 }, { question_id: 'Q3', answer: 'None' }, { question_id: 'Q4', answer: '2024-05-01' }];
+
+test('diffs survey answers question by question', () => {
+  const rows = compareSurveyResponses(questions, earlier, later);
+  expect(rows.map((row) => [row.question_id, row.change])).toEqual([
+    ['Q1', ChangeKind.IMPROVED],
+    ['Q2', ChangeKind.REGRESSED],
+    ['Q3', ChangeKind.UNCHANGED],
+    ['Q4', ChangeKind.ADDED],
+  ]);
+  expect(rows[0]).toMatchObject({ beforeText: 'A. No', afterText: 'B. Yes', scoreBefore: 0, scoreAfter: 1 });
+});
+
+test('marks unscored changes as changed and unanswered ones as removed', () => {
+  const rows = compareSurveyResponses(questions, [{ question_id: 'Q3', answer: 'None' }, { question_id: 'Q4', answer: '2023-01-01' }], [{ question_id: 'Q3', answer: 'Net zero' }]);
+  expect(rows.map((row) => row.change)).toEqual([ChangeKind.CHANGED, ChangeKind.REMOVED]);
+});
+
+test('diffs follow-up answers, including questions asked only once', () => {
+  const rows = compareFollowupResponses(
+    [{ question_id: 'F1', question: 'Cycle?', category: 'Hardware', answer: { value: 'Never' } }, { question_id: 'F2', question: 'Why?', answer: { value: 'x' } }],
+    [{ question_id: 'F1', question: 'Cycle?', category: 'Hardware', answer: { value: 'Yearly' } }, { question_id: 'F3', question: 'How?', answer: { values: ['A'], subjective_value: '' } }],
+  );
+  expect(rows.map((row) => [row.question_id, row.change, row.afterText])).toEqual([
+    ['F1', ChangeKind.CHANGED, 'Yearly'],
+    ['F2', ChangeKind.REMOVED, ''],
+    ['F3', ChangeKind.ADDED, 'A'],
+  ]);
+  expect(rows[1].category).toBe(UNCATEGORISED);
+});
+
+test('summarises changes and average scores per category', () => {
+  const summary = summariseByCategory(compareSurveyResponses(questions, earlier, later));
+  expect(summary[0]).toMatchObject({ category: 'Energy', scoreBefore: 0.3, scoreAfter: 0.7, trend: ChangeKind.CHANGED });
+  expect(summary[0].counts).toMatchObject({ improved: 1, regressed: 1 });
+  expect(summary[1]).toMatchObject({ category: 'Strategy', scoreBefore: null, trend: ChangeKind.CHANGED });
+});
+
+test('splits recommendations into resolved, still open and new', () => {
+  const result = compareRecommendations(
+    [{ id: 'R1', title: 'Meter' }, { id: 'R2', title: 'Tariff' }, { title: 'Set targets' }],
+    [{ id: 'R2', title: 'Tariff', priority: 'low' }, { title: 'Set Targets ' }, { id: 'R3', title: 'Virtualise' }],
+  );
+  expect(result.resolved.map((item) => item.title)).toEqual(['Meter']);
+  expect(result.stillOpen).toEqual([{ id: 'R2', title: 'Tariff', priority: 'low' }, { title: 'Set Targets ' }]);
+  expect(result.added.map((item) => item.id)).toEqual(['R3']);
+});
@@ -0,0 +1,205 @@
+// src/utils/assessmentExport.js
+// Builds the downloadable exports offered on the recommendations page. Every
+// format carries the same three parts: survey responses, follow-up Q/A pairs
+// (with category/subcategory) and the recommendations.
+import { formatSurveyAnswer } from './surveyAnswers';
+import { formatFollowupAnswer } from './followupAnswers';
+import { tablesToCsv } from './exporters/csv';
+import { tablesToXlsx } from './exporters/xlsx';
+import { blocksToPdf } from './exporters/pdf';
+import { defaultI18n } from '../i18n';
+
+export const ExportFormat = {
+  PDF: 'pdf',
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json',
+};
+
+// In menu order; the labels are in the locales (export.formats)
+export const EXPORT_FORMATS = [
+  { format: ExportFormat.PDF, mimeType: 'application/pdf' },
+  { format: ExportFormat.CSV, mimeType: 'text/csv;charset=utf-8' },
+  { format: ExportFormat.XLSX, mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { format: ExportFormat.JSON, mimeType: 'application/json' },
+];
+
+const LEVELS = ['high', 'medium', 'low'];
+const levelLabel = (level, t) => (LEVELS.includes(level) ? t(`levels.${level}`) : level || '');
+
+/**
+ * Joins the raw API data into one export document.
+ * @param {object} sources
+ * @param {string} sources.sessionId
+ * @param {Array<object>} sources.surveyQuestions - From getSurveyQuestions
+ * @param {Array<object>} sources.surveyResponses - From getSurveyResponses
+ * @param {Array<object>} sources.followupResponses - From getFollowupResponses
+ * @param {Array<object>} sources.recommendations - From getRecommendations
+ * @param {Date} [sources.generatedAt]
+ * @param {object} [sources.i18n] - From useLanguage, for the answer texts
+ */
+export const buildAssessmentExport = ({
+  sessionId,
+  surveyQuestions = [],
+  surveyResponses = [],
+  followupResponses = [],
+  recommendations = [],
+  generatedAt = new Date(),
+  i18n = defaultI18n,
+}) => {
+  const questionsById = new Map(surveyQuestions.map((q) => [q.question_id, q]));
+  return {
+    session_id: sessionId,
+    generated_at: generatedAt.toISOString(),
+    survey_responses: surveyResponses.map(({ question_id: questionId, answer }) => {
+      const question = questionsById.get(questionId);
+      return {
+        question_id: questionId,
+        category: question?.category || '',
+        question: question?.content || '',
+        answer,
+        answer_text: question ? formatSurveyAnswer(question, answer, i18n) : String(answer ?? ''),
+      };
+    }),
+    followup_responses: followupResponses.map((item) => ({
+      question_id: item.question_id,
+      category: item.category || '',
+      subcategory: item.subcategory || '',
+      question: item.question || '',
+      answer: item.answer,
+      answer_text: formatFollowupAnswer(item.answer),
+    })),
+    recommendations: recommendations.map((item) => ({
+      id: item.id,
+      category: item.category || '',
+      subcategory: item.subcategory || '',
+      title: item.title,
+      description: item.description || '',
+      priority: item.priority || '',
+      impact: item.impact || '',
+      effort: item.effort || '',
+      rationale: item.rationale || '',
+      based_on: item.based_on || [],
+    })),
+  };
+};
+
+// Flat tables for CSV and XLSX
+export const toExportTables = (data, { t } = defaultI18n) => {
+  const column = (key, label = key) => ({ key, label: t(`export.columns.${label}`) });
+  return [
+    {
+      name: t('export.document.survey'),
+      columns: [column('question_id', 'id'), column('category'), column('question'), column('answer_text', 'answer')],
+      rows: data.survey_responses,
+    },
+    {
+      name: t('export.document.followup'),
+      columns: [
+        column('question_id', 'id'),
+        column('category'),
+        column('subcategory'),
+        column('question'),
+        column('answer_text', 'answer'),
+      ],
+      rows: data.followup_responses,
+    },
+    {
+      name: t('export.document.recommendations'),
+      columns: [
+        column('id'),
+        column('category'),
+        column('subcategory'),
+        column('title', 'recommendation'),
+        column('description'),
+        column('priority'),
+        column('impact'),
+        column('effort'),
+        column('rationale'),
+        column('evidence', 'basedOn'),
+      ],
+      rows: data.recommendations.map((item) => ({
+        ...item,
+        priority: levelLabel(item.priority, t),
+        impact: levelLabel(item.impact, t),
+        effort: levelLabel(item.effort, t),
+        evidence: item.based_on.map((evidence) => `${evidence.question}: ${evidence.answer}`).join('\n'),
+      })),
+    },
+  ];
+};
+
+// Headings and paragraphs for the PDF
+const toPdfBlocks = (data, { t, formatDateTime }) => {
+  const blocks = [
+    { style: 'h1', text: t('export.document.title') },
+    { style: 'muted', text: t('export.document.info', { session: data.session_id, date: formatDateTime(data.generated_at) }) },
+    { style: 'h2', text: t('export.document.survey') },
+  ];
+  data.survey_responses.forEach((item) => {
+    blocks.push(
+      { style: 'h3', text: item.question || item.question_id },
+      { style: 'body', text: item.answer_text || t('export.document.noAnswer') },
+      { style: 'muted', text: item.category }
+    );
+  });
+
+  blocks.push({ style: 'h2', text: t('export.document.followup') });
+  if (data.followup_responses.length === 0) blocks.push({ style: 'muted', text: t('export.document.noFollowups') });
+  data.followup_responses.forEach((item) => {
+    blocks.push(
+      { style: 'h3', text: item.question || item.question_id },
+      { style: 'body', text: item.answer_text || t('export.document.noAnswer') },
+      { style: 'muted', text: [item.category, item.subcategory].filter(Boolean).join(' / ') }
+    );
+  });
+
+  blocks.push({ style: 'h2', text: t('export.document.recommendations') });
+  data.recommendations.forEach((item) => {
+    const ratings = t('export.document.ratings', {
+      priority: levelLabel(item.priority, t),
+      impact: levelLabel(item.impact, t),
+      effort: levelLabel(item.effort, t),
+    });
+    blocks.push(
+      { style: 'h3', text: item.title },
+      { style: 'muted', text: [[item.category, item.subcategory].filter(Boolean).join(' / '), ratings].filter(Boolean).join(' - ') },
+      { style: 'body', text: item.description }
+    );
+    if (item.rationale) blocks.push({ style: 'body', text: t('export.document.why', { rationale: item.rationale }) });
+    item.based_on.forEach((evidence) => blocks.push({ style: 'muted', text: `${evidence.question} - ${evidence.answer}` }));
+  });
+  return blocks;
+};
+
+/**
+ * Renders the export in the requested format.
+ * @param {string} format - One of ExportFormat
+ * @param {object} data - From buildAssessmentExport
+ * @param {{ i18n?: object }} [options] - i18n from useLanguage
+ * @returns {{ blob: Blob, filename: string }}
+ */
+export const createExportFile = (format, data, { i18n = defaultI18n } = {}) => {
+  const { t } = i18n;
+  const { mimeType } = EXPORT_FORMATS.find((item) => item.format === format) || {};
+  if (!mimeType) throw new Error(`Unsupported export format: ${format}`);
+
+  let content;
+  switch (format) {
+    case ExportFormat.PDF:
+      content = blocksToPdf(toPdfBlocks(data, i18n), {
+        title: t('export.document.fileTitle', { session: data.session_id }),
+        pageFooter: (page, pages) => t('common.pageOf', { page, pages }),
+      });
+      break;
+    case ExportFormat.CSV:
+      content = tablesToCsv(toExportTables(data, i18n));
+      break;
+    case ExportFormat.XLSX:
+      content = tablesToXlsx(toExportTables(data, i18n));
+      break;
+    default:
+      content = JSON.stringify(data, null, 2);
+  }
+  return { blob: new Blob([content], { type: mimeType }), filename: `assessment_${data.session_id}.${format}` };
+};
@@ -0,0 +1,36 @@
+import { buildAssessmentExport, createExportFile, ExportFormat, toExportTables } from './assessmentExport';
+import { createI18n } from '../i18n';
+
+const data = buildAssessmentExport({
+  sessionId: 's1',
+  surveyQuestions: [{ question_id: 'Q1', category: 'Infrastructure', content: 'Hosting?', options: [{ option_letter: 'B', content: 'Cloud' }] }],
+  surveyResponses: [{ question_id: 'Q1', answer: 'B' }],
+  followupResponses: [{ question_id: 'F1', category: 'Energy', subcategory: 'Procurement', question: 'Tariff?', answer: { value: 'Green' } }],
+  recommendations: [{ id: 'R1', title: 'Go green', priority: 'high', based_on: [{ question: 'Tariff?', answer: 'Green' }] }],
+  generatedAt: new Date('2024-01-01T00:00:00Z'),
+});
+
+test('joins answers with their questions', () => {
+  expect(data.survey_responses[0]).toMatchObject({ category: 'Infrastructure', question: 'Hosting?', answer_text: 'B. Cloud' });
+  expect(data.followup_responses[0]).toMatchObject({ subcategory: 'Procurement', answer_text: 'Green' });
+});
+
+test('every table format covers all three parts', () => {
+  expect(toExportTables(data).map((table) => table.rows.length)).toEqual([1, 1, 1]);
+  expect(toExportTables(data)[2].rows[0]).toMatchObject({ priority: 'High', evidence: 'Tariff?: Green' });
+});
+
+test('names the file after the session and format', () => {
+  const { blob, filename } = createExportFile(ExportFormat.JSON, data);
+  expect(filename).toBe('assessment_s1.json');
+  expect(blob.type).toBe('application/json');
+  expect(() => createExportFile('docx', data)).toThrow();
+});
+
+test('tables come in the selected language', () => {
+  const german = createI18n('de');
+  const [survey, , recommendations] = toExportTables(data, german);
+  expect(survey.name).toBe('Antworten im Fragebogen');
+  expect(survey.columns.map((column) => column.label)).toEqual(['ID', 'Kategorie', 'Frage', 'Antwort']);
+  expect(recommendations.rows[0].priority).toBe('Hoch');
+});
@@ -0,0 +1,15 @@
+// src/utils/categories.js
+// Questions, answers and recommendations without a category are grouped under
+// UNCATEGORISED (see maturityScores, assessmentComparison, recommendations). It
+// isn't a name to show: components translate it with categoryLabel.
+import { defaultI18n } from '../i18n';
+
+export const UNCATEGORISED = '__uncategorised__';
+
+/**
+ * The name shown for a category or subcategory.
+ * @param {string} category
+ * @param {object} [i18n] - From useLanguage; English without it
+ * @returns {string}
+ */
+export const categoryLabel = (category, { t } = defaultI18n) => (category === UNCATEGORISED ? t('common.uncategorised') : category);
@@ -0,0 +1,8 @@
+import { createI18n } from '../i18n';
+import { UNCATEGORISED, categoryLabel } from './categories';
+
+it('translates the missing category and keeps real names', () => {
+  expect(categoryLabel(UNCATEGORISED)).toBe('Other');
+  expect(categoryLabel(UNCATEGORISED, createI18n('de'))).toBe('Sonstiges');
+  expect(categoryLabel('Energy', createI18n('de'))).toBe('Energy');
+});
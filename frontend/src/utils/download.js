@@ -0,0 +1,18 @@
+// src/utils/download.js
+
+/**
+ * Saves a Blob as a file through a temporary object URL.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick; some browsers cancel the download if it's revoked synchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,81 @@
+// src/utils/evidence.js
+// Evidence files attached to follow-up answers (energy bills, hardware
+// inventories, supplier certificates, ...).
+//
+// A file is uploaded on its own as soon as it is picked (POST /evidence,
+// multipart) and is linked to its question_id from then on. Saving the answer
+// sends the ids of the question's files along (`evidence_ids`), and
+// GET /evidence lists a session's files again when the user comes back. The
+// backend enforces the same limits as below.
+import { defaultI18n } from '../i18n';
+
+export const EVIDENCE_MAX_BYTES = 10 * 1024 * 1024;
+
+// Per question
+export const EVIDENCE_MAX_FILES = 10;
+
+// Checked by extension: browsers report MIME types inconsistently (CSV especially)
+export const EVIDENCE_TYPES = [
+  { extension: 'pdf', mimeType: 'application/pdf' },
+  { extension: 'png', mimeType: 'image/png' },
+  { extension: 'jpg', mimeType: 'image/jpeg' },
+  { extension: 'jpeg', mimeType: 'image/jpeg' },
+  { extension: 'csv', mimeType: 'text/csv' },
+  { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+];
+
+// For <input accept>
+export const EVIDENCE_ACCEPT = EVIDENCE_TYPES.map(({ extension, mimeType }) => `.${extension},${mimeType}`).join(',');
+
+// State of a file that isn't uploaded (yet)
+export const UploadState = {
+  UPLOADING: 'uploading',
+  FAILED: 'failed',
+};
+
+const extensionOf = (name) => (/\.([^.]+)$/.exec(name || '')?.[1] || '').toLowerCase();
+
+// "PDF, PNG, JPG, ..." for hints and messages
+export const evidenceTypeList = () => [...new Set(EVIDENCE_TYPES
+  .filter(({ extension }) => extension !== 'jpeg')
+  .map(({ extension }) => extension.toUpperCase()))].join(', ');
+
+/**
+ * "850 kB", "2.4 MB", in the user's number format. Counted in units of 1024
+ * bytes, like file managers on most systems do, so the 10 MB limit reads as such.
+ * @param {number} bytes
+ * @param {object} [i18n] - From useLanguage
+ */
+export const formatFileSize = (bytes, { formatNumber } = defaultI18n) => {
+  if (bytes < 1024) return formatNumber(bytes, { style: 'unit', unit: 'byte', unitDisplay: 'long' });
+  if (bytes < 1024 * 1024) return formatNumber(bytes / 1024, { style: 'unit', unit: 'kilobyte', maximumFractionDigits: 0 });
+  return formatNumber(bytes / (1024 * 1024), { style: 'unit', unit: 'megabyte', maximumFractionDigits: 1 });
+};
+
+/**
+ * Checks a picked file against the type and size limits.
+ * @param {File} file
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @returns {string|null} A user-facing message, or null when the file can be uploaded
+ */
+export const validateEvidenceFile = (file, i18n = defaultI18n) => {
+  const { t } = i18n;
+  const name = file.name;
+  if (!EVIDENCE_TYPES.some(({ extension }) => extension === extensionOf(name))) {
+    return t('evidence.errors.type', { name, types: evidenceTypeList() });
+  }
+  if (file.size === 0) return t('evidence.errors.empty', { name });
+  if (file.size > EVIDENCE_MAX_BYTES) return t('evidence.errors.size', { name, max: formatFileSize(EVIDENCE_MAX_BYTES, i18n) });
+  return null;
+};
+
+/**
+ * Groups a session's files by question.
+ * @param {Array<{ evidence_id: string, question_id: string }>} files - From getEvidence
+ * @returns {object} Lists of files by question_id, in upload order
+ */
+export const groupEvidenceByQuestion = (files = []) => files.reduce((groups, file) => ({
+  ...groups,
+  [file.question_id]: [...(groups[file.question_id] || []), file],
+}), {});
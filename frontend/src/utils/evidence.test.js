@@ -0,0 +1,31 @@
+import { formatFileSize, groupEvidenceByQuestion, validateEvidenceFile } from './evidence';
+
+const file = (name, size) => ({ name, size });
+
+test('accepts supported files within the size limit', () => {
+  expect(validateEvidenceFile(file('Bill.PDF', 2048))).toBeNull();
+  expect(validateEvidenceFile(file('inventory.xlsx', 10 * 1024 * 1024))).toBeNull();
+});
+
+test('explains why a file is rejected', () => {
+  expect(validateEvidenceFile(file('setup.exe', 10))).toBe('setup.exe: only PDF, PNG, JPG, CSV, XLSX, DOCX files can be attached.');
+  expect(validateEvidenceFile(file('notes', 10))).toMatch(/^notes: only/);
+  expect(validateEvidenceFile(file('empty.csv', 0))).toBe('empty.csv is empty.');
+  expect(validateEvidenceFile(file('scan.png', 11 * 1024 * 1024))).toBe('scan.png is larger than 10 MB.');
+});
+
+test('formats file sizes', () => {
+  expect(formatFileSize(512)).toBe('512 bytes');
+  expect(formatFileSize(2048)).toBe('2 kB');
+  expect(formatFileSize(2.5 * 1024 * 1024)).toBe('2.5 MB');
+});
+
+test('groups files by question in upload order', () => {
+  const files = [
+    { evidence_id: 'a', question_id: 'F1' },
+    { evidence_id: 'b', question_id: 'F2' },
+    { evidence_id: 'c', question_id: 'F1' },
+  ];
+  expect(groupEvidenceByQuestion(files)).toEqual({ F1: [files[0], files[2]], F2: [files[1]] });
+  expect(groupEvidenceByQuestion()).toEqual({});
+});
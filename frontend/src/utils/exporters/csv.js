@@ -0,0 +1,36 @@
+// src/utils/exporters/csv.js
+// RFC 4180 CSV. All tables go into one file with a leading "Section" column,
+// so analysts can filter by section after opening it. A single table can be
+// written without it.
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<{ name: string, columns: Array<{ key: string, label: string }>, rows: Array<object> }>} tables
+ * @param {{ sectionColumn?: boolean }} [options]
+ * @returns {string}
+ */
+export const tablesToCsv = (tables, { sectionColumn = true } = {}) => {
+  // Union of all columns, matched by label so shared columns line up
+  const labels = [];
+  tables.forEach((table) => table.columns.forEach(({ label }) => {
+    if (!labels.includes(label)) labels.push(label);
+  }));
+
+  const section = (name) => (sectionColumn ? [name] : []);
+  const lines = [[...section('Section'), ...labels].map(escapeCell).join(',')];
+  tables.forEach((table) => {
+    table.rows.forEach((row) => {
+      const cells = labels.map((label) => {
+        const column = table.columns.find((item) => item.label === label);
+        return column ? row[column.key] : '';
+      });
+      lines.push([...section(table.name), ...cells].map(escapeCell).join(','));
+    });
+  });
+  // CRLF line endings and a BOM so Excel picks up UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,12 @@
+import { tablesToCsv } from './csv';
+
+test('writes all tables with a section column and quotes where needed', () => {
+  const csv = tablesToCsv([
+    { name: 'A', columns: [{ key: 'q', label: 'Question' }, { key: 'a', label: 'Answer' }], rows: [{ q: 'Say "hi", twice', a: 1 }] },
+    { name: 'B', columns: [{ key: 't', label: 'Title' }, { key: 'a', label: 'Answer' }], rows: [{ t: 'Line\nbreak', a: null }] },
+  ]);
+  const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+  expect(lines[0]).toBe('Section,Question,Answer,Title');
+  expect(lines[1]).toBe('A,"Say ""hi"", twice",1,');
+  expect(lines[2]).toBe('B,,,"Line\nbreak"');
+});
@@ -0,0 +1,135 @@
+// src/utils/exporters/pdf.js
+// Minimal text-only PDF writer: A4 pages, the built-in Helvetica fonts, word
+// wrapping and page numbers. Good enough for a printable sign-off document
+// without pulling in a PDF library.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// size in pt, bold font or not, grey level, space above in pt
+const STYLES = {
+  h1: { size: 18, bold: true, gray: 0, spaceBefore: 0 },
+  h2: { size: 14, bold: true, gray: 0, spaceBefore: 16 },
+  h3: { size: 11, bold: true, gray: 0, spaceBefore: 10 },
+  body: { size: 10, bold: false, gray: 0, spaceBefore: 2 },
+  muted: { size: 9, bold: false, gray: 0.4, spaceBefore: 2 },
+};
+
+// Average Helvetica glyph width as a share of the font size; wrapping is approximate
+const averageCharWidth = ({ size, bold }) => size * (bold ? 0.56 : 0.5);
+
+const WIN_ANSI_REPLACEMENTS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '…': '...', '•': '-',
+};
+
+// The standard fonts only cover Latin-1; anything else becomes "?"
+const toWinAnsi = (text) => Array.from(String(text ?? ''), (char) => {
+  if (WIN_ANSI_REPLACEMENTS[char]) return WIN_ANSI_REPLACEMENTS[char];
+  const code = char.charCodeAt(0);
+  if (char === '\t') return ' ';
+  return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?';
+}).join('');
+
+const escapePdfText = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+export const wrapText = (text, maxChars) => {
+  const lines = [];
+  toWinAnsi(text).split(/\r?\n/).forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      let rest = word;
+      while (rest.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(rest.slice(0, maxChars));
+        rest = rest.slice(maxChars);
+      }
+      const candidate = line ? `${line} ${rest}` : rest;
+      if (candidate.length > maxChars) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Places the blocks on pages; returns one array of positioned lines per page
+const layout = (blocks) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  blocks.forEach(({ style: styleName = 'body', text }) => {
+    const style = STYLES[styleName] || STYLES.body;
+    const lineHeight = style.size * 1.35;
+    const maxChars = Math.max(10, Math.floor(CONTENT_WIDTH / averageCharWidth(style)));
+    y -= style.spaceBefore;
+    wrapText(text, maxChars).forEach((line) => {
+      if (y - lineHeight < MARGIN + 20) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= lineHeight;
+      pages[pages.length - 1].push({ text: line, x: MARGIN, y, style });
+    });
+  });
+  return pages;
+};
+
+const contentStream = (lines, footerText) => {
+  const footer = footerText ? [{ text: toWinAnsi(footerText), x: MARGIN, y: MARGIN - 10, style: STYLES.muted }] : [];
+  return [...lines, ...footer].map(({ text, x, y, style }) =>
+    `BT /${style.bold ? 'F2' : 'F1'} ${style.size} Tf ${style.gray} g ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfText(text)}) Tj ET`
+  ).join('\n');
+};
+
+/**
+ * @param {Array<{ style?: 'h1'|'h2'|'h3'|'body'|'muted', text: string }>} blocks
+ * @param {{ title?: string, pageFooter?: Function }} [options] - title is stored in the document
+ *   info; pageFooter(pageNumber, pageCount) returns the text at the bottom of each page
+ * @returns {Uint8Array} the .pdf file
+ */
+export const blocksToPdf = (blocks, { title = '', pageFooter } = {}) => {
+  const pages = layout(blocks);
+  const pageCount = pages.length;
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page + content pair per page
+  const pageObjectNumber = (index) => 6 + index * 2;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObjectNumber(index)} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${escapePdfText(toWinAnsi(title))}) /Producer (Green IT Assessment Platform) >>`,
+  ];
+  pages.forEach((lines, index) => {
+    const stream = contentStream(lines, pageFooter?.(index + 1, pageCount));
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectNumber(index) + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(output, (char) => char.charCodeAt(0));
+};
@@ -0,0 +1,22 @@
+import { blocksToPdf, wrapText } from './pdf';
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+test('wraps on word boundaries and splits overlong words', () => {
+  expect(wrapText('one two three', 8)).toEqual(['one two', 'three']);
+  expect(wrapText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+});
+
+test('writes a valid skeleton and adds pages as needed', () => {
+  const blocks = Array.from({ length: 80 }, (_, index) => ({ text: `Line (${index})` }));
+  const pdf = asText(blocksToPdf(blocks, { title: 'Test', pageFooter: (page, pages) => `Seite ${page} von ${pages}` }));
+  expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+  expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+  expect(pdf).toContain('/Count 2');
+  expect(pdf).toContain('(Line \\(0\\)) Tj');
+  expect(pdf).toContain('(Seite 2 von 2) Tj');
+  expect(asText(blocksToPdf(blocks))).not.toContain('Seite');
+
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+});
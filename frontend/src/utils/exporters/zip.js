@@ -0,0 +1,83 @@
+// src/utils/exporters/zip.js
+// Minimal ZIP writer (stored entries, no compression), enough for an XLSX package.
+
+export const encodeUtf8 = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const header = (fields) => {
+  const size = fields.reduce((total, [, length]) => total + length, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  fields.forEach(([value, length]) => {
+    if (length === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    offset += length;
+  });
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * @param {Array<{ name: string, content: string }>} files - Text files, written as UTF-8
+ * @returns {Uint8Array}
+ */
+export const createZip = (files) => {
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encodeUtf8(name);
+    const data = encodeUtf8(content);
+    const crc = crc32(data);
+    // version, flags (bit 11: UTF-8 names), method 0 (stored), time, date, crc, sizes, name length, extra length
+    const common = [[20, 2], [0x0800, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2]];
+
+    const local = header([[0x04034b50, 4], ...common]);
+    parts.push(local, nameBytes, data);
+    centralDirectory.push(
+      header([[0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]),
+      nameBytes
+    );
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directorySize = centralDirectory.reduce((total, part) => total + part.length, 0);
+  const end = header([
+    [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [directorySize, 4], [offset, 4], [0, 2],
+  ]);
+
+  const all = [...parts, ...centralDirectory, end];
+  const result = new Uint8Array(all.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  all.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+};
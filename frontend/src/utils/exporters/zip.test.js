@@ -0,0 +1,18 @@
+import { createZip, crc32, encodeUtf8 } from './zip';
+
+test('computes the standard CRC-32', () => {
+  expect(crc32(encodeUtf8('123456789'))).toBe(0xcbf43926);
+});
+
+test('encodes multi-byte UTF-8', () => {
+  expect(Array.from(encodeUtf8('é€'))).toEqual([0xc3, 0xa9, 0xe2, 0x82, 0xac]);
+});
+
+test('writes local headers and an end-of-central-directory record', () => {
+  const zip = createZip([{ name: 'a.txt', content: 'hello' }, { name: 'b.txt', content: 'world' }]);
+  const view = new DataView(zip.buffer);
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  expect(view.getUint16(end + 10, true)).toBe(2); // entries
+});
@@ -0,0 +1,72 @@
+// src/utils/followupAnswers.js
+// Follow-up questions come in three shapes, picked by their `additional_fields`:
+//   multiple_correct_answer_options - checkboxes ('' adds an "Other" text box)
+//   answer_options                  - single select
+//   subjective_answer               - free text
+// The answer sent to /followup-responses is { values, subjective_value } for the
+// first shape and { value } for the other two.
+
+export const FollowupAnswerType = {
+  MULTI: 'multi',
+  SINGLE: 'single',
+  SUBJECTIVE: 'subjective',
+  NONE: 'none',
+};
+
+// Per-question save state shown next to each follow-up question
+export const AnswerSaveState = {
+  SAVING: 'saving',
+  SAVED: 'saved',
+  FAILED: 'failed',
+};
+
+export const getFollowupAnswerType = (question) => {
+  const fields = question.additional_fields || {};
+  if ((fields.multiple_correct_answer_options || []).length > 0) return FollowupAnswerType.MULTI;
+  if ((fields.answer_options || []).length > 0) return FollowupAnswerType.SINGLE;
+  if ((fields.subjective_answer || []).length > 0) return FollowupAnswerType.SUBJECTIVE;
+  return FollowupAnswerType.NONE;
+};
+
+// Blank input state for a question, in the shape the answer inputs edit
+export const emptyFollowupAnswer = (question) =>
+  getFollowupAnswerType(question) === FollowupAnswerType.MULTI ? { values: [], subjective_value: '' } : '';
+
+/**
+ * Converts input state to the API answer, or null when there is nothing to save.
+ * @param {object} question
+ * @param {any} answerState
+ * @returns {object|null}
+ */
+export const toFollowupAnswer = (question, answerState) => {
+  switch (getFollowupAnswerType(question)) {
+    case FollowupAnswerType.MULTI: {
+      const values = answerState?.values || [];
+      const subjectiveValue = (answerState?.subjective_value || '').trim();
+      return values.length > 0 || subjectiveValue !== '' ? { values, subjective_value: subjectiveValue } : null;
+    }
+    case FollowupAnswerType.SINGLE:
+      return typeof answerState === 'string' && answerState !== '' ? { value: answerState } : null;
+    case FollowupAnswerType.SUBJECTIVE:
+      return typeof answerState === 'string' && answerState.trim() !== '' ? { value: answerState.trim() } : null;
+    default:
+      return null;
+  }
+};
+
+// The reverse of toFollowupAnswer, used to edit a submitted answer
+export const fromFollowupAnswer = (question, answer) => {
+  if (getFollowupAnswerType(question) === FollowupAnswerType.MULTI) {
+    return { values: answer?.values || [], subjective_value: answer?.subjective_value || '' };
+  }
+  return answer?.value ?? '';
+};
+
+// One-line, human-readable version of a submitted answer
+export const formatFollowupAnswer = (answer) => {
+  if (!answer) return '';
+  if (Array.isArray(answer.values)) {
+    return [...answer.values, answer.subjective_value].filter(Boolean).join(', ');
+  }
+  return answer.value ?? '';
+};
@@ -0,0 +1,24 @@
+import { formatFollowupAnswer, fromFollowupAnswer, toFollowupAnswer } from './followupAnswers';
+
+const multi = { additional_fields: { multiple_correct_answer_options: ['A', 'B', ''] } };
+const single = { additional_fields: { answer_options: ['Yearly', 'Never'] } };
+const subjective = { additional_fields: { subjective_answer: [''] } };
+
+test('builds API answers and skips empty ones', () => {
+  expect(toFollowupAnswer(multi, { values: ['A'], subjective_value: ' more ' })).toEqual({ values: ['A'], subjective_value: 'more' });
+  expect(toFollowupAnswer(multi, { values: [], subjective_value: ' ' })).toBeNull();
+  expect(toFollowupAnswer(single, 'Yearly')).toEqual({ value: 'Yearly' });
+  expect(toFollowupAnswer(single, '')).toBeNull();
+  expect(toFollowupAnswer(subjective, '  ')).toBeNull();
+});
+
+test('round-trips a submitted answer back into input state', () => {
+  const answer = toFollowupAnswer(multi, { values: ['B'], subjective_value: 'x' });
+  expect(fromFollowupAnswer(multi, answer)).toEqual({ values: ['B'], subjective_value: 'x' });
+  expect(fromFollowupAnswer(subjective, { value: 'text' })).toBe('text');
+});
+
+test('formats answers for display', () => {
+  expect(formatFollowupAnswer({ values: ['A', 'B'], subjective_value: 'x' })).toBe('A, B, x');
+  expect(formatFollowupAnswer({ value: 'Yearly' })).toBe('Yearly');
+});
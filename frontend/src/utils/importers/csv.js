@@ -0,0 +1,64 @@
+// src/utils/importers/csv.js
+// RFC 4180 CSV reader. Also takes what spreadsheet programs tend to write
+// instead: a UTF-8 BOM, LF line endings and semicolons as separators (Excel in
+// locales where the comma is the decimal mark).
+
+// The separator is whichever of , ; or tab the first line has most of, outside quotes
+const detectSeparator = (text) => {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && char in counts) counts[char] += 1;
+  }
+  return Object.keys(counts).reduce((best, char) => (counts[char] > counts[best] ? char : best), ',');
+};
+
+/**
+ * @param {string} text
+ * @returns {Array<Array<string>>} One array of cells per line; blank lines are left out
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const separator = detectSeparator(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
@@ -0,0 +1,22 @@
+import { tablesToCsv } from '../exporters/csv';
+import { parseCsv } from './csv';
+
+test('reads quoted cells, escaped quotes and line breaks', () => {
+  expect(parseCsv('a,b\r\n"Say ""hi"", twice","Line\nbreak"\r\n')).toEqual([
+    ['a', 'b'],
+    ['Say "hi", twice', 'Line\nbreak'],
+  ]);
+});
+
+test('reads back what tablesToCsv writes', () => {
+  const csv = tablesToCsv([{ name: 'A', columns: [{ key: 'q', label: 'Question' }], rows: [{ q: 'Ünïcode, "quoted"' }] }]);
+  expect(parseCsv(csv)).toEqual([['Section', 'Question'], ['A', 'Ünïcode, "quoted"']]);
+});
+
+test('detects semicolon separators and skips blank lines', () => {
+  expect(parseCsv('question_id;answer\n\nQ1;12,5\nQ2;"A; C"')).toEqual([
+    ['question_id', 'answer'],
+    ['Q1', '12,5'],
+    ['Q2', 'A; C'],
+  ]);
+});
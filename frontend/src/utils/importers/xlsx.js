@@ -0,0 +1,87 @@
+// src/utils/importers/xlsx.js
+// Reads the first worksheet of an Office Open XML workbook as rows of cell
+// values: shared and inline strings, numbers and booleans. Formulas give their
+// cached result; formatting (including date formats) is ignored, so dates come
+// back as Excel serial numbers.
+import { readZip } from './zip';
+
+const parseXml = (bytes) => new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+
+// By local name, so prefixed documents (<x:row>) read the same
+const elements = (parent, name) => Array.from(parent.getElementsByTagNameNS('*', name));
+
+// A string item is one <t>, or several runs (<r><t>) when parts are formatted
+const stringItemText = (item) => elements(item, 't').map((node) => node.textContent).join('');
+
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || '');
+  return letters ? [...letters[0]].reduce((total, char) => total * 26 + (char.charCodeAt(0) - 64), 0) - 1 : null;
+};
+
+const cellValue = (cell, sharedStrings) => {
+  const type = cell.getAttribute('t');
+  if (type === 'inlineStr') {
+    const inline = elements(cell, 'is')[0];
+    return inline ? stringItemText(inline) : '';
+  }
+  const raw = elements(cell, 'v')[0]?.textContent;
+  if (raw === undefined) return '';
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(raw)] ?? '';
+    case 'b':
+      return raw === '1';
+    case 'str':
+    case 'e':
+      return raw;
+    default: {
+      const number = Number(raw);
+      return Number.isFinite(number) ? number : raw;
+    }
+  }
+};
+
+// Path of the first sheet in the workbook, from its relationship
+const firstSheetPath = (files) => {
+  const workbook = files.get('xl/workbook.xml');
+  const relations = files.get('xl/_rels/workbook.xml.rels');
+  if (!workbook || !relations) return null;
+
+  const sheet = elements(parseXml(workbook), 'sheet')[0];
+  const relationId = sheet && (sheet.getAttribute('r:id') || sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id'));
+  const relation = elements(parseXml(relations), 'Relationship').find((item) => item.getAttribute('Id') === relationId);
+  if (!relation) return null;
+
+  const target = relation.getAttribute('Target');
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * @param {Uint8Array} bytes - The .xlsx file
+ * @returns {Promise<Array<Array<string|number|boolean>>>} One array per row; empty cells are ''
+ * @throws {Error} When the file isn't a workbook
+ */
+export const readXlsxRows = async (bytes) => {
+  const files = await readZip(bytes);
+  const sheetPath = firstSheetPath(files);
+  const sheet = sheetPath && files.get(sheetPath);
+  if (!sheet) throw new Error('No worksheet found');
+
+  const sharedStringsFile = files.get('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsFile ? elements(parseXml(sharedStringsFile), 'si').map(stringItemText) : [];
+
+  const rows = [];
+  elements(parseXml(sheet), 'row').forEach((rowElement, position) => {
+    // r is optional; without it rows and cells follow one another
+    const rowIndex = Number(rowElement.getAttribute('r') || position + 1) - 1;
+    const row = [];
+    elements(rowElement, 'c').forEach((cell) => {
+      const index = columnIndex(cell.getAttribute('r')) ?? row.length;
+      while (row.length < index) row.push('');
+      row[index] = cellValue(cell, sharedStrings);
+    });
+    while (rows.length < rowIndex) rows.push([]);
+    rows[rowIndex] = row;
+  });
+  return rows;
+};
@@ -0,0 +1,41 @@
+import { createZip } from '../exporters/zip';
+import { tablesToXlsx } from '../exporters/xlsx';
+import { readXlsxRows } from './xlsx';
+
+test('reads back the first sheet written by tablesToXlsx', async () => {
+  const xlsx = tablesToXlsx([
+    { name: 'Answers', columns: [{ key: 'id', label: 'question_id' }, { key: 'answer', label: 'answer' }], rows: [{ id: 'Q1', answer: 'B' }, { id: 'Q2', answer: 42 }, { id: 'Q3' }] },
+    { name: 'Other', columns: [{ key: 'x', label: 'x' }], rows: [{ x: 'ignored' }] },
+  ]);
+  expect(await readXlsxRows(xlsx)).toEqual([['question_id', 'answer'], ['Q1', 'B'], ['Q2', 42], ['Q3']]);
+});
+
+test('reads shared strings, booleans and gaps as spreadsheet programs write them', async () => {
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const xlsx = createZip([
+    {
+      name: 'xl/workbook.xml',
+      content: `<workbook xmlns="${main}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Data" sheetId="1" r:id="rId3"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId3" Target="/xl/worksheets/data.xml"/></Relationships>',
+    },
+    {
+      name: 'xl/sharedStrings.xml',
+      content: `<sst xmlns="${main}"><si><t>question_id</t></si><si><r><t>ans</t></r><r><t>wer</t></r></si><si><t>Q7</t></si></sst>`,
+    },
+    {
+      name: 'xl/worksheets/data.xml',
+      content: `<x:worksheet xmlns:x="${main}"><x:sheetData>`
+        + '<x:row r="2"><x:c r="A2" t="s"><x:v>0</x:v></x:c><x:c r="C2" t="s"><x:v>1</x:v></x:c></x:row>'
+        + '<x:row r="3"><x:c r="A3" t="s"><x:v>2</x:v></x:c><x:c r="C3" t="b"><x:v>1</x:v></x:c></x:row>'
+        + '</x:sheetData></x:worksheet>',
+    },
+  ]);
+  expect(await readXlsxRows(xlsx)).toEqual([[], ['question_id', '', 'answer'], ['Q7', '', true]]);
+});
+
+test('rejects archives without a worksheet', async () => {
+  await expect(readXlsxRows(createZip([{ name: 'a.txt', content: 'x' }]))).rejects.toThrow('No worksheet found');
+});
@@ -0,0 +1,82 @@
+// src/utils/importers/zip.js
+// Minimal ZIP reader, enough for an XLSX package. Entries are stored or
+// deflated (what spreadsheet programs write); deflated ones are inflated with
+// the browser's DecompressionStream.
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+const inflateRaw = async (bytes) => {
+  const stream = new DecompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  writer.write(bytes);
+  writer.close();
+
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+  }
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+};
+
+// The end record sits in the last 22 bytes, unless the archive has a comment
+const findEndOfDirectory = (view) => {
+  for (let offset = view.byteLength - 22; offset >= Math.max(0, view.byteLength - 22 - 0xffff); offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_DIRECTORY) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Reads the files of a ZIP archive.
+ * @param {Uint8Array} zip
+ * @returns {Promise<Map<string, Uint8Array>>} Contents by file name
+ * @throws {Error} When the data isn't a ZIP archive or uses another compression
+ */
+export const readZip = async (zip) => {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length >= 22 ? findEndOfDirectory(view) : -1;
+  if (end === -1) throw new Error('Not a ZIP archive');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let index = 0; index < count; index += 1) {
+    if (view.getUint32(offset, true) !== DIRECTORY_ENTRY) throw new Error('Damaged ZIP directory');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Sizes are taken from the directory: the local header may leave them out (bit 3)
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error('Damaged ZIP entry');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = zip.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      files.set(name, data);
+    } else if (method === METHOD_DEFLATE) {
+      files.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+  }
+  return files;
+};
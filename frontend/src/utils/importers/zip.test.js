@@ -0,0 +1,56 @@
+import { deflateRawSync } from 'zlib';
+import { createZip, crc32, encodeUtf8 } from '../exporters/zip';
+import { readZip } from './zip';
+
+// One deflated entry, as spreadsheet programs write them
+const deflatedZip = (name, content) => {
+  const nameBytes = encodeUtf8(name);
+  const data = encodeUtf8(content);
+  const compressed = deflateRawSync(Buffer.from(data));
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(14, crc32(data), true);
+  local.setUint32(18, compressed.length, true);
+  local.setUint32(22, data.length, true);
+  local.setUint16(26, nameBytes.length, true);
+  const directory = new DataView(new ArrayBuffer(46));
+  directory.setUint32(0, 0x02014b50, true);
+  directory.setUint16(10, 8, true);
+  directory.setUint32(16, crc32(data), true);
+  directory.setUint32(20, compressed.length, true);
+  directory.setUint32(24, data.length, true);
+  directory.setUint16(28, nameBytes.length, true);
+  const directoryOffset = 30 + nameBytes.length + compressed.length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, directoryOffset, true);
+
+  const parts = [new Uint8Array(local.buffer), nameBytes, compressed, new Uint8Array(directory.buffer), nameBytes, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((position, part) => {
+    zip.set(part, position);
+    return position + part.length;
+  }, 0);
+  return zip;
+};
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test('reads the stored entries written by createZip', async () => {
+  const files = await readZip(createZip([{ name: 'a.txt', content: 'hello' }, { name: 'dir/b.txt', content: 'wörld' }]));
+  expect([...files.keys()]).toEqual(['a.txt', 'dir/b.txt']);
+  expect(text(files.get('dir/b.txt'))).toBe('wörld');
+});
+
+test('inflates deflated entries', async () => {
+  const files = await readZip(deflatedZip('sheet.xml', '<row>'.repeat(100)));
+  expect(text(files.get('sheet.xml'))).toBe('<row>'.repeat(100));
+});
+
+test('rejects data that is not a ZIP archive', async () => {
+  await expect(readZip(encodeUtf8('question_id,answer\nQ1,A\n'))).rejects.toThrow('Not a ZIP archive');
+});
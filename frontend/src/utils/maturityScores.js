@@ -0,0 +1,57 @@
+// src/utils/maturityScores.js
+// Green IT maturity per category, from the scored survey and follow-up answers
+// (see answerScoring.js). A category scores the average of its answers; the
+// overall score averages the categories, so a category with many questions
+// doesn't outweigh the others.
+import { scoreAnswer, scoreFollowupAnswer } from './answerScoring';
+import { UNCATEGORISED } from './categories';
+
+// Lower bound of each level, on the 0-1 score scale. Labels are translated
+// under maturity.levels.<key>.
+export const MATURITY_LEVELS = [
+  { min: 0.8, key: 'leading' },
+  { min: 0.6, key: 'established' },
+  { min: 0.4, key: 'developing' },
+  { min: 0.2, key: 'emerging' },
+  { min: 0, key: 'initial' },
+];
+
+// Level key for a score, '' when there is none
+export const maturityLevel = (score) =>
+  (score === null ? '' : MATURITY_LEVELS.find((level) => score >= level.min).key);
+
+// 0.734 -> 73
+export const toPercent = (score) => (score === null ? null : Math.round(score * 100));
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * @param {object} sources
+ * @param {Array<object>} sources.surveyQuestions - From getSurveyQuestions
+ * @param {Array<object>} sources.surveyResponses - From getSurveyResponses
+ * @param {Array<object>} [sources.followupResponses] - From getFollowupResponses
+ * @returns {{ overall: number|null, level: string, categories: Array<{ category: string, score: number|null, level: string, scoredCount: number }> }}
+ *   Categories in survey order; a category without scored answers has a null score.
+ *   Answers without a category count under UNCATEGORISED (see utils/categories).
+ */
+export const computeMaturityScores = ({ surveyQuestions = [], surveyResponses = [], followupResponses = [] }) => {
+  const categories = new Map();
+  const addScore = (category, score) => {
+    const key = category || UNCATEGORISED;
+    if (!categories.has(key)) categories.set(key, []);
+    if (score !== null) categories.get(key).push(score);
+  };
+
+  const answers = new Map(surveyResponses.map((item) => [item.question_id, item.answer]));
+  surveyQuestions.forEach((question) => {
+    if (answers.has(question.question_id)) addScore(question.category, scoreAnswer(question, answers.get(question.question_id)));
+  });
+  followupResponses.forEach((item) => addScore(item.category, scoreFollowupAnswer(item, item.answer)));
+
+  const categoryScores = [...categories].map(([category, scores]) => {
+    const score = average(scores);
+    return { category, score, level: maturityLevel(score), scoredCount: scores.length };
+  });
+  const overall = average(categoryScores.map((item) => item.score).filter((score) => score !== null));
+  return { overall, level: maturityLevel(overall), categories: categoryScores };
+};
@@ -0,0 +1,48 @@
+import { computeMaturityScores, maturityLevel, toPercent } from './maturityScores';
+
+const surveyQuestions = [
+  { question_id: 'Q1', category: 'Energy', options: [{ option_letter: 'A', score: 0 }, { option_letter: 'B', score: 1 }] },
+  { question_id: 'Q2', category: 'Energy', answer_type: 'percentage', scoring: { best: 100, worst: 0 } },
+  { question_id: 'Q3', category: 'Hardware', answer_type: 'yes_no', scoring: { yes: 1, no: 0 } },
+  { question_id: 'Q4', category: 'Strategy', content: 'Targets?' },
+];
+
+test('averages scored answers per category and categories overall', () => {
+  const result = computeMaturityScores({
+    surveyQuestions,
+    surveyResponses: [
+      { question_id: 'Q1', answer: 'B' },
+      { question_id: 'Q2', answer: 50 },
+      { question_id: 'Q3', answer: false },
+      { question_id: 'Q4', answer: 'None yet' },
+    ],
+  });
+  expect(result.categories).toEqual([
+    { category: 'Energy', score: 0.75, level: 'established', scoredCount: 2 },
+    { category: 'Hardware', score: 0, level: 'initial', scoredCount: 1 },
+    { category: 'Strategy', score: null, level: '', scoredCount: 0 },
+  ]);
+  expect(result.overall).toBe(0.375);
+  expect(result.level).toBe('emerging');
+});
+
+test('counts scored follow-up answers in their category', () => {
+  const followupResponses = [
+    { question_id: 'F1', category: 'Hardware', additional_fields: { answer_options: ['Never', 'Yearly'], option_scores: { Never: 0, Yearly: 1 } }, answer: { value: 'Yearly' } },
+    { question_id: 'F2', category: 'Cloud', additional_fields: { subjective_answer: [''] }, answer: { value: 'text' } },
+  ];
+  const result = computeMaturityScores({ surveyQuestions, surveyResponses: [{ question_id: 'Q3', answer: false }], followupResponses });
+  expect(result.categories.map(({ category, score }) => [category, score])).toEqual([['Hardware', 0.5], ['Cloud', null]]);
+  expect(result.overall).toBe(0.5);
+});
+
+test('has no overall score without scored answers', () => {
+  expect(computeMaturityScores({ surveyQuestions, surveyResponses: [] })).toEqual({ overall: null, level: '', categories: [] });
+});
+
+test('maps scores to levels and percentages', () => {
+  expect(maturityLevel(0.8)).toBe('leading');
+  expect(maturityLevel(0.19)).toBe('initial');
+  expect(toPercent(0.734)).toBe(73);
+  expect(toPercent(null)).toBeNull();
+});
@@ -0,0 +1,62 @@
+// src/utils/pipelineStatus.js
+// Statuses reported by /recommendations/status and the status stream, plus the
+// retry timing shared by everything that watches the pipeline.
+import { defaultI18n } from '../i18n';
+
+export const PipelineStatus = {
+  SESSION_CREATED: 'session_created',
+  STARTED: 'started',
+  PIPELINE_RUNNING: 'pipeline_running',
+  GENERATING_REPORT: 'generating_report',
+  READY: 'ready',
+  ERROR: 'error',
+  NOT_FOUND: 'not_found',
+};
+
+const KNOWN_STATUSES = new Set(Object.values(PipelineStatus));
+
+// Statuses after which the pipeline will not change any more
+export const FINAL_STATUSES = [PipelineStatus.READY, PipelineStatus.ERROR, PipelineStatus.NOT_FOUND];
+
+// Statuses after which no more follow-up questions will be released
+export const FOLLOWUP_CLOSED_STATUSES = [PipelineStatus.GENERATING_REPORT, ...FINAL_STATUSES];
+
+export const isKnownStatus = (status) => KNOWN_STATUSES.has(status);
+
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+export const isFollowupClosed = (status) => FOLLOWUP_CLOSED_STATUSES.includes(status);
+
+// Every status from `started` on means the survey answers are in
+export const isSurveySubmitted = (status) =>
+  isKnownStatus(status) && status !== PipelineStatus.SESSION_CREATED && status !== PipelineStatus.NOT_FOUND;
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential growth capped at
+ * `maxMs`, with "equal jitter" so clients that failed together don't retry together.
+ * @param {number} attempt
+ * @param {{ baseMs?: number, maxMs?: number, random?: Function }} [options]
+ * @returns {number} milliseconds
+ */
+export const backoffDelay = (attempt, { baseMs = 2000, maxMs = 60000, random = Math.random } = {}) => {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+// Labels live in the translation catalogs under status.*
+export const statusLabel = (status, { t } = defaultI18n) =>
+  (Object.values(PipelineStatus).includes(status) ? t(`status.${status}`) : t('status.unknown', { status }));
+
+// Where to continue a session: the survey until it is submitted, follow-up
+// questions while the pipeline runs, the report page from then on
+export const resumePathForStatus = (status) => {
+  switch (status) {
+    case PipelineStatus.SESSION_CREATED:
+      return '/survey';
+    case PipelineStatus.STARTED:
+    case PipelineStatus.PIPELINE_RUNNING:
+      return '/followup';
+    default:
+      return '/recommendations';
+  }
+};
@@ -0,0 +1,31 @@
+import { backoffDelay, isFinalStatus, isFollowupClosed, isKnownStatus, isSurveySubmitted, resumePathForStatus } from './pipelineStatus';
+
+test('backoff grows exponentially up to the cap', () => {
+  const top = { random: () => 1 };
+  expect(backoffDelay(1, top)).toBe(2000);
+  expect(backoffDelay(2, top)).toBe(4000);
+  expect(backoffDelay(3, top)).toBe(8000);
+  expect(backoffDelay(10, top)).toBe(60000);
+});
+
+test('backoff jitter stays within the upper half of the window', () => {
+  expect(backoffDelay(3, { random: () => 0 })).toBe(4000);
+  expect(backoffDelay(3, { random: () => 0.5 })).toBe(6000);
+});
+
+test('classifies statuses', () => {
+  expect(isFinalStatus('ready')).toBe(true);
+  expect(isFinalStatus('generating_report')).toBe(false);
+  expect(isFollowupClosed('generating_report')).toBe(true);
+  expect(isFollowupClosed('pipeline_running')).toBe(false);
+  expect(isKnownStatus('queued')).toBe(false);
+  expect(isSurveySubmitted('started')).toBe(true);
+  expect(isSurveySubmitted('session_created')).toBe(false);
+});
+
+test('resumes each phase on the right page', () => {
+  expect(resumePathForStatus('session_created')).toBe('/survey');
+  expect(resumePathForStatus('pipeline_running')).toBe('/followup');
+  expect(resumePathForStatus('ready')).toBe('/recommendations');
+  expect(resumePathForStatus('something_new')).toBe('/recommendations');
+});
@@ -0,0 +1,197 @@
+// src/utils/questionBank.js
+// Editing helpers for the survey question bank (the /admin console).
+//
+// The bank is { version, updated_at, updated_by, questions }. Questions and
+// options are never deleted once published: submitted answers refer to them by
+// question_id and option_letter, so they are retired instead (`retired: true`)
+// and left out of /survey-questions. For the same reason ids and letters never
+// change; reordering only moves them.
+//
+// Exports are JSON files tagged with QUESTION_BANK_FORMAT and a schema version,
+// plus the bank version they were taken from.
+import { defaultI18n } from '../i18n';
+import { AnswerType, getAnswerType } from './surveyAnswers';
+
+export const QUESTION_BANK_FORMAT = 'green-it-question-bank';
+
+// Bump when the file layout changes; older files must still import
+export const QUESTION_BANK_SCHEMA_VERSION = 1;
+
+const CHOICE_TYPES = [AnswerType.SINGLE_CHOICE, AnswerType.MULTI_CHOICE];
+
+// Questions answered by picking options; only these show the option editor
+export const hasOptions = (question) => CHOICE_TYPES.includes(getAnswerType(question));
+
+// A question as the survey would show it: retired options left out
+export const toPublishedQuestion = (question) => (question.options
+  ? { ...question, options: question.options.filter((option) => !option.retired) }
+  : question);
+
+/**
+ * Next free question id ("Q12" after "Q11"), counting retired questions too.
+ * @param {Array<object>} questions
+ * @returns {string}
+ */
+export const nextQuestionId = (questions) => {
+  const highest = questions.reduce((max, { question_id: id }) => {
+    const match = /^Q(\d+)$/.exec(id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `Q${highest + 1}`;
+};
+
+const letterToNumber = (letter) => [...letter].reduce((total, char) => total * 26 + (char.charCodeAt(0) - 64), 0);
+
+const numberToLetter = (number) => {
+  let letters = '';
+  for (let rest = number; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Next free option letter: "D" after "A"-"C", "AA" after "Z". Letters of
+ * retired options stay taken.
+ * @param {Array<object>} options
+ * @returns {string}
+ */
+export const nextOptionLetter = (options = []) => {
+  const highest = options.reduce((max, { option_letter: letter }) => (
+    /^[A-Z]+$/.test(letter || '') ? Math.max(max, letterToNumber(letter)) : max
+  ), 0);
+  return numberToLetter(highest + 1);
+};
+
+/**
+ * A blank single-choice question with two empty options.
+ * @param {Array<object>} questions - The bank, for the next free id
+ * @param {string} [category] - Defaults to the category of the last question
+ */
+export const createQuestion = (questions, category = questions[questions.length - 1]?.category || '') => ({
+  question_id: nextQuestionId(questions),
+  category,
+  content: '',
+  options: [
+    { option_letter: 'A', content: '' },
+    { option_letter: 'B', content: '' },
+  ],
+});
+
+/**
+ * Copy of the list with one item moved up (offset -1) or down (+1).
+ * Moves past either end leave the list unchanged.
+ */
+export const moveItem = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const moved = [...list];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+/**
+ * Problems that would stop the bank from being saved.
+ * Retired questions are only checked for a unique id. Published questions and
+ * options missing from the list are problems too, e.g. after importing an
+ * older or hand-written file: saving would delete them.
+ * @param {Array<object>} questions
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @param {Array<object>} [published] - The saved bank's questions
+ * @returns {Array<{ questionId: string, message: string }>}
+ */
+export const validateQuestionBank = (questions, { t } = defaultI18n, published = []) => {
+  const problems = [];
+  const seenIds = new Set();
+
+  questions.forEach((question) => {
+    const questionId = question.question_id;
+    const add = (key, params) => problems.push({ questionId, message: t(key, { id: questionId, ...params }) });
+
+    if (!questionId) {
+      add('admin.validation.missingId');
+      return;
+    }
+    if (seenIds.has(questionId)) add('admin.validation.duplicateId');
+    seenIds.add(questionId);
+    if (question.retired) return;
+
+    if (!String(question.content || '').trim()) add('admin.validation.emptyContent');
+    if (!hasOptions(question)) return;
+
+    const options = question.options || [];
+    const letters = options.map((option) => option.option_letter);
+    const duplicate = letters.find((letter, index) => letters.indexOf(letter) !== index);
+    if (duplicate) add('admin.validation.duplicateLetter', { letter: duplicate });
+
+    const active = options.filter((option) => !option.retired);
+    if (active.length < 2) add('admin.validation.tooFewOptions');
+    active
+      .filter((option) => !String(option.content || '').trim())
+      .forEach((option) => add('admin.validation.emptyOption', { letter: option.option_letter }));
+    active
+      .filter((option) => option.score !== undefined && !(Number.isFinite(option.score) && option.score >= 0 && option.score <= 1))
+      .forEach((option) => add('admin.validation.optionScore', { letter: option.option_letter }));
+  });
+
+  const byId = new Map(questions.map((question) => [question.question_id, question]));
+  published.forEach(({ question_id: questionId, options = [] }) => {
+    const question = byId.get(questionId);
+    if (!question) {
+      problems.push({ questionId, message: t('admin.validation.publishedMissing', { id: questionId }) });
+      return;
+    }
+    const letters = new Set((question.options || []).map((option) => option.option_letter));
+    options
+      .filter((option) => !letters.has(option.option_letter))
+      .forEach((option) => problems.push({
+        questionId,
+        message: t('admin.validation.publishedOptionMissing', { id: questionId, letter: option.option_letter }),
+      }));
+  });
+
+  return problems;
+};
+
+/**
+ * The file written by "Export JSON".
+ * @param {{ version: number, questions: Array<object> }} bank
+ * @param {Date} [exportedAt]
+ */
+export const buildQuestionBankExport = (bank, exportedAt = new Date()) => ({
+  format: QUESTION_BANK_FORMAT,
+  schema_version: QUESTION_BANK_SCHEMA_VERSION,
+  version: bank.version,
+  exported_at: exportedAt.toISOString(),
+  questions: bank.questions,
+});
+
+/**
+ * Reads an exported question bank. A plain array of questions is accepted as
+ * well, for banks written by hand.
+ * @param {string} text - The file's contents
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @returns {{ questions: Array<object>, version: number|null, error: null } | { error: string }}
+ *   `version` is the bank version the file was exported from, if known
+ */
+export const parseQuestionBankImport = (text, { t } = defaultI18n) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: t('admin.import.notJson') };
+  }
+
+  if (Array.isArray(data)) data = { questions: data };
+  if (!data || typeof data !== 'object' || (data.format && data.format !== QUESTION_BANK_FORMAT)) {
+    return { error: t('admin.import.wrongFormat') };
+  }
+  if (data.schema_version > QUESTION_BANK_SCHEMA_VERSION) {
+    return { error: t('admin.import.newerSchema', { version: data.schema_version }) };
+  }
+  if (!Array.isArray(data.questions) || data.questions.some((question) => !question || typeof question !== 'object')) {
+    return { error: t('admin.import.noQuestions') };
+  }
+
+  return { questions: data.questions, version: Number.isInteger(data.version) ? data.version : null, error: null };
+};
@@ -0,0 +1,114 @@
+import {
+  QUESTION_BANK_FORMAT,
+  buildQuestionBankExport,
+  createQuestion,
+  moveItem,
+  nextOptionLetter,
+  nextQuestionId,
+  parseQuestionBankImport,
+  toPublishedQuestion,
+  validateQuestionBank,
+} from './questionBank';
+
+const choice = (overrides = {}) => ({
+  question_id: 'Q1',
+  category: 'Energy',
+  content: 'Do you measure energy use?',
+  options: [
+    { option_letter: 'A', content: 'No' },
+    { option_letter: 'B', content: 'Yes' },
+  ],
+  ...overrides,
+});
+
+describe('ids and letters', () => {
+  it('continues after the highest question id, retired ones included', () => {
+    expect(nextQuestionId([{ question_id: 'Q2' }, { question_id: 'Q11', retired: true }, { question_id: 'custom' }])).toBe('Q12');
+    expect(nextQuestionId([])).toBe('Q1');
+  });
+
+  it('continues after the highest option letter', () => {
+    expect(nextOptionLetter([{ option_letter: 'B' }, { option_letter: 'A', retired: true }])).toBe('C');
+    expect(nextOptionLetter([{ option_letter: 'Z' }])).toBe('AA');
+    expect(nextOptionLetter([{ option_letter: 'AZ' }])).toBe('BA');
+    expect(nextOptionLetter()).toBe('A');
+  });
+
+  it('creates a blank question in the last category', () => {
+    expect(createQuestion([choice()])).toEqual({
+      question_id: 'Q2',
+      category: 'Energy',
+      content: '',
+      options: [{ option_letter: 'A', content: '' }, { option_letter: 'B', content: '' }],
+    });
+  });
+});
+
+test('moveItem swaps neighbours and ignores moves past the ends', () => {
+  const list = ['a', 'b', 'c'];
+  expect(moveItem(list, 1, -1)).toEqual(['b', 'a', 'c']);
+  expect(moveItem(list, 1, 1)).toEqual(['a', 'c', 'b']);
+  expect(moveItem(list, 0, -1)).toBe(list);
+  expect(moveItem(list, 2, 1)).toBe(list);
+});
+
+test('toPublishedQuestion leaves out retired options', () => {
+  const question = choice({ options: [{ option_letter: 'A', content: 'No', retired: true }, { option_letter: 'B', content: 'Yes' }] });
+  expect(toPublishedQuestion(question).options).toEqual([{ option_letter: 'B', content: 'Yes' }]);
+});
+
+describe('validateQuestionBank', () => {
+  const messages = (questions) => validateQuestionBank(questions).map((problem) => problem.message);
+
+  it('accepts a complete bank', () => {
+    expect(messages([choice(), { question_id: 'Q2', content: 'Notes', answer_type: 'text' }])).toEqual([]);
+  });
+
+  it('reports empty texts, too few options, duplicates and bad scores', () => {
+    expect(messages([
+      choice({ content: ' ', options: [{ option_letter: 'A', content: '' }, { option_letter: 'B', content: 'Yes', retired: true }] }),
+      choice({ options: [{ option_letter: 'A', content: 'No', score: 2 }, { option_letter: 'A', content: 'Yes' }] }),
+    ])).toEqual([
+      'Q1: the question has no text.',
+      "Q1: a choice question needs at least two options that aren't retired.",
+      'Q1: option A has no text.',
+      'Q1: another question has the same ID.',
+      'Q1: option A appears twice.',
+      'Q1: the score of option A must be between 0 and 1.',
+    ]);
+  });
+
+  it('reports published questions and options missing from the list', () => {
+    const published = [choice(), choice({ question_id: 'Q2' })];
+    const problems = validateQuestionBank([choice({ options: [{ option_letter: 'B', content: 'Yes' }, { option_letter: 'C', content: 'Maybe' }] })], undefined, published);
+    expect(problems.map((problem) => problem.message)).toEqual([
+      'Q1: option A is published and would be deleted. Keep it and retire it instead.',
+      'Q2: the question is published and would be deleted. Keep it and retire it instead.',
+    ]);
+    expect(validateQuestionBank([choice({ retired: true }), choice({ question_id: 'Q2' })], undefined, published)).toEqual([]);
+  });
+
+  it('only checks the id of retired questions', () => {
+    expect(messages([choice({ content: '', retired: true })])).toEqual([]);
+  });
+});
+
+describe('import and export', () => {
+  it('round-trips an export', () => {
+    const exported = buildQuestionBankExport({ version: 4, questions: [choice()] }, new Date('2024-05-01T09:00:00Z'));
+    expect(exported).toMatchObject({ format: QUESTION_BANK_FORMAT, schema_version: 1, version: 4, exported_at: '2024-05-01T09:00:00.000Z' });
+    expect(parseQuestionBankImport(JSON.stringify(exported))).toEqual({ questions: [choice()], version: 4, error: null });
+  });
+
+  it('accepts a plain list of questions', () => {
+    expect(parseQuestionBankImport(JSON.stringify([choice()]))).toEqual({ questions: [choice()], version: null, error: null });
+  });
+
+  it('explains why a file is rejected', () => {
+    expect(parseQuestionBankImport('{').error).toBe("The file isn't valid JSON.");
+    expect(parseQuestionBankImport('{"format":"other","questions":[]}').error).toBe("The file isn't a question bank export.");
+    expect(parseQuestionBankImport(`{"format":"${QUESTION_BANK_FORMAT}","schema_version":2,"questions":[]}`).error)
+      .toBe('The file was written by a newer version of the app (format 2).');
+    expect(parseQuestionBankImport('{"questions":"Q1"}').error).toBe("The file doesn't contain a list of questions.");
+  });
+});
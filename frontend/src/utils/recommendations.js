@@ -0,0 +1,61 @@
+// src/utils/recommendations.js
+// Grouping and filtering for the structured recommendations from getRecommendations.
+import { UNCATEGORISED } from './categories';
+
+// priority, impact and effort all use the same three levels
+export const LEVELS = ['high', 'medium', 'low'];
+
+const levelRank = (level) => {
+  const index = LEVELS.indexOf(level);
+  return index === -1 ? LEVELS.length : index;
+};
+
+/**
+ * Groups recommendations by category and subcategory, keeping the order in which
+ * categories first appear. Within a subcategory, higher priority comes first.
+ * A missing category or subcategory is UNCATEGORISED (see utils/categories).
+ * @param {Array<object>} recommendations
+ * @returns {Array<{ category: string, subcategories: Array<{ subcategory: string, items: Array<object> }> }>}
+ */
+export const groupRecommendations = (recommendations) => {
+  const categories = new Map();
+  recommendations.forEach((item) => {
+    const category = item.category || UNCATEGORISED;
+    const subcategory = item.subcategory || UNCATEGORISED;
+    if (!categories.has(category)) categories.set(category, new Map());
+    const subcategories = categories.get(category);
+    if (!subcategories.has(subcategory)) subcategories.set(subcategory, []);
+    subcategories.get(subcategory).push(item);
+  });
+
+  return Array.from(categories, ([category, subcategories]) => ({
+    category,
+    subcategories: Array.from(subcategories, ([subcategory, items]) => ({
+      subcategory,
+      items: [...items].sort((a, b) => levelRank(a.priority) - levelRank(b.priority)),
+    })),
+  }));
+};
+
+/**
+ * Free-text search (title, description, rationale and quoted answers) plus an
+ * optional priority filter.
+ * @param {Array<object>} recommendations
+ * @param {{ query?: string, priority?: string }} filters - Empty values match everything
+ */
+export const filterRecommendations = (recommendations, { query = '', priority = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return recommendations.filter((item) => {
+    if (priority && item.priority !== priority) return false;
+    if (!needle) return true;
+    const haystack = [
+      item.title,
+      item.description,
+      item.rationale,
+      item.category,
+      item.subcategory,
+      ...(item.based_on || []).flatMap((evidence) => [evidence.question, evidence.answer]),
+    ];
+    return haystack.some((text) => String(text ?? '').toLowerCase().includes(needle));
+  });
+};
@@ -0,0 +1,21 @@
+import { UNCATEGORISED } from './categories';
+import { filterRecommendations, groupRecommendations } from './recommendations';
+
+const recommendations = [
+  { id: 'R1', title: 'Meter energy', category: 'Energy', subcategory: 'Measurement', priority: 'low' },
+  { id: 'R2', title: 'Green tariff', category: 'Energy', subcategory: 'Measurement', priority: 'high' },
+  { id: 'R3', title: 'Refurbish', category: 'Hardware', priority: 'medium', based_on: [{ question: 'End of life?', answer: 'Certified recycler' }] },
+];
+
+test('groups by category and subcategory with high priority first', () => {
+  const groups = groupRecommendations(recommendations);
+  expect(groups.map((group) => group.category)).toEqual(['Energy', 'Hardware']);
+  expect(groups[0].subcategories[0].items.map((item) => item.id)).toEqual(['R2', 'R1']);
+  expect(groups[1].subcategories[0].subcategory).toBe(UNCATEGORISED);
+});
+
+test('filters by priority and searches quoted answers', () => {
+  expect(filterRecommendations(recommendations, { priority: 'high' }).map((item) => item.id)).toEqual(['R2']);
+  expect(filterRecommendations(recommendations, { query: 'recycler' }).map((item) => item.id)).toEqual(['R3']);
+  expect(filterRecommendations(recommendations, {})).toHaveLength(3);
+});
@@ -0,0 +1,143 @@
+// src/utils/surveyAnswers.js
+// Answer types for survey questions: validation and payload shapes.
+//
+// The input is chosen by `question.answer_type`. Questions without one keep the
+// original behaviour: a single choice when `options` exist, free text otherwise.
+import { defaultI18n } from '../i18n';
+
+export const AnswerType = {
+  SINGLE_CHOICE: 'single_choice', // options -> "B"
+  MULTI_CHOICE: 'multi_choice', // options -> ["A", "C"]
+  TEXT: 'text', // free text -> "..."
+  NUMBER: 'number', // unit/min/max/step -> 42.5
+  PERCENTAGE: 'percentage', // 0-100 unless min/max given -> 35
+  LIKERT: 'likert', // scale { min, max, min_label, max_label } -> 4
+  DATE: 'date', // min/max as YYYY-MM-DD -> "2024-03-31"
+  YES_NO: 'yes_no', // -> true / false
+};
+
+export const getAnswerType = (question) => {
+  if (question.answer_type && Object.values(AnswerType).includes(question.answer_type)) {
+    return question.answer_type;
+  }
+  return question.options && question.options.length > 0 ? AnswerType.SINGLE_CHOICE : AnswerType.TEXT;
+};
+
+// True when the answer counts as given. `false` (a "No") and 0 are real answers.
+export const isAnswered = (value) => {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+};
+
+export const getLikertScale = (question) => ({ min: 1, max: 5, ...(question.scale || {}) });
+
+const numericRange = (question, type) => ({
+  min: question.min ?? (type === AnswerType.PERCENTAGE ? 0 : undefined),
+  max: question.max ?? (type === AnswerType.PERCENTAGE ? 100 : undefined),
+});
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks an answered value against the question's constraints.
+ * Missing answers are not reported here (see isAnswered).
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @returns {string|null} a user-facing error message, or null when valid
+ */
+export const validateAnswer = (question, value, { t, formatNumber, formatDate } = defaultI18n) => {
+  if (!isAnswered(value)) return null;
+  const type = getAnswerType(question);
+  const letters = (question.options || []).map((option) => option.option_letter);
+
+  switch (type) {
+    case AnswerType.SINGLE_CHOICE:
+      return letters.includes(value) ? null : t('validation.chooseOption');
+    case AnswerType.MULTI_CHOICE:
+      return value.every((letter) => letters.includes(letter)) ? null : t('validation.chooseListed');
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE: {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return t('validation.number');
+      const { min, max } = numericRange(question, type);
+      const unit = type === AnswerType.PERCENTAGE ? '%' : question.unit ? ` ${question.unit}` : '';
+      if (min !== undefined && number < min) return t('validation.min', { min: `${formatNumber(min)}${unit}` });
+      if (max !== undefined && number > max) return t('validation.max', { max: `${formatNumber(max)}${unit}` });
+      return null;
+    }
+    case AnswerType.LIKERT: {
+      const { min, max } = getLikertScale(question);
+      return Number.isInteger(value) && value >= min && value <= max ? null : t('validation.rating', { min, max });
+    }
+    case AnswerType.DATE:
+      if (!ISO_DATE.test(value) || Number.isNaN(Date.parse(value))) return t('validation.date');
+      if (question.min && value < question.min) return t('validation.dateMin', { min: formatDate(question.min) });
+      if (question.max && value > question.max) return t('validation.dateMax', { max: formatDate(question.max) });
+      return null;
+    case AnswerType.YES_NO:
+      return typeof value === 'boolean' ? null : t('validation.yesNo');
+    default:
+      return null;
+  }
+};
+
+// Answered and valid: the bar for leaving a step or submitting
+export const isAnswerComplete = (question, value) => isAnswered(value) && validateAnswer(question, value) === null;
+
+/**
+ * Converts the form value into the shape sent by submitSurveyResponses.
+ * Numbers are kept as typed while editing and only converted here.
+ */
+export const toPayloadAnswer = (question, value) => {
+  switch (getAnswerType(question)) {
+    case AnswerType.MULTI_CHOICE: {
+      // Keep the order the options are listed in, not the order they were clicked
+      const letters = (question.options || []).map((option) => option.option_letter);
+      return [...value].sort((a, b) => letters.indexOf(a) - letters.indexOf(b));
+    }
+    case AnswerType.NUMBER:
+    case AnswerType.PERCENTAGE:
+      return Number(value);
+    case AnswerType.TEXT:
+      return value.trim();
+    default:
+      return value;
+  }
+};
+
+/**
+ * Human-readable version of a submitted answer, for summaries and exports:
+ * option letters become "B. Option text", units and Yes/No are spelled out,
+ * numbers and dates are formatted for the language.
+ * @param {object} [i18n] - From useLanguage; English without it
+ */
+export const formatSurveyAnswer = (question, value, { t, formatNumber, formatDate } = defaultI18n) => {
+  if (!isAnswered(value)) return '';
+  const optionText = (letter) => {
+    const option = (question.options || []).find((item) => item.option_letter === letter);
+    return option ? `${letter}. ${option.content}` : letter;
+  };
+
+  switch (getAnswerType(question)) {
+    case AnswerType.SINGLE_CHOICE:
+      return optionText(value);
+    case AnswerType.MULTI_CHOICE:
+      return value.map(optionText).join('; ');
+    case AnswerType.NUMBER:
+      return question.unit ? `${formatNumber(value)} ${question.unit}` : formatNumber(value);
+    case AnswerType.PERCENTAGE:
+      return `${formatNumber(value)}%`;
+    case AnswerType.LIKERT: {
+      const { min, max, min_label: minLabel, max_label: maxLabel } = getLikertScale(question);
+      const label = value === min ? minLabel : value === max ? maxLabel : null;
+      return label ? t('survey.likertValueLabelled', { value, max, label }) : t('survey.likertValue', { value, max });
+    }
+    case AnswerType.DATE:
+      return formatDate(value);
+    case AnswerType.YES_NO:
+      return value ? t('common.yes') : t('common.no');
+    default:
+      return String(value);
+  }
+};
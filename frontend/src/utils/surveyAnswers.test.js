@@ -0,0 +1,49 @@
+import { AnswerType, formatSurveyAnswer, getAnswerType, isAnswerComplete, toPayloadAnswer, validateAnswer } from './surveyAnswers';
+import { createI18n } from '../i18n';
+
+const options = [{ option_letter: 'A' }, { option_letter: 'B' }, { option_letter: 'C' }];
+
+test('falls back to single choice / text when no answer_type is given', () => {
+  expect(getAnswerType({ options })).toBe(AnswerType.SINGLE_CHOICE);
+  expect(getAnswerType({})).toBe(AnswerType.TEXT);
+  expect(getAnswerType({ answer_type: 'unknown' })).toBe(AnswerType.TEXT);
+});
+
+test('validates numeric ranges and percentages', () => {
+  const pue = { answer_type: 'number', min: 1, max: 3 };
+  expect(validateAnswer(pue, '1.4')).toBeNull();
+  expect(validateAnswer(pue, '0.8')).toMatch(/at least 1/);
+  expect(validateAnswer({ answer_type: 'percentage' }, '120')).toMatch(/at most 100%/);
+  expect(validateAnswer({ answer_type: 'number' }, 'abc')).toMatch(/number/);
+});
+
+test('treats "No" and empty selections correctly', () => {
+  expect(isAnswerComplete({ answer_type: 'yes_no' }, false)).toBe(true);
+  expect(isAnswerComplete({ answer_type: 'multi_choice', options }, [])).toBe(false);
+  expect(isAnswerComplete({ answer_type: 'likert' }, 6)).toBe(false);
+  expect(isAnswerComplete({ answer_type: 'date', max: '2030-12-31' }, '2031-01-01')).toBe(false);
+});
+
+test('builds typed payload values', () => {
+  expect(toPayloadAnswer({ answer_type: 'multi_choice', options }, ['C', 'A'])).toEqual(['A', 'C']);
+  expect(toPayloadAnswer({ answer_type: 'number' }, '42.5')).toBe(42.5);
+  expect(toPayloadAnswer({}, '  some text ')).toBe('some text');
+  expect(toPayloadAnswer({ options }, 'B')).toBe('B');
+});
+
+test('formats answers for display', () => {
+  const choice = { options: [{ option_letter: 'A', content: 'On-premise' }, { option_letter: 'B', content: 'Cloud' }] };
+  expect(formatSurveyAnswer(choice, 'B')).toBe('B. Cloud');
+  expect(formatSurveyAnswer({ ...choice, answer_type: AnswerType.MULTI_CHOICE }, ['A', 'B'])).toBe('A. On-premise; B. Cloud');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.NUMBER, unit: 'kWh' }, 1200)).toBe('1,200 kWh');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.YES_NO }, false)).toBe('No');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.LIKERT, scale: { max_label: 'Decisive' } }, 5)).toBe('5 of 5 (Decisive)');
+});
+
+test('formats and validates in the given language', () => {
+  const german = createI18n('de');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.NUMBER, unit: 'kWh' }, 1200.5, german)).toBe('1.200,5 kWh');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.YES_NO }, true, german)).toBe('Ja');
+  expect(formatSurveyAnswer({ answer_type: AnswerType.DATE }, '2024-03-01', german)).toBe('01.03.2024');
+  expect(validateAnswer({ answer_type: 'number', min: 1.5 }, '1', german)).toBe('Bitte geben Sie einen Wert von mindestens 1,5 ein.');
+});
@@ -0,0 +1,85 @@
+// src/utils/surveyConditions.js
+// Display conditions for survey questions.
+//
+// A question may carry a `display_condition` that refers to earlier answers:
+//   { question_id: "Q1", operator: "not_equals", value: "A" }
+//   { all: [cond, ...] } | { any: [cond, ...] } | { not: cond }
+// Questions without a condition are always shown.
+import { isAnswered } from './surveyAnswers';
+
+const asArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const OPERATORS = {
+  equals: (answer, expected) => answer === expected,
+  not_equals: (answer, expected) => answer !== expected,
+  in: (answer, expected) => asArray(expected).includes(answer),
+  not_in: (answer, expected) => !asArray(expected).includes(answer),
+  // For multi-value answers: true when any expected value was selected
+  contains: (answer, expected) => asArray(answer).some((item) => asArray(expected).includes(item)),
+  answered: (answer) => isAnswered(answer),
+  not_answered: (answer) => !isAnswered(answer),
+  gt: (answer, expected) => Number(answer) > expected,
+  gte: (answer, expected) => Number(answer) >= expected,
+  lt: (answer, expected) => Number(answer) < expected,
+  lte: (answer, expected) => Number(answer) <= expected,
+};
+
+// Evaluates to true, false or null when it depends on an unanswered question.
+// null passes through `not` and decides `all`/`any` unless another part already does,
+// so negating a comparison doesn't show a question before its operand is answered.
+const evaluate = (condition, answers) => {
+  if (condition.all) {
+    const results = condition.all.map((part) => evaluate(part, answers));
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (condition.any) {
+    const results = condition.any.map((part) => evaluate(part, answers));
+    if (results.includes(true)) return true;
+    return results.includes(null) ? null : false;
+  }
+  if (condition.not) {
+    const result = evaluate(condition.not, answers);
+    return result === null ? null : !result;
+  }
+
+  const { question_id: questionId, operator = 'equals', value } = condition;
+  const compare = OPERATORS[operator];
+  if (!compare) {
+    console.warn(`Unknown display condition operator "${operator}" on ${questionId}; showing the question.`);
+    return true;
+  }
+
+  const answer = answers[questionId];
+  if (operator !== 'answered' && operator !== 'not_answered' && !isAnswered(answer)) return null;
+  return compare(answer, value);
+};
+
+/**
+ * Evaluates a display condition against a map of answers.
+ * Comparisons against an unanswered question are false (except `not_answered`),
+ * also under `not`, so a follow-on question stays hidden until the question it
+ * depends on is answered.
+ * @param {object|undefined} condition
+ * @param {object} answers - Answers keyed by question_id
+ * @returns {boolean}
+ */
+export const evaluateCondition = (condition, answers) => !condition || evaluate(condition, answers) === true;
+
+/**
+ * Returns the questions that should currently be shown, in order. Conditions only
+ * see answers to questions that are themselves visible, so hiding a question also
+ * hides everything that depends on it.
+ * @param {Array<object>} questions
+ * @param {object} responses
+ */
+export const getVisibleQuestions = (questions, responses) => {
+  const visibleAnswers = {};
+  return questions.filter((q) => {
+    const visible = evaluateCondition(q.display_condition, visibleAnswers);
+    if (visible && responses[q.question_id] !== undefined) {
+      visibleAnswers[q.question_id] = responses[q.question_id];
+    }
+    return visible;
+  });
+};
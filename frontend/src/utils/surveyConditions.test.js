@@ -0,0 +1,35 @@
+import { evaluateCondition, getVisibleQuestions } from './surveyConditions';
+
+const questions = [
+  { question_id: 'Q1' },
+  { question_id: 'Q2', display_condition: { question_id: 'Q1', operator: 'not_equals', value: 'A' } },
+  { question_id: 'Q3', display_condition: { question_id: 'Q2', operator: 'in', value: ['B', 'C'] } },
+];
+
+const visibleIds = (responses) => getVisibleQuestions(questions, responses).map((q) => q.question_id);
+
+test('hides dependent questions until the earlier question is answered', () => {
+  expect(visibleIds({})).toEqual(['Q1']);
+  expect(visibleIds({ Q1: 'B' })).toEqual(['Q1', 'Q2']);
+  expect(visibleIds({ Q1: 'B', Q2: 'C' })).toEqual(['Q1', 'Q2', 'Q3']);
+});
+
+test('hiding a question also hides questions that depend on it', () => {
+  expect(visibleIds({ Q1: 'A', Q2: 'C' })).toEqual(['Q1']);
+});
+
+test('supports all/any/not combinators', () => {
+  const answers = { Q1: 'A', Q2: ['x', 'y'] };
+  expect(evaluateCondition({ all: [{ question_id: 'Q1', value: 'A' }, { question_id: 'Q2', operator: 'contains', value: 'y' }] }, answers)).toBe(true);
+  expect(evaluateCondition({ any: [{ question_id: 'Q1', value: 'B' }, { question_id: 'Q3', operator: 'not_answered' }] }, answers)).toBe(true);
+  expect(evaluateCondition({ not: { question_id: 'Q1', value: 'A' } }, answers)).toBe(false);
+});
+
+test('a negated condition stays false until its question is answered', () => {
+  const notA = { not: { question_id: 'Q1', value: 'A' } };
+  expect(evaluateCondition(notA, {})).toBe(false);
+  expect(evaluateCondition(notA, { Q1: 'B' })).toBe(true);
+  expect(evaluateCondition({ not: { all: [{ question_id: 'Q1', value: 'A' }, { question_id: 'Q3', value: 'C' }] } }, { Q1: 'B' })).toBe(true);
+  expect(evaluateCondition({ not: { any: [{ question_id: 'Q1', value: 'B' }, { question_id: 'Q3', value: 'C' }] } }, { Q1: 'A' })).toBe(false);
+  expect(evaluateCondition({ not: { question_id: 'Q1', operator: 'answered' } }, {})).toBe(true);
+});
@@ -0,0 +1,126 @@
+// src/utils/surveyReview.js
+// The summary shown before the survey is submitted: every question with its
+// answer spelled out, and flags for what still needs a look. Unanswered and
+// invalid answers block submitting; unusual ones (0% or 100%, a date in the
+// future, "n/a" as a text answer, ...) are only pointed out, since they may
+// well be right.
+import { AnswerType, formatSurveyAnswer, getAnswerType, isAnswered, validateAnswer } from './surveyAnswers';
+import { blocksToPdf } from './exporters/pdf';
+import { defaultI18n } from '../i18n';
+
+export const ReviewFlag = {
+  UNANSWERED: 'unanswered',
+  INVALID: 'invalid',
+  UNUSUAL: 'unusual',
+};
+
+// Flags that keep the survey from being submitted
+export const BLOCKING_FLAGS = [ReviewFlag.UNANSWERED, ReviewFlag.INVALID];
+
+// Text answers that stand in for an answer rather than give one
+const PLACEHOLDER_TEXTS = ['-', '--', '?', '.', 'x', 'xx', 'xxx', 'n/a', 'na', 'none', 'tbd', 'todo', 'test', 'asdf', 'idk', '...'];
+
+// Multi-choice questions with fewer options are often answered with all of them
+const ALL_OPTIONS_MIN = 3;
+
+// The local date as YYYY-MM-DD, the format date answers are stored in
+const isoToday = () => {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+};
+
+/**
+ * Points out a valid answer that looks like a slip: worth a second look, but
+ * not wrong as such.
+ * @param {object} question
+ * @param {*} value - An answered, valid value
+ * @param {object} [i18n] - From useLanguage; messages are in English without it
+ * @param {{ today?: string }} [options] - YYYY-MM-DD, for dates in the future
+ * @returns {string|null} A user-facing message, or null when nothing stands out
+ */
+export const findUnusualAnswer = (question, value, { t } = defaultI18n, { today = isoToday() } = {}) => {
+  switch (getAnswerType(question)) {
+    case AnswerType.PERCENTAGE: {
+      const number = Number(value);
+      // Only the default 0-100 range: with own bounds the ends are expected answers
+      if (question.min === undefined && question.max === undefined && (number === 0 || number === 100)) {
+        return t('review.unusual.percentageEnd', { value: number });
+      }
+      return null;
+    }
+    case AnswerType.NUMBER:
+      if (Number(value) === 0 && question.min === undefined) return t('review.unusual.zero');
+      if (Number(value) < 0 && question.min === undefined) return t('review.unusual.negative');
+      return null;
+    case AnswerType.TEXT:
+      return PLACEHOLDER_TEXTS.includes(value.trim().toLowerCase()) ? t('review.unusual.placeholder') : null;
+    case AnswerType.DATE:
+      return !question.max && value > today ? t('review.unusual.futureDate') : null;
+    case AnswerType.MULTI_CHOICE: {
+      const count = (question.options || []).length;
+      return count >= ALL_OPTIONS_MIN && value.length === count ? t('review.unusual.allOptions') : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * The review of every question shown, step by step.
+ * @param {Array<{ title: string, questions: Array<object> }>} steps - From buildSurveySteps, hidden questions left out
+ * @param {object} responses - Answers by question_id
+ * @param {object} [i18n] - From useLanguage
+ * @param {{ today?: string }} [options] - See findUnusualAnswer
+ * @returns {Array<{ title: string, stepIndex: number, items: Array<{ question: object, answerText: string, flag: string|null, message: string|null }> }>}
+ */
+export const buildSurveyReview = (steps, responses, i18n = defaultI18n, options = {}) => steps.map((step, stepIndex) => ({
+  title: step.title,
+  stepIndex,
+  items: step.questions.map((question) => {
+    const value = responses[question.question_id];
+    if (!isAnswered(value)) return { question, answerText: '', flag: ReviewFlag.UNANSWERED, message: null };
+    const answerText = formatSurveyAnswer(question, value, i18n);
+    const error = validateAnswer(question, value, i18n);
+    if (error) return { question, answerText, flag: ReviewFlag.INVALID, message: error };
+    const unusual = findUnusualAnswer(question, value, i18n, options);
+    return { question, answerText, flag: unusual ? ReviewFlag.UNUSUAL : null, message: unusual };
+  }),
+}));
+
+// How many questions carry each flag
+export const countReviewFlags = (sections) => {
+  const counts = { [ReviewFlag.UNANSWERED]: 0, [ReviewFlag.INVALID]: 0, [ReviewFlag.UNUSUAL]: 0 };
+  sections.forEach(({ items }) => items.forEach(({ flag }) => {
+    if (flag) counts[flag] += 1;
+  }));
+  return counts;
+};
+
+/**
+ * The review as a PDF, for printing or filing before the answers are sent.
+ * @param {Array<object>} sections - From buildSurveyReview
+ * @param {{ sessionId: string, i18n?: object, generatedAt?: Date }} options
+ * @returns {{ blob: Blob, filename: string }}
+ */
+export const createSurveyReviewPdf = (sections, { sessionId, i18n = defaultI18n, generatedAt = new Date() }) => {
+  const { t, formatDateTime } = i18n;
+  const blocks = [
+    { style: 'h1', text: t('review.title') },
+    { style: 'muted', text: t('review.pdfInfo', { session: sessionId, date: formatDateTime(generatedAt) }) },
+  ];
+  sections.forEach(({ title, items }) => {
+    blocks.push({ style: 'h2', text: title });
+    items.forEach(({ question, answerText, flag, message }) => {
+      blocks.push(
+        { style: 'h3', text: question.content },
+        { style: 'body', text: flag === ReviewFlag.UNANSWERED ? t('review.notAnswered') : answerText }
+      );
+      if (message) blocks.push({ style: 'muted', text: message });
+    });
+  });
+  const content = blocksToPdf(blocks, {
+    title: t('review.title'),
+    pageFooter: (page, pages) => t('common.pageOf', { page, pages }),
+  });
+  return { blob: new Blob([content], { type: 'application/pdf' }), filename: `survey-review_${sessionId}.pdf` };
+};
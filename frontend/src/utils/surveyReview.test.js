@@ -0,0 +1,51 @@
+import { ReviewFlag, buildSurveyReview, countReviewFlags, createSurveyReviewPdf, findUnusualAnswer } from './surveyReview';
+
+const options = [
+  { option_letter: 'A', content: 'Laptops' },
+  { option_letter: 'B', content: 'Monitors' },
+  { option_letter: 'C', content: 'Phones' },
+];
+
+test('points out answers that look like slips', () => {
+  const today = { today: '2024-06-01' };
+  expect(findUnusualAnswer({ answer_type: 'percentage' }, '100', undefined, today)).toBe('Exactly 100% is rare.');
+  expect(findUnusualAnswer({ answer_type: 'percentage', min: 0, max: 100 }, '0', undefined, today)).toBeNull();
+  expect(findUnusualAnswer({ answer_type: 'number' }, '0', undefined, today)).toMatch(/zero/);
+  expect(findUnusualAnswer({ answer_type: 'text' }, ' N/A ', undefined, today)).toMatch(/placeholder/);
+  expect(findUnusualAnswer({ answer_type: 'date' }, '2024-07-01', undefined, today)).toMatch(/future/);
+  expect(findUnusualAnswer({ answer_type: 'date', max: '2030-12-31' }, '2024-07-01', undefined, today)).toBeNull();
+  expect(findUnusualAnswer({ answer_type: 'multi_choice', options }, ['A', 'B', 'C'], undefined, today)).toMatch(/Every option/);
+  expect(findUnusualAnswer({ options }, 'B', undefined, today)).toBeNull();
+});
+
+test('lists every question with its answer text and flag', () => {
+  const steps = [
+    {
+      title: 'Hardware',
+      questions: [
+        { question_id: 'Q1', content: 'Main device type', options },
+        { question_id: 'Q2', content: 'Refurbished share', answer_type: 'percentage' },
+        { question_id: 'Q3', content: 'Devices bought last year', answer_type: 'number' },
+      ],
+    },
+    { title: 'Energy', questions: [{ question_id: 'Q4', content: 'Green tariff since', answer_type: 'date' }] },
+  ];
+  const sections = buildSurveyReview(steps, { Q1: 'B', Q2: '120', Q3: '0' });
+
+  expect(sections.map(({ title, stepIndex }) => [title, stepIndex])).toEqual([['Hardware', 0], ['Energy', 1]]);
+  expect(sections[0].items.map(({ answerText, flag }) => [answerText, flag])).toEqual([
+    ['B. Monitors', null],
+    ['120%', ReviewFlag.INVALID],
+    ['0', ReviewFlag.UNUSUAL],
+  ]);
+  expect(sections[0].items[1].message).toBe('Please enter a value of at most 100%.');
+  expect(sections[1].items[0]).toMatchObject({ flag: ReviewFlag.UNANSWERED, answerText: '' });
+  expect(countReviewFlags(sections)).toEqual({ unanswered: 1, invalid: 1, unusual: 1 });
+});
+
+test('creates a PDF of the review', () => {
+  const sections = buildSurveyReview([{ title: 'Hardware', questions: [{ question_id: 'Q1', content: 'Main device type', options }] }], {});
+  const { blob, filename } = createSurveyReviewPdf(sections, { sessionId: 's1', generatedAt: new Date('2024-06-01T10:00:00Z') });
+  expect(filename).toBe('survey-review_s1.pdf');
+  expect(blob.type).toBe('application/pdf');
+});
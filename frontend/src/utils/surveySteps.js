@@ -0,0 +1,47 @@
+// src/utils/surveySteps.js
+// Splits the flat list from getSurveyQuestions into wizard steps.
+import { isAnswerComplete } from './surveyAnswers';
+import { defaultI18n } from '../i18n';
+
+export const SURVEY_PAGE_SIZE = 5; // Questions per step when the backend sends no categories
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+
+/**
+ * Groups questions into steps: one step per `category` (in first-seen order) when
+ * every question has one, otherwise fixed-size pages.
+ * @param {Array<object>} questions
+ * @param {{ pageSize?: number, i18n?: object }} [options] - i18n titles the pages ("Part 1")
+ * @returns {Array<{ id: string, title: string, questions: Array<object> }>}
+ */
+export const buildSurveySteps = (questions, { pageSize = SURVEY_PAGE_SIZE, i18n = defaultI18n } = {}) => {
+  if (!questions || questions.length === 0) return [];
+
+  if (questions.every((q) => q.category)) {
+    const byCategory = new Map();
+    questions.forEach((q) => {
+      if (!byCategory.has(q.category)) byCategory.set(q.category, []);
+      byCategory.get(q.category).push(q);
+    });
+    return Array.from(byCategory, ([category, stepQuestions]) => ({
+      id: slugify(category),
+      title: category,
+      questions: stepQuestions,
+    }));
+  }
+
+  const steps = [];
+  for (let start = 0; start < questions.length; start += pageSize) {
+    const number = steps.length + 1;
+    steps.push({ id: `part-${number}`, title: i18n.t('survey.part', { number }), questions: questions.slice(start, start + pageSize) });
+  }
+  return steps;
+};
+
+// Questions in the step that are unanswered or fail validation
+export const incompleteQuestions = (step, responses) =>
+  step.questions.filter((q) => !isAnswerComplete(q, responses[q.question_id]));
+
+// Index of the first step with a missing or invalid answer, or -1 when the survey is complete
+export const firstIncompleteStepIndex = (steps, responses) =>
+  steps.findIndex((step) => incompleteQuestions(step, responses).length > 0);
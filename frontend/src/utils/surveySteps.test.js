@@ -0,0 +1,22 @@
+import { buildSurveySteps, firstIncompleteStepIndex } from './surveySteps';
+
+const question = (id, category) => ({ question_id: id, content: id, ...(category && { category }) });
+
+test('groups questions by category in first-seen order', () => {
+  const steps = buildSurveySteps([question('Q1', 'Energy'), question('Q2', 'Hardware'), question('Q3', 'Energy')]);
+  expect(steps.map((s) => [s.title, s.questions.map((q) => q.question_id)])).toEqual([
+    ['Energy', ['Q1', 'Q3']],
+    ['Hardware', ['Q2']],
+  ]);
+});
+
+test('falls back to fixed-size pages when categories are missing', () => {
+  const steps = buildSurveySteps([question('Q1', 'Energy'), question('Q2'), question('Q3')], { pageSize: 2 });
+  expect(steps.map((s) => s.questions.length)).toEqual([2, 1]);
+});
+
+test('finds the first step with an unanswered question', () => {
+  const steps = buildSurveySteps([question('Q1'), question('Q2'), question('Q3')], { pageSize: 1 });
+  expect(firstIncompleteStepIndex(steps, { Q1: 'A', Q2: '  ', Q3: 'B' })).toBe(1);
+  expect(firstIncompleteStepIndex(steps, { Q1: 'A', Q2: 'text', Q3: 'B' })).toBe(-1);
+});
@@ -0,0 +1,104 @@
+// src/utils/team.js
+// Several people working on one assessment.
+//
+// The owner invites colleagues (getTeam / inviteTeamMember) and assigns them
+// survey sections and follow-up categories. Every part has exactly one person
+// answering it: the member it is assigned to, else the owner. Members are only
+// shown their own part, everyone can see who answered what, and only the owner
+// submits the survey.
+//
+// Parts are named by category. Questions carry the untranslated name as
+// `category_key` when their texts are translated, so assignments hold in every
+// language.
+
+export const TeamRole = {
+  OWNER: 'owner',
+  CONTRIBUTOR: 'contributor',
+};
+
+// Which list of a member a part is assigned through
+export const TeamPart = {
+  SURVEY: 'survey_sections',
+  FOLLOWUP: 'followup_categories',
+};
+
+export const categoryKey = (question) => question.category_key || question.category || null;
+
+// True when someone besides the owner works on the session
+export const isShared = (team) => !!team && team.members.length > 0;
+
+// Without a loaded team the user is treated as the owner of a session of their own
+export const roleOf = (team, username) => (
+  !team || team.owner === username ? TeamRole.OWNER : TeamRole.CONTRIBUTOR
+);
+
+/**
+ * Who answers a part.
+ * @param {object|null} team - From getTeam
+ * @param {string} part - A TeamPart
+ * @param {string} key - Category key
+ * @returns {string|null} The username, or null without a team
+ */
+export const assigneeOf = (team, part, key) => {
+  if (!team) return null;
+  return team.members.find((member) => member[part].includes(key))?.username || team.owner;
+};
+
+// Whether the user answers the question; always true without a team
+export const isOwnQuestion = (team, username, part, question) => (
+  !team || assigneeOf(team, part, categoryKey(question)) === username
+);
+
+/**
+ * The categories of a question list, in first-seen order.
+ * @param {Array<object>} questions
+ * @returns {Array<{ key: string, title: string }>} title is the category as shown
+ */
+export const categoriesOf = (questions = []) => {
+  const categories = new Map();
+  questions.forEach((question) => {
+    const key = categoryKey(question);
+    if (key && !categories.has(key)) categories.set(key, { key, title: question.category });
+  });
+  return Array.from(categories.values());
+};
+
+/**
+ * Copies the answers to other people's questions from the server draft, so the
+ * form shows what they have entered. The user's own answers are kept as they are.
+ * @param {object} responses - The form's answers by question_id
+ * @param {object} serverResponses - The shared draft's answers by question_id
+ * @param {Set<string>} othersIds - Question IDs someone else answers
+ * @returns {object} `responses` itself when nothing changed
+ */
+export const mergeTeamAnswers = (responses, serverResponses, othersIds) => {
+  const merged = { ...responses };
+  othersIds.forEach((questionId) => {
+    if (serverResponses && questionId in serverResponses) merged[questionId] = serverResponses[questionId];
+    else delete merged[questionId];
+  });
+  return JSON.stringify(merged) === JSON.stringify(responses) ? responses : merged;
+};
+
+/**
+ * How far each person has got with their part.
+ * @param {object} team - From getTeam
+ * @param {{ surveyQuestions: Array<object>, pendingFollowups: Array<object> }} questions - The
+ *   survey questions currently shown and the follow-up questions waiting for an answer
+ * @returns {Array<{ username: string, role: string, surveyAnswered: number, surveyTotal: number, followupAnswered: number, followupWaiting: number }>}
+ *   The owner first, then the members in invitation order
+ */
+export const teamProgress = (team, { surveyQuestions = [], pendingFollowups = [] }) => {
+  const people = [team.owner, ...team.members.map((member) => member.username)];
+  return people.map((username) => {
+    const surveyOwn = surveyQuestions.filter((question) => isOwnQuestion(team, username, TeamPart.SURVEY, question));
+    return {
+      username,
+      role: roleOf(team, username),
+      surveyAnswered: surveyOwn.filter((question) => team.answered_by.survey[question.question_id]).length,
+      surveyTotal: surveyOwn.length,
+      followupAnswered: Object.values(team.answered_by.followup).filter((name) => name === username).length,
+      followupWaiting: pendingFollowups.filter((question) => isOwnQuestion(team, username, TeamPart.FOLLOWUP, question)).length,
+    };
+  });
+};
@@ -0,0 +1,46 @@
+import { TeamPart, TeamRole, assigneeOf, categoriesOf, isOwnQuestion, mergeTeamAnswers, roleOf, teamProgress } from './team';
+
+const team = {
+  owner: 'ana',
+  members: [
+    { username: 'bo', survey_sections: ['Energy'], followup_categories: ['Hardware'] },
+    { username: 'cy', survey_sections: [], followup_categories: [] },
+  ],
+  answered_by: { survey: { Q1: 'bo', Q3: 'ana' }, followup: { F1: 'bo', F2: 'ana' } },
+};
+
+const questions = [
+  { question_id: 'Q1', category: 'Energie', category_key: 'Energy' },
+  { question_id: 'Q2', category: 'Energie', category_key: 'Energy' },
+  { question_id: 'Q3', category: 'Hardware' },
+];
+
+test('gives every part to its assignee, or else the owner', () => {
+  expect(assigneeOf(team, TeamPart.SURVEY, 'Energy')).toBe('bo');
+  expect(assigneeOf(team, TeamPart.FOLLOWUP, 'Energy')).toBe('ana');
+  expect(isOwnQuestion(team, 'bo', TeamPart.SURVEY, questions[0])).toBe(true);
+  expect(isOwnQuestion(team, 'ana', TeamPart.SURVEY, questions[0])).toBe(false);
+  expect(isOwnQuestion(null, undefined, TeamPart.SURVEY, questions[0])).toBe(true);
+  expect(roleOf(team, 'cy')).toBe(TeamRole.CONTRIBUTOR);
+  expect(roleOf(null, 'cy')).toBe(TeamRole.OWNER);
+});
+
+test('lists categories by their untranslated key', () => {
+  expect(categoriesOf(questions)).toEqual([{ key: 'Energy', title: 'Energie' }, { key: 'Hardware', title: 'Hardware' }]);
+});
+
+test('takes only the others\' answers from the server', () => {
+  const responses = { Q1: 'A', Q3: 'C' };
+  expect(mergeTeamAnswers(responses, { Q1: 'B', Q2: 'D', Q3: 'A' }, new Set(['Q1', 'Q2']))).toEqual({ Q1: 'B', Q2: 'D', Q3: 'C' });
+  expect(mergeTeamAnswers(responses, {}, new Set(['Q1']))).toEqual({ Q3: 'C' });
+  expect(mergeTeamAnswers(responses, { Q1: 'A' }, new Set(['Q1']))).toBe(responses);
+});
+
+test('counts each person\'s answered and waiting questions', () => {
+  const pendingFollowups = [{ question_id: 'F3', category: 'Hardware' }, { question_id: 'F4', category: 'Energy' }];
+  expect(teamProgress(team, { surveyQuestions: questions, pendingFollowups })).toEqual([
+    { username: 'ana', role: TeamRole.OWNER, surveyAnswered: 1, surveyTotal: 1, followupAnswered: 1, followupWaiting: 1 },
+    { username: 'bo', role: TeamRole.CONTRIBUTOR, surveyAnswered: 1, surveyTotal: 2, followupAnswered: 1, followupWaiting: 1 },
+    { username: 'cy', role: TeamRole.CONTRIBUTOR, surveyAnswered: 0, surveyTotal: 0, followupAnswered: 0, followupWaiting: 0 },
+  ]);
+});